@@ -0,0 +1,129 @@
+/**
+ * AbilityEstimator - Rasch (1PL IRT) ability estimation for adaptive unit quizzes
+ * Estimates ability on the logit scale from right/wrong answers and picks the question
+ * whose difficulty best matches the current estimate
+ */
+class AbilityEstimator {
+    constructor(options = {}) {
+        // Normal prior on ability keeps early estimates finite after all-right or all-wrong starts
+        this.priorMean = options.priorMean || 0;
+        this.priorSD = options.priorSD || 1;
+
+        // Stop once the standard error reaches the target, within the question limits
+        this.targetStandardError = options.targetStandardError || 0.5;
+        this.minQuestions = options.minQuestions || 8;
+        this.maxQuestions = options.maxQuestions || 20;
+    }
+
+    /**
+     * Probability of a correct answer under the Rasch model
+     * @param {number} ability - Ability (logits)
+     * @param {number} difficulty - Item difficulty (logits)
+     * @returns {number} Probability (0-1)
+     */
+    static probability(ability, difficulty) {
+        return 1 / (1 + Math.exp(difficulty - ability));
+    }
+
+    /**
+     * Get a question's difficulty on the logit scale
+     * Uses the empirical p-value once the question has been rated from attempts,
+     * otherwise the bank difficulty, otherwise average difficulty
+     * @param {Object} question - Question object
+     * @returns {number} Difficulty (logits)
+     */
+    getItemDifficulty(question) {
+        const stats = question.itemStats;
+        if (stats && stats.difficulty && typeof stats.pValue === 'number') {
+            const p = Math.min(0.98, Math.max(0.02, stats.pValue));
+            return Math.log((1 - p) / p);
+        }
+
+        const logit = AbilityEstimator.DIFFICULTY_LOGITS[question.difficulty];
+        return logit === undefined ? 0 : logit;
+    }
+
+    /**
+     * Estimate ability from responses (maximum a posteriori, by Newton-Raphson)
+     * @param {Array} responses - Responses ({difficulty, isCorrect})
+     * @returns {Object} Estimate ({ability, standardError})
+     */
+    estimate(responses) {
+        const priorPrecision = 1 / (this.priorSD * this.priorSD);
+        const information = (ability) => responses.reduce((sum, response) => {
+            const p = AbilityEstimator.probability(ability, response.difficulty);
+            return sum + p * (1 - p);
+        }, priorPrecision);
+
+        let ability = this.priorMean;
+        for (let iteration = 0; iteration < 25; iteration++) {
+            const gradient = responses.reduce((sum, response) =>
+                sum + (response.isCorrect ? 1 : 0) - AbilityEstimator.probability(ability, response.difficulty),
+            -(ability - this.priorMean) * priorPrecision);
+
+            const step = gradient / information(ability);
+            ability = Math.min(4, Math.max(-4, ability + step));
+            if (Math.abs(step) < 0.001) {
+                break;
+            }
+        }
+
+        return {
+            ability: Math.round(ability * 100) / 100,
+            standardError: Math.round((1 / Math.sqrt(information(ability))) * 100) / 100
+        };
+    }
+
+    /**
+     * Decide whether an adaptive quiz should stop
+     * @param {number} questionsAnswered - Questions answered so far
+     * @param {number} standardError - Current standard error
+     * @param {number} questionsRemaining - Unused questions left in the pool
+     * @returns {string|null} 'precision', 'max_questions' or 'pool_exhausted', or null to continue
+     */
+    getStopReason(questionsAnswered, standardError, questionsRemaining) {
+        if (questionsAnswered >= this.maxQuestions) return 'max_questions';
+        if (questionsAnswered >= this.minQuestions && standardError <= this.targetStandardError) return 'precision';
+        if (questionsRemaining === 0) return 'pool_exhausted';
+        return null;
+    }
+
+    /**
+     * Pick the question whose difficulty is closest to the ability estimate
+     * Ties keep the first candidate, so shuffle candidates for variety
+     * @param {number} ability - Current ability estimate
+     * @param {Array} candidates - Unused Question objects
+     * @returns {Object|null} Selected question, or null if there are no candidates
+     */
+    selectNextQuestion(ability, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        candidates.forEach(question => {
+            const distance = Math.abs(this.getItemDifficulty(question) - ability);
+            if (distance < bestDistance) {
+                best = question;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Convert an ability estimate to aptitude: the chance of answering a question of average difficulty
+     * @param {number} ability - Ability (logits)
+     * @returns {number} Aptitude percentage (0-100)
+     */
+    toAptitude(ability) {
+        return Math.round(AbilityEstimator.probability(ability, 0) * 100);
+    }
+}
+
+// Logit difficulty for bank ratings on questions without enough attempts to estimate one
+AbilityEstimator.DIFFICULTY_LOGITS = { easy: -1, medium: 0, hard: 1 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AbilityEstimator;
+}
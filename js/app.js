@@ -30,6 +30,7 @@ class App {
         this.errorHandler = null;
         this.confirmationDialogs = null;
         this.loadingIndicator = null;
+        this.serviceWorkerManager = null;
         
         // Enhanced application state management
         this.state = {
@@ -55,13 +56,37 @@ class App {
         
         // Chart instances
         this.scoreChart = null;
+        this.classUnitChart = null;
+        this.classTrendChart = null;
+
+        // Teacher class report, created when the view is first opened
+        this.classReport = null;
+
+        // Deep links in the URL hash, and the results currently shown in the results view
+        this.router = typeof HashRouter !== 'undefined' ? new HashRouter() : null;
+        this.currentResults = null;
+
+        // Question editor selection; isNew marks an unsaved question
+        this.editorState = {
+            selectedId: null,
+            isNew: false,
+            stimulus: null
+        };
+        this.editorLintReport = null;
         
         // Core components
+        this.profileManager = null;
         this.storageWrapper = null;
         this.progressTracker = null;
         this.questionManager = null;
         this.quizEngine = null;
         
+        // Set while reloading into another profile, so nothing is saved on the way out
+        this.profileReloadPending = false;
+
+        // Set once the user has been told another tab changed the saved data
+        this.externalChangeNotified = false;
+
         // State management timers
         this.autoSaveTimer = null;
         this.corruptionCheckTimer = null;
@@ -95,6 +120,13 @@ class App {
                 console.warn('Error handling initialization failed, continuing without it:', e);
             }
             
+            // Register the offline service worker (optional)
+            try {
+                this.initializeOfflineSupport();
+            } catch (e) {
+                console.warn('Offline support initialization failed, continuing online only:', e);
+            }
+            
             // Try to load initial data (optional)
             try {
                 await this.loadInitialData();
@@ -112,6 +144,13 @@ class App {
             this.isInitialized = true;
             console.log('Application initialized successfully');
             
+            // Open the page's deep link, if any (optional)
+            try {
+                this.handleInitialRoute();
+            } catch (e) {
+                console.warn('Deep link handling failed, staying on the dashboard:', e);
+            }
+            
         } catch (error) {
             console.error('Failed to initialize application:', error);
             console.error('Error details:', {
@@ -133,16 +172,27 @@ class App {
         this.elements = {
             // Navigation
             dashboardBtn: document.getElementById('dashboard-btn'),
+            questionBanksBtn: document.getElementById('question-banks-btn'),
+            questionEditorBtn: document.getElementById('question-editor-btn'),
+            classReportBtn: document.getElementById('class-report-btn'),
+            worksheetBtn: document.getElementById('worksheet-btn'),
+            historyBtn: document.getElementById('history-btn'),
+            profileBtn: document.getElementById('profile-btn'),
+            profileName: document.getElementById('profile-name'),
+            dashboardProfileName: document.getElementById('dashboard-profile-name'),
             
             // Views
             dashboardView: document.getElementById('dashboard'),
             quizView: document.getElementById('quiz'),
             resultsView: document.getElementById('results'),
+            editorView: document.getElementById('editor'),
             
             // Mode selection buttons
             unitQuizBtn: document.getElementById('unit-quiz-btn'),
             practiceTestBtn: document.getElementById('practice-test-btn'),
             studyModeBtn: document.getElementById('study-mode-btn'),
+            reviewMistakesBtn: document.getElementById('review-mistakes-btn'),
+            frqBtn: document.getElementById('frq-btn'),
             
             // Progress elements
             progressChart: document.getElementById('progress-chart'),
@@ -151,6 +201,11 @@ class App {
             totalAnswered: document.getElementById('total-answered'),
             testCount: document.getElementById('test-count'),
             noDataMessage: document.getElementById('no-data-message'),
+            apPrediction: document.getElementById('ap-prediction'),
+            predictionBasis: document.getElementById('prediction-basis'),
+            frqScoreForm: document.getElementById('frq-score-form'),
+            exportProgressBtn: document.getElementById('export-progress-btn'),
+            importProgressFile: document.getElementById('import-progress-file'),
             
             // Quiz elements
             questionCounter: document.getElementById('question-counter'),
@@ -161,11 +216,44 @@ class App {
             prevBtn: document.getElementById('prev-btn'),
             nextBtn: document.getElementById('next-btn'),
             submitBtn: document.getElementById('submit-btn'),
+            flagBtn: document.getElementById('flag-btn'),
+            reviewGridBtn: document.getElementById('review-grid-btn'),
             endQuizBtn: document.getElementById('end-quiz-btn'),
             returnDashboardBtn: document.getElementById('return-dashboard-btn'),
             
             // Results
-            resultsContent: document.getElementById('results-content')
+            resultsContent: document.getElementById('results-content'),
+
+            // Question editor
+            editorSearch: document.getElementById('editor-search'),
+            editorUnitFilter: document.getElementById('editor-unit-filter'),
+            editorCount: document.getElementById('editor-count'),
+            editorList: document.getElementById('editor-list'),
+            editorForm: document.getElementById('editor-form'),
+            editorAddBtn: document.getElementById('editor-add-btn'),
+            editorLintBtn: document.getElementById('editor-lint-btn'),
+            editorExportBtn: document.getElementById('editor-export-btn'),
+
+            // Class report
+            classFiles: document.getElementById('class-files'),
+            classCsvBtn: document.getElementById('class-csv-btn'),
+            classClearBtn: document.getElementById('class-clear-btn'),
+            classLoadErrors: document.getElementById('class-load-errors'),
+            classSummary: document.getElementById('class-summary'),
+            classRoster: document.getElementById('class-roster'),
+            classMissed: document.getElementById('class-missed'),
+
+            // Quiz history
+            historyModeFilter: document.getElementById('history-mode-filter'),
+            historyUnitFilter: document.getElementById('history-unit-filter'),
+            historyCount: document.getElementById('history-count'),
+            historyList: document.getElementById('history-list'),
+
+            // Worksheets
+            worksheetForm: document.getElementById('worksheet-form'),
+            worksheetOutput: document.getElementById('worksheet-output'),
+            worksheetPrintBtn: document.getElementById('worksheet-print-btn'),
+            worksheetPrintKeysBtn: document.getElementById('worksheet-print-keys-btn')
         };
         
         // Debug: Check if mode buttons were found
@@ -217,6 +305,26 @@ class App {
             console.error('Study mode button not found!');
         }
 
+        if (this.elements.reviewMistakesBtn) {
+            this.elements.reviewMistakesBtn.addEventListener('click', () => this.handleModeSelection('review'));
+        }
+
+        if (this.elements.frqBtn) {
+            this.elements.frqBtn.addEventListener('click', () => this.handleModeSelection('frq'));
+        }
+
+        if (this.elements.exportProgressBtn) {
+            this.elements.exportProgressBtn.addEventListener('click', () => this.exportProgress());
+        }
+
+        if (this.elements.importProgressFile) {
+            this.elements.importProgressFile.addEventListener('change', (e) => this.handleImportProgressFile(e));
+        }
+
+        if (this.elements.frqScoreForm) {
+            this.elements.frqScoreForm.addEventListener('submit', (e) => this.handleAddFRQScore(e));
+        }
+
         // Navigation buttons
         if (this.elements.dashboardBtn) {
             this.elements.dashboardBtn.addEventListener('click', this.handleReturnToDashboard);
@@ -226,6 +334,92 @@ class App {
             this.elements.returnDashboardBtn.addEventListener('click', this.handleReturnToDashboard);
         }
 
+        if (this.elements.questionBanksBtn) {
+            this.elements.questionBanksBtn.addEventListener('click', () => this.showQuestionBankManager());
+        }
+
+        if (this.elements.questionEditorBtn) {
+            this.elements.questionEditorBtn.addEventListener('click', () => this.showQuestionEditor());
+        }
+
+        if (this.elements.classReportBtn) {
+            this.elements.classReportBtn.addEventListener('click', () => this.showClassReport());
+        }
+
+        if (this.elements.historyBtn) {
+            this.elements.historyBtn.addEventListener('click', () => this.showQuizHistory());
+        }
+
+        if (this.elements.worksheetBtn) {
+            this.elements.worksheetBtn.addEventListener('click', () => this.showWorksheets());
+        }
+
+        if (this.elements.profileBtn) {
+            this.elements.profileBtn.addEventListener('click', () => this.showProfileManager());
+        }
+
+        // Class report
+        if (this.elements.classFiles) {
+            this.elements.classFiles.addEventListener('change', (e) => this.handleClassFiles(e));
+        }
+
+        if (this.elements.classCsvBtn) {
+            this.elements.classCsvBtn.addEventListener('click', () => this.downloadClassCSV());
+        }
+
+        if (this.elements.classClearBtn) {
+            this.elements.classClearBtn.addEventListener('click', () => {
+                if (this.classReport) {
+                    this.classReport.clear();
+                }
+                if (this.elements.classLoadErrors) {
+                    this.elements.classLoadErrors.innerHTML = '';
+                }
+                this.renderClassReport();
+            });
+        }
+
+        // Worksheets
+        if (this.elements.worksheetForm) {
+            this.elements.worksheetForm.addEventListener('submit', (e) => this.handleWorksheetSubmit(e));
+        }
+
+        if (this.elements.worksheetPrintBtn) {
+            this.elements.worksheetPrintBtn.addEventListener('click', () => this.printWorksheet('worksheets'));
+        }
+
+        if (this.elements.worksheetPrintKeysBtn) {
+            this.elements.worksheetPrintKeysBtn.addEventListener('click', () => this.printWorksheet('keys'));
+        }
+
+        // Quiz history
+        [this.elements.historyModeFilter, this.elements.historyUnitFilter].forEach(filter => {
+            if (filter) {
+                filter.addEventListener('change', () => this.renderQuizHistory());
+            }
+        });
+
+        // Question editor
+        if (this.elements.editorSearch) {
+            this.elements.editorSearch.addEventListener('input', () => this.renderEditorList());
+        }
+
+        if (this.elements.editorUnitFilter) {
+            this.elements.editorUnitFilter.addEventListener('change', () => this.renderEditorList());
+        }
+
+        if (this.elements.editorAddBtn) {
+            this.elements.editorAddBtn.addEventListener('click', () => this.addEditorQuestion());
+        }
+
+        if (this.elements.editorLintBtn) {
+            this.elements.editorLintBtn.addEventListener('click', () => this.lintEditorQuestions());
+        }
+
+        if (this.elements.editorExportBtn) {
+            this.elements.editorExportBtn.addEventListener('click', () => this.exportQuestionBank());
+        }
+
         // Quiz control buttons (will be handled by QuizEngine when implemented)
         if (this.elements.prevBtn) {
             this.elements.prevBtn.addEventListener('click', () => this.handleQuizNavigation('previous'));
@@ -239,6 +433,14 @@ class App {
             this.elements.submitBtn.addEventListener('click', () => this.handleQuizSubmit());
         }
         
+        if (this.elements.flagBtn) {
+            this.elements.flagBtn.addEventListener('click', () => this.handleToggleFlag());
+        }
+
+        if (this.elements.reviewGridBtn) {
+            this.elements.reviewGridBtn.addEventListener('click', () => this.showReviewGrid());
+        }
+        
         if (this.elements.endQuizBtn) {
             this.elements.endQuizBtn.addEventListener('click', () => this.handleEndQuiz());
         }
@@ -282,11 +484,12 @@ class App {
      */
     async loadInitialData() {
         try {
-            // Initialize core components
-            this.initializeCoreComponents();
+            // Initialize core components, storing data in IndexedDB where the browser supports it
+            const storageBackend = await this.openStorageBackend();
+            this.initializeCoreComponents(storageBackend);
             
             // Initialize question bank loader
-            this.questionBankLoader = new QuestionBankLoader();
+            this.questionBankLoader = new QuestionBankLoader(this.storageWrapper);
             
             // Load questions from the complete question bank
             try {
@@ -316,6 +519,11 @@ class App {
                     throw new Error('No questions available');
                 }
             }
+
+            // Free-response prompts ship with the app rather than the question bank
+            if (typeof frqQuestions !== 'undefined') {
+                this.questionManager.loadFRQQuestions(frqQuestions);
+            }
             
             console.log('Initial data loaded');
         } catch (error) {
@@ -350,6 +558,20 @@ class App {
         }
     }
 
+    /**
+     * Register the service worker that caches the app for offline use
+     * Registration finishes in the background; updates are announced through the error handler
+     */
+    initializeOfflineSupport() {
+        if (typeof ServiceWorkerManager === 'undefined' || !ServiceWorkerManager.isSupported()) {
+            console.warn('Service workers not available, offline mode disabled');
+            return;
+        }
+
+        this.serviceWorkerManager = new ServiceWorkerManager(this.errorHandler);
+        this.serviceWorkerManager.register();
+    }
+
     /**
      * Show loading indicator during initialization
      */
@@ -400,14 +622,89 @@ class App {
         }
     }
 
+    /**
+     * Open the IndexedDB storage backend and move existing localStorage data into it
+     * @returns {Promise<IndexedDBBackend|null>} Opened backend, or null to keep using localStorage
+     */
+    async openStorageBackend() {
+        if (typeof IndexedDBBackend === 'undefined' || !IndexedDBBackend.isSupported()) {
+            return null;
+        }
+
+        let backend;
+        try {
+            backend = new IndexedDBBackend({
+                onError: (error) => {
+                    if (this.errorHandler) {
+                        this.errorHandler.handleStorageError(error, 'IndexedDB save');
+                    }
+                },
+                // Data loaded at startup is now stale, and saving it would overwrite the other tab's changes
+                onExternalChange: () => {
+                    if (!this.externalChangeNotified) {
+                        this.externalChangeNotified = true;
+                        this.showNotification('Your data was changed in another tab. Reload this tab to see the latest progress.', 'warning');
+                    }
+                }
+            });
+            await backend.open();
+        } catch (error) {
+            console.warn('IndexedDB not available, using localStorage:', error);
+            return null;
+        }
+
+        try {
+            await backend.migrateFrom(localStorage, StorageWrapper.isAppKey);
+        } catch (error) {
+            // Unmigrated data stays in localStorage and is tried again next time
+            console.warn('Failed to migrate localStorage data to IndexedDB:', error);
+        }
+
+        return backend;
+    }
+
+    /**
+     * Upgrade saved data in a storage namespace to the current schema versions
+     * @param {StorageWrapper} storage - Storage to migrate
+     * @param {Array} keys - Keys to migrate (defaults to every key with a schema)
+     */
+    runSchemaMigrations(storage, keys = undefined) {
+        if (typeof SchemaMigrator === 'undefined') {
+            return;
+        }
+
+        try {
+            const summary = new SchemaMigrator(storage, this.errorHandler).migrate(keys);
+            if (summary.failed.length > 0) {
+                this.showNotification('Some saved data could not be upgraded and was left as it was.', 'warning');
+            }
+        } catch (error) {
+            console.error('Schema migration failed:', error);
+        }
+    }
+
     /**
      * Initialize core application components
+     * @param {Object|null} storageBackend - Storage backend for StorageWrapper (defaults to localStorage)
      */
-    initializeCoreComponents() {
+    initializeCoreComponents(storageBackend = null) {
         try {
             console.log('Initializing storage wrapper...');
-            // Initialize storage wrapper with error handler
-            this.storageWrapper = new StorageWrapper(this.errorHandler);
+            // Initialize storage wrapper with error handler, scoped to the active student profile
+            // Saved data is upgraded to the current schema before anything reads it
+            if (typeof ProfileManager !== 'undefined') {
+                const deviceStorage = new StorageWrapper(this.errorHandler, null, storageBackend);
+                this.runSchemaMigrations(deviceStorage, [ProfileManager.STORAGE_KEY]);
+                this.profileManager = new ProfileManager(deviceStorage);
+                this.storageWrapper = this.profileManager.getProfileStorage();
+                // Every versioned key except the device-wide profile list is saved per profile
+                const profileKeys = typeof SchemaMigrator !== 'undefined' ?
+                    Object.keys(SchemaMigrator.SCHEMAS).filter(key => key !== ProfileManager.STORAGE_KEY) : [];
+                this.runSchemaMigrations(this.storageWrapper, profileKeys);
+            } else {
+                this.storageWrapper = new StorageWrapper(this.errorHandler, null, storageBackend);
+                this.runSchemaMigrations(this.storageWrapper);
+            }
             
             console.log('Initializing progress tracker...');
             // Initialize progress tracker
@@ -421,6 +718,15 @@ class App {
             // Initialize quiz engine
             this.quizEngine = new QuizEngine(this.questionManager, this.progressTracker);
             
+            // Completed quizzes, kept so their results can be opened again
+            this.quizHistory = typeof QuizHistory !== 'undefined' ? new QuizHistory(this.storageWrapper) : null;
+            
+            // Progress export and import between devices
+            this.progressTransfer = typeof ProgressTransfer !== 'undefined' ? new ProgressTransfer(this.progressTracker) : null;
+            
+            // AP score prediction from practice history
+            this.scorePredictor = typeof APScorePredictor !== 'undefined' ? new APScorePredictor() : null;
+            
             console.log('Initializing results display...');
             // Initialize results display (with safety check)
             if (this.elements.resultsContent) {
@@ -593,12 +899,12 @@ class App {
             </div>
             ${!event.isCorrect ? `
                 <div class="feedback-correct-answer">
-                    <strong>Correct answer:</strong> ${event.correctAnswer}
+                    <strong>Correct answer:</strong> ${this.escapeHtml(event.correctAnswer)}
                 </div>
             ` : ''}
             ${event.explanation ? `
                 <div class="feedback-explanation">
-                    <strong>Explanation:</strong> ${event.explanation}
+                    <strong>Explanation:</strong> ${this.escapeHtml(event.explanation)}
                 </div>
             ` : ''}
             <div class="feedback-actions">
@@ -650,7 +956,8 @@ class App {
         // Create question HTML with enhanced accessibility
         const question = data.question;
         questionContainer.innerHTML = `
-            <div class="question-text" role="heading" aria-level="3">${question.question}</div>
+            ${this.renderStimulus(question.stimulus)}
+            <div class="question-text" role="heading" aria-level="3">${this.escapeHtml(question.question)}</div>
             <fieldset class="answer-options" role="radiogroup" aria-labelledby="question-text">
                 <legend class="sr-only">Select your answer</legend>
                 ${question.options.map((option, index) => `
@@ -661,9 +968,9 @@ class App {
                            tabindex="${data.currentAnswer === index ? '0' : '-1'}">
                         <input type="radio" name="answer" value="${index}" 
                                ${data.currentAnswer === index ? 'checked' : ''}
-                               aria-label="Option ${String.fromCharCode(65 + index)}: ${option}">
+                               aria-label="Option ${String.fromCharCode(65 + index)}: ${this.escapeHtml(option)}">
                         <span class="answer-text" aria-hidden="true">
-                            <span class="answer-letter">${String.fromCharCode(65 + index)}.</span> ${option}
+                            <span class="answer-letter">${String.fromCharCode(65 + index)}.</span> ${this.escapeHtml(option)}
                         </span>
                     </label>
                 `).join('')}
@@ -1003,6 +1310,14 @@ class App {
                     console.log('Starting study mode...');
                     await this.startStudyMode();
                     break;
+                case 'review':
+                    console.log('Starting mistake review...');
+                    await this.startReviewMode();
+                    break;
+                case 'frq':
+                    console.log('Starting free-response practice...');
+                    await this.startFRQMode();
+                    break;
                 default:
                     throw new Error(`Unknown mode: ${mode}`);
             }
@@ -1043,9 +1358,7 @@ class App {
                 throw new Error('Insufficient questions available for practice test');
             }
             
-            this.quizEngine.startQuiz('practice');
-            this.navigateToView('quiz');
-            console.log('Started practice test');
+            this.showPracticeOptions();
             
         } catch (error) {
             console.error('Failed to start practice test:', error);
@@ -1056,17 +1369,188 @@ class App {
         }
     }
 
+    /**
+     * Show practice test blueprint options (full exam, half exam or custom weighting)
+     */
+    showPracticeOptions() {
+        const saved = this.loadPracticeBlueprint();
+        const custom = saved.id === 'custom' ? saved : ExamBlueprint.PRESETS['full-exam'];
+        const presets = Object.values(ExamBlueprint.PRESETS);
+
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal practice-options-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Practice Test</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="blueprint-presets" role="radiogroup" aria-label="Practice test length">
+                        ${presets.map(preset => `
+                            <label class="blueprint-preset">
+                                <input type="radio" name="blueprint" value="${preset.id}" ${saved.id === preset.id ? 'checked' : ''}>
+                                <span class="blueprint-name">${preset.name}</span>
+                                <span class="blueprint-meta">${preset.questionCount} questions &middot; ${preset.timeLimit} minutes</span>
+                            </label>
+                        `).join('')}
+                        <label class="blueprint-preset">
+                            <input type="radio" name="blueprint" value="custom" ${saved.id === 'custom' ? 'checked' : ''}>
+                            <span class="blueprint-name">Custom</span>
+                            <span class="blueprint-meta">Choose the length, time and unit weighting</span>
+                        </label>
+                    </div>
+                    <fieldset class="blueprint-custom">
+                        <legend>Custom blueprint</legend>
+                        <div class="blueprint-fields">
+                            <label>Questions <input type="number" id="blueprint-count" min="1" max="200" value="${custom.questionCount}"></label>
+                            <label>Minutes <input type="number" id="blueprint-time" min="1" max="300" value="${custom.timeLimit}"></label>
+                        </div>
+                        <div class="blueprint-weights">
+                            ${[1, 2, 3, 4, 5].map(unitId => `
+                                <label title="${this.escapeHtml(this.getUnitName(unitId))}">Unit ${unitId} %
+                                    <input type="number" class="blueprint-weight" data-unit="${unitId}" min="0" max="100" value="${custom.unitWeights[unitId]}">
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+                    <p class="blueprint-summary" aria-live="polite"></p>
+                    <div class="modal-actions">
+                        <button class="modal-btn primary" id="start-practice-btn">Start Practice Test</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const startBtn = modal.querySelector('#start-practice-btn');
+        const summary = modal.querySelector('.blueprint-summary');
+        const customFields = modal.querySelector('.blueprint-custom');
+
+        const getBlueprint = () => {
+            const selected = modal.querySelector('input[name="blueprint"]:checked').value;
+            if (selected !== 'custom') {
+                return ExamBlueprint.from(selected);
+            }
+
+            const unitWeights = {};
+            modal.querySelectorAll('.blueprint-weight').forEach(input => {
+                unitWeights[input.dataset.unit] = parseFloat(input.value) || 0;
+            });
+            return new ExamBlueprint({
+                id: 'custom',
+                name: 'Custom',
+                questionCount: parseInt(modal.querySelector('#blueprint-count').value),
+                timeLimit: parseFloat(modal.querySelector('#blueprint-time').value),
+                unitWeights: unitWeights
+            });
+        };
+
+        const updateSummary = () => {
+            customFields.disabled = modal.querySelector('input[name="blueprint"]:checked').value !== 'custom';
+            try {
+                const blueprint = getBlueprint();
+                const available = this.questionManager.questions.length;
+                const counts = blueprint.getUnitCounts(Math.min(blueprint.questionCount, available));
+                summary.classList.remove('error');
+                summary.textContent = [1, 2, 3, 4, 5].map(unitId => `Unit ${unitId}: ${counts[unitId]}`).join(' · ') +
+                    (available < blueprint.questionCount ? ` (only ${available} questions available)` : '');
+                startBtn.disabled = false;
+            } catch (error) {
+                summary.classList.add('error');
+                summary.textContent = error.message;
+                startBtn.disabled = true;
+            }
+        };
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        modal.querySelectorAll('input').forEach(input => input.addEventListener('input', updateSummary));
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                closeModal();
+            }
+        });
+        document.addEventListener('keydown', handleEscape);
+
+        startBtn.addEventListener('click', () => {
+            const blueprint = getBlueprint();
+            closeModal();
+            this.savePracticeBlueprint(blueprint);
+            this.startPracticeQuiz(blueprint);
+        });
+
+        updateSummary();
+    }
+
+    /**
+     * Start a practice test following a blueprint
+     * @param {ExamBlueprint} blueprint - Practice test blueprint
+     */
+    startPracticeQuiz(blueprint) {
+        try {
+            this.currentMode = 'practice';
+            this.quizEngine.startQuiz('practice', null, { blueprint: blueprint });
+            this.navigateToView('quiz');
+            console.log(`Started practice test (${blueprint.name})`);
+        } catch (error) {
+            console.error('Failed to start practice test:', error);
+            this.showError(`Failed to start practice test: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the last practice test blueprint, falling back to the full exam
+     * @returns {Object} Blueprint data
+     */
+    loadPracticeBlueprint() {
+        try {
+            const saved = this.storageWrapper ? this.storageWrapper.getItem('ap-gov-practice-blueprint') : null;
+            if (saved) {
+                return ExamBlueprint.from(saved.id === 'custom' ? saved : saved.id).toJSON();
+            }
+        } catch (error) {
+            console.warn('Ignoring saved practice blueprint:', error.message);
+        }
+        return ExamBlueprint.PRESETS['full-exam'];
+    }
+
+    /**
+     * Remember the chosen blueprint for the next practice test
+     * @param {ExamBlueprint} blueprint - Practice test blueprint
+     */
+    savePracticeBlueprint(blueprint) {
+        if (this.storageWrapper) {
+            this.storageWrapper.setItem('ap-gov-practice-blueprint', blueprint.toJSON());
+        }
+    }
+
     /**
      * Start study mode
+     * @param {Object} options - unitId limits the session to one unit; questionId opens it with that question
      */
-    async startStudyMode() {
+    async startStudyMode(options = {}) {
         try {
             // Validate that we have questions for study mode
             if (!this.questionManager || this.questionManager.questions.length === 0) {
                 throw new Error('No questions available for study mode');
             }
             
-            this.quizEngine.startQuiz('study');
+            this.quizEngine.startQuiz('study', options.unitId || null, { questionId: options.questionId || null });
             this.navigateToView('quiz');
             
             // Hide timer for study mode
@@ -1087,217 +1571,664 @@ class App {
     }
 
     /**
-     * Navigate between different views with enhanced state management
+     * Start mistake review mode
      */
-    navigateToView(viewName, updateHistory = true, saveState = true) {
+    async startReviewMode() {
         try {
-            // Validate view exists
-            const targetView = document.getElementById(viewName);
-            if (!targetView) {
-                throw new Error(`View not found: ${viewName}`);
-            }
-            
-            // Save current state before navigation if requested
-            if (saveState && this.isInitialized) {
-                this.saveApplicationState();
-            }
-            
-            // Add to navigation history
-            if (updateHistory && this.currentView !== viewName) {
-                this.addToNavigationHistory(this.currentView, viewName);
-            }
-            
-            // Hide all views
-            const views = document.querySelectorAll('.view');
-            views.forEach(view => view.classList.remove('active'));
-            
-            // Show target view
-            targetView.classList.add('active');
-            const previousView = this.currentView;
-            this.currentView = viewName;
-            
-            // Update browser history
-            if (updateHistory) {
-                const state = { 
-                    view: viewName, 
-                    mode: this.currentMode,
-                    timestamp: Date.now(),
-                    sessionId: this.state.sessionId
-                };
-                const title = `AP Government Study Tool - ${viewName.charAt(0).toUpperCase() + viewName.slice(1)}`;
-                
-                // Use replaceState for same view, pushState for different views
-                if (previousView === viewName) {
-                    history.replaceState(state, title, `#${viewName}`);
-                } else {
-                    history.pushState(state, title, `#${viewName}`);
-                }
+            if (this.progressTracker.getMistakeQuestionIds().length === 0) {
+                this.showNotification('No missed questions to review yet. Take a quiz first!', 'info');
+                return;
             }
             
-            // Update navigation buttons
-            this.updateNavigationState();
-            
-            // Handle view-specific initialization
-            this.handleViewChange(previousView, viewName);
-            
-            console.log(`Navigated from ${previousView} to ${viewName}`);
+            this.showReviewOptions();
             
         } catch (error) {
-            console.error('Navigation error:', error);
-            this.handleNavigationError(error, viewName);
+            console.error('Failed to start mistake review:', error);
+            if (this.errorHandler) {
+                this.errorHandler.handleQuizError(error, 'mistake review initialization');
+            }
+            throw error;
         }
     }
 
     /**
-     * Add navigation to history tracking
+     * Show unit and date filters for mistake review
      */
-    addToNavigationHistory(fromView, toView) {
-        const historyEntry = {
-            from: fromView,
-            to: toView,
-            timestamp: Date.now(),
-            mode: this.currentMode
-        };
-        
-        this.state.navigationHistory.push(historyEntry);
-        
-        // Keep history within limits
-        if (this.state.navigationHistory.length > this.stateConfig.maxHistoryLength) {
-            this.state.navigationHistory = this.state.navigationHistory.slice(-this.stateConfig.maxHistoryLength);
-        }
-    }
+    showReviewOptions() {
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal review-options-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Review My Mistakes</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <fieldset class="review-units">
+                        <legend>Units</legend>
+                        ${[1, 2, 3, 4, 5].map(unitId => `
+                            <label>
+                                <input type="checkbox" value="${unitId}" checked>
+                                Unit ${unitId}: ${this.getUnitName(unitId)}
+                                (${this.progressTracker.getMistakeQuestionIds({ units: [unitId] }).length})
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <div class="review-dates">
+                        <label>Missed since <input type="date" id="review-since"></label>
+                        <label>Missed until <input type="date" id="review-until"></label>
+                    </div>
+                    <p class="review-count" aria-live="polite"></p>
+                    <div class="modal-actions">
+                        <button class="modal-btn primary" id="start-review-btn">Start Review</button>
+                    </div>
+                </div>
+            </div>
+        `;
 
-    /**
-     * Handle view change events
-     */
-    handleViewChange(fromView, toView) {
-        // Reset session timeout on navigation
-        this.setupSessionTimeout();
-        
-        // View-specific handling
-        switch (toView) {
-            case 'dashboard':
-                this.handleDashboardEntry(fromView);
-                break;
-            case 'quiz':
-                this.handleQuizEntry(fromView);
-                break;
-            case 'results':
-                this.handleResultsEntry(fromView);
-                break;
-        }
+        document.body.appendChild(modal);
+
+        const startBtn = modal.querySelector('#start-review-btn');
+        const countLabel = modal.querySelector('.review-count');
+
+        const getOptions = () => {
+            const since = modal.querySelector('#review-since').value;
+            const until = modal.querySelector('#review-until').value;
+            return {
+                units: Array.from(modal.querySelectorAll('.review-units input:checked')).map(input => parseInt(input.value)),
+                // Date inputs are local calendar days; include the whole "until" day
+                since: since ? new Date(`${since}T00:00:00`) : null,
+                until: until ? new Date(`${until}T23:59:59.999`) : null
+            };
+        };
+
+        const updateCount = () => {
+            const options = getOptions();
+            const count = options.units.length > 0 ? this.progressTracker.getMistakeQuestionIds(options).length : 0;
+            countLabel.textContent = `${count} question${count === 1 ? '' : 's'} to review (up to 20 per session)`;
+            startBtn.disabled = count === 0;
+        };
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        modal.querySelectorAll('input').forEach(input => input.addEventListener('change', updateCount));
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                closeModal();
+            }
+        });
+        document.addEventListener('keydown', handleEscape);
+
+        startBtn.addEventListener('click', () => {
+            const options = getOptions();
+            closeModal();
+            this.startReviewQuiz(options);
+        });
+
+        updateCount();
     }
 
     /**
-     * Handle dashboard entry
+     * Start a mistake review quiz with the given filters
+     * @param {Object} options - Review filters ({units, since, until}), or the questionIds to review
      */
-    handleDashboardEntry(fromView) {
-        // Refresh dashboard data if coming from quiz
-        if (fromView === 'quiz' || fromView === 'results') {
-            this.updateProgressDisplay();
-            this.updateScoreChart();
+    startReviewQuiz(options) {
+        try {
+            this.currentMode = 'review';
+            this.quizEngine.startQuiz('review', null, options);
+            this.navigateToView('quiz');
+            console.log('Started mistake review');
+        } catch (error) {
+            console.error('Failed to start mistake review:', error);
+            this.showError(`Failed to start mistake review: ${error.message}`);
         }
-        
-        // Clear any active quiz warnings
-        this.clearNavigationWarnings();
     }
 
     /**
-     * Handle quiz entry
+     * Start a review quiz of the questions missed (answered incorrectly or left unanswered) in a quiz
+     * @param {Object} results - Quiz results
      */
-    handleQuizEntry(fromView) {
-        // Set up quiz-specific navigation warnings
-        this.setupQuizNavigationWarnings();
-        
-        // Initialize quiz UI if needed
-        if (this.quizEngine && this.quizEngine.isActive) {
-            this.refreshQuizUI();
+    retryMissedQuestions(results) {
+        const questionIds = results.questions
+            .filter(item => !item.answer || !item.answer.isCorrect)
+            .map(item => item.question.id);
+
+        if (questionIds.length === 0) {
+            this.showNotification('No missed questions to retry.', 'info');
+            return;
         }
+
+        this.startReviewQuiz({ questionIds });
     }
 
     /**
-     * Handle results entry
+     * Start free-response practice mode
      */
-    handleResultsEntry(fromView) {
-        // Ensure results are properly displayed
-        if (fromView === 'quiz') {
-            // Results should already be set by quiz completion
-            console.log('Entered results view from quiz');
+    async startFRQMode() {
+        try {
+            if (!this.questionManager || this.questionManager.frqQuestions.length === 0) {
+                throw new Error('No free-response questions available');
+            }
+            
+            this.showFRQOptions();
+            
+        } catch (error) {
+            console.error('Failed to start free-response practice:', error);
+            if (this.errorHandler) {
+                this.errorHandler.handleQuizError(error, 'free-response initialization');
+            }
+            throw error;
         }
     }
 
     /**
-     * Set up quiz navigation warnings
+     * Show FRQ type and unit filters for free-response practice
      */
-    setupQuizNavigationWarnings() {
-        // This will be used by the beforeunload handler
-        this.quizNavigationWarningActive = true;
+    showFRQOptions() {
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal frq-options-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Free-Response Practice</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="frq-filters">
+                        <label>Question type
+                            <select id="frq-type-select">
+                                <option value="">All types</option>
+                                ${Object.keys(FRQQuestion.TYPES).map(type => `
+                                    <option value="${type}">${FRQQuestion.TYPES[type]}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>Unit
+                            <select id="frq-unit-select">
+                                <option value="">All units</option>
+                                ${[1, 2, 3, 4, 5].map(unitId => `
+                                    <option value="${unitId}">Unit ${unitId}: ${this.getUnitName(unitId)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <p class="frq-count" aria-live="polite"></p>
+                    <div class="modal-actions">
+                        <button class="modal-btn primary" id="start-frq-btn">Start Writing</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const startBtn = modal.querySelector('#start-frq-btn');
+        const countLabel = modal.querySelector('.frq-count');
+
+        const getOptions = () => {
+            const unit = modal.querySelector('#frq-unit-select').value;
+            return {
+                unitId: unit ? parseInt(unit) : null,
+                frqType: modal.querySelector('#frq-type-select').value || null
+            };
+        };
+
+        const updateCount = () => {
+            const options = getOptions();
+            const count = this.questionManager.getFRQQuestions(options.unitId, options.frqType).length;
+            countLabel.textContent = `${count} prompt${count === 1 ? '' : 's'} available (up to 4 per session)`;
+            startBtn.disabled = count === 0;
+        };
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        modal.querySelectorAll('select').forEach(select => select.addEventListener('change', updateCount));
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                closeModal();
+            }
+        });
+        document.addEventListener('keydown', handleEscape);
+
+        startBtn.addEventListener('click', () => {
+            const options = getOptions();
+            closeModal();
+            this.startFRQQuiz(options);
+        });
+
+        updateCount();
     }
 
     /**
-     * Clear navigation warnings
+     * Start a free-response session with the given filters
+     * @param {Object} options - FRQ filters ({unitId, frqType})
      */
-    clearNavigationWarnings() {
-        this.quizNavigationWarningActive = false;
+    startFRQQuiz(options) {
+        try {
+            this.currentMode = 'frq';
+            this.quizEngine.startQuiz('frq', options.unitId, { frqType: options.frqType });
+            this.navigateToView('quiz');
+
+            // Free-response practice is untimed
+            const timerDisplay = this.elements.timerDisplay;
+            if (timerDisplay && timerDisplay.parentElement) {
+                timerDisplay.parentElement.style.display = 'none';
+            }
+
+            console.log('Started free-response practice');
+        } catch (error) {
+            console.error('Failed to start free-response practice:', error);
+            this.showError(`Failed to start free-response practice: ${error.message}`);
+        }
     }
 
     /**
-     * Handle navigation errors
+     * Navigate between different views with enhanced state management
      */
-    handleNavigationError(error, attemptedView) {
-        console.error(`Failed to navigate to ${attemptedView}:`, error);
-        
-        // Try to recover by going to dashboard
-        if (attemptedView !== 'dashboard') {
-            console.log('Attempting recovery navigation to dashboard');
-            try {
-                this.navigateToView('dashboard', false, false);
-            } catch (recoveryError) {
-                console.error('Recovery navigation also failed:', recoveryError);
-                this.showError('Navigation system error. Please refresh the page.');
+    navigateToView(viewName, updateHistory = true, saveState = true) {
+        try {
+            // Validate view exists
+            const targetView = document.getElementById(viewName);
+            if (!targetView) {
+                throw new Error(`View not found: ${viewName}`);
             }
-        } else {
-            this.showError('Critical navigation error. Please refresh the page.');
+            
+            // Save current state before navigation if requested
+            if (saveState && this.isInitialized) {
+                this.saveApplicationState();
+            }
+            
+            // Add to navigation history
+            if (updateHistory && this.currentView !== viewName) {
+                this.addToNavigationHistory(this.currentView, viewName);
+            }
+            
+            // Hide all views
+            const views = document.querySelectorAll('.view');
+            views.forEach(view => view.classList.remove('active'));
+            
+            // Show target view
+            targetView.classList.add('active');
+            const previousView = this.currentView;
+            this.currentView = viewName;
+            
+            // Update browser history
+            if (updateHistory) {
+                const state = this.createHistoryState(viewName);
+                const title = `AP Government Study Tool - ${viewName.charAt(0).toUpperCase() + viewName.slice(1)}`;
+                
+                // Use replaceState for same view, pushState for different views
+                if (previousView === viewName) {
+                    history.replaceState(state, title, this.getRouteHash(viewName));
+                } else {
+                    history.pushState(state, title, this.getRouteHash(viewName));
+                }
+            }
+            
+            // Update navigation buttons
+            this.updateNavigationState();
+            
+            // Handle view-specific initialization
+            this.handleViewChange(previousView, viewName);
+            
+            console.log(`Navigated from ${previousView} to ${viewName}`);
+            
+        } catch (error) {
+            console.error('Navigation error:', error);
+            this.handleNavigationError(error, viewName);
         }
     }
 
     /**
-     * Get navigation history
+     * Create the browser history state for a view
+     * @param {string} viewName - View name
+     * @returns {Object} History state
      */
-    getNavigationHistory() {
-        return [...this.state.navigationHistory];
+    createHistoryState(viewName) {
+        return {
+            view: viewName,
+            mode: this.currentMode,
+            timestamp: Date.now(),
+            sessionId: this.state.sessionId
+        };
     }
 
     /**
-     * Can navigate back in history
+     * Get the deep link for a view
+     * The quiz view links to the running quiz and the results view to the results shown
+     * @param {string} viewName - View name
+     * @returns {string} URL hash
      */
-    canNavigateBack() {
-        return this.state.navigationHistory.length > 0;
+    getRouteHash(viewName) {
+        if (!this.router) {
+            return `#${viewName}`;
+        }
+
+        if (viewName === 'quiz' && this.quizEngine && this.quizEngine.currentQuiz) {
+            return this.router.format(this.getQuizRoute(this.quizEngine.currentQuiz));
+        }
+
+        if (viewName === 'results' && this.currentResults && this.currentResults.quizId) {
+            return this.router.format({ name: 'results', params: { quizId: this.currentResults.quizId } });
+        }
+
+        return this.router.format({ name: 'view', params: { view: viewName } });
     }
 
     /**
-     * Navigate back in history
+     * Get the route that starts a quiz like the given one
+     * Quizzes a link can't recreate (reviews, free-response, custom practice tests) link to the quiz view
+     * @param {Object} quiz - Quiz session (QuizEngine.currentQuiz)
+     * @returns {Object} Route
      */
-    navigateBack() {
-        if (!this.canNavigateBack()) {
-            console.warn('No navigation history available');
-            return false;
+    getQuizRoute(quiz) {
+        switch (quiz.mode) {
+            case 'unit':
+                return { name: 'unit', params: { unitId: quiz.unitId, difficulty: quiz.adaptive ? 'adaptive' : quiz.difficulty } };
+            case 'practice':
+                if (!quiz.blueprint || !ExamBlueprint.PRESETS[quiz.blueprint.id]) {
+                    break;
+                }
+                return { name: 'practice', params: { blueprint: quiz.blueprint.id.replace(/-exam$/, '') } };
+            case 'study':
+                return { name: 'study', params: { unitId: quiz.unitId } };
         }
-        
-        const lastEntry = this.state.navigationHistory[this.state.navigationHistory.length - 1];
-        if (lastEntry && lastEntry.from) {
-            this.navigateToView(lastEntry.from);
-            return true;
+        return { name: 'view', params: { view: 'quiz' } };
+    }
+
+    /**
+     * Open the deep link the page was loaded with
+     * Its history entry becomes the dashboard, so Back leaves whatever the link opened
+     */
+    handleInitialRoute() {
+        if (!this.router || typeof window === 'undefined' || !window.location || !window.location.hash) {
+            return;
         }
-        
-        return false;
+
+        const route = this.router.parse(window.location.hash);
+        history.replaceState(this.createHistoryState('dashboard'), '', this.getRouteHash('dashboard'));
+        this.openRoute(route);
     }
 
     /**
-     * Handle browser navigation (back/forward buttons)
+     * Open a deep link: start the quiz it describes or show the view or results it points to
+     * @param {Object|null} route - Route from HashRouter.parse(), or null for an unrecognized link
+     * @returns {Promise<boolean>} True if the link was opened
      */
-    handleBrowserNavigation(event) {
+    async openRoute(route) {
+        if (!route) {
+            this.showNotification('That link does not point to anything in the study tool.', 'warning');
+            return false;
+        }
+
+        const params = route.params;
+        try {
+            switch (route.name) {
+                case 'unit':
+                    this.currentMode = 'unit';
+                    this.startUnitQuizWithId(params.unitId, params.difficulty);
+                    break;
+                case 'practice': {
+                    const blueprint = this.resolveBlueprintLink(params.blueprint);
+                    if (!blueprint) {
+                        throw new Error(`Unknown practice test "${params.blueprint}"`);
+                    }
+                    this.startPracticeQuiz(blueprint);
+                    break;
+                }
+                case 'study':
+                    this.currentMode = 'study';
+                    await this.startStudyMode({ unitId: params.unitId });
+                    break;
+                case 'question':
+                    this.currentMode = 'study';
+                    await this.startStudyMode({ questionId: params.questionId });
+                    break;
+                case 'results':
+                    return this.showPastResults(params.quizId);
+                default: {
+                    // Views with nothing to show fall back to the dashboard
+                    const isEmpty = (params.view === 'quiz' && !(this.quizEngine && this.quizEngine.isActive)) ||
+                        (params.view === 'results' && !this.currentResults);
+                    this.navigateToView(isEmpty ? 'dashboard' : params.view);
+                }
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to open link:', error);
+            this.showNotification(`Could not open link: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Resolve a practice test link's blueprint; 'half' is short for the 'half-exam' preset
+     * @param {string|null} id - Blueprint preset ID from the link, or null for the full exam
+     * @returns {ExamBlueprint|null} Blueprint, or null if there is no such preset
+     */
+    resolveBlueprintLink(id) {
+        if (!id) {
+            return ExamBlueprint.from(null);
+        }
+
+        const presetId = ExamBlueprint.PRESETS[id] ? id : `${id}-exam`;
+        return ExamBlueprint.PRESETS[presetId] ? ExamBlueprint.from(presetId) : null;
+    }
+
+    /**
+     * Show the results of a finished quiz
+     * The quiz just finished keeps its full results; older quizzes are replayed from the quiz history,
+     * or rebuilt from the attempt history if they have been pruned from it
+     * @param {string} quizId - Quiz ID
+     * @param {boolean} updateHistory - Whether to add a browser history entry
+     * @returns {boolean} True if the results were found
+     */
+    showPastResults(quizId, updateHistory = true) {
+        let results = this.currentResults && this.currentResults.quizId === quizId ? this.currentResults : null;
+        if (!results && this.quizHistory) {
+            results = this.quizHistory.restore(quizId, this.questionManager);
+        }
+        if (!results && this.quizEngine) {
+            results = this.quizEngine.getPastResults(quizId);
+        }
+
+        if (!results) {
+            this.showNotification('Those quiz results are no longer available.', 'warning');
+            this.navigateToView('dashboard', updateHistory);
+            return false;
+        }
+
+        this.displayQuizResults(results, updateHistory);
+        return true;
+    }
+
+    /**
+     * Add navigation to history tracking
+     */
+    addToNavigationHistory(fromView, toView) {
+        const historyEntry = {
+            from: fromView,
+            to: toView,
+            timestamp: Date.now(),
+            mode: this.currentMode
+        };
+        
+        this.state.navigationHistory.push(historyEntry);
+        
+        // Keep history within limits
+        if (this.state.navigationHistory.length > this.stateConfig.maxHistoryLength) {
+            this.state.navigationHistory = this.state.navigationHistory.slice(-this.stateConfig.maxHistoryLength);
+        }
+    }
+
+    /**
+     * Handle view change events
+     */
+    handleViewChange(fromView, toView) {
+        // Reset session timeout on navigation
+        this.setupSessionTimeout();
+        
+        // View-specific handling
+        switch (toView) {
+            case 'dashboard':
+                this.handleDashboardEntry(fromView);
+                break;
+            case 'quiz':
+                this.handleQuizEntry(fromView);
+                break;
+            case 'results':
+                this.handleResultsEntry(fromView);
+                break;
+            case 'editor':
+                this.renderEditorList();
+                break;
+            case 'teacher':
+                this.renderClassReport();
+                break;
+            case 'history':
+                this.renderQuizHistory();
+                break;
+        }
+    }
+
+    /**
+     * Handle dashboard entry
+     */
+    handleDashboardEntry(fromView) {
+        // Refresh dashboard data if coming from quiz
+        if (fromView === 'quiz' || fromView === 'results') {
+            this.updateProgressDisplay();
+            this.updateScoreChart();
+        }
+        
+        // Clear any active quiz warnings
+        this.clearNavigationWarnings();
+    }
+
+    /**
+     * Handle quiz entry
+     */
+    handleQuizEntry(fromView) {
+        // Set up quiz-specific navigation warnings
+        this.setupQuizNavigationWarnings();
+        
+        // Initialize quiz UI if needed
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.refreshQuizUI();
+        }
+    }
+
+    /**
+     * Handle results entry
+     */
+    handleResultsEntry(fromView) {
+        // Ensure results are properly displayed
+        if (fromView === 'quiz') {
+            // Results should already be set by quiz completion
+            console.log('Entered results view from quiz');
+        }
+    }
+
+    /**
+     * Set up quiz navigation warnings
+     */
+    setupQuizNavigationWarnings() {
+        // This will be used by the beforeunload handler
+        this.quizNavigationWarningActive = true;
+    }
+
+    /**
+     * Clear navigation warnings
+     */
+    clearNavigationWarnings() {
+        this.quizNavigationWarningActive = false;
+    }
+
+    /**
+     * Handle navigation errors
+     */
+    handleNavigationError(error, attemptedView) {
+        console.error(`Failed to navigate to ${attemptedView}:`, error);
+        
+        // Try to recover by going to dashboard
+        if (attemptedView !== 'dashboard') {
+            console.log('Attempting recovery navigation to dashboard');
+            try {
+                this.navigateToView('dashboard', false, false);
+            } catch (recoveryError) {
+                console.error('Recovery navigation also failed:', recoveryError);
+                this.showError('Navigation system error. Please refresh the page.');
+            }
+        } else {
+            this.showError('Critical navigation error. Please refresh the page.');
+        }
+    }
+
+    /**
+     * Get navigation history
+     */
+    getNavigationHistory() {
+        return [...this.state.navigationHistory];
+    }
+
+    /**
+     * Can navigate back in history
+     */
+    canNavigateBack() {
+        return this.state.navigationHistory.length > 0;
+    }
+
+    /**
+     * Navigate back in history
+     */
+    navigateBack() {
+        if (!this.canNavigateBack()) {
+            console.warn('No navigation history available');
+            return false;
+        }
+        
+        const lastEntry = this.state.navigationHistory[this.state.navigationHistory.length - 1];
+        if (lastEntry && lastEntry.from) {
+            this.navigateToView(lastEntry.from);
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Handle browser navigation (back/forward buttons, and links or typed addresses within the page)
+     */
+    handleBrowserNavigation(event) {
         try {
+            const route = this.router && window.location ? this.router.parse(window.location.hash) : null;
+
             // Check if we have valid state
             if (event.state && event.state.view) {
                 const targetView = event.state.view;
@@ -1314,20 +2245,29 @@ class App {
                     const shouldProceed = this.showNavigationWarning();
                     if (!shouldProceed) {
                         // Push current state back to prevent navigation
-                        const currentState = {
-                            view: this.currentView,
-                            mode: this.currentMode,
-                            timestamp: Date.now(),
-                            sessionId: this.state.sessionId
-                        };
-                        history.pushState(currentState, '', `#${this.currentView}`);
+                        history.pushState(this.createHistoryState(this.currentView), '', this.getRouteHash(this.currentView));
                         return;
                     }
                 }
-                
-                // Proceed with navigation
-                this.navigateToView(targetView, false, true);
-                
+
+                // Proceed with navigation; results entries show the quiz they link to
+                if (targetView === 'results' && route && route.name === 'results') {
+                    this.showPastResults(route.params.quizId, false);
+                } else {
+                    this.navigateToView(targetView, false, true);
+                }
+
+            } else if (window.location && window.location.hash) {
+                // A link followed within the page: its entry is replaced by the current view,
+                // and opening it adds an entry for wherever it leads
+                history.replaceState(this.createHistoryState(this.currentView), '', this.getRouteHash(this.currentView));
+
+                if (this.shouldWarnOnNavigation() && !this.showNavigationWarning()) {
+                    return;
+                }
+
+                this.openRoute(route);
+
             } else {
                 // No state available, default to dashboard
                 console.log('No state in popstate event, defaulting to dashboard');
@@ -1478,6 +2418,22 @@ class App {
         if (this.currentView === 'dashboard' && this.elements.dashboardBtn) {
             this.elements.dashboardBtn.classList.add('active');
         }
+
+        if (this.currentView === 'editor' && this.elements.questionEditorBtn) {
+            this.elements.questionEditorBtn.classList.add('active');
+        }
+
+        if (this.currentView === 'teacher' && this.elements.classReportBtn) {
+            this.elements.classReportBtn.classList.add('active');
+        }
+
+        if (this.currentView === 'history' && this.elements.historyBtn) {
+            this.elements.historyBtn.classList.add('active');
+        }
+
+        if (this.currentView === 'worksheet' && this.elements.worksheetBtn) {
+            this.elements.worksheetBtn.classList.add('active');
+        }
     }
 
     /**
@@ -1621,6 +2577,11 @@ class App {
             return;
         }
 
+        if (this.currentMode === 'frq') {
+            this.handleFRQSubmit();
+            return;
+        }
+
         // Get selected answer from UI
         const selectedAnswer = this.getSelectedAnswer();
         if (selectedAnswer === null) {
@@ -1669,6 +2630,51 @@ class App {
         }
     }
 
+    /**
+     * Submit the written response for the current free-response question
+     */
+    handleFRQSubmit() {
+        const textarea = document.getElementById('frq-response');
+        const response = textarea ? textarea.value : '';
+        if (response.trim().length === 0) {
+            this.showNotification('Write a response before submitting', 'warning');
+            return;
+        }
+
+        try {
+            this.quizEngine.submitResponse(response);
+            // Re-render to reveal the rubric for self-scoring
+            this.updateQuizUI(this.quizEngine.getCurrentQuestionData());
+        } catch (error) {
+            console.error('Submit error:', error);
+            if (this.errorHandler) {
+                this.errorHandler.handleQuizError(error, 'response submission');
+            }
+        }
+    }
+
+    /**
+     * Save the rubric points ticked for the current free-response question
+     */
+    handleFRQScore() {
+        const awarded = Array.from(document.querySelectorAll('.frq-rubric input[type="checkbox"]:checked'))
+            .map(input => input.value);
+
+        try {
+            const answer = this.quizEngine.scoreResponse(awarded);
+            this.showNotification(`Scored ${answer.pointsEarned}/${answer.pointsPossible} points`, 'success', 3000);
+
+            if (!this.quizEngine.nextQuestion()) {
+                this.showEnhancedCompletionDialog();
+            }
+        } catch (error) {
+            console.error('Scoring error:', error);
+            if (this.errorHandler) {
+                this.errorHandler.handleQuizError(error, 'rubric scoring');
+            }
+        }
+    }
+
     /**
      * Handle ending quiz with confirmation dialog
      */
@@ -1693,9 +2699,20 @@ class App {
                 timeRemaining: timerState ? timerState.formatted.remaining : null
             };
 
-            // Show confirmation dialog
+            // Show confirmation dialog, listing unanswered and flagged questions before submitting
+            const toNumbers = (indices) => indices.map(index => index + 1);
+            const needsReview = quizState.mode !== 'study' &&
+                (quizState.unanswered.length > 0 || quizState.flagged.length > 0);
+
             let confirmEnd = true;
-            if (this.confirmationDialogs) {
+            if (this.confirmationDialogs && needsReview) {
+                confirmEnd = await this.confirmationDialogs.confirmSubmitIncomplete(
+                    toNumbers(quizState.unanswered), quizState.mode, toNumbers(quizState.flagged));
+                if (!confirmEnd) {
+                    this.showReviewGrid();
+                    return;
+                }
+            } else if (this.confirmationDialogs) {
                 confirmEnd = await this.confirmationDialogs.confirmEndQuiz(confirmationState);
             } else {
                 // Fallback to basic confirm
@@ -1723,7 +2740,8 @@ class App {
                     loadingIndicator.remove();
                 }
                 
-                this.showQuizResults(results);
+                // Results are rendered by handleQuizComplete via the onQuizComplete callback
+                console.log('Quiz ended:', results.quizId);
                 
                 // Show success notification
                 if (this.errorHandler) {
@@ -1827,6 +2845,16 @@ class App {
             return;
         }
 
+        // Let students type free-response answers without triggering shortcuts
+        if (event.target && event.target.tagName === 'TEXTAREA' && event.key !== 'Escape') {
+            return;
+        }
+
+        // The review overview handles its own keys
+        if (document.querySelector('.review-grid-modal')) {
+            return;
+        }
+
         switch (event.key) {
             case 'ArrowLeft':
                 event.preventDefault();
@@ -1859,6 +2887,8 @@ class App {
             case '2':
             case '3':
             case '4':
+            case '5':
+            case '6':
                 event.preventDefault();
                 const answerIndex = parseInt(event.key) - 1;
                 const answerOptions = document.querySelectorAll('.answer-option');
@@ -1869,6 +2899,18 @@ class App {
                 }
                 break;
                 
+            case 'f':
+            case 'F':
+                event.preventDefault();
+                this.handleToggleFlag();
+                break;
+
+            case 'r':
+            case 'R':
+                event.preventDefault();
+                this.showReviewGrid();
+                break;
+                
             case 'Escape':
                 event.preventDefault();
                 if (this.elements.endQuizBtn) {
@@ -1901,14 +2943,22 @@ class App {
 
     /**
      * Announce answer selection for screen readers
-     * @param {number} answerNumber - Answer number (1-4)
+     * @param {number} answerNumber - Answer number (1-6)
      */
     announceAnswerSelection(answerNumber) {
+        this.announceToScreenReader(`Answer ${answerNumber} selected`);
+    }
+
+    /**
+     * Announce a short status message for screen readers
+     * @param {string} message - Message to announce
+     */
+    announceToScreenReader(message) {
         const announcement = document.createElement('div');
         announcement.setAttribute('aria-live', 'polite');
         announcement.setAttribute('aria-atomic', 'true');
         announcement.className = 'sr-only';
-        announcement.textContent = `Answer ${answerNumber} selected`;
+        announcement.textContent = message;
         document.body.appendChild(announcement);
         
         setTimeout(() => {
@@ -2032,373 +3082,1885 @@ class App {
     }
 
     /**
-     * Show unit selection interface
+     * Escape text before interpolating it into HTML (used for imported, user-supplied content)
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
      */
-    showUnitSelection() {
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Show the question bank manager (select banks, import CSV/Quizlet/JSON files)
+     */
+    showQuestionBankManager() {
+        if (!this.questionBankLoader) {
+            this.showError('Question bank is not loaded yet');
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before changing question banks.', 'warning');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal question-bank-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Question Banks</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <h3>Active Banks</h3>
+                    <div class="bank-list"></div>
+                    <div class="modal-actions">
+                        <button class="modal-btn primary" id="apply-banks-btn">Use Selected Banks</button>
+                    </div>
+
+                    <h3>Import Questions</h3>
+                    <p class="import-help">
+                        CSV needs a header row with <code>question</code>, <code>options</code> (separated by <code>|</code>)
+                        or <code>Option A</code>&hellip;<code>Option D</code> columns, <code>correct</code> and optionally
+                        <code>unit</code> and <code>explanation</code>. Quizlet exports use tab-separated term/definition pairs.
+                    </p>
+                    <div class="import-form">
+                        <label>File <input type="file" id="import-file" accept=".csv,.tsv,.txt,.json"></label>
+                        <label>Format
+                            <select id="import-format">
+                                <option value="auto">Detect automatically</option>
+                                <option value="csv">CSV</option>
+                                <option value="tsv">Tab-separated</option>
+                                <option value="quizlet">Quizlet export</option>
+                                <option value="json">JSON</option>
+                            </select>
+                        </label>
+                        <label>Unit for rows without one
+                            <select id="import-unit">
+                                <option value="">None (required in file)</option>
+                                ${[1, 2, 3, 4, 5].map(unit => `<option value="${unit}">Unit ${unit}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Bank name <input type="text" id="import-name" placeholder="e.g. Period 3 Unit 2 Review"></label>
+                    </div>
+                    <div class="modal-actions">
+                        <button class="modal-btn secondary" id="preview-import-btn">Preview Import</button>
+                    </div>
+                    <div class="import-report" aria-live="polite"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const bankList = modal.querySelector('.bank-list');
+        const reportContainer = modal.querySelector('.import-report');
+        let pendingReport = null;
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        const renderBanks = () => {
+            bankList.innerHTML = this.questionBankLoader.getAvailableBanks().map(bank => `
+                <div class="bank-item">
+                    <label>
+                        <input type="checkbox" value="${this.escapeHtml(bank.id)}" ${bank.selected ? 'checked' : ''}>
+                        <span class="bank-name">${this.escapeHtml(bank.name)}</span>
+                        <span class="bank-meta">${bank.builtIn ? 'Built-in' : `${bank.questionCount} questions &middot; ${this.escapeHtml(bank.source.toUpperCase())}`}</span>
+                    </label>
+                    ${bank.builtIn ? '' : `<button class="modal-btn secondary delete-bank-btn" data-bank-id="${this.escapeHtml(bank.id)}">Delete</button>`}
+                </div>
+            `).join('');
+
+            bankList.querySelectorAll('.delete-bank-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    this.questionBankLoader.deleteImportedBank(button.dataset.bankId);
+                    renderBanks();
+                    await this.reloadQuestionBank();
+                });
+            });
+        };
+
+        const renderReport = (report) => {
+            const errorRows = report.errors.map(error => `
+                <tr>
+                    <td>${error.row}</td>
+                    <td>${this.escapeHtml(error.id || '')}</td>
+                    <td>${this.escapeHtml(error.message)}</td>
+                </tr>
+            `).join('');
+
+            reportContainer.innerHTML = `
+                <p class="import-summary">
+                    ${report.questions.length} of ${report.total} rows are valid
+                    (${this.escapeHtml(report.format.toUpperCase())}).
+                    ${report.errors.length > 0 ? `${report.errors.length} rows will be skipped:` : ''}
+                </p>
+                ${report.errors.length > 0 ? `
+                    <table class="import-errors">
+                        <thead><tr><th>Row</th><th>ID</th><th>Problem</th></tr></thead>
+                        <tbody>${errorRows}</tbody>
+                    </table>
+                ` : ''}
+                <div class="modal-actions">
+                    <button class="modal-btn primary" id="merge-import-btn" ${report.questions.length === 0 ? 'disabled' : ''}>
+                        Merge ${report.questions.length} Questions
+                    </button>
+                </div>
+            `;
+
+            const mergeBtn = reportContainer.querySelector('#merge-import-btn');
+            mergeBtn.addEventListener('click', async () => {
+                try {
+                    const bank = this.questionBankLoader.saveImportedBank(pendingReport, modal.querySelector('#import-name').value);
+                    // IndexedDB saves after the call returns, so wait to hear whether it worked
+                    await this.storageWrapper.flush();
+                    pendingReport = null;
+                    reportContainer.innerHTML = '';
+                    renderBanks();
+                    await this.reloadQuestionBank();
+                    this.showNotification(`Imported ${bank.questions.length} questions into "${bank.name}"`, 'success');
+                } catch (error) {
+                    this.showNotification(`Import failed: ${error.message}`, 'error');
+                }
+            });
+        };
+
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                closeModal();
+            }
+        });
+        document.addEventListener('keydown', handleEscape);
+
+        modal.querySelector('#apply-banks-btn').addEventListener('click', async () => {
+            const selected = Array.from(bankList.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+            try {
+                this.questionBankLoader.setSelectedBankIds(selected);
+                await this.reloadQuestionBank();
+                this.showNotification(`Using ${this.state.questions.length} questions from ${selected.length} bank(s)`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'warning');
+            }
+        });
+
+        modal.querySelector('#preview-import-btn').addEventListener('click', async () => {
+            const file = modal.querySelector('#import-file').files[0];
+            if (!file) {
+                this.showNotification('Choose a file to import first.', 'warning');
+                return;
+            }
+
+            try {
+                const text = await file.text();
+                const defaultUnit = modal.querySelector('#import-unit').value;
+                pendingReport = this.questionBankLoader.previewImport(text, {
+                    format: modal.querySelector('#import-format').value,
+                    fileName: file.name,
+                    defaultUnit: defaultUnit ? parseInt(defaultUnit) : null
+                });
+                renderReport(pendingReport);
+            } catch (error) {
+                pendingReport = null;
+                reportContainer.innerHTML = `<p class="import-summary error">${this.escapeHtml(error.message)}</p>`;
+            }
+        });
+
+        renderBanks();
+    }
+
+    /**
+     * Reload questions from the selected banks into the question manager
+     */
+    async reloadQuestionBank() {
         try {
-            console.log('Creating unit selection modal...');
-            const units = [
-            { id: 1, name: 'Foundations of American Democracy', description: 'Constitutional principles, federalism, and democratic theory' },
-            { id: 2, name: 'Interactions Among Branches of Government', description: 'Separation of powers, checks and balances, and institutional relationships' },
-            { id: 3, name: 'Civil Liberties and Civil Rights', description: 'Bill of Rights, due process, and equal protection' },
-            { id: 4, name: 'American Political Ideologies and Beliefs', description: 'Political culture, public opinion, and political socialization' },
-            { id: 5, name: 'Political Participation', description: 'Voting, elections, political parties, and interest groups' }
-        ];
+            const questions = await this.questionBankLoader.reloadQuestions();
+            this.questionManager.loadQuestions(questions);
+            this.state.questions = questions;
+            this.updateProgressDisplay();
+        } catch (error) {
+            console.error('Failed to reload question banks:', error);
+            this.showNotification(`Failed to load question banks: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the active profile's name in the header and on the dashboard
+     */
+    updateProfileDisplay() {
+        if (!this.profileManager) {
+            return;
+        }
+
+        const profile = this.profileManager.getActiveProfile();
+        if (this.elements.profileName) {
+            this.elements.profileName.textContent = profile.name;
+        }
+        if (this.elements.dashboardProfileName) {
+            this.elements.dashboardProfileName.textContent = profile.name;
+        }
+    }
+
+    /**
+     * Show the profile manager (create, switch, rename and delete student profiles)
+     */
+    showProfileManager() {
+        if (!this.profileManager) {
+            this.showError('Profiles are not available');
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before changing profiles.', 'warning');
+            return;
+        }
 
-        // Create unit selection modal
         const modal = document.createElement('div');
-        modal.className = 'unit-selection-modal';
+        modal.className = 'unit-selection-modal profile-modal';
         modal.innerHTML = `
             <div class="modal-overlay"></div>
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>Select a Unit to Study</h2>
+                    <h2>Student Profiles</h2>
                     <button class="modal-close" aria-label="Close">&times;</button>
                 </div>
                 <div class="modal-body">
-                    <div class="unit-grid">
-                        ${units.map(unit => {
-                            try {
-                                const unitProgress = this.getUserProgressForUnit(unit.id);
-                                const unitData = this.state.userProgress.units[unit.id] || { correct: 0, total: 0 };
-                                const questionsAvailable = this.questionManager.getQuestionsByUnit(unit.id).length;
-                            
-                            return `
-                                <div class="unit-card" data-unit-id="${unit.id}">
-                                    <div class="unit-header">
-                                        <div class="unit-number">Unit ${unit.id}</div>
-                                        <div class="unit-progress">${unitProgress}%</div>
-                                    </div>
-                                    <div class="unit-title">${unit.name}</div>
-                                    <div class="unit-description">${unit.description}</div>
-                                    <div class="unit-stats">
-                                        <span class="stat-item">${unitData.correct || 0}/${unitData.total || 0} correct</span>
-                                        <span class="stat-item">${questionsAvailable} questions available</span>
-                                    </div>
-                                    <div class="unit-progress-bar">
-                                        <div class="progress-fill" style="width: ${unitProgress}%"></div>
-                                    </div>
-                                </div>
-                            `;
-                            } catch (error) {
-                                console.error('Error creating unit card for unit', unit.id, ':', error);
-                                return `<div class="unit-card error">Error loading unit ${unit.id}</div>`;
-                            }
-                        }).join('')}
+                    <p class="profile-help">Each profile keeps its own progress, history and question banks on this device.</p>
+                    <div class="profile-list"></div>
+
+                    <h3>New Profile</h3>
+                    <form class="profile-create-form">
+                        <label>Name <input type="text" id="new-profile-name" maxlength="${ProfileManager.MAX_NAME_LENGTH}" required></label>
+                        <button type="submit" class="modal-btn primary">Create and Switch</button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const profileList = modal.querySelector('.profile-list');
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        const renderProfiles = () => {
+            const profiles = this.profileManager.getProfiles();
+            profileList.innerHTML = profiles.map(profile => `
+                <div class="profile-item ${profile.active ? 'active' : ''}" data-profile-id="${this.escapeHtml(profile.id)}">
+                    <input type="text" class="profile-name-input" value="${this.escapeHtml(profile.name)}"
+                        maxlength="${ProfileManager.MAX_NAME_LENGTH}" aria-label="Name of ${this.escapeHtml(profile.name)}">
+                    ${profile.active ? '<span class="profile-active-label">Active</span>' : ''}
+                    <button class="modal-btn secondary rename-profile-btn">Rename</button>
+                    ${profile.active ? '' : '<button class="modal-btn primary switch-profile-btn">Switch</button>'}
+                    ${profiles.length > 1 ? '<button class="modal-btn secondary delete-profile-btn">Delete</button>' : ''}
+                </div>
+            `).join('');
+
+            profileList.querySelectorAll('.profile-item').forEach(item => {
+                const profileId = item.dataset.profileId;
+
+                item.querySelector('.rename-profile-btn').addEventListener('click', () => {
+                    try {
+                        const profile = this.profileManager.renameProfile(profileId, item.querySelector('.profile-name-input').value);
+                        this.updateProfileDisplay();
+                        renderProfiles();
+                        this.showNotification(`Profile renamed to "${profile.name}"`, 'success');
+                    } catch (error) {
+                        this.showNotification(error.message, 'warning');
+                    }
+                });
+
+                const switchBtn = item.querySelector('.switch-profile-btn');
+                if (switchBtn) {
+                    switchBtn.addEventListener('click', () => this.switchToProfile(profileId));
+                }
+
+                const deleteBtn = item.querySelector('.delete-profile-btn');
+                if (deleteBtn) {
+                    deleteBtn.addEventListener('click', () => {
+                        const profile = this.profileManager.getProfile(profileId);
+                        if (!confirm(`Delete the profile "${profile.name}" and all of its progress? This cannot be undone.`)) {
+                            return;
+                        }
+
+                        const wasActive = profileId === this.profileManager.activeProfileId;
+                        this.profileManager.deleteProfile(profileId);
+                        if (wasActive) {
+                            this.reloadForProfile();
+                        } else {
+                            renderProfiles();
+                        }
+                    });
+                }
+            });
+        };
+
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                closeModal();
+            }
+        });
+        document.addEventListener('keydown', handleEscape);
+
+        modal.querySelector('.profile-create-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                const profile = this.profileManager.createProfile(modal.querySelector('#new-profile-name').value);
+                this.switchToProfile(profile.id);
+            } catch (error) {
+                this.showNotification(error.message, 'warning');
+            }
+        });
+
+        renderProfiles();
+    }
+
+    /**
+     * Switch to another student profile
+     * @param {string} profileId - Profile ID
+     */
+    switchToProfile(profileId) {
+        try {
+            // Save the current profile's state under its own namespace before leaving it
+            this.saveApplicationState();
+            this.profileManager.switchProfile(profileId);
+            this.reloadForProfile();
+        } catch (error) {
+            console.error('Failed to switch profile:', error);
+            this.showNotification(`Failed to switch profile: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restart the app under the active profile
+     * Progress, history, question banks and saved state are all read at startup, so a reload
+     * is the simplest way to guarantee nothing from the previous profile stays in memory.
+     * Pending IndexedDB writes are awaited first so the switch or deletion is saved
+     */
+    async reloadForProfile() {
+        this.profileReloadPending = true;
+        this.stopStateManagement();
+        if (this.storageWrapper) {
+            try {
+                await this.storageWrapper.flush();
+            } catch (error) {
+                // Already reported through the storage error notification
+                console.error('Failed to save before reloading:', error);
+            }
+        }
+        window.location.reload();
+    }
+
+    /**
+     * Open the question editor view
+     */
+    showQuestionEditor() {
+        if (!this.questionManager) {
+            this.showError('Question bank is not loaded yet');
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before editing questions.', 'warning');
+            return;
+        }
+
+        this.navigateToView('editor');
+    }
+
+    /**
+     * List questions matching the editor search box and unit filter
+     */
+    renderEditorList() {
+        const list = this.elements.editorList;
+        if (!list || !this.questionManager) {
+            return;
+        }
+
+        const term = this.elements.editorSearch ? this.elements.editorSearch.value.trim() : '';
+        const unitValue = this.elements.editorUnitFilter ? this.elements.editorUnitFilter.value : '';
+        const unitFilter = unitValue ? parseInt(unitValue) : null;
+
+        let questions;
+        if (term) {
+            questions = this.questionManager.searchQuestions(term, unitFilter);
+        } else if (unitFilter !== null) {
+            questions = this.questionManager.getQuestionsByUnit(unitFilter);
+        } else {
+            questions = this.questionManager.questions;
+        }
+
+        const lintIssues = this.editorLintReport ? this.editorLintReport.questions : {};
+
+        if (this.elements.editorCount) {
+            const total = this.questionManager.questions.length;
+            let countText = questions.length === total ? `${total} questions` : `${questions.length} of ${total} questions`;
+            if (this.editorLintReport) {
+                const { errors, warnings, questionsWithIssues } = this.editorLintReport.summary;
+                countText += ` · ${questionsWithIssues} flagged (${errors} errors, ${warnings} warnings)`;
+            }
+            this.elements.editorCount.textContent = countText;
+        }
+
+        list.innerHTML = questions.map(question => {
+            const issues = (lintIssues[question.id] || []).filter(issue => issue.severity !== 'info');
+            const severity = issues.some(issue => issue.severity === 'error') ? 'error' : 'warning';
+            return `
+                <li>
+                    <button type="button" class="editor-list-item ${question.id === this.editorState.selectedId ? 'selected' : ''}"
+                        data-question-id="${this.escapeHtml(question.id)}">
+                        <span class="editor-list-meta">
+                            #${this.escapeHtml(question.id)} &middot; Unit ${question.unit}
+                            ${issues.length > 0 ? `<span class="editor-lint-badge ${severity}">${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}</span>` : ''}
+                        </span>
+                        <span class="editor-list-text">${this.escapeHtml(question.question)}</span>
+                    </button>
+                </li>
+            `;
+        }).join('') || '<li class="editor-list-empty">No questions match.</li>';
+
+        list.querySelectorAll('.editor-list-item').forEach(button => {
+            button.addEventListener('click', () => this.selectEditorQuestion(button.dataset.questionId));
+        });
+    }
+
+    /**
+     * Load a question into the editor form
+     * @param {string} questionId - ID of the question to edit
+     */
+    selectEditorQuestion(questionId) {
+        const question = this.questionManager.getQuestionById(questionId);
+        if (!question) {
+            return;
+        }
+
+        this.editorState = { selectedId: question.id, isNew: false, stimulus: null };
+        this.renderEditorForm(question.toJSON());
+        this.renderEditorList();
+    }
+
+    /**
+     * Start a blank question in the editor form
+     */
+    addEditorQuestion() {
+        const unitValue = this.elements.editorUnitFilter ? this.elements.editorUnitFilter.value : '';
+
+        this.editorState = { selectedId: null, isNew: true, stimulus: null };
+        this.renderEditorForm({
+            id: this.questionManager.getNextQuestionId(),
+            unit: unitValue ? parseInt(unitValue) : 1,
+            question: '',
+            options: ['', '', '', ''],
+            correct: 0,
+            explanation: ''
+        });
+        this.renderEditorList();
+    }
+
+    /**
+     * Render the editor form for a question
+     * @param {Object} data - Question data to edit
+     */
+    renderEditorForm(data) {
+        const form = this.elements.editorForm;
+        if (!form) {
+            return;
+        }
+
+        form.innerHTML = `
+            <div class="editor-field-row">
+                <label class="editor-field">ID
+                    <input type="text" name="id" value="${this.escapeHtml(data.id)}" ${this.editorState.isNew ? '' : 'readonly'}>
+                </label>
+                <label class="editor-field">Unit
+                    <select name="unit">
+                        ${[1, 2, 3, 4, 5].map(unit => `
+                            <option value="${unit}" ${unit === data.unit ? 'selected' : ''}>Unit ${unit}: ${this.escapeHtml(this.getUnitName(unit))}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            ${data.stimulus ? `<p class="editor-note">Part of stimulus set "${this.escapeHtml(data.stimulusId || '')}". The stimulus is kept as is.</p>` : ''}
+            <label class="editor-field">Question
+                <textarea name="question" rows="3">${this.escapeHtml(data.question)}</textarea>
+            </label>
+            <fieldset class="editor-options">
+                <legend>Options (select the correct answer)</legend>
+                <div class="editor-option-list"></div>
+                <button type="button" class="control-btn editor-add-option">Add Option</button>
+            </fieldset>
+            <label class="editor-field">Explanation
+                <textarea name="explanation" rows="3">${this.escapeHtml(data.explanation || '')}</textarea>
+            </label>
+            <div class="editor-validation" aria-live="polite"></div>
+            ${this.renderEditorLintIssues(data.id)}
+            <div class="editor-form-actions">
+                <button type="submit" class="control-btn primary editor-save">${this.editorState.isNew ? 'Add to Bank' : 'Save Changes'}</button>
+                <button type="button" class="control-btn editor-revert">${this.editorState.isNew ? 'Discard' : 'Revert'}</button>
+                ${this.editorState.isNew ? '' : '<button type="button" class="control-btn secondary editor-delete">Delete</button>'}
+            </div>
+        `;
+
+        const renderOptions = (options, correct) => {
+            const optionList = form.querySelector('.editor-option-list');
+            optionList.innerHTML = options.map((option, index) => {
+                const letter = String.fromCharCode(65 + index);
+                return `
+                    <div class="editor-option">
+                        <input type="radio" name="correct" value="${index}" ${index === correct ? 'checked' : ''}
+                            aria-label="Option ${letter} is correct">
+                        <span class="editor-option-letter">${letter}</span>
+                        <input type="text" name="option" value="${this.escapeHtml(option)}" aria-label="Option ${letter}">
+                        <button type="button" class="editor-remove-option" data-index="${index}" aria-label="Remove option ${letter}"
+                            ${options.length <= Question.MIN_OPTIONS ? 'disabled' : ''}>&times;</button>
+                    </div>
+                `;
+            }).join('');
+
+            form.querySelector('.editor-add-option').disabled = options.length >= Question.MAX_OPTIONS;
+
+            optionList.querySelectorAll('.editor-remove-option').forEach(button => {
+                button.addEventListener('click', () => {
+                    const draft = this.readEditorForm();
+                    const index = parseInt(button.dataset.index);
+                    draft.options.splice(index, 1);
+                    renderOptions(draft.options, draft.correct > index ? draft.correct - 1 : Math.min(draft.correct, draft.options.length - 1));
+                    this.updateEditorValidation();
+                });
+            });
+        };
+
+        renderOptions(data.options, data.correct);
+
+        form.querySelector('.editor-add-option').addEventListener('click', () => {
+            const draft = this.readEditorForm();
+            renderOptions([...draft.options, ''], draft.correct);
+            this.updateEditorValidation();
+        });
+
+        form.querySelector('.editor-revert').addEventListener('click', () => {
+            if (this.editorState.isNew) {
+                this.editorState = { selectedId: null, isNew: false, stimulus: null };
+                form.innerHTML = '<p class="editor-empty">Select a question to edit, or add a new one.</p>';
+                this.renderEditorList();
+            } else {
+                this.selectEditorQuestion(this.editorState.selectedId);
+            }
+        });
+
+        const deleteBtn = form.querySelector('.editor-delete');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => this.deleteEditorQuestion());
+        }
+
+        form.oninput = () => this.updateEditorValidation();
+        form.onchange = () => this.updateEditorValidation();
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.saveEditorQuestion();
+        };
+
+        // Stimulus sets are edited in the bank file; the editor carries the stimulus through unchanged
+        this.editorState.stimulus = data.stimulus ? { stimulusId: data.stimulusId, stimulus: data.stimulus } : null;
+        this.updateEditorValidation();
+    }
+
+    /**
+     * Read the editor form into question data
+     * @returns {Object} Draft question data
+     */
+    readEditorForm() {
+        const form = this.elements.editorForm;
+        const checked = form.querySelector('input[name="correct"]:checked');
+
+        const draft = {
+            id: form.querySelector('[name="id"]').value.trim(),
+            unit: parseInt(form.querySelector('[name="unit"]').value),
+            question: form.querySelector('[name="question"]').value.trim(),
+            options: Array.from(form.querySelectorAll('input[name="option"]')).map(input => input.value.trim()),
+            correct: checked ? parseInt(checked.value) : -1,
+            explanation: form.querySelector('[name="explanation"]').value.trim()
+        };
+
+        if (this.editorState.stimulus) {
+            Object.assign(draft, this.editorState.stimulus);
+        }
+
+        return draft;
+    }
+
+    /**
+     * Validate the draft with Question.validate and show the result
+     * @returns {Object|null} Valid draft data, or null if invalid
+     */
+    updateEditorValidation() {
+        const form = this.elements.editorForm;
+        const message = form.querySelector('.editor-validation');
+        const saveBtn = form.querySelector('.editor-save');
+        const draft = this.readEditorForm();
+
+        let error = null;
+        try {
+            new Question(draft);
+            if (this.editorState.isNew && this.questionManager.getQuestionById(draft.id)) {
+                error = `A question with ID "${draft.id}" already exists`;
+            }
+        } catch (validationError) {
+            error = validationError.message;
+        }
+
+        message.className = `editor-validation ${error ? 'invalid' : 'valid'}`;
+        message.textContent = error ? error : '✓ Question is valid';
+        saveBtn.disabled = Boolean(error);
+
+        return error ? null : draft;
+    }
+
+    /**
+     * Save the form into the question bank
+     */
+    saveEditorQuestion() {
+        const draft = this.updateEditorValidation();
+        if (!draft) {
+            return;
+        }
+
+        try {
+            if (this.editorState.isNew) {
+                this.questionManager.addQuestion(draft);
+            } else {
+                this.questionManager.updateQuestion(this.editorState.selectedId, draft);
+            }
+
+            this.showNotification(`Question #${draft.id} saved. Export the bank to keep your changes.`, 'success');
+            if (this.editorLintReport) {
+                this.editorLintReport = this.lintQuestions();
+            }
+            this.selectEditorQuestion(draft.id);
+            this.updateProgressDisplay();
+        } catch (error) {
+            this.showNotification(`Could not save question: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete the selected question after confirmation
+     */
+    deleteEditorQuestion() {
+        const questionId = this.editorState.selectedId;
+        if (!questionId || !confirm(`Delete question #${questionId}? This cannot be undone until you reload the bank.`)) {
+            return;
+        }
+
+        this.questionManager.deleteQuestion(questionId);
+        if (this.editorLintReport) {
+            this.editorLintReport = this.lintQuestions();
+        }
+        this.editorState = { selectedId: null, isNew: false, stimulus: null };
+        this.elements.editorForm.innerHTML = '<p class="editor-empty">Select a question to edit, or add a new one.</p>';
+        this.renderEditorList();
+        this.updateProgressDisplay();
+        this.showNotification(`Question #${questionId} deleted.`, 'info');
+    }
+
+    /**
+     * Run the quality linter over the questions in the editor
+     * @returns {Object} Lint report keyed by question ID
+     */
+    lintQuestions() {
+        return new QuestionBankLinter().lint(this.questionManager.questions.map(question => question.toJSON()));
+    }
+
+    /**
+     * Check the bank for quality problems and mark flagged questions in the editor list
+     */
+    lintEditorQuestions() {
+        if (!this.questionManager) {
+            return;
+        }
+
+        this.editorLintReport = this.lintQuestions();
+        this.renderEditorList();
+
+        // Refresh the issue list in place so unsaved edits in the form are kept
+        const validation = this.elements.editorForm && this.elements.editorForm.querySelector('.editor-validation');
+        if (validation && this.editorState.selectedId) {
+            const previous = this.elements.editorForm.querySelector('.editor-lint-issues');
+            if (previous) {
+                previous.remove();
+            }
+            validation.insertAdjacentHTML('afterend', this.renderEditorLintIssues(this.editorState.selectedId));
+        }
+
+        const { errors, warnings } = this.editorLintReport.summary;
+        const bankIssues = this.editorLintReport.bank.map(issue => issue.message).join(' ');
+        this.showNotification(
+            `Quality check: ${errors} errors and ${warnings} warnings. ${bankIssues}`.trim(),
+            errors > 0 ? 'warning' : 'info'
+        );
+    }
+
+    /**
+     * List the lint issues for a question in the editor form
+     * @param {string} questionId - Question ID
+     * @returns {string} HTML for the issue list, or an empty string
+     */
+    renderEditorLintIssues(questionId) {
+        const issues = this.editorLintReport && this.editorLintReport.questions[questionId];
+        if (!issues || issues.length === 0) {
+            return '';
+        }
+
+        return `
+            <ul class="editor-lint-issues" aria-label="Quality check results">
+                ${issues.map(issue => `
+                    <li class="${issue.severity}">${this.escapeHtml(issue.message)}${issue.field ? ` <code>${this.escapeHtml(issue.field)}</code>` : ''}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Download the edited questions as a bank JSON file
+     */
+    exportQuestionBank() {
+        if (!this.questionManager) {
+            return;
+        }
+
+        const bank = this.questionManager.exportBank();
+        const blob = new Blob([JSON.stringify(bank, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ap_gov_question_bank_${bank.metadata.lastUpdated.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        this.showNotification(`Exported ${bank.metadata.totalQuestions} questions.`, 'success');
+    }
+
+    /**
+     * Show unit selection interface
+     */
+    showUnitSelection() {
+        try {
+            console.log('Creating unit selection modal...');
+            const units = [
+            { id: 1, name: 'Foundations of American Democracy', description: 'Constitutional principles, federalism, and democratic theory' },
+            { id: 2, name: 'Interactions Among Branches of Government', description: 'Separation of powers, checks and balances, and institutional relationships' },
+            { id: 3, name: 'Civil Liberties and Civil Rights', description: 'Bill of Rights, due process, and equal protection' },
+            { id: 4, name: 'American Political Ideologies and Beliefs', description: 'Political culture, public opinion, and political socialization' },
+            { id: 5, name: 'Political Participation', description: 'Voting, elections, political parties, and interest groups' }
+        ];
+
+        // Create unit selection modal
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Select a Unit to Study</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="difficulty-filter" role="radiogroup" aria-label="Question difficulty">
+                        <span class="difficulty-filter-label">Difficulty</span>
+                        ${['easy', 'mixed', 'hard', 'adaptive'].map(level => `
+                            <label class="difficulty-option">
+                                <input type="radio" name="unit-difficulty" value="${level}" ${level === 'mixed' ? 'checked' : ''}>
+                                <span>${level.charAt(0).toUpperCase() + level.slice(1)}</span>
+                            </label>
+                        `).join('')}
+                        <span class="difficulty-filter-help">Rated from how often questions are answered correctly. Adaptive picks each question from how you're doing and stops once your level is clear.</span>
+                    </div>
+                    <div class="unit-grid">
+                        ${units.map(unit => {
+                            try {
+                                const unitProgress = this.getUserProgressForUnit(unit.id);
+                                const unitData = this.state.userProgress.units[unit.id] || { correct: 0, total: 0 };
+                                const questionsAvailable = this.questionManager.getQuestionsByUnit(unit.id).length;
+                            
+                            return `
+                                <div class="unit-card" data-unit-id="${unit.id}">
+                                    <div class="unit-header">
+                                        <div class="unit-number">Unit ${unit.id}</div>
+                                        <div class="unit-progress">${unitProgress}%</div>
+                                    </div>
+                                    <div class="unit-title">${unit.name}</div>
+                                    <div class="unit-description">${unit.description}</div>
+                                    <div class="unit-stats">
+                                        <span class="stat-item">${unitData.correct || 0}/${unitData.total || 0} correct</span>
+                                        <span class="stat-item">${questionsAvailable} questions available</span>
+                                    </div>
+                                    <div class="unit-progress-bar">
+                                        <div class="progress-fill" style="width: ${unitProgress}%"></div>
+                                    </div>
+                                </div>
+                            `;
+                            } catch (error) {
+                                console.error('Error creating unit card for unit', unit.id, ':', error);
+                                return `<div class="unit-card error">Error loading unit ${unit.id}</div>`;
+                            }
+                        }).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Add to DOM
+        document.body.appendChild(modal);
+
+        // Add event listeners
+        const closeBtn = modal.querySelector('.modal-close');
+        const overlay = modal.querySelector('.modal-overlay');
+        const unitCards = modal.querySelectorAll('.unit-card');
+
+        const closeModal = () => {
+            document.body.removeChild(modal);
+        };
+
+        closeBtn.addEventListener('click', closeModal);
+        overlay.addEventListener('click', (e) => {
+            // Only close if clicking directly on the overlay, not on child elements
+            if (e.target === overlay) {
+                closeModal();
+            }
+        });
+
+        unitCards.forEach(card => {
+            card.addEventListener('click', (e) => {
+                console.log('Unit card clicked:', card.dataset.unitId);
+                e.preventDefault();
+                e.stopPropagation();
+                const unitId = parseInt(card.dataset.unitId);
+                const difficulty = modal.querySelector('input[name="unit-difficulty"]:checked').value;
+                console.log('Starting unit quiz with ID:', unitId);
+                closeModal();
+                this.startUnitQuizWithId(unitId, difficulty);
+            });
+            
+            // Add visual feedback
+            card.style.cursor = 'pointer';
+        });
+
+        // Handle escape key
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+                document.removeEventListener('keydown', handleEscape);
+            }
+        };
+        document.addEventListener('keydown', handleEscape);
+        
+        console.log('Unit selection modal created with', unitCards.length, 'unit cards');
+        } catch (error) {
+            console.error('Error creating unit selection modal:', error);
+            this.showError('Failed to show unit selection: ' + error.message);
+        }
+    }
+
+    /**
+     * Start unit quiz with specific unit ID
+     * @param {number} unitId - Unit ID (1-5)
+     * @param {string|null} difficulty - 'easy', 'mixed', 'hard' or 'adaptive', or null for any difficulty
+     */
+    startUnitQuizWithId(unitId, difficulty = null) {
+        try {
+            const options = difficulty === 'adaptive' ? { adaptive: true } : { difficulty };
+            this.quizEngine.startQuiz('unit', unitId, options);
+            this.navigateToView('quiz');
+            console.log(`Started unit ${unitId} quiz`);
+        } catch (error) {
+            console.error('Failed to start unit quiz:', error);
+            this.showError(`Failed to start unit ${unitId} quiz: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle page visibility changes
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            console.log('Page hidden - pausing timers if active');
+            // Will be used for timer management in future tasks
+        } else {
+            console.log('Page visible - resuming timers if active');
+            // Will be used for timer management in future tasks
+        }
+    }
+
+    /**
+     * Handle quiz completion
+     */
+    handleQuizComplete(results) {
+        this.showQuizResults(results);
+        this.navigateToView('results');
+    }
+
+    /**
+     * Show quiz results
+     */
+    showQuizResults(results) {
+        const resultsContent = this.elements.resultsContent;
+        if (!resultsContent) return;
+
+        const { mode, score, unitId } = results;
+        
+        // Create results HTML based on mode
+        let resultsHTML = '';
+        
+        if (mode === 'unit') {
+            const unitName = this.getUnitName(unitId);
+            resultsHTML = this.createUnitQuizResults(results, unitName);
+        } else if (mode === 'practice') {
+            resultsHTML = this.createPracticeTestResults(results);
+        } else if (mode === 'study') {
+            resultsHTML = this.createStudyModeResults(results);
+        }
+        
+        resultsContent.innerHTML = resultsHTML;
+        
+        // Update dashboard data
+        this.updateProgressDisplay();
+        this.updateScoreChart();
+    }
+
+    /**
+     * Create unit quiz results HTML
+     */
+    createUnitQuizResults(results, unitName) {
+        const { score, questions } = results;
+        const percentage = Math.round((score.correct / score.total) * 100);
+        
+        // Determine performance level
+        let performanceLevel = '';
+        let performanceColor = '';
+        if (percentage >= 90) {
+            performanceLevel = 'Excellent';
+            performanceColor = '#7ED321';
+        } else if (percentage >= 80) {
+            performanceLevel = 'Good';
+            performanceColor = '#4A90E2';
+        } else if (percentage >= 70) {
+            performanceLevel = 'Fair';
+            performanceColor = '#F5A623';
+        } else {
+            performanceLevel = 'Needs Improvement';
+            performanceColor = '#D0021B';
+        }
+
+        return `
+            <div class="results-header">
+                <div class="results-icon" style="color: ${performanceColor};">📊</div>
+                <h2>Unit ${results.unitId} Quiz Complete</h2>
+                <div class="unit-name">${unitName}</div>
+            </div>
+            
+            <div class="score-display">
+                <div class="score-circle" style="border-color: ${performanceColor};">
+                    <div class="score-percentage" style="color: ${performanceColor};">${percentage}%</div>
+                    <div class="score-fraction">${score.correct}/${score.total}</div>
+                </div>
+                <div class="performance-level" style="color: ${performanceColor};">
+                    ${performanceLevel}
+                </div>
+            </div>
+            
+            <div class="results-details">
+                <div class="detail-item">
+                    <span class="detail-label">Questions Answered:</span>
+                    <span class="detail-value">${score.total}</span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Correct Answers:</span>
+                    <span class="detail-value">${score.correct}</span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Incorrect Answers:</span>
+                    <span class="detail-value">${score.total - score.correct}</span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Time Spent:</span>
+                    <span class="detail-value">${this.formatDuration(results.duration)}</span>
+                </div>
+            </div>
+            
+            <div class="results-actions">
+                <button class="action-btn primary" onclick="app.retakeUnitQuiz(${results.unitId})">
+                    Retake Unit ${results.unitId}
+                </button>
+                <button class="action-btn secondary" onclick="app.showUnitSelection()">
+                    Choose Different Unit
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create practice test results HTML
+     */
+    createPracticeTestResults(results) {
+        const { score, unitBreakdown } = results;
+        const percentage = Math.round((score.correct / score.total) * 100);
+        
+        return `
+            <div class="results-header">
+                <div class="results-icon">⏱️</div>
+                <h2>Practice Test Complete</h2>
+            </div>
+            
+            <div class="score-display">
+                <div class="score-circle">
+                    <div class="score-percentage">${percentage}%</div>
+                    <div class="score-fraction">${score.correct}/${score.total}</div>
+                </div>
+            </div>
+            
+            <div class="unit-breakdown">
+                <h3>Performance by Unit</h3>
+                ${Object.entries(unitBreakdown).map(([unit, correct]) => `
+                    <div class="breakdown-item">
+                        <span class="breakdown-unit">Unit ${unit}</span>
+                        <span class="breakdown-score">${correct} correct</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Create study mode results HTML
+     */
+    createStudyModeResults(results) {
+        const { score } = results;
+        const percentage = Math.round((score.correct / score.total) * 100);
+        
+        return `
+            <div class="results-header">
+                <div class="results-icon">📖</div>
+                <h2>Study Session Complete</h2>
+            </div>
+            
+            <div class="score-display">
+                <div class="score-circle">
+                    <div class="score-percentage">${percentage}%</div>
+                    <div class="score-fraction">${score.correct}/${score.total}</div>
+                </div>
+            </div>
+            
+            <div class="results-actions">
+                <button class="action-btn primary" onclick="app.handleModeSelection('study')">
+                    Continue Studying
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Get unit name by ID
+     */
+    getUnitName(unitId) {
+        const unitNames = {
+            1: 'Foundations of American Democracy',
+            2: 'Interactions Among Branches of Government',
+            3: 'Civil Liberties and Civil Rights',
+            4: 'American Political Ideologies and Beliefs',
+            5: 'Political Participation'
+        };
+        return unitNames[unitId] || `Unit ${unitId}`;
+    }
+
+    /**
+     * Format duration in milliseconds to readable format
+     */
+    formatDuration(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = seconds % 60;
+        
+        if (minutes > 0) {
+            return `${minutes}m ${remainingSeconds}s`;
+        } else {
+            return `${remainingSeconds}s`;
+        }
+    }
+
+    /**
+     * Retake unit quiz
+     */
+    retakeUnitQuiz(unitId) {
+        this.startUnitQuizWithId(unitId);
+    }
+
+    /**
+     * Update progress display on dashboard
+     */
+    updateProgressDisplay() {
+        if (!this.elements.progressChart) return;
+        
+        const units = [
+            { id: 1, name: 'Foundations of American Democracy' },
+            { id: 2, name: 'Interactions Among Branches of Government' },
+            { id: 3, name: 'Civil Liberties and Civil Rights' },
+            { id: 4, name: 'American Political Ideologies and Beliefs' },
+            { id: 5, name: 'Political Participation' }
+        ];
+        
+        // Clear existing content
+        this.elements.progressChart.innerHTML = '';
+        
+        // Create progress bars for each unit
+        units.forEach(unit => {
+            const unitData = {
+                ...this.state.userProgress.units[unit.id],
+                seen: this.getSeenCountForUnit(unit.id),
+                frq: this.progressTracker ? this.progressTracker.getFRQProgress(unit.id) : null
+            };
+            const aptitude = this.getUserProgressForUnit(unit.id);
+            const seenPercentage = this.getSeenPercentageForUnit(unit.id);
+            const progressItem = this.createProgressBar(unit.name, aptitude, seenPercentage, unitData);
+            this.elements.progressChart.appendChild(progressItem);
+        });
+        
+        // Update summary statistics
+        this.updateProgressSummary();
+        this.updateAPPrediction();
+        this.updateProfileDisplay();
+    }
+
+    /**
+     * Get the AP score prediction from practice history
+     * @returns {Object|null} Prediction, or null before any multiple choice work
+     */
+    getAPPrediction() {
+        if (!this.scorePredictor || !this.progressTracker) {
+            return null;
+        }
+
+        try {
+            return this.scorePredictor.predictFromProgress(this.progressTracker);
+        } catch (error) {
+            console.error('Failed to predict AP score:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Show the predicted AP score on the dashboard
+     */
+    updateAPPrediction() {
+        const container = this.elements.apPrediction;
+        if (!container) return;
+
+        const prediction = this.getAPPrediction();
+        if (!prediction) {
+            container.innerHTML = '<p class="prediction-empty">Take a practice test or unit quiz to see your predicted score.</p>';
+            if (this.elements.predictionBasis) {
+                this.elements.predictionBasis.textContent = 'No practice data yet';
+            }
+            return;
+        }
+
+        const { multipleChoice, freeResponse, range } = prediction;
+        const tests = `${multipleChoice.testsUsed} recent practice test${multipleChoice.testsUsed === 1 ? '' : 's'}`;
+        const mcqSources = { practice: tests, practice_and_units: `${tests} and unit aptitude`, units: 'unit aptitude' };
+        const frqSources = { manual: 'entered scores', practice: 'self-scored practice', assumed: 'assumed to match multiple choice' };
+
+        container.innerHTML = `
+            <div class="prediction-score">
+                <span class="prediction-number">${prediction.apScore}</span>
+                <span class="prediction-range">Likely ${range.low === range.high ? range.low : `${range.low}–${range.high}`}</span>
+            </div>
+            <div class="prediction-details">
+                <div class="prediction-row">
+                    <span>Composite</span>
+                    <span>${prediction.composite}% (${prediction.compositeRange.low}–${prediction.compositeRange.high}%)</span>
+                </div>
+                <div class="prediction-row">
+                    <span>Multiple choice</span>
+                    <span>${multipleChoice.percentage}%</span>
+                </div>
+                <div class="prediction-row">
+                    <span>Free response</span>
+                    <span>${freeResponse.source === 'assumed' ? 'Not scored yet' : `${freeResponse.percentage}%`}</span>
+                </div>
+            </div>
+        `;
+
+        if (this.elements.predictionBasis) {
+            this.elements.predictionBasis.textContent =
+                `Based on ${mcqSources[multipleChoice.source]}; FRQ ${frqSources[freeResponse.source]}`;
+        }
+    }
+
+    /**
+     * Record a graded FRQ score entered on the dashboard
+     * @param {Event} e - Form submit event
+     */
+    handleAddFRQScore(e) {
+        e.preventDefault();
+
+        const earned = parseFloat(document.getElementById('frq-score-earned').value);
+        const possible = parseFloat(document.getElementById('frq-score-possible').value);
+
+        try {
+            this.progressTracker.recordManualFRQScore(earned, possible);
+            document.getElementById('frq-score-earned').value = '';
+            this.updateAPPrediction();
+            this.showNotification(`Added an FRQ score of ${earned}/${possible}.`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Download all progress for the active profile as a JSON file
+     */
+    exportProgress() {
+        if (!this.progressTransfer) {
+            this.showError('Progress export is not available');
+            return;
+        }
+
+        const profile = this.profileManager ? this.profileManager.getActiveProfile() : null;
+        const profileName = profile ? profile.name : null;
+        const blob = new Blob([this.progressTransfer.exportToJSON({ profileName })], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.progressTransfer.getExportFileName(profileName);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        this.showNotification('Progress exported. Import the file on your other device.', 'success');
+    }
+
+    /**
+     * Read a chosen progress file and preview the import
+     * @param {Event} e - File input change event
+     */
+    async handleImportProgressFile(e) {
+        const input = e.target;
+        const file = input.files[0];
+        input.value = '';
+        if (!file || !this.progressTransfer) {
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before importing progress.', 'warning');
+            return;
+        }
+
+        try {
+            const data = this.progressTransfer.parseImport(await file.text());
+            this.showImportPreview(data);
+        } catch (error) {
+            this.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show what an import will change, with merge and replace options
+     * @param {Object} data - Import data from ProgressTransfer.parseImport
+     */
+    showImportPreview(data) {
+        const settingLabels = {
+            practiceBlueprint: 'Practice test blueprint',
+            selectedBanks: 'Selected question banks',
+            questionBanks: 'Imported question banks'
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal import-progress-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Import Progress</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="import-source">
+                        ${data.profileName ? `Exported from <strong>${this.escapeHtml(data.profileName)}</strong>` : 'Exported'}
+                        ${data.exportedAt ? `on ${new Date(data.exportedAt).toLocaleDateString()}` : ''}
+                        ${data.migratedFrom !== null ? '(older file format, upgraded)' : ''}
+                    </p>
+                    <fieldset class="import-mode">
+                        <legend>How to import</legend>
+                        <label><input type="radio" name="import-mode" value="merge" checked> Merge with the progress on this device</label>
+                        <label><input type="radio" name="import-mode" value="replace"> Replace the progress on this device</label>
+                    </fieldset>
+                    <div class="import-preview" aria-live="polite"></div>
+                    <div class="modal-actions">
+                        <button class="modal-btn secondary" id="cancel-import-btn">Cancel</button>
+                        <button class="modal-btn primary" id="apply-import-btn">Import</button>
                     </div>
                 </div>
             </div>
         `;
 
-        // Add to DOM
         document.body.appendChild(modal);
 
-        // Add event listeners
-        const closeBtn = modal.querySelector('.modal-close');
-        const overlay = modal.querySelector('.modal-overlay');
-        const unitCards = modal.querySelectorAll('.unit-card');
+        const previewContainer = modal.querySelector('.import-preview');
+        const getMode = () => modal.querySelector('input[name="import-mode"]:checked').value;
+
+        const renderPreview = () => {
+            const preview = this.progressTransfer.previewImport(data, getMode());
+            const change = (counts) => `${counts.before} &rarr; ${counts.after}`;
+            const unitRows = [1, 2, 3, 4, 5].map(unitId => {
+                const unit = preview.units[unitId];
+                return `
+                    <tr>
+                        <td>Unit ${unitId}</td>
+                        <td>${unit.before.correct}/${unit.before.total}</td>
+                        <td>${unit.after.correct}/${unit.after.total}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            previewContainer.innerHTML = `
+                <table class="import-changes">
+                    <thead><tr><th>Unit</th><th>Now</th><th>After import</th></tr></thead>
+                    <tbody>${unitRows}</tbody>
+                </table>
+                <ul class="import-counts">
+                    <li>Practice tests: ${change(preview.practiceTests)}</li>
+                    <li>Answered questions: ${change(preview.attempts)}</li>
+                    <li>Study review cards: ${change(preview.reviewCards)}</li>
+                    <li>Graded FRQ scores: ${change(preview.frqScores)}</li>
+                    <li>Settings changed: ${preview.settings.length > 0 ? preview.settings.map(name => settingLabels[name]).join(', ') : 'none'}</li>
+                </ul>
+                ${preview.warnings.map(warning => `<p class="import-summary error">${this.escapeHtml(warning)}</p>`).join('')}
+            `;
+        };
 
         const closeModal = () => {
-            document.body.removeChild(modal);
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
         };
 
-        closeBtn.addEventListener('click', closeModal);
-        overlay.addEventListener('click', (e) => {
-            // Only close if clicking directly on the overlay, not on child elements
-            if (e.target === overlay) {
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
                 closeModal();
             }
-        });
+        };
 
-        unitCards.forEach(card => {
-            card.addEventListener('click', (e) => {
-                console.log('Unit card clicked:', card.dataset.unitId);
-                e.preventDefault();
-                e.stopPropagation();
-                const unitId = parseInt(card.dataset.unitId);
-                console.log('Starting unit quiz with ID:', unitId);
+        modal.querySelectorAll('input[name="import-mode"]').forEach(input => input.addEventListener('change', renderPreview));
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('#cancel-import-btn').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
                 closeModal();
-                this.startUnitQuizWithId(unitId);
-            });
-            
-            // Add visual feedback
-            card.style.cursor = 'pointer';
+            }
         });
+        document.addEventListener('keydown', handleEscape);
 
-        // Handle escape key
-        const handleEscape = (e) => {
-            if (e.key === 'Escape') {
+        modal.querySelector('#apply-import-btn').addEventListener('click', async () => {
+            const mode = getMode();
+            if (mode === 'replace' && !confirm('Replace all progress on this device with the imported file? This cannot be undone.')) {
+                return;
+            }
+
+            try {
+                const summary = this.progressTransfer.applyImport(data, mode);
                 closeModal();
-                document.removeEventListener('keydown', handleEscape);
+
+                this.state.userProgress = this.loadUserProgress();
+                this.saveApplicationState();
+                if (this.questionBankLoader) {
+                    await this.reloadQuestionBank();
+                } else {
+                    this.updateProgressDisplay();
+                }
+
+                this.showNotification(
+                    `Progress ${mode === 'merge' ? 'merged' : 'replaced'}: ${summary.practiceTests.after} practice tests, ${summary.attempts.after} answered questions.`,
+                    'success'
+                );
+            } catch (error) {
+                this.showNotification(`Import failed: ${error.message}`, 'error');
             }
-        };
-        document.addEventListener('keydown', handleEscape);
-        
-        console.log('Unit selection modal created with', unitCards.length, 'unit cards');
-        } catch (error) {
-            console.error('Error creating unit selection modal:', error);
-            this.showError('Failed to show unit selection: ' + error.message);
-        }
+        });
+
+        renderPreview();
     }
 
     /**
-     * Start unit quiz with specific unit ID
+     * Open the teacher class report view
      */
-    startUnitQuizWithId(unitId) {
-        try {
-            this.quizEngine.startQuiz('unit', unitId);
-            this.navigateToView('quiz');
-            console.log(`Started unit ${unitId} quiz`);
-        } catch (error) {
-            console.error('Failed to start unit quiz:', error);
-            this.showError(`Failed to start unit ${unitId} quiz: ${error.message}`);
+    showClassReport() {
+        if (typeof ClassReport === 'undefined' || !this.progressTransfer) {
+            this.showError('The class report is not available');
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before opening the class report.', 'warning');
+            return;
         }
+
+        this.navigateToView('teacher');
     }
 
     /**
-     * Handle page visibility changes
+     * Load chosen student progress files into the class report
+     * Files that cannot be read are listed and skipped
+     * @param {Event} e - File input change event
      */
-    handleVisibilityChange() {
-        if (document.hidden) {
-            console.log('Page hidden - pausing timers if active');
-            // Will be used for timer management in future tasks
-        } else {
-            console.log('Page visible - resuming timers if active');
-            // Will be used for timer management in future tasks
+    async handleClassFiles(e) {
+        const input = e.target;
+        const files = Array.from(input.files || []);
+        input.value = '';
+        if (files.length === 0 || !this.classReport) {
+            return;
+        }
+
+        const errors = [];
+        let loaded = 0;
+
+        for (const file of files) {
+            try {
+                this.classReport.addStudentFile(await file.text(), file.name);
+                loaded++;
+            } catch (error) {
+                errors.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        if (this.elements.classLoadErrors) {
+            this.elements.classLoadErrors.innerHTML = errors
+                .map(error => `<p class="import-summary error">${this.escapeHtml(error)}</p>`)
+                .join('');
+        }
+
+        this.renderClassReport();
+
+        if (loaded > 0) {
+            this.showNotification(`Loaded ${loaded} student file${loaded === 1 ? '' : 's'}.`, 'success');
+        }
+        if (errors.length > 0) {
+            this.showNotification(`${errors.length} file${errors.length === 1 ? '' : 's'} could not be read.`, 'warning');
         }
     }
 
     /**
-     * Handle quiz completion
+     * Render the class summary, charts, roster and most-missed questions
      */
-    handleQuizComplete(results) {
-        this.showQuizResults(results);
-        this.navigateToView('results');
+    renderClassReport() {
+        if (!this.classReport) {
+            if (typeof ClassReport === 'undefined' || !this.progressTransfer) {
+                return;
+            }
+            this.classReport = new ClassReport(this.progressTransfer);
+        }
+
+        const roster = this.classReport.getRoster();
+        const unitSummary = this.classReport.getUnitSummary();
+        const trend = this.classReport.getPracticeTrend();
+        const formatPercent = (value) => value === null ? '&ndash;' : `${value}%`;
+
+        if (this.elements.classSummary) {
+            const studied = Object.values(unitSummary).filter(unit => unit.average !== null);
+            const classAverage = studied.length > 0
+                ? Math.round(studied.reduce((sum, unit) => sum + unit.average, 0) / studied.length)
+                : null;
+            const testsTaken = roster.reduce((sum, student) => sum + student.practiceTests, 0);
+
+            this.elements.classSummary.innerHTML = roster.length === 0 ? '' : `
+                <div class="class-stat"><span class="class-stat-value">${roster.length}</span><span class="class-stat-label">Students</span></div>
+                <div class="class-stat"><span class="class-stat-value">${formatPercent(classAverage)}</span><span class="class-stat-label">Average unit aptitude</span></div>
+                <div class="class-stat"><span class="class-stat-value">${testsTaken}</span><span class="class-stat-label">Practice tests taken</span></div>
+            `;
+        }
+
+        this.updateClassCharts(unitSummary, trend);
+
+        if (this.elements.classRoster) {
+            if (roster.length === 0) {
+                this.elements.classRoster.innerHTML = '<p class="editor-empty">No student files loaded yet.</p>';
+            } else {
+                const rows = roster.map(student => {
+                    const changeClass = student.change > 0 ? 'positive' : (student.change < 0 ? 'negative' : '');
+                    const change = student.change === null ? '&ndash;' : `${student.change > 0 ? '+' : ''}${student.change}`;
+                    return `
+                        <tr>
+                            <td>${this.escapeHtml(student.name)}</td>
+                            <td>${student.exportedAt ? new Date(student.exportedAt).toLocaleDateString() : '&ndash;'}</td>
+                            <td>${student.questionsAnswered}</td>
+                            ${[1, 2, 3, 4, 5].map(unitId => `<td>${formatPercent(student.units[unitId])}</td>`).join('')}
+                            <td>${student.practiceTests}</td>
+                            <td>${formatPercent(student.latestScore)}</td>
+                            <td class="${changeClass}">${change}</td>
+                            <td>${student.predictedAPScore === null ? '&ndash;' : student.predictedAPScore}</td>
+                            <td><button class="control-btn class-remove-btn" data-student-id="${this.escapeHtml(student.id)}"
+                                aria-label="Remove ${this.escapeHtml(student.name)}">Remove</button></td>
+                        </tr>
+                    `;
+                }).join('');
+
+                this.elements.classRoster.innerHTML = `
+                    <table class="class-table">
+                        <thead>
+                            <tr>
+                                <th>Student</th><th>Exported</th><th>Answered</th>
+                                <th>Unit 1</th><th>Unit 2</th><th>Unit 3</th><th>Unit 4</th><th>Unit 5</th>
+                                <th>Tests</th><th>Latest</th><th>Change</th><th>Predicted AP</th><th></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `;
+
+                this.elements.classRoster.querySelectorAll('.class-remove-btn').forEach(button => {
+                    button.addEventListener('click', () => {
+                        this.classReport.removeStudent(button.dataset.studentId);
+                        this.renderClassReport();
+                    });
+                });
+            }
+        }
+
+        if (this.elements.classMissed) {
+            const missed = this.classReport.getMostMissed(10);
+            if (missed.length === 0) {
+                this.elements.classMissed.innerHTML = '<p class="editor-empty">No missed questions yet.</p>';
+            } else {
+                const rows = missed.map(entry => {
+                    const question = this.questionManager ? this.questionManager.getQuestionById(entry.questionId) : null;
+                    const text = question ? question.question : 'Question not in this question bank';
+                    return `
+                        <tr>
+                            <td>${this.escapeHtml(entry.questionId)}</td>
+                            <td>${entry.unit ? `Unit ${this.escapeHtml(String(entry.unit))}` : '&ndash;'}</td>
+                            <td>${this.escapeHtml(text)}</td>
+                            <td>${entry.studentsMissed} of ${entry.students}</td>
+                            <td>${entry.missRate}%</td>
+                        </tr>
+                    `;
+                }).join('');
+
+                this.elements.classMissed.innerHTML = `
+                    <table class="class-table">
+                        <thead>
+                            <tr><th>Question</th><th>Unit</th><th>Text</th><th>Students missed</th><th>Miss rate</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `;
+            }
+        }
     }
 
     /**
-     * Show quiz results
+     * Draw the class unit aptitude and practice test trend charts
+     * @param {Object} unitSummary - From ClassReport.getUnitSummary
+     * @param {Array} trend - From ClassReport.getPracticeTrend
      */
-    showQuizResults(results) {
-        const resultsContent = this.elements.resultsContent;
-        if (!resultsContent) return;
+    updateClassCharts(unitSummary, trend) {
+        if (typeof ScoreChart === 'undefined') {
+            return;
+        }
 
-        const { mode, score, unitId } = results;
-        
-        // Create results HTML based on mode
-        let resultsHTML = '';
-        
-        if (mode === 'unit') {
-            const unitName = this.getUnitName(unitId);
-            resultsHTML = this.createUnitQuizResults(results, unitName);
-        } else if (mode === 'practice') {
-            resultsHTML = this.createPracticeTestResults(results);
-        } else if (mode === 'study') {
-            resultsHTML = this.createStudyModeResults(results);
+        try {
+            if (!this.classUnitChart) {
+                this.classUnitChart = new ScoreChart('class-unit-canvas', { pointLabel: 'Unit', xAxisTitle: 'Unit' });
+            }
+            if (!this.classTrendChart) {
+                this.classTrendChart = new ScoreChart('class-trend-canvas');
+            }
+        } catch (error) {
+            console.error('Failed to initialize class charts:', error);
+            return;
         }
-        
-        resultsContent.innerHTML = resultsHTML;
-        
-        // Update dashboard data
-        this.updateProgressDisplay();
-        this.updateScoreChart();
+
+        const hasUnitData = Object.values(unitSummary).some(unit => unit.average !== null);
+        this.classUnitChart.updateData(hasUnitData ? [1, 2, 3, 4, 5].map(unitId => ({
+            percentage: unitSummary[unitId].average || 0,
+            score: unitSummary[unitId].average || 0,
+            total: 100
+        })) : []);
+        this.classTrendChart.updateData(trend);
     }
 
     /**
-     * Create unit quiz results HTML
+     * Download the class roster summary as a CSV file
      */
-    createUnitQuizResults(results, unitName) {
-        const { score, questions } = results;
-        const percentage = Math.round((score.correct / score.total) * 100);
-        
-        // Determine performance level
-        let performanceLevel = '';
-        let performanceColor = '';
-        if (percentage >= 90) {
-            performanceLevel = 'Excellent';
-            performanceColor = '#7ED321';
-        } else if (percentage >= 80) {
-            performanceLevel = 'Good';
-            performanceColor = '#4A90E2';
-        } else if (percentage >= 70) {
-            performanceLevel = 'Fair';
-            performanceColor = '#F5A623';
-        } else {
-            performanceLevel = 'Needs Improvement';
-            performanceColor = '#D0021B';
+    downloadClassCSV() {
+        if (!this.classReport || this.classReport.students.length === 0) {
+            this.showNotification('Load student files before downloading the roster.', 'warning');
+            return;
         }
 
-        return `
-            <div class="results-header">
-                <div class="results-icon" style="color: ${performanceColor};">📊</div>
-                <h2>Unit ${results.unitId} Quiz Complete</h2>
-                <div class="unit-name">${unitName}</div>
-            </div>
-            
-            <div class="score-display">
-                <div class="score-circle" style="border-color: ${performanceColor};">
-                    <div class="score-percentage" style="color: ${performanceColor};">${percentage}%</div>
-                    <div class="score-fraction">${score.correct}/${score.total}</div>
-                </div>
-                <div class="performance-level" style="color: ${performanceColor};">
-                    ${performanceLevel}
-                </div>
-            </div>
-            
-            <div class="results-details">
-                <div class="detail-item">
-                    <span class="detail-label">Questions Answered:</span>
-                    <span class="detail-value">${score.total}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Correct Answers:</span>
-                    <span class="detail-value">${score.correct}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Incorrect Answers:</span>
-                    <span class="detail-value">${score.total - score.correct}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Time Spent:</span>
-                    <span class="detail-value">${this.formatDuration(results.duration)}</span>
-                </div>
-            </div>
-            
-            <div class="results-actions">
-                <button class="action-btn primary" onclick="app.retakeUnitQuiz(${results.unitId})">
-                    Retake Unit ${results.unitId}
-                </button>
-                <button class="action-btn secondary" onclick="app.showUnitSelection()">
-                    Choose Different Unit
-                </button>
-            </div>
-        `;
+        const blob = new Blob([this.classReport.toCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `class-report-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
 
     /**
-     * Create practice test results HTML
+     * Open the worksheet generator view
      */
-    createPracticeTestResults(results) {
-        const { score, unitBreakdown } = results;
-        const percentage = Math.round((score.correct / score.total) * 100);
-        
-        return `
-            <div class="results-header">
-                <div class="results-icon">⏱️</div>
-                <h2>Practice Test Complete</h2>
-            </div>
-            
-            <div class="score-display">
-                <div class="score-circle">
-                    <div class="score-percentage">${percentage}%</div>
-                    <div class="score-fraction">${score.correct}/${score.total}</div>
-                </div>
-            </div>
-            
-            <div class="unit-breakdown">
-                <h3>Performance by Unit</h3>
-                ${Object.entries(unitBreakdown).map(([unit, correct]) => `
-                    <div class="breakdown-item">
-                        <span class="breakdown-unit">Unit ${unit}</span>
-                        <span class="breakdown-score">${correct} correct</span>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+    showWorksheets() {
+        if (typeof WorksheetGenerator === 'undefined' || !this.questionManager) {
+            this.showError('The worksheet generator is not available');
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before making worksheets.', 'warning');
+            return;
+        }
+
+        this.navigateToView('worksheet');
     }
 
     /**
-     * Create study mode results HTML
+     * Generate a worksheet from the chosen units, question count and number of versions
+     * @param {Event} e - Form submit event
      */
-    createStudyModeResults(results) {
-        const { score } = results;
-        const percentage = Math.round((score.correct / score.total) * 100);
-        
-        return `
-            <div class="results-header">
-                <div class="results-icon">📖</div>
-                <h2>Study Session Complete</h2>
-            </div>
-            
-            <div class="score-display">
-                <div class="score-circle">
-                    <div class="score-percentage">${percentage}%</div>
-                    <div class="score-fraction">${score.correct}/${score.total}</div>
-                </div>
-            </div>
-            
-            <div class="results-actions">
-                <button class="action-btn primary" onclick="app.handleModeSelection('study')">
-                    Continue Studying
-                </button>
-            </div>
-        `;
+    handleWorksheetSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+
+        if (!this.worksheetGenerator) {
+            this.worksheetGenerator = new WorksheetGenerator(this.questionManager);
+        }
+
+        const units = Array.from(form.querySelectorAll('input[name="worksheet-unit"]:checked')).map(input => parseInt(input.value));
+        if (units.length === 0) {
+            this.showNotification('Choose at least one unit.', 'warning');
+            return;
+        }
+
+        try {
+            const count = parseInt(form.querySelector('#worksheet-count').value);
+            this.currentWorksheet = this.worksheetGenerator.generate({
+                units: units,
+                count: count,
+                versions: parseInt(form.querySelector('#worksheet-versions').value),
+                title: form.querySelector('#worksheet-name').value
+            });
+
+            const drawn = this.currentWorksheet.versions[0].items.length;
+            if (drawn < count) {
+                this.showNotification(`Only ${drawn} questions are available for those units.`, 'info');
+            }
+        } catch (error) {
+            this.showNotification(`Could not make the worksheet: ${error.message}`, 'warning');
+            return;
+        }
+
+        this.renderWorksheet(this.currentWorksheet);
     }
 
     /**
-     * Get unit name by ID
+     * Render each version of a worksheet followed by its answer key, one printed page each
+     * @param {Object} worksheet - Worksheet from WorksheetGenerator.generate()
      */
-    getUnitName(unitId) {
-        const unitNames = {
-            1: 'Foundations of American Democracy',
-            2: 'Interactions Among Branches of Government',
-            3: 'Civil Liberties and Civil Rights',
-            4: 'American Political Ideologies and Beliefs',
-            5: 'Political Participation'
-        };
-        return unitNames[unitId] || `Unit ${unitId}`;
+    renderWorksheet(worksheet) {
+        const output = this.elements.worksheetOutput;
+        if (!output) {
+            return;
+        }
+
+        const title = this.escapeHtml(worksheet.title);
+        const units = worksheet.units ? `Unit${worksheet.units.length === 1 ? '' : 's'} ${worksheet.units.join(', ')}` : 'All units';
+        const multipleVersions = worksheet.versions.length > 1;
+        const versionName = version => multipleVersions ? ` &ndash; Version ${version.label}` : '';
+
+        const pages = worksheet.versions.map(version => `
+            <article class="worksheet-page">
+                <header class="worksheet-page-header">
+                    <h3>${title}${versionName(version)}</h3>
+                    <p class="worksheet-meta">${units} &bull; ${version.items.length} questions</p>
+                    <p class="worksheet-student">
+                        <span>Name ______________________</span>
+                        <span>Date __________</span>
+                        <span>Period ______</span>
+                    </p>
+                </header>
+                <ol class="worksheet-questions">
+                    ${version.items.map(item => `
+                        <li class="worksheet-question">
+                            ${item.showStimulus ? this.renderStimulus(item.question.stimulus) : ''}
+                            <p>${this.escapeHtml(item.question.question)}</p>
+                            <ol class="worksheet-options" type="A">
+                                ${item.options.map(option => `<li>${this.escapeHtml(option)}</li>`).join('')}
+                            </ol>
+                        </li>
+                    `).join('')}
+                </ol>
+            </article>
+        `).join('');
+
+        const keys = worksheet.versions.map(version => `
+            <article class="worksheet-key">
+                <header class="worksheet-page-header">
+                    <h3>${title}${versionName(version)} &ndash; Answer Key</h3>
+                </header>
+                <table class="worksheet-key-table">
+                    <thead>
+                        <tr><th>#</th><th>Answer</th><th>Unit</th><th>Explanation</th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.worksheetGenerator.getAnswerKey(version).map(answer => `
+                            <tr>
+                                <td>${answer.number}</td>
+                                <td><strong>${answer.letter}</strong>. ${this.escapeHtml(answer.answer)}</td>
+                                <td>${answer.unit}</td>
+                                <td>${this.escapeHtml(answer.explanation)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </article>
+        `).join('');
+
+        output.innerHTML = pages + keys;
+
+        [this.elements.worksheetPrintBtn, this.elements.worksheetPrintKeysBtn].forEach(button => {
+            if (button) {
+                button.disabled = false;
+            }
+        });
     }
 
     /**
-     * Format duration in milliseconds to readable format
+     * Print the worksheets or their answer keys; the browser's print dialog can also save a PDF
+     * @param {string} part - 'worksheets' or 'keys'
      */
-    formatDuration(milliseconds) {
-        const seconds = Math.floor(milliseconds / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        
-        if (minutes > 0) {
-            return `${minutes}m ${remainingSeconds}s`;
-        } else {
-            return `${remainingSeconds}s`;
+    printWorksheet(part) {
+        const output = this.elements.worksheetOutput;
+        if (!output || !this.currentWorksheet) {
+            this.showNotification('Make a worksheet first.', 'info');
+            return;
         }
+
+        // The print stylesheet shows only the part chosen
+        output.dataset.print = part;
+        window.print();
     }
 
     /**
-     * Retake unit quiz
+     * Open the list of completed quizzes
      */
-    retakeUnitQuiz(unitId) {
-        this.startUnitQuizWithId(unitId);
+    showQuizHistory() {
+        if (!this.quizHistory) {
+            this.showError('Quiz history is not available');
+            return;
+        }
+
+        if (this.quizEngine && this.quizEngine.isActive) {
+            this.showNotification('Finish or end the current quiz before opening your quiz history.', 'warning');
+            return;
+        }
+
+        this.navigateToView('history');
     }
 
     /**
-     * Update progress display on dashboard
+     * List completed quizzes matching the history mode and unit filters
      */
-    updateProgressDisplay() {
-        if (!this.elements.progressChart) return;
-        
-        const units = [
-            { id: 1, name: 'Foundations of American Democracy' },
-            { id: 2, name: 'Interactions Among Branches of Government' },
-            { id: 3, name: 'Civil Liberties and Civil Rights' },
-            { id: 4, name: 'American Political Ideologies and Beliefs' },
-            { id: 5, name: 'Political Participation' }
-        ];
-        
-        // Clear existing content
-        this.elements.progressChart.innerHTML = '';
-        
-        // Create progress bars for each unit
-        units.forEach(unit => {
-            const unitData = this.state.userProgress.units[unit.id];
-            const aptitude = this.getUserProgressForUnit(unit.id);
-            const seenPercentage = this.getSeenPercentageForUnit(unit.id);
-            const progressItem = this.createProgressBar(unit.name, aptitude, seenPercentage, unitData);
-            this.elements.progressChart.appendChild(progressItem);
+    renderQuizHistory() {
+        const list = this.elements.historyList;
+        if (!list || !this.quizHistory) {
+            return;
+        }
+
+        const mode = this.elements.historyModeFilter ? this.elements.historyModeFilter.value : '';
+        const unitValue = this.elements.historyUnitFilter ? this.elements.historyUnitFilter.value : '';
+        const entries = this.quizHistory.getEntries({ mode: mode || null, unitId: unitValue ? parseInt(unitValue) : null });
+
+        if (this.elements.historyCount) {
+            this.elements.historyCount.textContent = `${entries.length} quiz${entries.length === 1 ? '' : 'zes'}`;
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="editor-empty">No completed quizzes yet. Finished quizzes are listed here.</li>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const score = entry.score;
+            const scoreText = entry.mode === 'frq' && score.pointsPossible ?
+                `${score.pointsEarned}/${score.pointsPossible} pts` : `${score.correct}/${score.totalQuestions} (${score.percentage}%)`;
+            const units = QuizHistory.getUnits(entry);
+            const title = this.resultsDisplay ?
+                this.resultsDisplay.getModeTitle(entry.mode, entry.unitId) : entry.mode;
+
+            return `
+                <li class="history-item">
+                    <div class="history-item-info">
+                        <span class="history-item-title">${this.escapeHtml(title)}</span>
+                        <span class="history-item-meta">
+                            ${new Date(entry.endTime).toLocaleString()}
+                            ${units.length > 0 ? ` • Unit${units.length === 1 ? '' : 's'} ${units.join(', ')}` : ''}
+                        </span>
+                    </div>
+                    <span class="history-item-score">${scoreText}</span>
+                    <div class="history-item-actions">
+                        <button class="control-btn primary history-open-btn" data-quiz-id="${this.escapeHtml(entry.quizId)}">View Results</button>
+                        <button class="control-btn history-remove-btn" data-quiz-id="${this.escapeHtml(entry.quizId)}"
+                            aria-label="Delete ${this.escapeHtml(title)} from ${new Date(entry.endTime).toLocaleDateString()}">Delete</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.history-open-btn').forEach(button => {
+            button.addEventListener('click', () => this.showPastResults(button.dataset.quizId));
+        });
+
+        list.querySelectorAll('.history-remove-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.quizHistory.remove(button.dataset.quizId);
+                this.renderQuizHistory();
+            });
         });
-        
-        // Update summary statistics
-        this.updateProgressSummary();
     }
 
     /**
@@ -2411,11 +4973,13 @@ class App {
         const correctCount = unitData.correct || 0;
         const totalCount = unitData.total || 0;
         const seenCount = unitData.seen || 0;
+        const frqStats = unitData.frq && unitData.frq.responses > 0 ?
+            ` • FRQ ${unitData.frq.pointsEarned}/${unitData.frq.pointsPossible} pts` : '';
         
         progressItem.innerHTML = `
             <div class="progress-info">
                 <div class="progress-label">${label}</div>
-                <div class="progress-stats">${correctCount}/${totalCount} correct • ${seenCount} seen</div>
+                <div class="progress-stats">${correctCount}/${totalCount} correct • ${seenCount} seen${frqStats}</div>
             </div>
             <div class="progress-bars">
                 <div class="progress-bar">
@@ -2432,17 +4996,28 @@ class App {
     }
 
     /**
-     * Get seen percentage for a unit (assuming 100 questions per unit as max)
+     * Get the number of unique questions seen in a unit (from the attempt ledger when available)
      */
-    getSeenPercentageForUnit(unitId) {
+    getSeenCountForUnit(unitId) {
+        if (this.progressTracker) {
+            return this.progressTracker.getUnitSeen(unitId);
+        }
+
         if (!this.state.userProgress || !this.state.userProgress.units) {
             return 0;
         }
-        
-        const unitKey = String(unitId);
-        const unitData = this.state.userProgress.units[unitKey];
-        const seenCount = unitData ? unitData.seen || 0 : 0;
-        const maxQuestions = 100; // Assuming 100 questions per unit
+
+        const unitData = this.state.userProgress.units[String(unitId)];
+        return unitData ? unitData.seen || 0 : 0;
+    }
+
+    /**
+     * Get seen percentage for a unit against the questions available in it
+     */
+    getSeenPercentageForUnit(unitId) {
+        const seenCount = this.getSeenCountForUnit(unitId);
+        const unitQuestions = this.questionManager ? this.questionManager.getQuestionsByUnit(unitId).length : 0;
+        const maxQuestions = unitQuestions > 0 ? unitQuestions : 100; // Fall back to 100 per unit before questions load
         return Math.min(Math.round((seenCount / maxQuestions) * 100), 100);
     }
 
@@ -2467,6 +5042,11 @@ class App {
             overallProgressElement.textContent = `${overallPercentage}%`;
             totalAnsweredElement.textContent = totalAnswered.toString();
         }
+
+        const dueTodayElement = document.getElementById('due-today');
+        if (dueTodayElement && this.progressTracker) {
+            dueTodayElement.textContent = this.progressTracker.getDueCount().toString();
+        }
     }
 
     /**
@@ -2681,6 +5261,11 @@ class App {
      * Get user progress for a specific unit
      */
     getUserProgressForUnit(unitId) {
+        // The tracker knows about adaptive ability estimates
+        if (this.progressTracker) {
+            return this.progressTracker.getUnitAptitude(unitId);
+        }
+
         // Ensure userProgress and units exist
         if (!this.state.userProgress || !this.state.userProgress.units) {
             return 0;
@@ -2719,9 +5304,9 @@ class App {
      */
     loadUserProgress() {
         try {
-            const saved = localStorage.getItem('ap-gov-progress');
+            const saved = this.storageWrapper ? this.storageWrapper.getItem('ap-gov-progress') : localStorage.getItem('ap-gov-progress');
             if (saved) {
-                const parsed = JSON.parse(saved);
+                const parsed = typeof saved === 'string' ? JSON.parse(saved) : saved;
                 // Ensure the structure is valid
                 if (parsed && parsed.units && typeof parsed.units === 'object') {
                     return parsed;
@@ -2740,7 +5325,11 @@ class App {
      */
     saveUserProgress() {
         try {
-            localStorage.setItem('ap-gov-progress', JSON.stringify(this.state.userProgress));
+            if (this.storageWrapper) {
+                this.storageWrapper.setItem('ap-gov-progress', this.state.userProgress);
+            } else {
+                localStorage.setItem('ap-gov-progress', JSON.stringify(this.state.userProgress));
+            }
             console.log('User progress saved');
         } catch (error) {
             console.error('Failed to save user progress:', error);
@@ -2780,17 +5369,27 @@ class App {
     handleQuizComplete(results) {
         console.log('Quiz completed:', results);
         
-        // Update progress tracker
-        if (this.progressTracker) {
-            this.progressTracker.updateProgress(results);
+        // Progress has already been recorded by QuizEngine.endQuiz()
+        if (this.quizHistory) {
+            this.quizHistory.record(results);
         }
-        
-        // Navigate to results view
-        this.navigateToView('results');
+        this.displayQuizResults(results);
+    }
+
+    /**
+     * Show quiz results in the results view
+     * @param {Object} results - Quiz results (QuizEngine.endQuiz() or getPastResults())
+     * @param {boolean} updateHistory - Whether to add a browser history entry
+     */
+    displayQuizResults(results, updateHistory = true) {
+        // Navigate to results view; its link points at these results
+        this.currentResults = results;
+        this.navigateToView('results', updateHistory);
         
         // Display results using ResultsDisplay component
         if (this.resultsDisplay) {
-            const progressData = this.progressTracker ? this.progressTracker.getProgressData() : {};
+            const progressData = this.progressTracker ?
+                { ...this.progressTracker.getOverallProgress(), apPrediction: this.getAPPrediction() } : {};
             this.resultsDisplay.displayResults(results, progressData);
             
             // Set up action button handlers
@@ -2830,12 +5429,24 @@ class App {
                     this.handleModeSelection('study');
                 }
                 break;
+            case 'review-mistakes':
+                this.handleModeSelection('review');
+                break;
+            case 'new-frq':
+                this.handleModeSelection('frq');
+                break;
             case 'continue-study':
                 this.handleModeSelection('study');
                 break;
             case 'take-practice':
                 this.handleModeSelection('practice');
                 break;
+            case 'history':
+                this.showQuizHistory();
+                break;
+            case 'retry-missed':
+                this.retryMissedQuestions(results);
+                break;
             case 'dashboard':
             default:
                 this.handleReturnToDashboard();
@@ -2862,19 +5473,234 @@ class App {
     updateQuizUI(data) {
         if (!data.question) return;
 
-        // Update question counter
+        // Update question counter; adaptive quizzes only know their upper limit
         if (this.elements.questionCounter) {
-            this.elements.questionCounter.textContent = 
+            this.elements.questionCounter.textContent = data.maxQuestions ?
+                `Question ${data.questionNumber} (adaptive, up to ${data.maxQuestions})` :
                 `Question ${data.questionNumber} of ${data.totalQuestions}`;
         }
 
         // Update question content
+        const isFRQ = typeof FRQQuestion !== 'undefined' && data.question instanceof FRQQuestion;
         if (this.elements.questionContainer) {
-            this.elements.questionContainer.innerHTML = this.renderQuestion(data.question, data.currentAnswer);
+            if (isFRQ) {
+                const answer = this.quizEngine.answers[data.questionIndex] || null;
+                this.elements.questionContainer.innerHTML = this.renderFRQQuestion(data.question, answer);
+                this.bindFRQControls();
+            } else {
+                this.elements.questionContainer.innerHTML = this.renderQuestion(data.question, data.currentAnswer);
+            }
+        }
+
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.textContent = isFRQ ?
+                (data.isAnswered ? 'Update Response' : 'Submit Response') : 'Submit Answer';
         }
 
         // Update navigation buttons
         this.updateNavigationButtons(data);
+        this.updateFlagButton(data.isFlagged);
+    }
+
+    /**
+     * Show the flag state of the current question; flags aren't offered in study mode
+     * @param {boolean} isFlagged - Whether the current question is flagged
+     */
+    updateFlagButton(isFlagged) {
+        const reviewable = this.currentMode !== 'study';
+
+        if (this.elements.flagBtn) {
+            this.elements.flagBtn.style.display = reviewable ? 'inline-block' : 'none';
+            this.elements.flagBtn.classList.toggle('flagged', !!isFlagged);
+            this.elements.flagBtn.setAttribute('aria-pressed', isFlagged ? 'true' : 'false');
+            this.elements.flagBtn.textContent = isFlagged ? 'Flagged' : 'Flag for Review';
+        }
+
+        if (this.elements.reviewGridBtn) {
+            this.elements.reviewGridBtn.style.display = reviewable ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Flag or unflag the current question for review
+     */
+    handleToggleFlag() {
+        if (!this.quizEngine || !this.quizEngine.isActive || this.currentMode === 'study') {
+            return;
+        }
+
+        const isFlagged = this.quizEngine.toggleFlag();
+        this.updateFlagButton(isFlagged);
+        this.announceToScreenReader(isFlagged ? 'Question flagged for review' : 'Flag removed');
+    }
+
+    /**
+     * Show the review overview: every question's answered/flagged status, with jump-to navigation
+     */
+    showReviewGrid() {
+        if (!this.quizEngine || !this.quizEngine.isActive || this.currentMode === 'study') {
+            return;
+        }
+
+        const statuses = this.quizEngine.getQuestionStatuses();
+        const answeredCount = statuses.filter(status => status.isAnswered).length;
+        const flaggedCount = statuses.filter(status => status.isFlagged).length;
+        const describe = (status) => `Question ${status.number}: ${status.isAnswered ? 'answered' : 'unanswered'}` +
+            `${status.isFlagged ? ', flagged' : ''}${status.isCurrent ? ', current question' : ''}`;
+
+        const modal = document.createElement('div');
+        modal.className = 'unit-selection-modal review-grid-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Review Questions</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="review-grid-legend">
+                        <span class="review-grid-key answered">Answered (${answeredCount})</span>
+                        <span class="review-grid-key unanswered">Unanswered (${statuses.length - answeredCount})</span>
+                        <span class="review-grid-key flagged">Flagged (${flaggedCount})</span>
+                    </div>
+                    <div class="review-grid" role="list">
+                        ${statuses.map(status => `
+                            <button type="button" role="listitem"
+                                    class="review-grid-item ${status.isAnswered ? 'answered' : 'unanswered'}${status.isFlagged ? ' flagged' : ''}${status.isCurrent ? ' current' : ''}"
+                                    data-question-index="${status.index}"
+                                    aria-label="${describe(status)}" title="${describe(status)}">
+                                ${status.number}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <div class="modal-actions">
+                        <button class="modal-btn secondary" id="review-grid-return-btn">Return to Question</button>
+                        <button class="modal-btn primary" id="review-grid-submit-btn">${this.currentMode === 'practice' ? 'Submit Test' : 'End Quiz'}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        };
+
+        modal.querySelectorAll('.review-grid-item').forEach(item => {
+            item.addEventListener('click', () => {
+                closeModal();
+                this.quizEngine.navigateToQuestion(parseInt(item.dataset.questionIndex));
+            });
+        });
+
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('#review-grid-return-btn').addEventListener('click', closeModal);
+        modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) {
+                closeModal();
+            }
+        });
+        modal.querySelector('#review-grid-submit-btn').addEventListener('click', () => {
+            closeModal();
+            this.handleEndQuiz();
+        });
+        document.addEventListener('keydown', handleEscape);
+
+        const current = modal.querySelector('.review-grid-item.current');
+        if (current) {
+            current.focus();
+        }
+    }
+
+    /**
+     * Render free-response question HTML: stimulus, prompt, response box and (once submitted) the rubric
+     * @param {FRQQuestion} question - Free-response question
+     * @param {Object|null} answer - Submitted answer, if any
+     * @returns {string} Question HTML
+     */
+    renderFRQQuestion(question, answer) {
+        const multiline = (text) => this.escapeHtml(text).replace(/\n/g, '<br>');
+        const response = answer ? answer.response : '';
+        const awarded = answer && answer.awardedPoints ? answer.awardedPoints : [];
+        const stimulus = question.stimulus;
+
+        return `
+            <div class="question-content frq-content">
+                <div class="frq-type">${question.getTypeName()} • Unit ${question.unit}: ${question.getUnitName()}</div>
+                ${stimulus ? `
+                    <div class="frq-stimulus">
+                        ${stimulus.title ? `<h4>${this.escapeHtml(stimulus.title)}</h4>` : ''}
+                        <p>${multiline(stimulus.text)}</p>
+                        ${stimulus.source ? `<cite>Source: ${this.escapeHtml(stimulus.source)}</cite>` : ''}
+                    </div>
+                ` : ''}
+                <h3 class="question-text frq-prompt">${multiline(question.prompt)}</h3>
+                <label for="frq-response" class="sr-only">Your response</label>
+                <textarea id="frq-response" class="frq-response" rows="12"
+                          placeholder="Write your response here...">${this.escapeHtml(response)}</textarea>
+                <div class="frq-word-count" aria-live="polite">${this.formatWordCount(FRQQuestion.countWords(response))}</div>
+                ${answer ? `
+                    <fieldset class="frq-rubric">
+                        <legend>Score your response (${question.getMaxPoints()} points possible)</legend>
+                        ${question.rubric.map(point => `
+                            <label class="frq-rubric-point">
+                                <input type="checkbox" value="${this.escapeHtml(point.id)}"
+                                       ${awarded.includes(point.id) ? 'checked' : ''}>
+                                <span class="frq-rubric-description">${this.escapeHtml(point.description)}</span>
+                                <span class="frq-rubric-value">${point.points} pt${point.points === 1 ? '' : 's'}</span>
+                            </label>
+                        `).join('')}
+                        ${question.sampleResponse ? `
+                            <details class="frq-sample">
+                                <summary>Show sample response</summary>
+                                <p>${multiline(question.sampleResponse)}</p>
+                            </details>
+                        ` : ''}
+                        <button type="button" id="frq-score-btn" class="modal-btn primary">Save Score</button>
+                    </fieldset>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Format a response word count for display
+     * @param {number} words - Word count
+     * @returns {string} Display text
+     */
+    formatWordCount(words) {
+        return `${words} word${words === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Wire up the word counter and rubric scoring for the rendered free-response question
+     */
+    bindFRQControls() {
+        const textarea = document.getElementById('frq-response');
+        const wordCount = document.querySelector('.frq-word-count');
+        if (textarea && wordCount) {
+            textarea.addEventListener('input', () => {
+                wordCount.textContent = this.formatWordCount(FRQQuestion.countWords(textarea.value));
+                if (this.elements.submitBtn) {
+                    this.elements.submitBtn.disabled = textarea.value.trim().length === 0;
+                }
+            });
+        }
+
+        const scoreBtn = document.getElementById('frq-score-btn');
+        if (scoreBtn) {
+            scoreBtn.addEventListener('click', () => this.handleFRQScore());
+        }
     }
 
     /**
@@ -2883,13 +5709,14 @@ class App {
     renderQuestion(question, selectedAnswer) {
         return `
             <div class="question-content">
-                <h3 class="question-text">${question.question}</h3>
+                ${this.renderStimulus(question.stimulus)}
+                <h3 class="question-text">${this.escapeHtml(question.question)}</h3>
                 <div class="question-options">
                     ${question.options.map((option, index) => `
                         <label class="option-label ${selectedAnswer === index ? 'selected' : ''}">
                             <input type="radio" name="answer" value="${index}" 
                                    ${selectedAnswer === index ? 'checked' : ''}>
-                            <span class="option-text">${String.fromCharCode(65 + index)}. ${option}</span>
+                            <span class="option-text">${String.fromCharCode(65 + index)}. ${this.escapeHtml(option)}</span>
                         </label>
                     `).join('')}
                 </div>
@@ -2897,6 +5724,49 @@ class App {
         `;
     }
 
+    /**
+     * Render a shared stimulus (passage, data table or image) pinned above the question
+     * @param {Object|null} stimulus - Question stimulus
+     * @returns {string} Stimulus HTML, or an empty string when there is none
+     */
+    renderStimulus(stimulus) {
+        if (!stimulus) return '';
+
+        let body = '';
+        switch (stimulus.type) {
+            case 'text':
+                body = `<blockquote class="stimulus-text">${this.escapeHtml(stimulus.text).replace(/\n/g, '<br>')}</blockquote>`;
+                break;
+            case 'table':
+                body = `
+                    <div class="stimulus-table-wrapper">
+                        <table class="stimulus-table">
+                            <thead>
+                                <tr>${stimulus.table.headers.map(header => `<th scope="col">${this.escapeHtml(header)}</th>`).join('')}</tr>
+                            </thead>
+                            <tbody>
+                                ${stimulus.table.rows.map(row => `
+                                    <tr>${row.map(cell => `<td>${this.escapeHtml(cell)}</td>`).join('')}</tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `;
+                break;
+            case 'image':
+                body = `<img class="stimulus-image" src="${this.escapeHtml(stimulus.src)}" alt="${this.escapeHtml(stimulus.alt)}">`;
+                break;
+        }
+
+        return `
+            <figure class="question-stimulus stimulus-${stimulus.type}">
+                ${stimulus.title ? `<figcaption class="stimulus-title">${this.escapeHtml(stimulus.title)}</figcaption>` : ''}
+                ${body}
+                ${stimulus.source ? `<cite class="stimulus-source">Source: ${this.escapeHtml(stimulus.source)}</cite>` : ''}
+            </figure>
+        `;
+    }
+
     /**
      * Update navigation button states
      */
@@ -2911,7 +5781,9 @@ class App {
         
         if (this.elements.submitBtn) {
             // Enable submit button if answer is selected OR if question was already answered
-            const hasSelection = this.getSelectedAnswer() !== null;
+            const responseBox = document.getElementById('frq-response');
+            const hasSelection = responseBox ?
+                responseBox.value.trim().length > 0 : this.getSelectedAnswer() !== null;
             this.elements.submitBtn.disabled = !data.isAnswered && !hasSelection;
         }
     }
@@ -3228,6 +6100,11 @@ class App {
      * Save complete application state
      */
     saveApplicationState() {
+        // State was already saved (or its profile deleted) before a profile reload
+        if (this.profileReloadPending) {
+            return;
+        }
+
         try {
             const stateToSave = {
                 sessionId: this.state.sessionId,
@@ -3242,7 +6119,7 @@ class App {
             
             // Save to localStorage with error handling
             if (this.storageWrapper) {
-                this.storageWrapper.setItem('app_state', JSON.stringify(stateToSave));
+                this.storageWrapper.setItem('app_state', stateToSave);
                 this.state.lastSavedState = stateToSave;
                 console.log('Application state saved successfully');
             }
@@ -3282,13 +6159,14 @@ class App {
                 return false;
             }
             
-            const savedStateStr = this.storageWrapper.getItem('app_state');
-            if (!savedStateStr) {
+            const storedState = this.storageWrapper.getItem('app_state');
+            if (!storedState) {
                 console.log('No saved state found');
                 return false;
             }
             
-            const savedState = JSON.parse(savedStateStr);
+            // Version 0 state was a JSON string; it stays that way if its migration failed
+            const savedState = typeof storedState === 'string' ? JSON.parse(storedState) : storedState;
             
             // Validate saved state
             if (!this.isValidSavedState(savedState)) {
@@ -3554,7 +6432,11 @@ class App {
                 timestamp: Date.now()
             };
             
-            localStorage.setItem('app_critical_backup', JSON.stringify(criticalData));
+            if (this.storageWrapper) {
+                this.storageWrapper.setItem('app_critical_backup', criticalData);
+            } else {
+                localStorage.setItem('app_critical_backup', JSON.stringify(criticalData));
+            }
             console.log('Critical data saved to backup storage');
             
         } catch (backupError) {
@@ -3571,9 +6453,9 @@ class App {
         
         // Try to restore from backup
         try {
-            const backupData = localStorage.getItem('app_critical_backup');
+            const backupData = this.storageWrapper ? this.storageWrapper.getItem('app_critical_backup') : localStorage.getItem('app_critical_backup');
             if (backupData) {
-                const parsed = JSON.parse(backupData);
+                const parsed = typeof backupData === 'string' ? JSON.parse(backupData) : backupData;
                 this.state.userProgress = parsed.userProgress;
                 console.log('Restored from backup data');
             }
@@ -0,0 +1,261 @@
+/**
+ * ClassReport - Combines exported student progress files into a class-level report
+ * Each file is read through ProgressTransfer (so older exports are migrated and validated) and
+ * loaded into its own in-memory ProgressTracker, then aggregated per unit, per practice test and per question
+ */
+class ClassReport {
+    /**
+     * @param {ProgressTransfer} progressTransfer - Used to parse and validate export files
+     */
+    constructor(progressTransfer) {
+        this.progressTransfer = progressTransfer;
+        this.students = [];
+        this.predictor = typeof APScorePredictor !== 'undefined' ? new APScorePredictor() : null;
+    }
+
+    /**
+     * Add a student's exported progress file
+     * Loading a file with the same export ID again replaces the earlier copy
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used as the student name when the export has none
+     * @returns {Object} Student record ({id, name, fileName, exportedAt, tracker})
+     * @throws {Error} If the file is not a readable progress export
+     */
+    addStudentFile(text, fileName = '') {
+        const data = this.progressTransfer.parseImport(text);
+        const baseName = fileName.replace(/\.json$/i, '');
+
+        // Each student's data is kept in memory, so their tracker never touches this device's own progress
+        const storage = new StorageWrapper(null, null, new MemoryStorageBackend());
+        storage.setItem('ap-gov-progress', data.progress);
+        storage.setItem('ap-gov-question-history', data.history);
+
+        const student = {
+            id: data.exportId || fileName || `student_${this.students.length + 1}`,
+            name: data.profileName || baseName || `Student ${this.students.length + 1}`,
+            fileName: fileName,
+            exportedAt: data.exportedAt,
+            tracker: new ProgressTracker(storage)
+        };
+
+        this.students = this.students.filter(existing => existing.id !== student.id);
+        this.students.push(student);
+        this.students.sort((a, b) => a.name.localeCompare(b.name));
+
+        return student;
+    }
+
+    /**
+     * Remove a student from the report
+     * @param {string} studentId - Student ID
+     */
+    removeStudent(studentId) {
+        this.students = this.students.filter(student => student.id !== studentId);
+    }
+
+    /**
+     * Remove every student
+     */
+    clear() {
+        this.students = [];
+    }
+
+    /**
+     * Summarize one student for the roster
+     * @param {Object} student - Student record
+     * @returns {Object} Summary ({id, name, exportedAt, units, questionsAnswered, practiceTests, firstScore,
+     *                   latestScore, bestScore, change, predictedAPScore})
+     */
+    getStudentSummary(student) {
+        const tracker = student.tracker;
+        const tests = tracker.getPracticeTestHistory();
+        const units = {};
+        let questionsAnswered = 0;
+
+        for (let unitId = 1; unitId <= 5; unitId++) {
+            const progress = tracker.getUnitProgress(unitId);
+            questionsAnswered += progress.total;
+            units[unitId] = this.hasUnitData(tracker, unitId) ? tracker.getUnitAptitude(unitId) : null;
+        }
+
+        const prediction = this.predictor ? this.predictor.predictFromProgress(tracker) : null;
+        const first = tests.length > 0 ? tests[0].percentage : null;
+        const latest = tests.length > 0 ? tests[tests.length - 1].percentage : null;
+
+        return {
+            id: student.id,
+            name: student.name,
+            exportedAt: student.exportedAt,
+            units: units,
+            questionsAnswered: questionsAnswered,
+            practiceTests: tests.length,
+            firstScore: first,
+            latestScore: latest,
+            bestScore: tests.length > 0 ? Math.max(...tests.map(test => test.percentage)) : null,
+            change: tests.length > 1 ? latest - first : null,
+            predictedAPScore: prediction ? prediction.apScore : null
+        };
+    }
+
+    /**
+     * Get the roster summary for every student
+     * @returns {Array} Student summaries, by name
+     */
+    getRoster() {
+        return this.students.map(student => this.getStudentSummary(student));
+    }
+
+    /**
+     * Aggregate aptitude per unit across students who have worked on the unit
+     * @returns {Object} Per unit ({average, min, max, students, correct, total})
+     */
+    getUnitSummary() {
+        const summary = {};
+
+        for (let unitId = 1; unitId <= 5; unitId++) {
+            const studied = this.students.filter(student => this.hasUnitData(student.tracker, unitId));
+            const aptitudes = studied.map(student => student.tracker.getUnitAptitude(unitId));
+            const progress = studied.map(student => student.tracker.getUnitProgress(unitId));
+
+            summary[unitId] = {
+                average: aptitudes.length > 0 ? Math.round(aptitudes.reduce((sum, value) => sum + value, 0) / aptitudes.length) : null,
+                min: aptitudes.length > 0 ? Math.min(...aptitudes) : null,
+                max: aptitudes.length > 0 ? Math.max(...aptitudes) : null,
+                students: studied.length,
+                correct: progress.reduce((sum, unit) => sum + unit.correct, 0),
+                total: progress.reduce((sum, unit) => sum + unit.total, 0)
+            };
+        }
+
+        return summary;
+    }
+
+    /**
+     * Class practice test trend: each student's first test pooled together, then each second test, and so on
+     * @returns {Array} Records ({testNumber, score, total, percentage, students, date}) for ScoreChart
+     */
+    getPracticeTrend() {
+        const trend = [];
+
+        this.students.forEach(student => {
+            student.tracker.getPracticeTestHistory().forEach((test, index) => {
+                if (!trend[index]) {
+                    trend[index] = { testNumber: index + 1, score: 0, total: 0, percentage: 0, students: 0, date: null };
+                }
+
+                const point = trend[index];
+                point.score += test.score;
+                point.total += test.total;
+                point.students++;
+                if (!point.date || new Date(test.date) > new Date(point.date)) {
+                    point.date = test.date;
+                }
+            });
+        });
+
+        return trend.map(point => ({
+            ...point,
+            percentage: point.total > 0 ? Math.round((point.score / point.total) * 100) : 0
+        }));
+    }
+
+    /**
+     * Get the questions missed most across the class
+     * @param {number} limit - Maximum number of questions
+     * @returns {Array} Summaries ({questionId, unit, attempts, incorrect, missRate, students, studentsMissed}),
+     *                  where students counts who answered the question and studentsMissed who missed it at least once
+     */
+    getMostMissed(limit = 10) {
+        const combined = new Map();
+
+        this.students.forEach(student => {
+            const answered = new Set();
+            const missed = new Set();
+
+            student.tracker.getAttemptHistory().forEach(attempt => {
+                const entry = combined.get(attempt.questionId) || {
+                    questionId: attempt.questionId, unit: attempt.unit,
+                    attempts: 0, incorrect: 0, missRate: 0, students: 0, studentsMissed: 0
+                };
+
+                entry.attempts++;
+                answered.add(attempt.questionId);
+                if (!attempt.isCorrect) {
+                    entry.incorrect++;
+                    missed.add(attempt.questionId);
+                }
+                combined.set(attempt.questionId, entry);
+            });
+
+            answered.forEach(questionId => combined.get(questionId).students++);
+            missed.forEach(questionId => combined.get(questionId).studentsMissed++);
+        });
+
+        return Array.from(combined.values())
+            .filter(entry => entry.incorrect > 0)
+            .map(entry => ({ ...entry, missRate: Math.round((entry.incorrect / entry.attempts) * 100) }))
+            .sort((a, b) => b.studentsMissed - a.studentsMissed || b.incorrect - a.incorrect || b.missRate - a.missRate)
+            .slice(0, limit);
+    }
+
+    /**
+     * Build the roster summary as CSV
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const header = [
+            'Student', 'Exported', 'Questions Answered',
+            'Unit 1 %', 'Unit 2 %', 'Unit 3 %', 'Unit 4 %', 'Unit 5 %',
+            'Practice Tests', 'First Test %', 'Latest Test %', 'Best Test %', 'Change', 'Predicted AP Score'
+        ];
+
+        const rows = this.getRoster().map(summary => [
+            summary.name,
+            summary.exportedAt ? summary.exportedAt.slice(0, 10) : '',
+            summary.questionsAnswered,
+            ...[1, 2, 3, 4, 5].map(unitId => summary.units[unitId]),
+            summary.practiceTests,
+            summary.firstScore,
+            summary.latestScore,
+            summary.bestScore,
+            summary.change,
+            summary.predictedAPScore
+        ]);
+
+        return [header, ...rows].map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n');
+    }
+
+    /**
+     * Whether a student has worked on a unit (answered questions or has an adaptive estimate)
+     * @param {ProgressTracker} tracker - Student tracker
+     * @param {number} unitId - Unit number (1-5)
+     * @returns {boolean} True if the unit has data
+     */
+    hasUnitData(tracker, unitId) {
+        const progress = tracker.getUnitProgress(unitId);
+        return progress.total > 0 || Boolean(progress.ability);
+    }
+
+    /**
+     * Quote a CSV value when needed
+     * Values starting with a formula character are prefixed so spreadsheets don't run them
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClassReport;
+}
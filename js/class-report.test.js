@@ -0,0 +1,206 @@
+/**
+ * Unit tests for ClassReport
+ * Tests loading student export files, unit and practice test aggregation, most-missed questions and CSV output
+ */
+
+/**
+ * Build a student's export file from recorded work
+ * @param {string} name - Profile name in the export
+ * @param {Function} record - Records work on the student's tracker
+ */
+function createStudentExport(name, record) {
+    const tracker = new ProgressTracker(new StorageWrapper(null, null, new MemoryStorageBackend()));
+    record(tracker);
+    return new ProgressTransfer(tracker).exportToJSON({ profileName: name });
+}
+
+// Each attempt gets its own quiz, since the tracker keeps one attempt per question per quiz
+function recordClassAttempt(tracker, questionId, unit, isCorrect) {
+    const quizId = `quiz_${tracker.getAttemptHistory().length + 1}`;
+    tracker.recordAttempt({ questionId, unit, selectedAnswer: 0, isCorrect, timeSpent: 4000, mode: 'unit', quizId });
+}
+
+/**
+ * Build a report with two students
+ */
+function createTestClassReport() {
+    const report = new ClassReport(new ProgressTransfer(new ProgressTracker(new StorageWrapper(null, null, new MemoryStorageBackend()))));
+
+    report.addStudentFile(createStudentExport('Morgan', tracker => {
+        tracker.updateUnitProgress(1, 8, 10);
+        tracker.recordPracticeTest(30, 55, {}, {});
+        tracker.recordPracticeTest(44, 55, {}, {});
+        recordClassAttempt(tracker, 'q1', 1, false);
+        recordClassAttempt(tracker, 'q1', 1, false);
+        recordClassAttempt(tracker, 'q2', 1, true);
+    }), 'morgan.json');
+
+    report.addStudentFile(createStudentExport('Casey', tracker => {
+        tracker.updateUnitProgress(1, 4, 10);
+        tracker.updateUnitProgress(3, 6, 10);
+        tracker.recordPracticeTest(22, 55, {}, {});
+        recordClassAttempt(tracker, 'q1', 1, true);
+        recordClassAttempt(tracker, 'q2', 1, false);
+        recordClassAttempt(tracker, 'q3', 3, false);
+    }), 'casey.json');
+
+    return report;
+}
+
+/**
+ * Test Suite: Loading student files
+ */
+function testLoadStudentFiles() {
+    console.log('Testing student file loading...');
+
+    const report = createTestClassReport();
+    assert(report.students.length === 2, 'Both students should be loaded');
+    assert(report.students[0].name === 'Casey', 'Students should be sorted by name');
+    const studentStorage = report.students[0].tracker.storage;
+    assert(studentStorage.backend instanceof MemoryStorageBackend &&
+        typeof studentStorage.backend.getItem('ap-gov-progress') === 'string',
+        'Student data should be stored serialized in memory, as the app stores it');
+
+    // The same export loaded again replaces the earlier copy
+    const exportText = createStudentExport('Jordan', tracker => tracker.updateUnitProgress(2, 1, 2));
+    report.addStudentFile(exportText, 'jordan.json');
+    report.addStudentFile(exportText, 'jordan-copy.json');
+    assert(report.students.length === 3, 'Loading the same export twice should not duplicate the student');
+
+    // Files without a profile name are named after the file
+    const unnamed = JSON.parse(createStudentExport(null, tracker => tracker.updateUnitProgress(2, 1, 2)));
+    delete unnamed.profileName;
+    const student = report.addStudentFile(JSON.stringify(unnamed), 'Period 3 - Riley.json');
+    assert(student.name === 'Period 3 - Riley', 'Unnamed exports should use the file name');
+
+    let threw = false;
+    try {
+        report.addStudentFile('not json', 'broken.json');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unreadable files should throw');
+    assert(report.students.length === 4, 'Unreadable files should not be added');
+
+    report.removeStudent(student.id);
+    assert(report.students.length === 3, 'Students should be removable');
+    report.clear();
+    assert(report.getRoster().length === 0, 'Clearing should remove every student');
+
+    console.log('✓ Student file loading tests passed');
+}
+
+/**
+ * Test Suite: Roster, unit and practice test aggregation
+ */
+function testAggregation() {
+    console.log('Testing class aggregation...');
+
+    const report = createTestClassReport();
+    const roster = report.getRoster();
+    const morgan = roster.find(student => student.name === 'Morgan');
+    assert(morgan.practiceTests === 2 && morgan.firstScore === 55 && morgan.latestScore === 80, 'Roster should list practice test scores');
+    assert(morgan.change === 25 && morgan.bestScore === 80, 'Roster should show improvement');
+    assert(morgan.units[1] !== null && morgan.units[2] === null, 'Units without work should have no aptitude');
+    assert(roster.find(student => student.name === 'Casey').change === null, 'One test has no change');
+
+    const units = report.getUnitSummary();
+    assert(units[1].students === 2 && units[1].correct === 12 && units[1].total === 20, 'Unit totals should be pooled');
+    assert(units[1].min <= units[1].average && units[1].average <= units[1].max, 'Unit average should lie in its range');
+    assert(units[3].students === 1, 'Only students who studied a unit should count');
+    assert(units[5].average === null && units[5].students === 0, 'Unstudied units should have no average');
+
+    const trend = report.getPracticeTrend();
+    assert(trend.length === 2, 'Trend should have a point per test number');
+    assert(trend[0].students === 2 && trend[0].score === 52 && trend[0].total === 110, 'First tests should be pooled');
+    assert(trend[0].percentage === 47, 'Pooled percentage should be computed from the totals');
+    assert(trend[1].students === 1 && trend[1].percentage === 80, 'Later tests should only include students who took them');
+
+    console.log('✓ Class aggregation tests passed');
+}
+
+/**
+ * Test Suite: Most missed questions
+ */
+function testMostMissed() {
+    console.log('Testing most missed questions...');
+
+    const missed = createTestClassReport().getMostMissed();
+    const q1 = missed.find(entry => entry.questionId === 'q1');
+    assert(q1.students === 2 && q1.studentsMissed === 1, 'Students answering and missing should be counted separately');
+    assert(q1.attempts === 3 && q1.incorrect === 2 && q1.missRate === 67, 'Correct answers should count toward the miss rate');
+    assert(missed.some(entry => entry.questionId === 'q3' && entry.unit === 3), 'Entries should keep their unit');
+    assert(createTestClassReport().getMostMissed(1).length === 1, 'Results should be limited');
+
+    console.log('✓ Most missed question tests passed');
+}
+
+/**
+ * Test Suite: CSV roster
+ */
+function testCSV() {
+    console.log('Testing roster CSV...');
+
+    const report = createTestClassReport();
+    report.addStudentFile(createStudentExport('=HYPERLINK("x"), Jr', tracker => tracker.updateUnitProgress(1, 1, 1)), 'evil.json');
+
+    const lines = report.toCSV().split('\r\n');
+    assert(lines[0].startsWith('Student,Exported,Questions Answered,Unit 1 %'), 'CSV should start with a header row');
+    assert(lines.length === 4, 'CSV should have a row per student');
+    assert(lines.some(line => line.startsWith('"\'=HYPERLINK(""x""), Jr"')), 'Formulas should be neutralized and quotes escaped');
+
+    const morgan = lines.find(line => line.startsWith('Morgan')).split(',');
+    assert(morgan[4] === '', 'Units without work should be blank');
+    assert(morgan[8] === '2' && morgan[12] === '25', 'Practice test columns should be filled in');
+    assert(report.escapeCSV(-5) === '-5', 'Negative numbers should not be treated as formulas');
+
+    console.log('✓ Roster CSV tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runClassReportTests() {
+    console.log('Running ClassReport Tests...\n');
+
+    try {
+        testLoadStudentFiles();
+        testAggregation();
+        testMostMissed();
+        testCSV();
+
+        console.log('\n✅ All ClassReport tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runClassReportTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.StorageWrapper = require('./storage-wrapper.js');
+    global.MemoryStorageBackend = require('./memory-storage-backend.js');
+    global.SpacedRepetitionScheduler = require('./spaced-repetition.js');
+    global.ExamBlueprint = require('./exam-blueprint.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    global.ProgressTransfer = require('./progress-transfer.js');
+    global.APScorePredictor = require('./score-predictor.js');
+    global.ClassReport = require('./class-report.js');
+    runClassReportTests();
+}
@@ -156,26 +156,38 @@ class ConfirmationDialogs {
     }
 
     /**
-     * Show confirmation dialog for submitting quiz with unanswered questions
-     * @param {number} unansweredCount - Number of unanswered questions
+     * Show confirmation dialog for submitting quiz with unanswered or flagged questions
+     * @param {Array<number>|number} unanswered - Unanswered question numbers (1-based), or just a count
      * @param {string} mode - Quiz mode
+     * @param {Array<number>} flagged - Question numbers (1-based) flagged for review
      * @returns {Promise<boolean>} Promise that resolves to user's choice
      */
-    async confirmSubmitIncomplete(unansweredCount, mode) {
-        let message = `You have ${unansweredCount} unanswered question${unansweredCount > 1 ? 's' : ''}.<br><br>`;
-        
-        if (mode === 'practice') {
-            message += `Unanswered questions will be marked as incorrect and will affect your practice test score.<br><br>`;
-        } else {
-            message += `Only answered questions will be included in your score calculation.<br><br>`;
+    async confirmSubmitIncomplete(unanswered, mode, flagged = []) {
+        const unansweredCount = Array.isArray(unanswered) ? unanswered.length : unanswered;
+        let message = '';
+
+        if (unansweredCount > 0) {
+            message += `You have ${unansweredCount} unanswered question${unansweredCount > 1 ? 's' : ''}`;
+            message += Array.isArray(unanswered) ? `: ${this.formatQuestionNumbers(unanswered)}.<br><br>` : '.<br><br>';
+
+            if (mode === 'practice') {
+                message += `Unanswered questions will be marked as incorrect and will affect your practice test score.<br><br>`;
+            } else {
+                message += `Only answered questions will be included in your score calculation.<br><br>`;
+            }
+        }
+
+        if (flagged.length > 0) {
+            message += `You flagged ${flagged.length} question${flagged.length > 1 ? 's' : ''} for review: `;
+            message += `${this.formatQuestionNumbers(flagged)}.<br><br>`;
         }
         
         message += `Would you like to:<br>`;
-        message += `• <strong>Review</strong> unanswered questions (Cancel)<br>`;
+        message += `• <strong>Review</strong> ${unansweredCount > 0 ? 'unanswered' : 'flagged'} questions (Cancel)<br>`;
         message += `• <strong>Submit</strong> the quiz as-is (OK)`;
         
         const options = {
-            title: 'Submit Incomplete Quiz',
+            title: unansweredCount > 0 ? 'Submit Incomplete Quiz' : 'Submit Quiz',
             confirmText: 'Submit Quiz',
             cancelText: 'Review Questions',
             type: 'warning',
@@ -185,6 +197,30 @@ class ConfirmationDialogs {
         return await this.errorHandler.showConfirmDialog(message, options);
     }
 
+    /**
+     * Format question numbers as a compact list, collapsing runs into ranges (e.g. "1-3, 7, 9")
+     * @param {Array<number>} numbers - Question numbers
+     * @returns {string} Formatted list
+     */
+    formatQuestionNumbers(numbers) {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const ranges = [];
+
+        sorted.forEach(number => {
+            const last = ranges[ranges.length - 1];
+            if (last && number === last.end + 1) {
+                last.end = number;
+            } else {
+                ranges.push({ start: number, end: number });
+            }
+        });
+
+        return ranges.map(({ start, end }) => {
+            if (start === end) return `${start}`;
+            return end === start + 1 ? `${start}, ${end}` : `${start}-${end}`;
+        }).join(', ');
+    }
+
     /**
      * Show confirmation dialog for auto-submit warning (practice tests)
      * @param {string} timeRemaining - Time remaining before auto-submit
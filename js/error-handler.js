@@ -133,6 +133,7 @@ class ErrorHandler {
      * @param {string} type - Notification type: 'info', 'success', 'warning', 'error'
      * @param {number} duration - Duration in milliseconds (0 for persistent)
      * @param {Object} options - Additional options
+     * @param {Array} options.actions - Buttons to show, as { label, onClick }; clicking one also closes the notification
      * @returns {string} Notification ID
      */
     showNotification(message, type = 'info', duration = null, options = {}) {
@@ -199,6 +200,23 @@ class ErrorHandler {
             ` : ''}
         `;
         
+        // Add action buttons
+        if (notification.actions && notification.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            notification.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'notification-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    this.removeNotification(notification.id);
+                    action.onClick();
+                });
+                actions.appendChild(button);
+            });
+            element.querySelector('.notification-message').appendChild(actions);
+        }
+        
         // Add close button handler
         const closeBtn = element.querySelector('.notification-close');
         closeBtn.addEventListener('click', () => {
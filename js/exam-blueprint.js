@@ -0,0 +1,135 @@
+/**
+ * ExamBlueprint - Practice test configuration
+ * Sets the question count, per-unit weighting and time limit for practice tests.
+ * Presets follow the College Board unit weightings for the multiple-choice section.
+ */
+class ExamBlueprint {
+    constructor(data = {}) {
+        this.id = data.id || 'custom';
+        this.name = data.name || 'Custom';
+        this.questionCount = data.questionCount;
+        this.timeLimit = data.timeLimit;   // Minutes
+        this.unitWeights = { ...data.unitWeights };  // Percent of questions per unit
+
+        this.validate();
+    }
+
+    /**
+     * Validates the blueprint
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!Number.isInteger(this.questionCount) || this.questionCount < 1) {
+            throw new Error('Question count must be a positive whole number');
+        }
+
+        if (typeof this.timeLimit !== 'number' || !(this.timeLimit > 0)) {
+            throw new Error('Time limit must be a positive number of minutes');
+        }
+
+        let totalWeight = 0;
+        for (let unit = 1; unit <= 5; unit++) {
+            const weight = this.unitWeights[unit] === undefined ? 0 : this.unitWeights[unit];
+            if (typeof weight !== 'number' || weight < 0 || isNaN(weight)) {
+                throw new Error(`Unit ${unit} weight must be a non-negative percentage`);
+            }
+            this.unitWeights[unit] = weight;
+            totalWeight += weight;
+        }
+
+        if (Math.abs(totalWeight - 100) > 0.5) {
+            throw new Error(`Unit weights must add up to 100% (currently ${Math.round(totalWeight * 10) / 10}%)`);
+        }
+    }
+
+    /**
+     * Splits the questions across units by weight using largest remainders,
+     * so the counts always add up to the total
+     * @param {number} totalCount - Number of questions to split (defaults to the blueprint's count)
+     * @returns {Object} Question count per unit
+     */
+    getUnitCounts(totalCount = this.questionCount) {
+        const counts = {};
+        const remainders = [];
+        let allocated = 0;
+
+        for (let unit = 1; unit <= 5; unit++) {
+            const exact = totalCount * this.unitWeights[unit] / 100;
+            counts[unit] = Math.floor(exact);
+            allocated += counts[unit];
+            remainders.push({ unit, remainder: exact - counts[unit] });
+        }
+
+        remainders
+            .sort((a, b) => b.remainder - a.remainder || a.unit - b.unit)
+            .slice(0, totalCount - allocated)
+            .forEach(({ unit }) => counts[unit]++);
+
+        return counts;
+    }
+
+    /**
+     * Returns a plain object representation of the blueprint
+     * @returns {Object} Blueprint data
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            questionCount: this.questionCount,
+            timeLimit: this.timeLimit,
+            unitWeights: { ...this.unitWeights }
+        };
+    }
+
+    /**
+     * Builds a blueprint from a preset ID, blueprint data or an existing blueprint
+     * @param {string|Object|ExamBlueprint|null} source - Defaults to the full exam
+     * @returns {ExamBlueprint} Blueprint
+     */
+    static from(source) {
+        if (source instanceof ExamBlueprint) {
+            return source;
+        }
+
+        if (!source) {
+            return new ExamBlueprint(ExamBlueprint.PRESETS['full-exam']);
+        }
+
+        if (typeof source === 'string') {
+            const preset = ExamBlueprint.PRESETS[source];
+            if (!preset) {
+                throw new Error(`Unknown blueprint preset: ${source}`);
+            }
+            return new ExamBlueprint(preset);
+        }
+
+        return new ExamBlueprint(source);
+    }
+}
+
+// Midpoints of the official multiple-choice weightings
+// (15-22% / 25-36% / 13-18% / 10-15% / 20-27%), rounded to add up to 100
+ExamBlueprint.EXAM_WEIGHTS = { 1: 18, 2: 30, 3: 15, 4: 13, 5: 24 };
+
+ExamBlueprint.PRESETS = {
+    'full-exam': {
+        id: 'full-exam',
+        name: 'Full Exam',
+        questionCount: 55,
+        timeLimit: 80,
+        unitWeights: ExamBlueprint.EXAM_WEIGHTS
+    },
+    'half-exam': {
+        id: 'half-exam',
+        name: 'Half Exam',
+        questionCount: 28,
+        timeLimit: 40,
+        unitWeights: ExamBlueprint.EXAM_WEIGHTS
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExamBlueprint;
+}
@@ -0,0 +1,244 @@
+/**
+ * Unit tests for ExamBlueprint and blueprint-driven practice tests
+ * Tests presets, weighted unit counts, validation, practice test selection and unit progress totals
+ */
+
+// In-memory storage for blueprint tests
+class BlueprintTestStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    setItem(key, value) {
+        this.data.set(key, JSON.stringify(value));
+        return true;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    removeItem(key) {
+        return this.data.delete(key);
+    }
+}
+
+/**
+ * Build a question manager with the given number of questions per unit
+ */
+function createBlueprintTestQuestionManager(perUnit = 20) {
+    const manager = new QuestionManager();
+    const questions = [];
+    for (let unit = 1; unit <= 5; unit++) {
+        for (let i = 1; i <= perUnit; i++) {
+            questions.push({
+                id: `bp_u${unit}_${i}`,
+                unit: unit,
+                question: `Blueprint test question ${i} for unit ${unit}?`,
+                options: ['A', 'B', 'C', 'D'],
+                correct: 0
+            });
+        }
+    }
+    manager.loadQuestions(questions);
+    return manager;
+}
+
+/**
+ * Count questions per unit
+ */
+function countBlueprintUnits(questions) {
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    questions.forEach(question => counts[question.unit]++);
+    return counts;
+}
+
+/**
+ * Test Suite: Presets and unit counts
+ */
+function testBlueprintPresets() {
+    console.log('Testing blueprint presets...');
+
+    const full = ExamBlueprint.from('full-exam');
+    assert(full.questionCount === 55 && full.timeLimit === 80, 'Full exam should be 55 questions in 80 minutes');
+    assert(ExamBlueprint.from(null).id === 'full-exam', 'Full exam should be the default');
+
+    const fullCounts = full.getUnitCounts();
+    assert(Object.values(fullCounts).reduce((sum, count) => sum + count, 0) === 55, 'Unit counts should add up to the total');
+    assert(fullCounts[2] > fullCounts[1] && fullCounts[1] > fullCounts[4], 'Unit 2 should be weighted most and unit 4 least');
+
+    // Counts stay inside the official ranges
+    const ranges = { 1: [15, 22], 2: [25, 36], 3: [13, 18], 4: [10, 15], 5: [20, 27] };
+    Object.keys(ranges).forEach(unit => {
+        const percent = fullCounts[unit] / 55 * 100;
+        assert(percent >= ranges[unit][0] - 1 && percent <= ranges[unit][1] + 1, `Unit ${unit} share should match the exam weighting`);
+    });
+
+    const half = ExamBlueprint.from('half-exam');
+    assert(half.questionCount === 28 && half.timeLimit === 40, 'Half exam should be 28 questions in 40 minutes');
+    assert(Object.values(half.getUnitCounts(10)).reduce((sum, count) => sum + count, 0) === 10, 'Counts should scale to a smaller total');
+
+    const custom = ExamBlueprint.from({ questionCount: 10, timeLimit: 15, unitWeights: { 1: 50, 3: 50 } });
+    const customCounts = custom.getUnitCounts();
+    assert(customCounts[1] === 5 && customCounts[3] === 5 && customCounts[2] === 0, 'Missing unit weights should count as zero');
+    assert(custom.id === 'custom', 'Blueprints without an ID should be custom');
+    assert(ExamBlueprint.from(custom.toJSON()).getUnitCounts()[3] === 5, 'Blueprints should round-trip through JSON');
+
+    const invalid = [
+        { questionCount: 0, timeLimit: 10, unitWeights: { 1: 100 } },
+        { questionCount: 10, timeLimit: 0, unitWeights: { 1: 100 } },
+        { questionCount: 10, timeLimit: 10, unitWeights: { 1: 60, 2: 30 } },
+        { questionCount: 10, timeLimit: 10, unitWeights: { 1: 110, 2: -10 } }
+    ];
+    invalid.forEach((data, index) => {
+        let threw = false;
+        try {
+            new ExamBlueprint(data);
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, `Invalid blueprint ${index + 1} should throw`);
+    });
+
+    let threw = false;
+    try {
+        ExamBlueprint.from('missing-preset');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unknown presets should throw');
+
+    console.log('✓ Blueprint preset tests passed');
+}
+
+/**
+ * Test Suite: Practice tests follow the blueprint
+ */
+function testBlueprintPracticeTest() {
+    console.log('Testing blueprint practice tests...');
+
+    const storage = new BlueprintTestStorage();
+    const tracker = new ProgressTracker(storage);
+    const engine = new QuizEngine(createBlueprintTestQuestionManager(), tracker);
+
+    engine.startQuiz('practice', null, { blueprint: 'half-exam' });
+    assert(engine.questions.length === 28, 'Half exam should serve 28 questions');
+
+    const expected = ExamBlueprint.from('half-exam').getUnitCounts();
+    const served = countBlueprintUnits(engine.questions);
+    Object.keys(expected).forEach(unit => {
+        assert(served[unit] === expected[unit], `Unit ${unit} should get ${expected[unit]} questions`);
+    });
+    assert(engine.timer.duration === 40 * 60 * 1000, 'Timer should use the blueprint time limit');
+    assert(engine.currentQuiz.blueprint.id === 'half-exam', 'Session should record the blueprint');
+
+    // Answer only the unit 2 questions, all correctly
+    engine.questions.forEach((question, index) => {
+        if (question.unit === 2) {
+            engine.currentQuestionIndex = index;
+            engine.submitAnswer(0);
+        }
+    });
+
+    const results = engine.endQuiz();
+    assert(results.blueprint.id === 'half-exam', 'Results should include the blueprint');
+    assert(results.unitTotals[2] === expected[2], 'Results should include questions served per unit');
+
+    // Unanswered questions count against their unit
+    const unit2 = tracker.getUnitProgress(2);
+    assert(unit2.correct === expected[2] && unit2.total === expected[2], 'Unit 2 should be recorded from the blueprint count');
+    const unit1 = tracker.getUnitProgress(1);
+    assert(unit1.correct === 0 && unit1.total === expected[1], 'Unanswered units should use the blueprint count');
+    assert(tracker.getPracticeTestHistory()[0].blueprint === 'half-exam', 'Practice history should record the blueprint');
+
+    // Full exam is still the default
+    engine.startQuiz('practice');
+    assert(engine.questions.length === 55, 'Default practice test should be the full exam');
+    assert(engine.blueprint.id === 'full-exam', 'Default blueprint should be the full exam');
+    engine.endQuiz();
+
+    console.log('✓ Blueprint practice test tests passed');
+}
+
+/**
+ * Test Suite: Practice test recording without a blueprint
+ */
+function testPracticeTestUnitTotals() {
+    console.log('Testing practice test unit totals...');
+
+    const tracker = new ProgressTracker(new BlueprintTestStorage());
+
+    // ScoringEngine breakdowns carry their own totals
+    tracker.recordPracticeTest(6, 9, {
+        1: { correct: 3, total: 4, percentage: 75 },
+        2: { correct: 3, total: 5, percentage: 60 },
+        3: { correct: 0, total: 0, percentage: 0 }
+    });
+    assert(tracker.getUnitProgress(1).total === 4, 'Detailed breakdowns should use their own unit totals');
+    assert(tracker.getUnitProgress(3).total === 0, 'Units without questions should not be recorded');
+
+    // Plain counts without totals fall back to an even split
+    tracker.recordPracticeTest(20, 25, { 4: 4 });
+    assert(tracker.getUnitProgress(4).total === 5, 'Plain counts should assume an even split');
+
+    // Pacing analytics are stored with the record
+    const pacing = new ScoringEngine().calculatePacing(
+        [{ id: 'p1', unit: 1 }, { id: 'p2', unit: 2 }],
+        [{ isCorrect: true }, { isCorrect: false }],
+        [60000, 120000]
+    );
+    tracker.recordPracticeTest(1, 2, { 1: 1 }, { pacing: pacing });
+    const record = tracker.getPracticeTestHistory()[2];
+    assert(record.pacing.averageSeconds === 90, 'Practice records should store the average pace');
+    assert(record.pacing.slowestQuestions[0].questionId === 'p2', 'Practice records should store the slowest questions');
+    assert(tracker.getPracticeTestHistory()[0].pacing === null, 'Records without timing should have no pacing');
+
+    console.log('✓ Practice test unit totals tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runExamBlueprintTests() {
+    console.log('Running ExamBlueprint Tests...\n');
+
+    try {
+        testBlueprintPresets();
+        testBlueprintPracticeTest();
+        testPracticeTestUnitTotals();
+
+        console.log('\n✅ All ExamBlueprint tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runExamBlueprintTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.document = global.document || { addEventListener: () => {}, removeEventListener: () => {}, hidden: false };
+    global.Question = require('./question.js');
+    global.QuestionManager = require('./question-manager.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    global.ScoringEngine = require('./scoring-engine.js');
+    global.Timer = require('./timer.js');
+    global.ExamBlueprint = require('./exam-blueprint.js');
+    global.QuizEngine = require('./quiz-engine.js');
+    runExamBlueprintTests();
+}
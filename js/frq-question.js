@@ -0,0 +1,175 @@
+/**
+ * FRQQuestion class for AP Government free-response questions
+ * Models the prompt, optional stimulus and point-based rubric used for self-scoring
+ */
+class FRQQuestion {
+    constructor(data) {
+        this.id = data.id;
+        this.unit = data.unit;
+        this.type = data.type;
+        this.prompt = data.prompt;
+        this.stimulus = FRQQuestion.normalizeStimulus(data.stimulus);
+        this.rubric = Array.isArray(data.rubric) ? data.rubric.map(point => ({ ...point })) : data.rubric;
+        this.sampleResponse = data.sampleResponse || '';
+
+        this.validate();
+    }
+
+    /**
+     * Validates the free-response data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.id || typeof this.id !== 'string') {
+            throw new Error('FRQ must have a valid string ID');
+        }
+
+        if (!Number.isInteger(this.unit) || this.unit < 1 || this.unit > 5) {
+            throw new Error('Unit must be an integer between 1 and 5');
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(FRQQuestion.TYPES, this.type)) {
+            throw new Error(`FRQ type must be one of: ${Object.keys(FRQQuestion.TYPES).join(', ')}`);
+        }
+
+        if (!this.prompt || typeof this.prompt !== 'string' || this.prompt.trim().length === 0) {
+            throw new Error('FRQ prompt must be a non-empty string');
+        }
+
+        if (this.stimulus && (typeof this.stimulus.text !== 'string' || this.stimulus.text.trim().length === 0)) {
+            throw new Error('FRQ stimulus must have non-empty text');
+        }
+
+        if (!Array.isArray(this.rubric) || this.rubric.length === 0) {
+            throw new Error('FRQ rubric must have at least one point');
+        }
+
+        const ids = new Set();
+        this.rubric.forEach((point, index) => {
+            if (!point || !point.id || typeof point.id !== 'string') {
+                throw new Error(`Rubric point ${index + 1} must have a string ID`);
+            }
+            if (ids.has(point.id)) {
+                throw new Error(`Duplicate rubric point ID: ${point.id}`);
+            }
+            ids.add(point.id);
+
+            if (typeof point.description !== 'string' || point.description.trim().length === 0) {
+                throw new Error(`Rubric point ${point.id} must have a description`);
+            }
+            if (!Number.isInteger(point.points) || point.points < 1) {
+                throw new Error(`Rubric point ${point.id} must be worth a positive whole number of points`);
+            }
+        });
+
+        if (this.sampleResponse && typeof this.sampleResponse !== 'string') {
+            throw new Error('Sample response must be a string if provided');
+        }
+    }
+
+    /**
+     * Gets the total points available on the rubric
+     * @returns {number} Maximum points
+     */
+    getMaxPoints() {
+        return this.rubric.reduce((sum, point) => sum + point.points, 0);
+    }
+
+    /**
+     * Totals the rubric points a student awarded themselves
+     * @param {Array} awardedPointIds - IDs of the rubric points that were earned
+     * @returns {number} Points earned
+     * @throws {Error} If an ID is not on this rubric
+     */
+    scoreRubric(awardedPointIds) {
+        if (!Array.isArray(awardedPointIds)) {
+            throw new Error('Awarded rubric points must be an array of IDs');
+        }
+
+        return [...new Set(awardedPointIds)].reduce((sum, pointId) => {
+            const point = this.rubric.find(p => p.id === pointId);
+            if (!point) {
+                throw new Error(`Unknown rubric point: ${pointId}`);
+            }
+            return sum + point.points;
+        }, 0);
+    }
+
+    /**
+     * Gets the display name of the FRQ type
+     * @returns {string} Type name
+     */
+    getTypeName() {
+        return FRQQuestion.TYPES[this.type];
+    }
+
+    /**
+     * Gets the unit name based on unit number
+     * @returns {string} The unit name
+     */
+    getUnitName() {
+        const unitNames = {
+            1: 'Foundations of American Democracy',
+            2: 'Interactions Among Branches of Government',
+            3: 'Civil Liberties and Civil Rights',
+            4: 'American Political Ideologies and Beliefs',
+            5: 'Political Participation'
+        };
+        return unitNames[this.unit] || 'Unknown Unit';
+    }
+
+    /**
+     * Returns a plain object representation of the FRQ
+     * @returns {Object} FRQ data as plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            unit: this.unit,
+            type: this.type,
+            prompt: this.prompt,
+            stimulus: this.stimulus ? { ...this.stimulus } : null,
+            rubric: this.rubric.map(point => ({ ...point })),
+            sampleResponse: this.sampleResponse
+        };
+    }
+
+    /**
+     * Counts the words in a response
+     * @param {string} text - Response text
+     * @returns {number} Word count
+     */
+    static countWords(text) {
+        if (typeof text !== 'string') return 0;
+        const trimmed = text.trim();
+        return trimmed.length === 0 ? 0 : trimmed.split(/\s+/).length;
+    }
+
+    /**
+     * Accepts a stimulus as plain text or as {title, text, source}
+     * @param {string|Object|null} stimulus - Raw stimulus
+     * @returns {Object|null} Normalized stimulus
+     */
+    static normalizeStimulus(stimulus) {
+        if (!stimulus) return null;
+        if (typeof stimulus === 'string') return { title: '', text: stimulus, source: '' };
+        return {
+            title: stimulus.title || '',
+            text: stimulus.text,
+            source: stimulus.source || ''
+        };
+    }
+}
+
+// The four free-response question types on the AP exam
+FRQQuestion.TYPES = {
+    'concept-application': 'Concept Application',
+    'quantitative-analysis': 'Quantitative Analysis',
+    'scotus-comparison': 'SCOTUS Comparison',
+    'argument-essay': 'Argument Essay'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FRQQuestion;
+}
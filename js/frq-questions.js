@@ -0,0 +1,91 @@
+/**
+ * Free-response question data for AP Government FRQ practice
+ * One or more prompts for each of the four AP exam FRQ types, with point-based rubrics
+ */
+
+const frqQuestions = [
+    {
+        id: "frq_concept_1",
+        unit: 2,
+        type: "concept-application",
+        stimulus: {
+            text: "In 2019 several members of Congress introduced a bill to limit the number of days the president can keep an acting cabinet secretary in place without Senate confirmation. Supporters argued that the president had used acting officials to avoid confirmation hearings. The bill was referred to committee, where it never received a vote."
+        },
+        prompt: "After reading the scenario, respond to A, B, and C below.\n\n(A) Describe the power of Congress that the bill's supporters were trying to protect.\n(B) In the context of the scenario, explain how the committee system affected the outcome of the bill.\n(C) In the context of the scenario, explain how the president could respond to Congress's efforts to limit acting appointments.",
+        rubric: [
+            { id: "a", description: "Describes the Senate's power to confirm (advice and consent on) presidential appointments", points: 1 },
+            { id: "b", description: "Explains how committee chairs or members can keep a bill from reaching the floor", points: 1 },
+            { id: "c", description: "Explains a presidential response, such as a veto threat, executive order, or nominating confirmable officials", points: 1 }
+        ],
+        sampleResponse: "(A) The Senate confirms cabinet secretaries. (B) The committee chair controls the agenda and never scheduled a markup, so the bill died in committee. (C) The president could threaten a veto or use executive orders to reorganize the departments."
+    },
+    {
+        id: "frq_concept_2",
+        unit: 3,
+        type: "concept-application",
+        stimulus: "A city council passes an ordinance banning all protests within 500 feet of city hall on weekdays. A group of residents who planned a rally about property taxes sues the city, claiming the ordinance is unconstitutional.",
+        prompt: "After reading the scenario, respond to A, B, and C below.\n\n(A) Identify the constitutional provision the residents would most likely cite.\n(B) Explain how the city could justify the ordinance as a reasonable restriction.\n(C) Explain how a court ruling for the residents would reflect the principle of selective incorporation.",
+        rubric: [
+            { id: "a", description: "Identifies the First Amendment freedom of assembly or speech", points: 1 },
+            { id: "b", description: "Explains time, place, and manner restrictions that are content neutral", points: 1 },
+            { id: "c", description: "Explains that the Fourteenth Amendment applies the First Amendment to state and local governments", points: 1 }
+        ]
+    },
+    {
+        id: "frq_quantitative_1",
+        unit: 5,
+        type: "quantitative-analysis",
+        stimulus: {
+            title: "Voter Turnout by Age Group in Presidential Elections",
+            text: "Age 18-29: 2008 51% | 2012 45% | 2016 46% | 2020 55%\nAge 30-44: 2008 62% | 2012 59% | 2016 58% | 2020 63%\nAge 45-64: 2008 69% | 2012 68% | 2016 67% | 2020 71%\nAge 65+: 2008 72% | 2012 72% | 2016 71% | 2020 74%",
+            source: "U.S. Census Bureau, Current Population Survey"
+        },
+        prompt: "Use the information in the table to respond to A, B, C, and D below.\n\n(A) Identify the age group with the highest turnout in 2016.\n(B) Describe a trend in turnout for voters age 18-29 shown in the table.\n(C) Draw a conclusion about the trend you described in part B.\n(D) Explain how a limitation of the data in the table could affect conclusions about voter behavior.",
+        rubric: [
+            { id: "a", description: "Identifies voters age 65 and older (71%)", points: 1 },
+            { id: "b", description: "Describes the drop from 2008 to 2012 and rise to 55% in 2020", points: 1 },
+            { id: "c", description: "Draws a conclusion, such as young voters being mobilized by particular candidates or issues", points: 1 },
+            { id: "d", description: "Explains a limitation, such as self-reported turnout or missing data on party or race", points: 1 }
+        ]
+    },
+    {
+        id: "frq_scotus_1",
+        unit: 3,
+        type: "scotus-comparison",
+        stimulus: {
+            title: "Gideon v. Wainwright (1963)",
+            text: "Clarence Earl Gideon was charged with breaking and entering in Florida. Too poor to hire a lawyer, he asked the court to appoint one. Florida law provided appointed counsel only in capital cases, so Gideon defended himself and was convicted. The Supreme Court unanimously held that the Sixth Amendment right to counsel is a fundamental right that applies to the states."
+        },
+        prompt: "Based on the information above, respond to A, B, and C below.\n\n(A) Identify the constitutional clause that is common to both Gideon v. Wainwright (1963) and McDonald v. Chicago (2010).\n(B) Based on the constitutional clause identified in part A, explain why the facts of McDonald v. Chicago led to a similar holding to the holding in Gideon v. Wainwright.\n(C) Explain how the decision in Gideon v. Wainwright affects the actions of state governments.",
+        rubric: [
+            { id: "a", description: "Identifies the due process clause of the Fourteenth Amendment", points: 1 },
+            { id: "b-facts", description: "Describes relevant facts of McDonald v. Chicago (a city handgun ban challenged under the Second Amendment)", points: 1 },
+            { id: "b-explain", description: "Explains that both cases incorporated a Bill of Rights protection against the states", points: 1 },
+            { id: "c", description: "Explains that states must provide attorneys to defendants who cannot afford one, such as through public defenders", points: 1 }
+        ]
+    },
+    {
+        id: "frq_argument_1",
+        unit: 1,
+        type: "argument-essay",
+        prompt: "Develop an argument that explains whether the federal government or the states should have more power over policy making.\n\nUse at least one piece of evidence from one of the following foundational documents: the Articles of Confederation, Brutus No. 1, Federalist No. 10, or the U.S. Constitution.\n\nIn your essay, you must:\n- Articulate a defensible claim or thesis that responds to the prompt and establishes a line of reasoning\n- Support your claim with at least TWO pieces of specific and relevant evidence\n- Use reasoning to explain why your evidence supports your claim or thesis\n- Respond to an opposing or alternate perspective using refutation, concession, or rebuttal",
+        rubric: [
+            { id: "thesis", description: "Articulates a defensible claim or thesis that establishes a line of reasoning", points: 1 },
+            { id: "evidence-document", description: "Uses specific and relevant evidence from one of the listed foundational documents", points: 1 },
+            { id: "evidence-second", description: "Supports the claim with a second piece of specific and relevant evidence", points: 1 },
+            { id: "evidence-reasoning", description: "Uses both pieces of evidence to support the claim", points: 1 },
+            { id: "reasoning", description: "Explains why or how the evidence supports the claim", points: 1 },
+            { id: "alternate", description: "Responds to an opposing perspective with refutation, concession, or rebuttal", points: 1 }
+        ]
+    }
+];
+
+// Export for use in testing and development
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = frqQuestions;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.frqQuestions = frqQuestions;
+}
@@ -0,0 +1,122 @@
+/**
+ * HashRouter - Parses and builds the deep links kept in the page's URL hash
+ * Routes:
+ *   #/dashboard, #/quiz, #/results, #/history, #/editor,
+ *   #/teacher, #/worksheet                   - show a view
+ *   #/unit/3?difficulty=hard                 - start a unit quiz
+ *   #/practice?blueprint=half                - start a practice test
+ *   #/study?unit=2                           - start study mode, optionally for one unit
+ *   #/question/<id>                          - start study mode with one question first
+ *   #/results/<quizId>                       - show a past quiz's results
+ * Older '#dashboard'-style hashes are still understood as views
+ */
+class HashRouter {
+    /**
+     * Parse a URL hash
+     * @param {string} hash - URL hash, with or without the leading '#'
+     * @returns {Object|null} Route ({name, params}), or null if the hash is not a valid route
+     */
+    parse(hash) {
+        const text = (hash || '').replace(/^#/, '');
+        const queryIndex = text.indexOf('?');
+        const path = queryIndex >= 0 ? text.slice(0, queryIndex) : text;
+        const query = new URLSearchParams(queryIndex >= 0 ? text.slice(queryIndex + 1) : '');
+
+        let segments;
+        try {
+            segments = path.split('/').filter(segment => segment !== '').map(segment => decodeURIComponent(segment));
+        } catch (error) {
+            return null;
+        }
+
+        if (segments.length === 0) {
+            return { name: 'view', params: { view: 'dashboard' } };
+        }
+
+        const [name, id] = segments;
+        if (segments.length > 2) {
+            return null;
+        }
+
+        switch (name) {
+            case 'unit': {
+                const unitId = HashRouter.parseUnit(id);
+                const difficulty = query.get('difficulty');
+                if (unitId === null || (difficulty !== null && !HashRouter.DIFFICULTIES.includes(difficulty))) {
+                    return null;
+                }
+                return { name, params: { unitId, difficulty } };
+            }
+            case 'practice':
+                return id === undefined ? { name, params: { blueprint: query.get('blueprint') } } : null;
+            case 'study': {
+                const unit = query.get('unit');
+                const unitId = unit === null ? null : HashRouter.parseUnit(unit);
+                if (id !== undefined || (unit !== null && unitId === null)) {
+                    return null;
+                }
+                return { name, params: { unitId } };
+            }
+            case 'question':
+                return id ? { name, params: { questionId: id } } : null;
+            case 'results':
+                return id ? { name, params: { quizId: id } } : { name: 'view', params: { view: 'results' } };
+            default:
+                return id === undefined && HashRouter.VIEWS.includes(name) ? { name: 'view', params: { view: name } } : null;
+        }
+    }
+
+    /**
+     * Build the URL hash for a route
+     * @param {Object} route - Route ({name, params}) as returned by parse()
+     * @returns {string} URL hash, including the leading '#'
+     * @throws {Error} If the route name is unknown
+     */
+    format(route) {
+        const params = route.params || {};
+        const withQuery = (path, query) => {
+            const search = new URLSearchParams();
+            Object.keys(query).forEach(key => {
+                if (query[key] !== null && query[key] !== undefined) {
+                    search.set(key, query[key]);
+                }
+            });
+            const queryString = search.toString();
+            return `#/${path}${queryString ? `?${queryString}` : ''}`;
+        };
+
+        switch (route.name) {
+            case 'view':
+                return `#/${params.view}`;
+            case 'unit':
+                return withQuery(`unit/${params.unitId}`, { difficulty: params.difficulty });
+            case 'practice':
+                return withQuery('practice', { blueprint: params.blueprint });
+            case 'study':
+                return withQuery('study', { unit: params.unitId });
+            case 'question':
+                return `#/question/${encodeURIComponent(params.questionId)}`;
+            case 'results':
+                return `#/results/${encodeURIComponent(params.quizId)}`;
+            default:
+                throw new Error(`Unknown route: ${route.name}`);
+        }
+    }
+
+    /**
+     * Parse a unit number from a route
+     * @param {string} value - Unit text
+     * @returns {number|null} Unit ID (1-5), or null if invalid
+     */
+    static parseUnit(value) {
+        return /^[1-5]$/.test(value || '') ? parseInt(value, 10) : null;
+    }
+}
+
+HashRouter.VIEWS = ['dashboard', 'quiz', 'results', 'history', 'editor', 'teacher', 'worksheet'];
+HashRouter.DIFFICULTIES = ['easy', 'mixed', 'hard', 'adaptive'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+}
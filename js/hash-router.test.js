@@ -0,0 +1,141 @@
+/**
+ * Unit tests for HashRouter
+ * Tests parsing deep links, rejecting invalid ones and building links that parse back to the same route
+ */
+
+/**
+ * Test Suite: Parsing routes
+ */
+function testParseRoutes() {
+    console.log('Testing route parsing...');
+
+    const router = new HashRouter();
+
+    const unit = router.parse('#/unit/3');
+    assert(unit.name === 'unit' && unit.params.unitId === 3 && unit.params.difficulty === null, 'Unit links should parse');
+    assert(router.parse('#/unit/2?difficulty=adaptive').params.difficulty === 'adaptive', 'Unit difficulty should parse');
+
+    const practice = router.parse('#/practice?blueprint=half');
+    assert(practice.name === 'practice' && practice.params.blueprint === 'half', 'Practice links should parse');
+    assert(router.parse('#/practice').params.blueprint === null, 'Practice links should not need a blueprint');
+
+    const study = router.parse('#/study?unit=2');
+    assert(study.name === 'study' && study.params.unitId === 2, 'Study links should parse');
+    assert(router.parse('#/study').params.unitId === null, 'Study links should not need a unit');
+
+    const question = router.parse('#/question/q%2F12');
+    assert(question.name === 'question' && question.params.questionId === 'q/12', 'Question IDs should be decoded');
+
+    const results = router.parse('#/results/quiz_unit_1700000000000_abc123');
+    assert(results.name === 'results' && results.params.quizId === 'quiz_unit_1700000000000_abc123', 'Results links should parse');
+
+    // Views, including the older '#dashboard' form and an empty hash
+    assert(router.parse('#/teacher').params.view === 'teacher', 'View links should parse');
+    assert(router.parse('#quiz').params.view === 'quiz', 'Old view hashes should still parse');
+    assert(router.parse('').params.view === 'dashboard' && router.parse('#/').params.view === 'dashboard',
+        'An empty hash should be the dashboard');
+    assert(router.parse('#/results').name === 'view', 'Results without an ID should be the results view');
+
+    console.log('✓ Route parsing tests passed');
+}
+
+/**
+ * Test Suite: Invalid routes
+ */
+function testInvalidRoutes() {
+    console.log('Testing invalid routes...');
+
+    const router = new HashRouter();
+    [
+        '#/unit/6',
+        '#/unit/one',
+        '#/unit',
+        '#/unit/3?difficulty=impossible',
+        '#/study?unit=0',
+        '#/study/2',
+        '#/question',
+        '#/practice/half',
+        '#/settings',
+        '#/unit/3/extra',
+        '#/question/%E0%A4%A'
+    ].forEach(hash => {
+        assert(router.parse(hash) === null, `${hash} should not parse`);
+    });
+
+    console.log('✓ Invalid route tests passed');
+}
+
+/**
+ * Test Suite: Building links
+ */
+function testFormatRoutes() {
+    console.log('Testing link building...');
+
+    const router = new HashRouter();
+    assert(router.format({ name: 'unit', params: { unitId: 3, difficulty: null } }) === '#/unit/3', 'Unit links should be built');
+    assert(router.format({ name: 'practice', params: { blueprint: 'half' } }) === '#/practice?blueprint=half', 'Practice links should be built');
+    assert(router.format({ name: 'study', params: { unitId: null } }) === '#/study', 'Empty parameters should be left out');
+    assert(router.format({ name: 'view', params: { view: 'dashboard' } }) === '#/dashboard', 'View links should be built');
+
+    [
+        '#/unit/4?difficulty=hard',
+        '#/study?unit=5',
+        '#/question/q%2F12',
+        '#/results/quiz_practice_1_x',
+        '#/history',
+        '#/worksheet',
+        '#/editor'
+    ].forEach(hash => {
+        assert(router.format(router.parse(hash)) === hash, `${hash} should round-trip`);
+    });
+
+    let threw = false;
+    try {
+        router.format({ name: 'settings', params: {} });
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unknown routes should throw');
+
+    console.log('✓ Link building tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runHashRouterTests() {
+    console.log('Running HashRouter Tests...\n');
+
+    try {
+        testParseRoutes();
+        testInvalidRoutes();
+        testFormatRoutes();
+
+        console.log('\n✅ All HashRouter tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runHashRouterTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.HashRouter = require('./hash-router.js');
+    runHashRouterTests();
+}
@@ -0,0 +1,371 @@
+/**
+ * IndexedDBBackend - Storage backend that keeps app data in IndexedDB instead of localStorage
+ * IndexedDB is asynchronous and not limited to localStorage's ~5 MB. The backend exposes an async API
+ * (get, entries, writeBatch) and, once opened, the same synchronous subset of the Web Storage API as
+ * localStorage, so StorageWrapper can use it unchanged: reads come from an in-memory copy loaded by open(),
+ * and writes update that copy and are committed to IndexedDB in one transaction per task.
+ *
+ * Because writes are committed after setItem returns, a failed commit can't be reported through
+ * StorageWrapper.setItem's return value. It is reported to onError, and the next flush() rejects with it.
+ *
+ * Each open tab has its own in-memory copy. In browsers, committed writes are broadcast to the other tabs
+ * so their copies stay current, and onExternalChange is called there: objects the app loaded at startup
+ * (progress, history) are not refreshed, so the app should ask the user to reload rather than keep
+ * saving over the other tab's data.
+ */
+class IndexedDBBackend {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.dbName - Database name
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to the browser's)
+     * @param {Function} options.onError - Called with the error when a write cannot be committed
+     * @param {Function} options.onExternalChange - Called with the changed keys when another tab commits writes
+     * @param {Function} options.BroadcastChannel - Channel constructor for tab updates (defaults to the browser's)
+     */
+    constructor(options = {}) {
+        this.name = 'indexedDB';
+        this.dbName = options.dbName || IndexedDBBackend.DB_NAME;
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.onError = options.onError || null;
+        this.onExternalChange = options.onExternalChange || null;
+        this.ChannelClass = options.BroadcastChannel ||
+            (typeof window !== 'undefined' && window.BroadcastChannel ? window.BroadcastChannel : null);
+        this.channel = null;
+        this.db = null;
+        this.cache = new Map();
+
+        // Writes waiting to be committed: key -> value, or null to delete
+        this.pendingWrites = new Map();
+        this.flushScheduled = false;
+        this.writeChain = Promise.resolve();
+        // First write error since the last flush(), so flush() can reject with it
+        this.writeError = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment
+     * @param {IDBFactory} factory - Factory to check (defaults to the browser's)
+     * @returns {boolean} True if available
+     */
+    static isSupported(factory = null) {
+        return Boolean(factory || (typeof indexedDB !== 'undefined' && indexedDB));
+    }
+
+    /**
+     * Open the database and load every stored value into memory
+     * Must finish before the synchronous methods are used
+     * @returns {Promise<IndexedDBBackend>} This backend
+     * @throws {Error} If IndexedDB is unavailable or the database cannot be opened
+     */
+    async open() {
+        if (!this.factory) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.factory.open(this.dbName, IndexedDBBackend.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IndexedDBBackend.STORE_NAME)) {
+                    db.createObjectStore(IndexedDBBackend.STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Failed to open IndexedDB'));
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+
+        this.cache = new Map(await this.entries());
+
+        if (this.ChannelClass) {
+            this.channel = new this.ChannelClass(`${this.dbName}-writes`);
+            this.channel.onmessage = (event) => this.applyExternalChanges(event.data);
+        }
+
+        return this;
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Run work in a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the object store; may return a function that builds the result
+     * @returns {Promise<*>} Result once the transaction has completed
+     */
+    runTransaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('IndexedDB is not open'));
+                return;
+            }
+
+            let transaction;
+            let getResult;
+            try {
+                transaction = this.db.transaction(IndexedDBBackend.STORE_NAME, mode);
+                getResult = work(transaction.objectStore(IndexedDBBackend.STORE_NAME));
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Read a value straight from the database
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Stored string, or null if not found
+     */
+    get(key) {
+        return this.runTransaction('readonly', store => {
+            const request = store.get(key);
+            return () => (request.result === undefined ? null : request.result);
+        });
+    }
+
+    /**
+     * Read every stored value straight from the database
+     * @returns {Promise<Array>} [key, value] pairs in key order
+     */
+    entries() {
+        return this.runTransaction('readonly', store => {
+            const keys = store.getAllKeys();
+            const values = store.getAll();
+            return () => keys.result.map((key, index) => [key, values.result[index]]);
+        });
+    }
+
+    /**
+     * Write several changes in one transaction, so they are saved all together or not at all
+     * @param {Map} changes - key -> value, or null to delete the key
+     * @returns {Promise<void>} Resolves when committed
+     */
+    writeBatch(changes) {
+        return this.runTransaction('readwrite', store => {
+            changes.forEach((value, key) => {
+                if (value === null) {
+                    store.delete(key);
+                } else {
+                    store.put(value, key);
+                }
+            });
+        });
+    }
+
+    /**
+     * Copy app data from another backend (usually localStorage) that this database does not have yet
+     * The copy is one transaction; the keys are removed from the source only after it commits,
+     * so a failed migration leaves the source untouched
+     * @param {Object} source - Storage with getItem, removeItem, key and length
+     * @param {Function} shouldMigrate - Receives a key and returns true if it belongs to the app
+     * @returns {Promise<Array>} Keys copied into this database
+     */
+    async migrateFrom(source, shouldMigrate = () => true) {
+        const keys = [];
+        for (let i = 0; i < source.length; i++) {
+            const key = source.key(i);
+            if (key !== null && shouldMigrate(key)) {
+                keys.push(key);
+            }
+        }
+
+        const changes = new Map();
+        keys.filter(key => !this.cache.has(key)).forEach(key => {
+            const value = source.getItem(key);
+            if (value !== null) {
+                changes.set(key, value);
+            }
+        });
+
+        if (changes.size > 0) {
+            await this.writeBatch(changes);
+            changes.forEach((value, key) => this.cache.set(key, value));
+        }
+
+        // Keys this database already had are removed too, so deleted data can't come back from the old copy
+        keys.forEach(key => source.removeItem(key));
+
+        if (changes.size > 0) {
+            console.log(`Migrated ${changes.size} saved items from localStorage to IndexedDB`);
+        }
+
+        return Array.from(changes.keys());
+    }
+
+    /**
+     * Number of stored keys
+     * @returns {number} Key count
+     */
+    get length() {
+        return this.cache.size;
+    }
+
+    /**
+     * Get the key at an index
+     * @param {number} index - Key index
+     * @returns {string|null} Key, or null if out of range
+     */
+    key(index) {
+        const keys = Array.from(this.cache.keys());
+        return index >= 0 && index < keys.length ? keys[index] : null;
+    }
+
+    /**
+     * Get a stored value from memory
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored string, or null if not found
+     */
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    /**
+     * Store a value; it is committed to IndexedDB at the end of the current task
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     */
+    setItem(key, value) {
+        const serialized = String(value);
+        this.cache.set(key, serialized);
+        this.queueWrite(key, serialized);
+    }
+
+    /**
+     * Remove a stored value; the removal is committed at the end of the current task
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.cache.delete(key);
+        this.queueWrite(key, null);
+    }
+
+    /**
+     * Queue a change and schedule a flush
+     * The flush runs as a microtask, so the transaction starts before the page can unload
+     * @param {string} key - Storage key
+     * @param {string|null} value - Serialized value, or null to delete
+     */
+    queueWrite(key, value) {
+        this.pendingWrites.set(key, value);
+
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            Promise.resolve().then(() => {
+                this.flushScheduled = false;
+                this.commitPending();
+            });
+        }
+    }
+
+    /**
+     * Start committing queued writes
+     * Transactions run one after another, so later writes never land before earlier ones
+     * @returns {Promise<void>} Resolves when everything queued so far has been committed or has failed
+     */
+    commitPending() {
+        if (this.pendingWrites.size > 0) {
+            const changes = this.pendingWrites;
+            this.pendingWrites = new Map();
+
+            this.writeChain = this.writeChain
+                .then(() => this.writeBatch(changes))
+                .then(() => this.broadcastChanges(changes), error => this.handleWriteError(error));
+        }
+
+        return this.writeChain;
+    }
+
+    /**
+     * Commit queued writes and wait for them
+     * @returns {Promise<void>} Resolves when everything queued so far has been committed
+     * @throws {Error} The first write error since the last flush(), e.g. QuotaExceededError
+     */
+    async flush() {
+        await this.commitPending();
+
+        if (this.writeError) {
+            const error = this.writeError;
+            this.writeError = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Tell other tabs which values were committed
+     * @param {Map} changes - key -> value, or null for a deleted key
+     */
+    broadcastChanges(changes) {
+        if (this.channel) {
+            this.channel.postMessage({ changes: Array.from(changes.entries()) });
+        }
+    }
+
+    /**
+     * Update the in-memory copy with writes another tab committed
+     * Keys with writes still queued here keep this tab's value, since it will be committed after
+     * @param {Object} message - Message from broadcastChanges ({changes: [[key, value], ...]})
+     */
+    applyExternalChanges(message) {
+        if (!message || !Array.isArray(message.changes)) {
+            return;
+        }
+
+        const keys = [];
+        message.changes.forEach(([key, value]) => {
+            if (this.pendingWrites.has(key)) {
+                return;
+            }
+            if (value === null) {
+                this.cache.delete(key);
+            } else {
+                this.cache.set(key, value);
+            }
+            keys.push(key);
+        });
+
+        if (keys.length > 0 && this.onExternalChange) {
+            this.onExternalChange(keys);
+        }
+    }
+
+    /**
+     * Report a failed write
+     * The values stay in memory, so the app keeps working for the rest of the session
+     * @param {Error} error - Transaction error (e.g. QuotaExceededError)
+     */
+    handleWriteError(error) {
+        console.error('Failed to save to IndexedDB:', error);
+        this.writeError = this.writeError || error;
+
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+}
+
+IndexedDBBackend.DB_NAME = 'ap-gov-study-tool';
+IndexedDBBackend.DB_VERSION = 1;
+IndexedDBBackend.STORE_NAME = 'storage';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBBackend;
+}
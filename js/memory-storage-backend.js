@@ -0,0 +1,67 @@
+/**
+ * MemoryStorageBackend - Storage backend that keeps everything in memory
+ * Implements the same subset of the Web Storage API as localStorage (getItem, setItem, removeItem, key, length),
+ * so it can stand in for localStorage in StorageWrapper when nothing should be persisted, such as in tests
+ */
+class MemoryStorageBackend {
+    constructor() {
+        this.name = 'memory';
+        this.items = new Map();
+    }
+
+    /**
+     * Number of stored keys
+     * @returns {number} Key count
+     */
+    get length() {
+        return this.items.size;
+    }
+
+    /**
+     * Get the key at an index
+     * @param {number} index - Key index
+     * @returns {string|null} Key, or null if out of range
+     */
+    key(index) {
+        const keys = Array.from(this.items.keys());
+        return index >= 0 && index < keys.length ? keys[index] : null;
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored string, or null if not found
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * Remove every stored value
+     */
+    clear() {
+        this.items.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStorageBackend;
+}
@@ -0,0 +1,273 @@
+/**
+ * ProfileManager - Manages student profiles on a shared device
+ * Keeps the profile list in un-namespaced storage and gives each profile its own
+ * StorageWrapper namespace, so progress, history and saved state stay separate
+ */
+class ProfileManager {
+    /**
+     * @param {StorageWrapper} storageWrapper - Storage without a namespace
+     */
+    constructor(storageWrapper) {
+        this.storage = storageWrapper;
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.loadProfiles();
+    }
+
+    /**
+     * Load profiles from storage, creating the default profile on first run
+     * The default profile takes over any data saved before profiles existed
+     */
+    loadProfiles() {
+        const saved = this.storage.getItem(ProfileManager.STORAGE_KEY);
+
+        if (saved && Array.isArray(saved.profiles)) {
+            this.profiles = saved.profiles.filter(profile =>
+                profile && typeof profile.id === 'string' && typeof profile.name === 'string'
+            );
+            this.activeProfileId = this.profiles.some(profile => profile.id === saved.activeProfileId)
+                ? saved.activeProfileId
+                : (this.profiles[0] ? this.profiles[0].id : null);
+        }
+
+        if (this.profiles.length === 0) {
+            const profile = this.buildProfile(ProfileManager.DEFAULT_PROFILE_NAME, ProfileManager.DEFAULT_PROFILE_ID);
+            this.profiles = [profile];
+            this.activeProfileId = profile.id;
+            this.migrateLegacyData(profile.id);
+            this.saveProfiles();
+        }
+    }
+
+    /**
+     * Save the profile list and active profile
+     * @returns {boolean} True if saved
+     */
+    saveProfiles() {
+        return this.storage.setItem(ProfileManager.STORAGE_KEY, {
+            profiles: this.profiles,
+            activeProfileId: this.activeProfileId
+        });
+    }
+
+    /**
+     * Move data saved under the global keys into a profile
+     * Data the profile already has is left alone
+     * @param {string} profileId - Profile to receive the data
+     * @returns {Array} Keys that were migrated
+     */
+    migrateLegacyData(profileId) {
+        const profileStorage = this.getProfileStorage(profileId);
+        const migrated = [];
+
+        ProfileManager.PROFILE_DATA_KEYS.forEach(key => {
+            const value = this.storage.getItem(key);
+            if (value === null || profileStorage.getItem(key) !== null) {
+                return;
+            }
+
+            if (profileStorage.setItem(key, value)) {
+                this.storage.removeItem(key);
+                migrated.push(key);
+            }
+        });
+
+        if (migrated.length > 0) {
+            console.log(`Migrated ${migrated.length} saved items into profile ${profileId}`);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array} Profiles ({id, name, createdAt, lastUsed}) with an active flag
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({
+            ...profile,
+            active: profile.id === this.activeProfileId
+        }));
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {string} profileId - Profile ID
+     * @returns {Object|null} Profile, or null if not found
+     */
+    getProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        return profile ? { ...profile } : null;
+    }
+
+    /**
+     * Get the active profile
+     * @returns {Object} Active profile
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    /**
+     * Get storage scoped to a profile
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {StorageWrapper} Namespaced storage
+     */
+    getProfileStorage(profileId = this.activeProfileId) {
+        return new StorageWrapper(this.storage.errorHandler, ProfileManager.getNamespace(profileId), this.storage.backend);
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name - Profile name
+     * @returns {Object} The new profile
+     * @throws {Error} If the name is invalid or taken
+     */
+    createProfile(name) {
+        const profileName = this.validateName(name);
+        if (this.profiles.length >= ProfileManager.MAX_PROFILES) {
+            throw new Error(`A device can have at most ${ProfileManager.MAX_PROFILES} profiles`);
+        }
+
+        const profile = this.buildProfile(profileName, `profile_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`);
+        this.profiles.push(profile);
+        this.saveProfiles();
+        return { ...profile };
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} name - New name
+     * @returns {Object} The renamed profile
+     * @throws {Error} If the profile does not exist or the name is invalid or taken
+     */
+    renameProfile(profileId, name) {
+        const profile = this.requireProfile(profileId);
+        profile.name = this.validateName(name, profileId);
+        this.saveProfiles();
+        return { ...profile };
+    }
+
+    /**
+     * Delete a profile and all of its data
+     * Deleting the active profile switches to the first remaining one
+     * @param {string} profileId - Profile ID
+     * @returns {Object} The active profile afterwards
+     * @throws {Error} If the profile does not exist or is the only one
+     */
+    deleteProfile(profileId) {
+        this.requireProfile(profileId);
+        if (this.profiles.length === 1) {
+            throw new Error('The last profile cannot be deleted');
+        }
+
+        this.getProfileStorage(profileId).clear();
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+
+        if (this.activeProfileId === profileId) {
+            this.activeProfileId = this.profiles[0].id;
+        }
+
+        this.saveProfiles();
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Make a profile the active one
+     * @param {string} profileId - Profile ID
+     * @returns {Object} The active profile
+     * @throws {Error} If the profile does not exist
+     */
+    switchProfile(profileId) {
+        const profile = this.requireProfile(profileId);
+        this.activeProfileId = profileId;
+        profile.lastUsed = new Date().toISOString();
+        this.saveProfiles();
+        return { ...profile };
+    }
+
+    /**
+     * Validate and normalize a profile name
+     * @param {string} name - Proposed name
+     * @param {string} ignoreProfileId - Profile allowed to already have the name (when renaming)
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty, too long or used by another profile
+     */
+    validateName(name, ignoreProfileId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+        if (trimmed.length > ProfileManager.MAX_NAME_LENGTH) {
+            throw new Error(`Profile name must be ${ProfileManager.MAX_NAME_LENGTH} characters or fewer`);
+        }
+
+        const taken = this.profiles.some(profile =>
+            profile.id !== ignoreProfileId && profile.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (taken) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Find a profile record or throw
+     * @param {string} profileId - Profile ID
+     * @returns {Object} Stored profile record
+     * @throws {Error} If not found
+     */
+    requireProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile) {
+            throw new Error(`Profile ${profileId} not found`);
+        }
+        return profile;
+    }
+
+    /**
+     * Build a new profile record
+     * @param {string} name - Profile name
+     * @param {string} id - Profile ID
+     * @returns {Object} Profile
+     */
+    buildProfile(name, id) {
+        const now = new Date().toISOString();
+        return { id: id, name: name, createdAt: now, lastUsed: now };
+    }
+
+    /**
+     * Get the storage namespace for a profile
+     * Namespaced keys keep the app's prefix so StorageWrapper usage reporting still counts them
+     * @param {string} profileId - Profile ID
+     * @returns {string} Key prefix
+     */
+    static getNamespace(profileId) {
+        return `ap-gov-profile-${profileId}:`;
+    }
+}
+
+ProfileManager.STORAGE_KEY = 'ap-gov-profiles';
+ProfileManager.DEFAULT_PROFILE_ID = 'default';
+ProfileManager.DEFAULT_PROFILE_NAME = 'Student';
+ProfileManager.MAX_PROFILES = 20;
+ProfileManager.MAX_NAME_LENGTH = 40;
+
+// Everything the app saved under global keys before profiles existed
+ProfileManager.PROFILE_DATA_KEYS = [
+    'ap-gov-progress',
+    'ap-gov-question-history',
+    'ap-gov-question-banks',
+    'ap-gov-selected-banks',
+    'ap-gov-practice-blueprint',
+    'app_state',
+    'app_emergency_backup',
+    'app_critical_backup'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for ProfileManager and namespaced StorageWrapper keys
+ * Tests profile creation, switching, renaming, deletion, data isolation and legacy data migration
+ */
+
+/**
+ * Test Suite: Namespaced StorageWrapper keys
+ */
+function testNamespacedStorage() {
+    console.log('Testing namespaced storage...');
+
+    global.localStorage = new MemoryStorageBackend();
+    const plain = new StorageWrapper();
+    const first = new StorageWrapper(null, 'ap-gov-profile-a:');
+    const second = new StorageWrapper(null, 'ap-gov-profile-b:');
+
+    first.setItem('ap-gov-progress', { owner: 'a' });
+    second.setItem('ap-gov-progress', { owner: 'b' });
+
+    assert(first.getItem('ap-gov-progress').owner === 'a', 'Each namespace should read its own data');
+    assert(second.getItem('ap-gov-progress').owner === 'b', 'Namespaces should not overwrite each other');
+    assert(plain.getItem('ap-gov-progress') === null, 'Namespaced data should not appear under the global key');
+    assert(localStorage.getItem('ap-gov-profile-a:ap-gov-progress') !== null, 'Keys should be stored with the prefix');
+    assert(first.getStorageKey('app_state') === 'ap-gov-profile-a:app_state', 'Storage keys should include the namespace');
+
+    first.clear();
+    assert(first.getItem('ap-gov-progress') === null, 'Clearing should remove the namespace data');
+    assert(second.getItem('ap-gov-progress').owner === 'b', 'Clearing should leave other namespaces alone');
+
+    console.log('✓ Namespaced storage tests passed');
+}
+
+/**
+ * Test Suite: Default profile and legacy data migration
+ */
+function testDefaultProfileMigration() {
+    console.log('Testing default profile and migration...');
+
+    global.localStorage = new MemoryStorageBackend();
+    const legacy = new StorageWrapper();
+    legacy.setItem('ap-gov-progress', { units: { 1: { correct: 3, total: 4 } } });
+    legacy.setItem('app_state', JSON.stringify({ currentView: 'dashboard' }));
+    legacy.setItem('other-app-data', 'untouched');
+
+    const manager = new ProfileManager(new StorageWrapper());
+    const profile = manager.getActiveProfile();
+    assert(profile.id === ProfileManager.DEFAULT_PROFILE_ID, 'First run should create the default profile');
+    assert(profile.name === ProfileManager.DEFAULT_PROFILE_NAME, 'Default profile should have the default name');
+
+    const profileStorage = manager.getProfileStorage();
+    assert(profileStorage.getItem('ap-gov-progress').units[1].correct === 3, 'Progress should move into the default profile');
+    assert(JSON.parse(profileStorage.getItem('app_state')).currentView === 'dashboard', 'Saved app state should move too');
+    assert(legacy.getItem('ap-gov-progress') === null, 'Migrated global keys should be removed');
+    assert(legacy.getItem('other-app-data') === 'untouched', 'Unknown keys should not be migrated');
+
+    // Progress tracker reads the migrated data through the namespaced storage
+    const tracker = new ProgressTracker(profileStorage);
+    assert(tracker.getUnitProgress(1).correct === 3, 'Progress tracker should see migrated progress');
+
+    // Loading again should not migrate or reset anything
+    legacy.setItem('ap-gov-progress', { units: {} });
+    const reloaded = new ProfileManager(new StorageWrapper());
+    assert(reloaded.getProfiles().length === 1, 'Profiles should persist');
+    assert(reloaded.getProfileStorage().getItem('ap-gov-progress').units[1].correct === 3, 'Migration should only run once');
+
+    console.log('✓ Default profile and migration tests passed');
+}
+
+/**
+ * Test Suite: Creating, switching, renaming and deleting profiles
+ */
+function testProfileLifecycle() {
+    console.log('Testing profile lifecycle...');
+
+    global.localStorage = new MemoryStorageBackend();
+    const manager = new ProfileManager(new StorageWrapper());
+
+    const alex = manager.createProfile('  Alex  ');
+    assert(alex.name === 'Alex', 'Names should be trimmed');
+    assert(manager.getActiveProfile().id === ProfileManager.DEFAULT_PROFILE_ID, 'Creating should not switch');
+
+    ['', '   ', 'alex', 'x'.repeat(ProfileManager.MAX_NAME_LENGTH + 1)].forEach(name => {
+        let threw = false;
+        try {
+            manager.createProfile(name);
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, `Invalid name "${name}" should throw`);
+    });
+
+    manager.switchProfile(alex.id);
+    assert(manager.getActiveProfile().id === alex.id, 'Switching should change the active profile');
+
+    // Each profile keeps separate progress
+    new ProgressTracker(manager.getProfileStorage()).updateUnitProgress(2, 8, 10);
+    const defaultTracker = new ProgressTracker(manager.getProfileStorage(ProfileManager.DEFAULT_PROFILE_ID));
+    assert(defaultTracker.getUnitProgress(2).total === 0, 'Another profile should not see the progress');
+    defaultTracker.updateUnitProgress(1, 1, 2);
+
+    const persisted = new ProfileManager(new StorageWrapper());
+    assert(persisted.getActiveProfile().id === alex.id, 'Active profile should persist');
+    assert(new ProgressTracker(persisted.getProfileStorage()).getUnitProgress(2).correct === 8, 'Progress should persist per profile');
+
+    manager.renameProfile(alex.id, 'Alexis');
+    assert(manager.getProfile(alex.id).name === 'Alexis', 'Profiles should be renamable');
+    manager.renameProfile(alex.id, 'ALEXIS');
+    assert(manager.getProfile(alex.id).name === 'ALEXIS', 'A profile may keep its own name in a different case');
+
+    const active = manager.deleteProfile(alex.id);
+    assert(active.id === ProfileManager.DEFAULT_PROFILE_ID, 'Deleting the active profile should switch to another');
+    assert(manager.getProfileStorage(alex.id).getItem('ap-gov-progress') === null, 'Deleting should remove the profile data');
+    assert(new ProgressTracker(manager.getProfileStorage()).getUnitProgress(1).total === 2, 'Deleting should keep other profiles data');
+
+    let threw = false;
+    try {
+        manager.deleteProfile(ProfileManager.DEFAULT_PROFILE_ID);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'The last profile should not be deletable');
+
+    threw = false;
+    try {
+        manager.switchProfile('missing');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Switching to an unknown profile should throw');
+
+    console.log('✓ Profile lifecycle tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runProfileManagerTests() {
+    console.log('Running ProfileManager Tests...\n');
+
+    const originalLocalStorage = global.localStorage;
+    try {
+        testNamespacedStorage();
+        testDefaultProfileMigration();
+        testProfileLifecycle();
+
+        console.log('\n✅ All ProfileManager tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    } finally {
+        global.localStorage = originalLocalStorage;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runProfileManagerTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.MemoryStorageBackend = require('./memory-storage-backend.js');
+    global.StorageWrapper = require('./storage-wrapper.js');
+    global.ProfileManager = require('./profile-manager.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    runProfileManagerTests();
+}
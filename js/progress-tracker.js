@@ -6,6 +6,17 @@ class ProgressTracker {
     constructor(storageWrapper) {
         this.storage = storageWrapper;
         this.progress = this.loadProgress();
+
+        // Per-question attempt ledger, kept under its own key so the progress record stays small
+        this.historyKey = 'ap-gov-question-history';
+        this.maxHistoryEntries = 5000;
+        this.history = this.loadHistory();
+
+        // Correct answers in a row needed before a missed question leaves the review pool
+        this.masteryStreak = 3;
+
+        // Spaced repetition scheduling for Study Mode
+        this.scheduler = typeof SpacedRepetitionScheduler !== 'undefined' ? new SpacedRepetitionScheduler() : null;
     }
 
     /**
@@ -22,6 +33,9 @@ class ProgressTracker {
                 5: { seen: 0, correct: 0, total: 0 }
             },
             practiceTests: [],
+            reviewSchedule: {},
+            frq: {},
+            manualFRQScores: [],
             currentSession: null
         };
 
@@ -67,6 +81,8 @@ class ProgressTracker {
 
     /**
      * Calculate aptitude percentage for a specific unit
+     * A unit's adaptive quiz estimate is used while it is current, since a raw percentage depends on which
+     * questions were drawn; once a later quiz adds raw results, the raw percentage is used again
      * @param {number} unitId - Unit number (1-5)
      * @returns {number} Aptitude percentage (0-100)
      */
@@ -76,6 +92,10 @@ class ProgressTracker {
         }
 
         const unit = this.progress.units[unitId];
+        if (unit.ability && unit.ability.unitTotal === unit.total) {
+            return unit.ability.aptitude;
+        }
+
         if (unit.total === 0) {
             return 0;
         }
@@ -83,8 +103,53 @@ class ProgressTracker {
         return Math.round((unit.correct / unit.total) * 100);
     }
 
+    /**
+     * Record the ability estimate from an adaptive unit quiz
+     * Call after the quiz's raw results are added, so the estimate stays current until the next quiz
+     * @param {number} unitId - Unit number (1-5)
+     * @param {Object} ability - Estimate from QuizEngine.getAbilityEstimate()
+     *                           ({estimate, standardError, aptitude, questionsAnswered})
+     */
+    recordAbilityEstimate(unitId, ability) {
+        if (unitId < 1 || unitId > 5) {
+            throw new Error('Unit ID must be between 1 and 5');
+        }
+
+        if (!ability || typeof ability.estimate !== 'number' || typeof ability.aptitude !== 'number') {
+            throw new Error('Ability estimate must include an estimate and aptitude');
+        }
+
+        this.progress.units[unitId].ability = {
+            estimate: ability.estimate,
+            standardError: ability.standardError,
+            aptitude: ability.aptitude,
+            questionsAnswered: ability.questionsAnswered,
+            // Raw total when estimated; a different total means later results the estimate doesn't cover
+            unitTotal: this.progress.units[unitId].total,
+            date: new Date().toISOString()
+        };
+
+        this.saveProgress();
+    }
+
+    /**
+     * Get the latest adaptive ability estimate for a unit
+     * @param {number} unitId - Unit number (1-5)
+     * @returns {Object|null} Estimate ({estimate, standardError, aptitude, questionsAnswered, unitTotal, date}), or null
+     */
+    getUnitAbility(unitId) {
+        if (unitId < 1 || unitId > 5) {
+            throw new Error('Unit ID must be between 1 and 5');
+        }
+
+        return this.progress.units[unitId].ability || null;
+    }
+
     /**
      * Get the number of questions seen for a unit
+     * Counts unique question IDs from the attempt ledger; progress recorded before the
+     * ledger existed only has aggregate totals, so those units fall back to the total, and
+     * the total when the ledger started (legacySeen) is a floor so the count never drops
      * @param {number} unitId - Unit number (1-5)
      * @returns {number} Number of questions seen
      */
@@ -93,7 +158,239 @@ class ProgressTracker {
             throw new Error('Unit ID must be between 1 and 5');
         }
 
-        return this.progress.units[unitId].seen;
+        const unit = this.progress.units[unitId];
+        const uniqueSeen = this.getSeenQuestionIds(unitId).length;
+        return uniqueSeen > 0 ? Math.max(uniqueSeen, unit.legacySeen || 0) : unit.seen;
+    }
+
+    /**
+     * Load the per-question attempt ledger from storage
+     * @returns {Array} Attempt entries, oldest first
+     */
+    loadHistory() {
+        const saved = this.storage.getItem(this.historyKey);
+        return Array.isArray(saved) ? saved : [];
+    }
+
+    /**
+     * Save the attempt ledger to storage
+     */
+    saveHistory() {
+        try {
+            const success = this.storage.setItem(this.historyKey, this.history);
+            if (!success) {
+                throw new Error('Failed to save question history to storage');
+            }
+        } catch (error) {
+            this.handleProgressError(error, 'saveHistory');
+        }
+    }
+
+    /**
+     * Record an answer in the per-question ledger
+     * Re-answering a question within the same quiz replaces the earlier entry
+     * @param {Object} attempt - Attempt details
+     * @param {string} attempt.questionId - Question ID
+     * @param {number} attempt.unit - Unit number (1-5)
+     * @param {number} attempt.selectedAnswer - Selected option index
+     * @param {boolean} attempt.isCorrect - Whether the answer was correct
+     * @param {number} attempt.timeSpent - Milliseconds spent on the question
+     * @param {string} attempt.mode - Quiz mode
+     * @param {string} attempt.quizId - Quiz the attempt belongs to
+     * @returns {Object} The stored entry
+     */
+    recordAttempt(attempt) {
+        if (!attempt || !attempt.questionId) {
+            throw new Error('Attempt must include a question ID');
+        }
+
+        if (typeof attempt.isCorrect !== 'boolean') {
+            throw new Error('Attempt must include whether the answer was correct');
+        }
+
+        const entry = {
+            questionId: attempt.questionId,
+            unit: attempt.unit,
+            quizId: attempt.quizId || null,
+            timestamp: attempt.timestamp || new Date().toISOString(),
+            selectedAnswer: attempt.selectedAnswer,
+            isCorrect: attempt.isCorrect,
+            timeSpent: Math.max(0, Math.round(attempt.timeSpent || 0)),
+            mode: attempt.mode || null
+        };
+
+        // The unit's first ledger attempt keeps its aggregate count from before the ledger
+        const unit = this.progress.units[entry.unit];
+        if (unit && unit.legacySeen === undefined && !this.history.some(e => e.unit === entry.unit)) {
+            unit.legacySeen = unit.seen;
+            this.saveProgress();
+        }
+
+        const existingIndex = entry.quizId ?
+            this.history.findIndex(e => e.quizId === entry.quizId && e.questionId === entry.questionId) :
+            -1;
+
+        if (existingIndex >= 0) {
+            this.history[existingIndex] = entry;
+        } else {
+            this.history.push(entry);
+        }
+
+        // Keep the ledger bounded; the oldest attempts go first
+        if (this.history.length > this.maxHistoryEntries) {
+            this.history = this.history.slice(-this.maxHistoryEntries);
+        }
+
+        this.saveHistory();
+        return entry;
+    }
+
+    /**
+     * Get the full attempt ledger
+     * @returns {Array} Attempt entries, oldest first
+     */
+    getAttemptHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * Get every recorded attempt for a question
+     * @param {string} questionId - Question ID
+     * @returns {Array} Attempt entries, oldest first
+     */
+    getQuestionHistory(questionId) {
+        return this.history.filter(entry => entry.questionId === questionId);
+    }
+
+    /**
+     * Get the questions missed most often
+     * @param {number} limit - Maximum number of questions to return
+     * @param {number|null} unitId - Optional unit filter
+     * @returns {Array} Summaries ({questionId, unit, attempts, correct, incorrect, missRate, lastAttempt})
+     */
+    getMostMissed(limit = 10, unitId = null) {
+        const summaries = new Map();
+
+        this.history.forEach(entry => {
+            if (unitId !== null && entry.unit !== unitId) {
+                return;
+            }
+
+            if (!summaries.has(entry.questionId)) {
+                summaries.set(entry.questionId, {
+                    questionId: entry.questionId,
+                    unit: entry.unit,
+                    attempts: 0,
+                    correct: 0,
+                    incorrect: 0,
+                    missRate: 0,
+                    lastAttempt: null
+                });
+            }
+
+            const summary = summaries.get(entry.questionId);
+            summary.attempts++;
+            if (entry.isCorrect) {
+                summary.correct++;
+            } else {
+                summary.incorrect++;
+            }
+            summary.lastAttempt = entry.timestamp;
+        });
+
+        return Array.from(summaries.values())
+            .filter(summary => summary.incorrect > 0)
+            .map(summary => ({
+                ...summary,
+                missRate: Math.round((summary.incorrect / summary.attempts) * 100)
+            }))
+            .sort((a, b) => b.incorrect - a.incorrect || b.missRate - a.missRate)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get how many times in a row a question has most recently been answered correctly
+     * @param {string} questionId - Question ID
+     * @returns {number} Current correct streak
+     */
+    getCorrectStreak(questionId) {
+        const attempts = this.getQuestionHistory(questionId);
+        let streak = 0;
+
+        for (let i = attempts.length - 1; i >= 0 && attempts[i].isCorrect; i--) {
+            streak++;
+        }
+
+        return streak;
+    }
+
+    /**
+     * Get previously missed questions that have not been mastered yet
+     * A question leaves the pool once its correct streak reaches the mastery streak
+     * @param {Object} options - Filters
+     * @param {Array} options.units - Only include these units (default: all)
+     * @param {Date|string} options.since - Only include misses on or after this date
+     * @param {Date|string} options.until - Only include misses on or before this date
+     * @param {number} options.masteryStreak - Override the mastery streak
+     * @returns {Array} Question IDs, most often missed first
+     */
+    getMistakeQuestionIds(options = {}) {
+        const units = Array.isArray(options.units) && options.units.length > 0 ? options.units : null;
+        const since = options.since ? new Date(options.since) : null;
+        const until = options.until ? new Date(options.until) : null;
+        const masteryStreak = options.masteryStreak || this.masteryStreak;
+
+        const missCounts = new Map();
+
+        this.history.forEach(entry => {
+            if (entry.isCorrect) return;
+            if (units && !units.includes(entry.unit)) return;
+
+            const attemptedAt = new Date(entry.timestamp);
+            if (since && attemptedAt < since) return;
+            if (until && attemptedAt > until) return;
+
+            missCounts.set(entry.questionId, (missCounts.get(entry.questionId) || 0) + 1);
+        });
+
+        return Array.from(missCounts.keys())
+            .filter(questionId => this.getCorrectStreak(questionId) < masteryStreak)
+            .sort((a, b) => missCounts.get(b) - missCounts.get(a));
+    }
+
+    /**
+     * Get the unique question IDs attempted in a unit
+     * @param {number|null} unitId - Unit number (1-5), or null for all units
+     * @returns {Array} Question IDs
+     */
+    getSeenQuestionIds(unitId = null) {
+        const ids = new Set();
+        this.history.forEach(entry => {
+            if (unitId === null || entry.unit === unitId) {
+                ids.add(entry.questionId);
+            }
+        });
+        return Array.from(ids);
+    }
+
+    /**
+     * Get questions from a unit that have never been attempted
+     * The tracker does not own the question bank, so callers pass the candidates in
+     * @param {number} unitId - Unit number (1-5)
+     * @param {Array} questions - Question objects (or IDs) to check, e.g. questionManager.getQuestionsByUnit(unitId)
+     * @returns {Array} IDs of questions with no recorded attempts
+     */
+    getNeverSeen(unitId, questions = []) {
+        if (unitId < 1 || unitId > 5) {
+            throw new Error('Unit ID must be between 1 and 5');
+        }
+
+        const seen = new Set(this.getSeenQuestionIds());
+
+        return questions
+            .filter(question => typeof question === 'string' || question.unit === unitId)
+            .map(question => typeof question === 'string' ? question : question.id)
+            .filter(id => !seen.has(id));
     }
 
     /**
@@ -111,33 +408,64 @@ class ProgressTracker {
             seen: unit.seen,
             correct: unit.correct,
             total: unit.total,
-            aptitude: this.getUnitAptitude(unitId)
+            aptitude: this.getUnitAptitude(unitId),
+            ability: this.getUnitAbility(unitId)
         };
     }
 
     /**
      * Record a completed practice test with score and unit breakdown
      * @param {number} score - Number of correct answers
-     * @param {number} total - Total number of questions (should be 55)
-     * @param {Object} unitBreakdown - Correct answers per unit {1: 8, 2: 9, ...}
+     * @param {number} total - Total number of questions
+     * @param {Object} unitBreakdown - Correct answers per unit, as counts {1: 8, 2: 9, ...}
+     *                                 or ScoringEngine breakdowns {1: {correct, total}, ...}
+     * @param {Object} options - unitTotals: questions per unit in the test (from the blueprint);
+     *                           blueprint: ID of the blueprint the test followed;
+     *                           pacing: ScoringEngine pacing analytics for the test
      */
-    recordPracticeTest(score, total, unitBreakdown) {
+    recordPracticeTest(score, total, unitBreakdown, options = {}) {
         const testRecord = {
             date: new Date().toISOString(),
             score: score,
             total: total,
             percentage: Math.round((score / total) * 100),
-            unitBreakdown: unitBreakdown || {}
+            unitBreakdown: unitBreakdown || {},
+            blueprint: options.blueprint || null,
+            pacing: options.pacing ? {
+                averageSeconds: options.pacing.averageSeconds,
+                targetSeconds: options.pacing.targetSeconds,
+                totalSeconds: options.pacing.totalSeconds,
+                status: options.pacing.status,
+                averageCorrectSeconds: options.pacing.averageCorrectSeconds,
+                averageIncorrectSeconds: options.pacing.averageIncorrectSeconds,
+                accuracyByTime: options.pacing.accuracyByTime,
+                slowestQuestions: options.pacing.slowestQuestions.map(item => ({
+                    questionId: item.questionId,
+                    seconds: item.seconds,
+                    isCorrect: item.isCorrect
+                }))
+            } : null
         };
 
         this.progress.practiceTests.push(testRecord);
 
         // Update unit progress based on practice test results
         Object.keys(unitBreakdown || {}).forEach(unitId => {
-            const unitCorrect = unitBreakdown[unitId];
-            // Assuming roughly 11 questions per unit in practice test (55/5)
-            const unitTotal = 11;
-            this.updateUnitProgress(parseInt(unitId), unitCorrect, unitTotal);
+            const entry = unitBreakdown[unitId];
+            const isDetailed = entry !== null && typeof entry === 'object';
+            const unitCorrect = isDetailed ? entry.correct : entry;
+
+            // Without the test's per-unit totals, assume an even split across the five units
+            let unitTotal;
+            if (options.unitTotals) {
+                unitTotal = options.unitTotals[unitId] || 0;
+            } else {
+                unitTotal = isDetailed ? entry.total : Math.round(total / 5);
+            }
+
+            if (unitTotal > 0) {
+                this.updateUnitProgress(parseInt(unitId), Math.min(unitCorrect, unitTotal), unitTotal);
+            }
         });
 
         this.saveProgress();
@@ -151,6 +479,164 @@ class ProgressTracker {
         return [...this.progress.practiceTests];
     }
 
+    /**
+     * Record self-scored free-response points for a unit
+     * @param {number} unitId - Unit number (1-5)
+     * @param {number} pointsEarned - Rubric points earned
+     * @param {number} pointsPossible - Rubric points available
+     */
+    recordFRQScore(unitId, pointsEarned, pointsPossible) {
+        if (unitId < 1 || unitId > 5) {
+            throw new Error('Unit ID must be between 1 and 5');
+        }
+
+        if (typeof pointsPossible !== 'number' || pointsPossible <= 0) {
+            throw new Error('Points possible must be a positive number');
+        }
+
+        if (typeof pointsEarned !== 'number' || pointsEarned < 0 || pointsEarned > pointsPossible) {
+            throw new Error('Points earned must be between 0 and points possible');
+        }
+
+        const unit = this.progress.frq[unitId] || { responses: 0, pointsEarned: 0, pointsPossible: 0, lastAttempt: null };
+        unit.responses++;
+        unit.pointsEarned += pointsEarned;
+        unit.pointsPossible += pointsPossible;
+        unit.lastAttempt = new Date().toISOString();
+
+        this.progress.frq[unitId] = unit;
+        this.saveProgress();
+    }
+
+    /**
+     * Get free-response progress for a unit
+     * @param {number} unitId - Unit number (1-5)
+     * @returns {Object} FRQ progress ({responses, pointsEarned, pointsPossible, percentage, lastAttempt})
+     */
+    getFRQProgress(unitId) {
+        if (unitId < 1 || unitId > 5) {
+            throw new Error('Unit ID must be between 1 and 5');
+        }
+
+        const unit = this.progress.frq[unitId] || { responses: 0, pointsEarned: 0, pointsPossible: 0, lastAttempt: null };
+        return {
+            ...unit,
+            percentage: unit.pointsPossible > 0 ? Math.round((unit.pointsEarned / unit.pointsPossible) * 100) : 0
+        };
+    }
+
+    /**
+     * Record an FRQ score entered by hand, such as one graded by a teacher
+     * @param {number} pointsEarned - Rubric points earned
+     * @param {number} pointsPossible - Rubric points available
+     * @param {string|null} type - FRQ type (see FRQQuestion.TYPES), if known
+     * @returns {Object} The stored entry
+     */
+    recordManualFRQScore(pointsEarned, pointsPossible, type = null) {
+        if (typeof pointsPossible !== 'number' || pointsPossible <= 0) {
+            throw new Error('Points possible must be a positive number');
+        }
+
+        if (typeof pointsEarned !== 'number' || pointsEarned < 0 || pointsEarned > pointsPossible) {
+            throw new Error('Points earned must be between 0 and points possible');
+        }
+
+        const entry = {
+            pointsEarned: pointsEarned,
+            pointsPossible: pointsPossible,
+            type: type,
+            date: new Date().toISOString()
+        };
+
+        this.progress.manualFRQScores.push(entry);
+        this.saveProgress();
+        return entry;
+    }
+
+    /**
+     * Get manually entered FRQ scores
+     * @returns {Array} Entries ({pointsEarned, pointsPossible, type, date}), oldest first
+     */
+    getManualFRQScores() {
+        return [...this.progress.manualFRQScores];
+    }
+
+    /**
+     * Record a study review and reschedule the question
+     * @param {string} questionId - Question ID
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {Date} reviewedAt - When the question was answered
+     * @returns {Object|null} Updated review card, or null if scheduling is unavailable
+     */
+    recordReview(questionId, isCorrect, reviewedAt = new Date()) {
+        if (!this.scheduler) {
+            console.error('SpacedRepetitionScheduler class not found. Make sure spaced-repetition.js is loaded.');
+            return null;
+        }
+
+        const card = this.scheduler.reviewCard(
+            this.progress.reviewSchedule[questionId] || null,
+            questionId,
+            this.scheduler.getQualityForAnswer(isCorrect),
+            reviewedAt
+        );
+
+        this.progress.reviewSchedule[questionId] = card;
+        this.saveProgress();
+
+        return card;
+    }
+
+    /**
+     * Get the review card for a question
+     * @param {string} questionId - Question ID
+     * @returns {Object|null} Review card ({ease, interval, repetitions, lapses, dueDate, ...}) or null
+     */
+    getReviewCard(questionId) {
+        return this.progress.reviewSchedule[questionId] || null;
+    }
+
+    /**
+     * Get IDs of questions due for review, most overdue first
+     * @param {Date} now - Reference time
+     * @returns {Array} Question IDs
+     */
+    getDueQuestionIds(now = new Date()) {
+        if (!this.scheduler) {
+            return [];
+        }
+
+        const dueCards = Object.values(this.progress.reviewSchedule)
+            .filter(card => this.scheduler.isDue(card, now));
+
+        return this.scheduler.sortByPriority(dueCards).map(card => card.questionId);
+    }
+
+    /**
+     * Get IDs of questions missed on their last review that are not due yet
+     * @param {Date} now - Reference time
+     * @returns {Array} Question IDs, soonest due first
+     */
+    getMissedQuestionIds(now = new Date()) {
+        if (!this.scheduler) {
+            return [];
+        }
+
+        const missedCards = Object.values(this.progress.reviewSchedule)
+            .filter(card => card.lastResult === false && !this.scheduler.isDue(card, now));
+
+        return this.scheduler.sortByPriority(missedCards).map(card => card.questionId);
+    }
+
+    /**
+     * Get the number of questions due for review
+     * @param {Date} now - Reference time
+     * @returns {number} Due question count
+     */
+    getDueCount(now = new Date()) {
+        return this.getDueQuestionIds(now).length;
+    }
+
     /**
      * Get overall progress across all units
      * @returns {Object} Overall progress statistics
@@ -209,9 +695,29 @@ class ProgressTracker {
                 5: { seen: 0, correct: 0, total: 0 }
             },
             practiceTests: [],
+            reviewSchedule: {},
+            frq: {},
+            manualFRQScores: [],
             currentSession: null
         };
         this.saveProgress();
+
+        this.history = [];
+        this.saveHistory();
+    }
+
+    /**
+     * Replace all progress and the attempt ledger, e.g. from an imported file
+     * The current session is kept, since it belongs to this device
+     * @param {Object} progress - Progress record (validated and fixed before saving)
+     * @param {Array} history - Attempt entries, oldest first
+     */
+    restoreData(progress, history) {
+        this.progress = this.validateAndFixProgress({ ...progress, currentSession: this.progress.currentSession });
+        this.saveProgress();
+
+        this.history = (history || []).slice(-this.maxHistoryEntries);
+        this.saveHistory();
     }
 
     /**
@@ -290,6 +796,8 @@ class ProgressTracker {
                             5: { seen: 0, correct: 0, total: 0 }
                         },
                         practiceTests: [],
+                        reviewSchedule: {},
+                        frq: {},
                         currentSession: null
                     };
                     break;
@@ -307,20 +815,24 @@ class ProgressTracker {
 
     /**
      * Validate and fix progress data structure
+     * @param {Object|null} progress - Progress record to check instead of the tracker's own (e.g. an import)
+     * @returns {Object} The fixed progress record
+     * @throws {Error} If a given record can't be fixed (the tracker's own record is reset instead)
      */
-    validateAndFixProgress() {
+    validateAndFixProgress(progress = null) {
+        const target = progress || this.progress;
         try {
             // Ensure units object exists
-            if (!this.progress.units || typeof this.progress.units !== 'object') {
-                this.progress.units = {};
+            if (!target.units || typeof target.units !== 'object') {
+                target.units = {};
             }
             
             // Ensure all units 1-5 exist with proper structure
             for (let i = 1; i <= 5; i++) {
-                if (!this.progress.units[i] || typeof this.progress.units[i] !== 'object') {
-                    this.progress.units[i] = { seen: 0, correct: 0, total: 0 };
+                if (!target.units[i] || typeof target.units[i] !== 'object') {
+                    target.units[i] = { seen: 0, correct: 0, total: 0 };
                 } else {
-                    const unit = this.progress.units[i];
+                    const unit = target.units[i];
                     unit.seen = Math.max(0, parseInt(unit.seen) || 0);
                     unit.correct = Math.max(0, parseInt(unit.correct) || 0);
                     unit.total = Math.max(0, parseInt(unit.total) || 0);
@@ -329,16 +841,36 @@ class ProgressTracker {
                     if (unit.correct > unit.total) {
                         unit.correct = unit.total;
                     }
+
+                    // Drop ability estimates that can't be read
+                    if (unit.ability && (typeof unit.ability.estimate !== 'number' || typeof unit.ability.aptitude !== 'number')) {
+                        delete unit.ability;
+                    }
                 }
             }
             
             // Ensure practiceTests array exists
-            if (!Array.isArray(this.progress.practiceTests)) {
-                this.progress.practiceTests = [];
+            if (!Array.isArray(target.practiceTests)) {
+                target.practiceTests = [];
+            }
+
+            // Ensure reviewSchedule object exists
+            if (!target.reviewSchedule || typeof target.reviewSchedule !== 'object') {
+                target.reviewSchedule = {};
+            }
+            
+            // Ensure FRQ progress object exists
+            if (!target.frq || typeof target.frq !== 'object') {
+                target.frq = {};
+            }
+            
+            // Ensure manual FRQ scores array exists
+            if (!Array.isArray(target.manualFRQScores)) {
+                target.manualFRQScores = [];
             }
             
             // Validate practice test entries
-            this.progress.practiceTests = this.progress.practiceTests.filter(test => {
+            target.practiceTests = target.practiceTests.filter(test => {
                 return test && 
                        typeof test.score === 'number' && 
                        typeof test.total === 'number' && 
@@ -346,9 +878,14 @@ class ProgressTracker {
             });
             
             console.log('Progress structure validated and fixed');
+            return target;
         } catch (error) {
+            if (progress) {
+                throw new Error(`Progress data is invalid: ${error.message}`);
+            }
             console.error('Progress validation failed:', error);
             this.resetToDefault();
+            return this.progress;
         }
     }
 
@@ -365,6 +902,9 @@ class ProgressTracker {
                 5: { seen: 0, correct: 0, total: 0 }
             },
             practiceTests: [],
+            reviewSchedule: {},
+            frq: {},
+            manualFRQScores: [],
             currentSession: null
         };
         
@@ -252,6 +252,110 @@ function testSessionManagement() {
     console.log('✓ Session management tests passed');
 }
 
+/**
+ * Test Suite: Per-question attempt history
+ */
+function testQuestionHistory() {
+    console.log('Testing per-question attempt history...');
+    
+    const storage = new MockStorageWrapper();
+    const tracker = new ProgressTracker(storage);
+    
+    tracker.recordAttempt({ questionId: 'q1', unit: 1, quizId: 'quiz_a', selectedAnswer: 2, isCorrect: false, timeSpent: 12000, mode: 'unit' });
+    tracker.recordAttempt({ questionId: 'q2', unit: 1, quizId: 'quiz_a', selectedAnswer: 0, isCorrect: true, timeSpent: 8000, mode: 'unit' });
+    tracker.recordAttempt({ questionId: 'q1', unit: 1, quizId: 'quiz_b', selectedAnswer: 1, isCorrect: false, timeSpent: 9000, mode: 'study' });
+    tracker.recordAttempt({ questionId: 'q3', unit: 2, quizId: 'quiz_b', selectedAnswer: 3, isCorrect: false, timeSpent: 5000, mode: 'study' });
+    
+    // Changing an answer within the same quiz replaces the earlier entry
+    tracker.recordAttempt({ questionId: 'q2', unit: 1, quizId: 'quiz_a', selectedAnswer: 1, isCorrect: false, timeSpent: 3000, mode: 'unit' });
+    
+    const q1History = tracker.getQuestionHistory('q1');
+    assert(q1History.length === 2, 'Question 1 should have two attempts');
+    assert(q1History[0].selectedAnswer === 2, 'Attempts should keep the selected index');
+    assert(q1History[1].mode === 'study', 'Attempts should keep the mode');
+    assert(q1History[0].timeSpent === 12000, 'Attempts should keep time spent');
+    assert(tracker.getQuestionHistory('q2').length === 1, 'Re-answering in the same quiz should not add an attempt');
+    assert(tracker.getQuestionHistory('q2')[0].isCorrect === false, 'Latest answer in a quiz should win');
+    
+    const mostMissed = tracker.getMostMissed(2);
+    assert(mostMissed.length === 2, 'Most missed should respect the limit');
+    assert(mostMissed[0].questionId === 'q1', 'Question missed twice should be first');
+    assert(mostMissed[0].incorrect === 2 && mostMissed[0].missRate === 100, 'Miss counts should be summarised');
+    assert(tracker.getMostMissed(10, 2).length === 1, 'Most missed should filter by unit');
+    
+    const neverSeen = tracker.getNeverSeen(1, [
+        { id: 'q1', unit: 1 },
+        { id: 'q4', unit: 1 },
+        { id: 'q5', unit: 2 }
+    ]);
+    assert(neverSeen.length === 1 && neverSeen[0] === 'q4', 'Never seen should list unattempted questions in the unit');
+    
+    // Unit seen comes from unique question IDs once the ledger has entries
+    tracker.updateUnitProgress(1, 5, 10);
+    assert(tracker.getUnitSeen(1) === 2, 'Unit seen should count unique questions');
+    assert(tracker.getUnitSeen(3) === 0, 'Units without attempts should use the aggregate count');
+
+    // Counts from before the ledger don't drop once the unit's first attempt is logged
+    tracker.updateUnitProgress(4, 30, 40);
+    assert(tracker.getUnitSeen(4) === 40, 'Units without attempts should use the legacy count');
+    tracker.recordAttempt({ questionId: 'q9', unit: 4, quizId: 'quiz3', selectedAnswer: 0, isCorrect: true });
+    assert(tracker.getUnitSeen(4) === 40, 'A new attempt should not drop below the legacy count');
+    
+    // History persists separately from progress
+    const reloaded = new ProgressTracker(storage);
+    assert(reloaded.getQuestionHistory('q1').length === 2, 'History should persist');
+    
+    reloaded.resetProgress();
+    assert(reloaded.getQuestionHistory('q1').length === 0, 'Reset should clear history');
+    
+    try {
+        tracker.recordAttempt({ unit: 1, isCorrect: true });
+        assert(false, 'Should throw error for missing question ID');
+    } catch (error) {
+        assert(error.message.includes('question ID'), 'Should throw error for missing question ID');
+    }
+    
+    console.log('✓ Per-question attempt history tests passed');
+}
+
+/**
+ * Test Suite: Mistakes pool for review mode
+ */
+function testMistakePool() {
+    console.log('Testing mistakes pool...');
+    
+    const tracker = new ProgressTracker(new MockStorageWrapper());
+    const lastMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    
+    tracker.recordAttempt({ questionId: 'old', unit: 1, quizId: 'quiz_a', selectedAnswer: 1, isCorrect: false, timestamp: lastMonth });
+    tracker.recordAttempt({ questionId: 'm1', unit: 1, quizId: 'quiz_b', selectedAnswer: 1, isCorrect: false });
+    tracker.recordAttempt({ questionId: 'm1', unit: 1, quizId: 'quiz_c', selectedAnswer: 1, isCorrect: false });
+    tracker.recordAttempt({ questionId: 'm2', unit: 2, quizId: 'quiz_b', selectedAnswer: 1, isCorrect: false });
+    tracker.recordAttempt({ questionId: 'ok', unit: 2, quizId: 'quiz_b', selectedAnswer: 0, isCorrect: true });
+    
+    const pool = tracker.getMistakeQuestionIds();
+    assert(pool.length === 3, 'Only missed questions should be in the pool');
+    assert(pool[0] === 'm1', 'Most missed question should come first');
+    assert(tracker.getMistakeQuestionIds({ units: [2] })[0] === 'm2', 'Pool should filter by unit');
+    
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    assert(!tracker.getMistakeQuestionIds({ since: lastWeek }).includes('old'), 'Pool should filter by start date');
+    assert(tracker.getMistakeQuestionIds({ until: lastWeek })[0] === 'old', 'Pool should filter by end date');
+    
+    // Correct streak takes the question out of the pool
+    ['quiz_d', 'quiz_e'].forEach(quizId => {
+        tracker.recordAttempt({ questionId: 'm2', unit: 2, quizId, selectedAnswer: 0, isCorrect: true });
+    });
+    assert(tracker.getCorrectStreak('m2') === 2, 'Correct streak should count trailing correct answers');
+    assert(tracker.getMistakeQuestionIds().includes('m2'), 'Question should stay until the streak is reached');
+    assert(!tracker.getMistakeQuestionIds({ masteryStreak: 2 }).includes('m2'), 'Mastery streak should be configurable');
+    
+    tracker.recordAttempt({ questionId: 'm2', unit: 2, quizId: 'quiz_f', selectedAnswer: 0, isCorrect: true });
+    assert(!tracker.getMistakeQuestionIds().includes('m2'), 'Question should leave the pool after the mastery streak');
+    
+    console.log('✓ Mistakes pool tests passed');
+}
+
 /**
  * Simple assertion function for testing
  */
@@ -276,6 +380,8 @@ function runProgressTrackerTests() {
         testDataPersistence();
         testErrorHandling();
         testSessionManagement();
+        testQuestionHistory();
+        testMistakePool();
         
         console.log('\n✅ All ProgressTracker tests passed!');
         return true;
@@ -0,0 +1,413 @@
+/**
+ * ProgressTransfer - Exports all progress to a portable JSON file and imports it on another device
+ * Exports carry a schema version; older files are migrated step by step before they are validated,
+ * previewed and then merged with or used to replace the progress on this device
+ */
+class ProgressTransfer {
+    /**
+     * @param {ProgressTracker} progressTracker - Tracker whose progress is exported or replaced
+     */
+    constructor(progressTracker) {
+        this.progressTracker = progressTracker;
+        this.storage = progressTracker.storage;
+    }
+
+    /**
+     * Build an export of everything recorded for this student
+     * @param {Object} options - Export options
+     * @param {string} options.profileName - Name of the profile being exported
+     * @returns {Object} Versioned export
+     */
+    createExport(options = {}) {
+        const progress = this.clone(this.progressTracker.progress);
+        progress.currentSession = null;
+
+        return {
+            format: ProgressTransfer.FORMAT,
+            version: ProgressTransfer.SCHEMA_VERSION,
+            exportId: `export_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            exportedAt: new Date().toISOString(),
+            profileName: options.profileName || null,
+            progress: progress,
+            history: this.progressTracker.getAttemptHistory(),
+            settings: this.getSettings()
+        };
+    }
+
+    /**
+     * Serialize an export for download
+     * @param {Object} options - Export options (see createExport)
+     * @returns {string} JSON text
+     */
+    exportToJSON(options = {}) {
+        return JSON.stringify(this.createExport(options), null, 2);
+    }
+
+    /**
+     * Suggest a file name for an export
+     * @param {string|null} profileName - Profile being exported
+     * @param {Date} date - Export date
+     * @returns {string} File name
+     */
+    getExportFileName(profileName = null, date = new Date()) {
+        const slug = (profileName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const day = date.toISOString().slice(0, 10);
+        return `ap-gov-progress${slug ? `-${slug}` : ''}-${day}.json`;
+    }
+
+    /**
+     * Parse, migrate and validate an export file
+     * @param {string} text - File contents
+     * @returns {Object} Import data ({progress, history, settings, exportId, exportedAt, profileName, migratedFrom, skipped})
+     * @throws {Error} If the file is not a readable progress export
+     */
+    parseImport(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        return this.normalizeImport(raw);
+    }
+
+    /**
+     * Migrate and validate a parsed export
+     * @param {Object} raw - Parsed export (any supported schema version)
+     * @returns {Object} Import data (see parseImport)
+     * @throws {Error} If the export can't be read
+     */
+    normalizeImport(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('File does not contain progress data');
+        }
+
+        const sourceVersion = this.getSchemaVersion(raw);
+        if (sourceVersion > ProgressTransfer.SCHEMA_VERSION) {
+            throw new Error(`This file was exported by a newer version of the app (schema ${sourceVersion}). Update the app to import it.`);
+        }
+
+        let data = this.clone(raw);
+        for (let version = sourceVersion; version < ProgressTransfer.SCHEMA_VERSION; version++) {
+            data = ProgressTransfer.MIGRATIONS[version](data);
+        }
+
+        if (!data.progress || typeof data.progress !== 'object' || Array.isArray(data.progress)) {
+            throw new Error('File does not contain progress data');
+        }
+
+        const practiceTestCount = Array.isArray(data.progress.practiceTests) ? data.progress.practiceTests.length : 0;
+        const progress = this.progressTracker.validateAndFixProgress(data.progress);
+        progress.currentSession = null;
+
+        const rawHistory = Array.isArray(data.history) ? data.history : [];
+        const history = rawHistory.filter(entry =>
+            entry && typeof entry.questionId === 'string' && typeof entry.isCorrect === 'boolean' && entry.timestamp
+        );
+
+        return {
+            exportId: data.exportId || null,
+            exportedAt: data.exportedAt || null,
+            profileName: data.profileName || null,
+            migratedFrom: sourceVersion < ProgressTransfer.SCHEMA_VERSION ? sourceVersion : null,
+            progress: progress,
+            history: history,
+            settings: this.validateSettings(data.settings),
+            skipped: {
+                practiceTests: practiceTestCount - progress.practiceTests.length,
+                attempts: rawHistory.length - history.length
+            }
+        };
+    }
+
+    /**
+     * Work out which schema version a parsed file uses
+     * @param {Object} raw - Parsed file
+     * @returns {number} Schema version (0 for a bare progress record)
+     * @throws {Error} If the file is not a progress export
+     */
+    getSchemaVersion(raw) {
+        if (raw.format === ProgressTransfer.FORMAT) {
+            if (!Number.isInteger(raw.version) || raw.version < 1) {
+                throw new Error('Export has no valid schema version');
+            }
+            return raw.version;
+        }
+
+        // A progress record copied straight out of storage, from before exports existed
+        if (raw.units && typeof raw.units === 'object') {
+            return 0;
+        }
+
+        throw new Error('File is not an AP Gov progress export');
+    }
+
+    /**
+     * Describe what importing would change, without changing anything
+     * @param {Object} data - Import data from parseImport
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Preview ({mode, units, practiceTests, attempts, reviewCards, frqScores, settings, warnings})
+     */
+    previewImport(data, mode = 'merge') {
+        const next = this.buildImportedState(data, mode);
+        const current = this.progressTracker.progress;
+        const countBoth = (count) => ({ before: count(current), after: count(next.progress) });
+
+        const units = {};
+        for (let unitId = 1; unitId <= 5; unitId++) {
+            const before = current.units[unitId];
+            const after = next.progress.units[unitId];
+            units[unitId] = {
+                before: { correct: before.correct, total: before.total },
+                after: { correct: after.correct, total: after.total }
+            };
+        }
+
+        const settings = Object.keys(ProgressTransfer.SETTINGS_KEYS).filter(name =>
+            JSON.stringify(next.settings[name]) !== JSON.stringify(this.getSettings()[name])
+        );
+
+        const warnings = [];
+        if (data.skipped.practiceTests > 0) {
+            warnings.push(`${data.skipped.practiceTests} unreadable practice test(s) will be skipped`);
+        }
+        if (data.skipped.attempts > 0) {
+            warnings.push(`${data.skipped.attempts} unreadable answer(s) will be skipped`);
+        }
+        if (mode === 'merge' && data.exportId && (current.importedExports || []).includes(data.exportId)) {
+            warnings.push('This file has already been merged; merging it again will count its unit scores twice');
+        }
+
+        return {
+            mode: mode,
+            exportedAt: data.exportedAt,
+            profileName: data.profileName,
+            migratedFrom: data.migratedFrom,
+            units: units,
+            practiceTests: countBoth(progress => progress.practiceTests.length),
+            attempts: { before: this.progressTracker.history.length, after: next.history.length },
+            reviewCards: countBoth(progress => Object.keys(progress.reviewSchedule).length),
+            frqScores: countBoth(progress => progress.manualFRQScores.length),
+            settings: settings,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Import data into this device's progress
+     * @param {Object} data - Import data from parseImport
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Preview of what was changed (see previewImport)
+     */
+    applyImport(data, mode = 'merge') {
+        const summary = this.previewImport(data, mode);
+        const next = this.buildImportedState(data, mode);
+
+        this.progressTracker.restoreData(next.progress, next.history);
+
+        Object.keys(ProgressTransfer.SETTINGS_KEYS).forEach(name => {
+            const key = ProgressTransfer.SETTINGS_KEYS[name];
+            if (next.settings[name] === null) {
+                this.storage.removeItem(key);
+            } else {
+                this.storage.setItem(key, next.settings[name]);
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Combine this device's data with imported data
+     * Merging adds unit counts, keeps the newest review card and ability estimate, and takes the union
+     * of practice tests, FRQ scores, answers and question banks; local settings win over imported ones
+     * @param {Object} data - Import data from parseImport
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Resulting state ({progress, history, settings})
+     * @throws {Error} If the mode is unknown
+     */
+    buildImportedState(data, mode) {
+        if (!ProgressTransfer.IMPORT_MODES.includes(mode)) {
+            throw new Error(`Import mode must be one of: ${ProgressTransfer.IMPORT_MODES.join(', ')}`);
+        }
+
+        const imported = this.clone(data.progress);
+        const recordImport = (progress) => {
+            if (data.exportId) {
+                progress.importedExports = [...new Set([...(progress.importedExports || []), data.exportId])];
+            }
+            return progress;
+        };
+
+        if (mode === 'replace') {
+            return {
+                progress: recordImport(imported),
+                history: this.clone(data.history),
+                settings: this.clone(data.settings)
+            };
+        }
+
+        const current = this.clone(this.progressTracker.progress);
+        const newer = (a, b, field) => (b && (!a || new Date(b[field]) > new Date(a[field])) ? b : a);
+
+        const units = {};
+        for (let unitId = 1; unitId <= 5; unitId++) {
+            const local = current.units[unitId];
+            const other = imported.units[unitId];
+            units[unitId] = {
+                ...local,
+                seen: local.seen + other.seen,
+                correct: local.correct + other.correct,
+                total: local.total + other.total
+            };
+
+            const ability = newer(local.ability, other.ability, 'date');
+            if (ability) {
+                units[unitId].ability = ability;
+            }
+        }
+
+        const reviewSchedule = { ...current.reviewSchedule };
+        Object.keys(imported.reviewSchedule).forEach(questionId => {
+            reviewSchedule[questionId] = newer(reviewSchedule[questionId], imported.reviewSchedule[questionId], 'lastReviewed');
+        });
+
+        const frq = { ...current.frq };
+        Object.keys(imported.frq).forEach(unitId => {
+            const local = frq[unitId];
+            const other = imported.frq[unitId];
+            frq[unitId] = !local ? other : {
+                responses: local.responses + other.responses,
+                pointsEarned: local.pointsEarned + other.pointsEarned,
+                pointsPossible: local.pointsPossible + other.pointsPossible,
+                lastAttempt: newer(local, other, 'lastAttempt').lastAttempt
+            };
+        });
+
+        const progress = {
+            ...current,
+            units: units,
+            practiceTests: this.union(current.practiceTests, imported.practiceTests,
+                test => `${test.date}|${test.score}|${test.total}`, 'date'),
+            reviewSchedule: reviewSchedule,
+            frq: frq,
+            manualFRQScores: this.union(current.manualFRQScores, imported.manualFRQScores,
+                entry => `${entry.date}|${entry.pointsEarned}|${entry.pointsPossible}`, 'date'),
+            importedExports: current.importedExports || []
+        };
+
+        const settings = this.getSettings();
+        Object.keys(settings).forEach(name => {
+            if (settings[name] === null) {
+                settings[name] = this.clone(data.settings[name]);
+            }
+        });
+        if (data.settings.questionBanks) {
+            settings.questionBanks = this.union(settings.questionBanks || [], data.settings.questionBanks, bank => bank.id, null);
+        }
+
+        return {
+            progress: recordImport(progress),
+            history: this.union(this.progressTracker.getAttemptHistory(), data.history,
+                entry => `${entry.quizId}|${entry.questionId}|${entry.timestamp}`, 'timestamp'),
+            settings: settings
+        };
+    }
+
+    /**
+     * Read the settings included in exports
+     * @returns {Object} Settings by name (null when not set)
+     */
+    getSettings() {
+        const settings = {};
+        Object.keys(ProgressTransfer.SETTINGS_KEYS).forEach(name => {
+            settings[name] = this.storage.getItem(ProgressTransfer.SETTINGS_KEYS[name]);
+        });
+        return settings;
+    }
+
+    /**
+     * Drop imported settings with the wrong shape
+     * @param {Object} settings - Imported settings
+     * @returns {Object} Settings by name (null when missing or invalid)
+     */
+    validateSettings(settings) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        return {
+            practiceBlueprint: isObject(source.practiceBlueprint) ? source.practiceBlueprint : null,
+            selectedBanks: Array.isArray(source.selectedBanks) && source.selectedBanks.every(id => typeof id === 'string')
+                ? source.selectedBanks : null,
+            questionBanks: Array.isArray(source.questionBanks)
+                ? source.questionBanks.filter(bank => isObject(bank) && typeof bank.id === 'string' && Array.isArray(bank.questions))
+                : null
+        };
+    }
+
+    /**
+     * Combine two lists without duplicates, keeping the first copy of each key
+     * @param {Array} first - Entries kept first
+     * @param {Array} second - Entries added if new
+     * @param {Function} getKey - Returns an entry's identity
+     * @param {string|null} dateField - Field to sort the result by, oldest first
+     * @returns {Array} Combined entries
+     */
+    union(first, second, getKey, dateField) {
+        const seen = new Set();
+        const combined = [...first, ...second].filter(entry => {
+            const key = getKey(entry);
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+
+        if (dateField) {
+            combined.sort((a, b) => new Date(a[dateField]) - new Date(b[dateField]));
+        }
+        return combined;
+    }
+
+    /**
+     * Deep copy plain JSON data
+     * @param {*} value - Value to copy
+     * @returns {*} Copy
+     */
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+ProgressTransfer.FORMAT = 'ap-gov-progress-export';
+ProgressTransfer.SCHEMA_VERSION = 1;
+ProgressTransfer.IMPORT_MODES = ['merge', 'replace'];
+
+// Storage keys of the settings carried in exports
+ProgressTransfer.SETTINGS_KEYS = {
+    practiceBlueprint: 'ap-gov-practice-blueprint',
+    selectedBanks: 'ap-gov-selected-banks',
+    questionBanks: 'ap-gov-question-banks'
+};
+
+// Upgrade steps keyed by the version they upgrade from; add one here whenever the schema version goes up
+ProgressTransfer.MIGRATIONS = {
+    // Version 0: a bare progress record saved under 'ap-gov-progress', with no history or settings
+    0: (record) => ({
+        format: ProgressTransfer.FORMAT,
+        version: 1,
+        exportId: null,
+        exportedAt: record.lastUpdated || null,
+        profileName: null,
+        progress: record,
+        history: [],
+        settings: {}
+    })
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressTransfer;
+}
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for ProgressTransfer
+ * Tests progress export, schema migration, validation, import previews and merge/replace imports
+ */
+
+/**
+ * Build a tracker with some recorded work
+ */
+function createTransferTestTracker(unitCorrect, quizId) {
+    const storage = new StorageWrapper(null, null, new MemoryStorageBackend());
+    const tracker = new ProgressTracker(storage);
+
+    tracker.updateUnitProgress(1, unitCorrect, 10);
+    tracker.recordPracticeTest(40, 55, {}, {});
+    tracker.recordManualFRQScore(4, 6, 'argument-essay');
+    tracker.recordAttempt({ questionId: 'q1', unit: 1, selectedAnswer: 0, isCorrect: true, timeSpent: 3000, mode: 'unit', quizId });
+    tracker.recordAttempt({ questionId: 'q2', unit: 1, selectedAnswer: 1, isCorrect: false, timeSpent: 5000, mode: 'unit', quizId });
+    storage.setItem('ap-gov-practice-blueprint', { length: 'half' });
+
+    return tracker;
+}
+
+/**
+ * Test Suite: Export
+ */
+function testExport() {
+    console.log('Testing progress export...');
+
+    const tracker = createTransferTestTracker(7, 'quiz-a');
+    tracker.saveCurrentSession({ mode: 'unit', currentQuestion: 3 });
+    const transfer = new ProgressTransfer(tracker);
+
+    const exported = JSON.parse(transfer.exportToJSON({ profileName: 'Alex' }));
+    assert(exported.format === ProgressTransfer.FORMAT, 'Export should be marked with the format');
+    assert(exported.version === ProgressTransfer.SCHEMA_VERSION, 'Export should carry the schema version');
+    assert(exported.exportId && exported.exportedAt, 'Export should be identified and dated');
+    assert(exported.progress.units[1].correct === 7, 'Unit stats should be exported');
+    assert(exported.progress.practiceTests.length === 1, 'Practice tests should be exported');
+    assert(exported.history.length === 2, 'Per-question attempts should be exported');
+    assert(exported.settings.practiceBlueprint.length === 'half', 'Settings should be exported');
+    assert(exported.progress.currentSession === null, 'The in-progress session should stay on the device');
+    assert(tracker.getCurrentSession() !== null, 'Exporting should not clear the session');
+
+    assert(transfer.getExportFileName('Alex Smith', new Date('2026-03-01T12:00:00Z')) === 'ap-gov-progress-alex-smith-2026-03-01.json',
+        'File name should include the profile and date');
+
+    console.log('✓ Progress export tests passed');
+}
+
+/**
+ * Test Suite: Parsing, validation and migration
+ */
+function testParseAndMigrate() {
+    console.log('Testing import parsing and migration...');
+
+    const transfer = new ProgressTransfer(new ProgressTracker(new StorageWrapper(null, null, new MemoryStorageBackend())));
+    const expectError = (text, message) => {
+        let threw = false;
+        try {
+            transfer.parseImport(text);
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, message);
+    };
+
+    expectError('not json', 'Invalid JSON should be rejected');
+    expectError('[]', 'Arrays should be rejected');
+    expectError(JSON.stringify({ hello: 'world' }), 'Unrelated JSON should be rejected');
+    expectError(JSON.stringify({ format: ProgressTransfer.FORMAT, version: ProgressTransfer.SCHEMA_VERSION + 1, progress: {} }),
+        'Exports from newer versions should be rejected');
+
+    // A bare progress record from before exports existed
+    const legacy = transfer.parseImport(JSON.stringify({
+        units: { 1: { seen: '5', correct: 9, total: 4 } },
+        practiceTests: [{ score: 30, total: 55, date: '2025-01-01T00:00:00.000Z' }, { score: 'bad' }],
+        lastUpdated: '2025-01-02T00:00:00.000Z'
+    }));
+    assert(legacy.migratedFrom === 0, 'Legacy records should be migrated');
+    assert(legacy.exportedAt === '2025-01-02T00:00:00.000Z', 'Migration should keep the record date');
+    assert(legacy.progress.units[1].seen === 5 && legacy.progress.units[1].correct === 4, 'Progress should be validated and fixed');
+    assert(legacy.progress.units[5].total === 0, 'Missing units should be filled in');
+    assert(legacy.progress.practiceTests.length === 1 && legacy.skipped.practiceTests === 1, 'Invalid practice tests should be dropped and counted');
+    assert(legacy.history.length === 0 && legacy.settings.practiceBlueprint === null, 'Legacy records have no history or settings');
+
+    const current = transfer.parseImport(JSON.stringify({
+        format: ProgressTransfer.FORMAT,
+        version: ProgressTransfer.SCHEMA_VERSION,
+        progress: { units: {} },
+        history: [{ questionId: 'q1', isCorrect: true, timestamp: '2025-01-01T00:00:00.000Z' }, { questionId: 'q2' }],
+        settings: { selectedBanks: 'default', questionBanks: [{ id: 'b1', questions: [] }, { name: 'no id' }] }
+    }));
+    assert(current.migratedFrom === null, 'Current exports need no migration');
+    assert(current.history.length === 1 && current.skipped.attempts === 1, 'Invalid attempts should be dropped and counted');
+    assert(current.settings.selectedBanks === null, 'Settings with the wrong shape should be dropped');
+    assert(current.settings.questionBanks.length === 1, 'Invalid question banks should be dropped');
+
+    console.log('✓ Import parsing and migration tests passed');
+}
+
+/**
+ * Test Suite: Preview, merge and replace
+ */
+function testMergeAndReplace() {
+    console.log('Testing merge and replace imports...');
+
+    const other = createTransferTestTracker(9, 'quiz-b');
+    other.recordManualFRQScore(2, 6);
+    other.storage.setItem('ap-gov-practice-blueprint', { length: 'full' });
+    other.storage.setItem('ap-gov-question-banks', [{ id: 'bank_1', name: 'Period 3', questions: [] }]);
+    const exportText = new ProgressTransfer(other).exportToJSON({ profileName: 'Alex' });
+
+    const tracker = createTransferTestTracker(7, 'quiz-a');
+    tracker.saveCurrentSession({ mode: 'unit', currentQuestion: 2 });
+    const transfer = new ProgressTransfer(tracker);
+    const data = transfer.parseImport(exportText);
+
+    // Previewing changes nothing
+    const preview = transfer.previewImport(data, 'merge');
+    assert(preview.units[1].before.correct === 7 && preview.units[1].after.correct === 16, 'Preview should show merged unit stats');
+    assert(preview.attempts.before === 2 && preview.attempts.after === 4, 'Preview should count merged attempts');
+    assert(preview.settings.length === 1 && preview.settings[0] === 'questionBanks', 'Merging should keep local settings and add banks');
+    assert(tracker.getUnitProgress(1).correct === 7, 'Previewing should not change progress');
+
+    const replacePreview = transfer.previewImport(data, 'replace');
+    assert(replacePreview.units[1].after.correct === 9, 'Replacing should use the imported stats');
+    assert(replacePreview.settings.includes('practiceBlueprint'), 'Replacing should take the imported settings');
+
+    let threw = false;
+    try {
+        transfer.previewImport(data, 'append');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unknown import modes should throw');
+
+    // Merge
+    transfer.applyImport(data, 'merge');
+    assert(tracker.getUnitProgress(1).correct === 16 && tracker.getUnitProgress(1).total === 20, 'Merge should add unit stats');
+    assert(tracker.getAttemptHistory().length === 4, 'Merge should combine attempts');
+    assert(tracker.getManualFRQScores().some(entry => entry.pointsEarned === 2), 'Merge should add imported FRQ scores');
+    assert(tracker.storage.getItem('ap-gov-practice-blueprint').length === 'half', 'Merge should keep local settings');
+    assert(tracker.storage.getItem('ap-gov-question-banks').length === 1, 'Merge should add imported banks');
+    assert(tracker.getCurrentSession().currentQuestion === 2, 'Import should keep the session on this device');
+
+    const reloaded = new ProgressTracker(tracker.storage);
+    assert(reloaded.getUnitProgress(1).correct === 16 && reloaded.getAttemptHistory().length === 4, 'Merged data should be saved');
+
+    // Merging the same file again is flagged, and attempts are not duplicated
+    const again = transfer.previewImport(data, 'merge');
+    assert(again.warnings.some(warning => warning.includes('already been merged')), 'Re-merging should warn');
+    assert(again.attempts.after === 4, 'Attempts should not be duplicated');
+
+    // Replace
+    transfer.applyImport(data, 'replace');
+    assert(tracker.getUnitProgress(1).correct === 9, 'Replace should use the imported stats');
+    assert(tracker.getAttemptHistory().every(entry => entry.quizId === 'quiz-b'), 'Replace should use the imported attempts');
+    assert(tracker.storage.getItem('ap-gov-practice-blueprint').length === 'full', 'Replace should use the imported settings');
+    assert(tracker.storage.getItem('ap-gov-selected-banks') === null, 'Settings missing from the file should be cleared');
+
+    console.log('✓ Merge and replace import tests passed');
+}
+
+/**
+ * Test Suite: Validating a progress record other than the tracker's own
+ */
+function testValidateGivenProgress() {
+    console.log('Testing validation of a given progress record...');
+
+    const tracker = new ProgressTracker(new StorageWrapper(null, null, new MemoryStorageBackend()));
+    tracker.updateUnitProgress(2, 3, 5);
+
+    const fixed = tracker.validateAndFixProgress({ units: { 2: { seen: -1, correct: 2, total: 1 } }, practiceTests: 'none' });
+    assert(fixed.units[2].seen === 0 && fixed.units[2].correct === 1, 'The given record should be fixed');
+    assert(Array.isArray(fixed.practiceTests), 'Missing lists should be created');
+    assert(tracker.getUnitProgress(2).correct === 3, "The tracker's own progress should be untouched");
+
+    console.log('✓ Given progress validation tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runProgressTransferTests() {
+    console.log('Running ProgressTransfer Tests...\n');
+
+    try {
+        testExport();
+        testParseAndMigrate();
+        testMergeAndReplace();
+        testValidateGivenProgress();
+
+        console.log('\n✅ All ProgressTransfer tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runProgressTransferTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.StorageWrapper = require('./storage-wrapper.js');
+    global.MemoryStorageBackend = require('./memory-storage-backend.js');
+    global.SpacedRepetitionScheduler = require('./spaced-repetition.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    global.ProgressTransfer = require('./progress-transfer.js');
+    runProgressTransferTests();
+}
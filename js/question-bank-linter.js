@@ -0,0 +1,371 @@
+/**
+ * QuestionBankLinter - Quality checks for question bank files
+ * Flags OCR artefacts, merged or truncated text, duplicate questions and options,
+ * fragment options, missing explanations and answer-position bias.
+ * Works on raw bank JSON ({metadata, questions}) or an array of question objects,
+ * in Node (see lint-question-bank.js) and in the browser.
+ */
+class QuestionBankLinter {
+    constructor(options = {}) {
+        this.options = {
+            nearDuplicateThreshold: 0.85,   // Token similarity at which two questions count as near-duplicates
+            minBiasSample: 20,              // Fewest questions with the same option count before checking bias
+            maxTextLength: 400,             // Longer stems are usually several questions run together
+            ...options
+        };
+    }
+
+    /**
+     * Lint a question bank
+     * @param {Object|Array} bank - Bank data ({questions}) or an array of questions
+     * @returns {Object} Report with issues keyed by question ID
+     */
+    lint(bank) {
+        const rawQuestions = Array.isArray(bank) ? bank : (bank && bank.questions) || [];
+        const report = {
+            generatedAt: new Date().toISOString(),
+            totalQuestions: rawQuestions.length,
+            summary: {
+                questionsWithIssues: 0,
+                errors: 0,
+                warnings: 0,
+                info: 0,
+                byRule: {}
+            },
+            questions: {},
+            bank: []
+        };
+
+        const questions = rawQuestions.map((raw, index) => this.normalizeQuestion(raw, index));
+        const seenIds = new Set();
+
+        questions.forEach(question => {
+            if (seenIds.has(question.id)) {
+                this.addIssue(report, question.id, 'duplicate-id', 'error', `ID "${question.id}" is used by more than one question`);
+            }
+            seenIds.add(question.id);
+
+            this.checkStructure(report, question);
+            this.checkOCRArtifacts(report, question);
+            this.checkMergedText(report, question);
+            this.checkOptions(report, question);
+
+            if (!question.explanation.trim()) {
+                this.addIssue(report, question.id, 'missing-explanation', 'info', 'Question has no explanation');
+            }
+        });
+
+        this.checkDuplicates(report, questions);
+        this.checkAnswerPositionBias(report, questions);
+
+        report.summary.questionsWithIssues = Object.keys(report.questions).length;
+        return report;
+    }
+
+    /**
+     * Bring a raw question into a predictable shape without rejecting it
+     * @param {Object} raw - Raw question data
+     * @param {number} index - Position in the bank
+     * @returns {Object} Normalized question
+     */
+    normalizeQuestion(raw, index) {
+        const data = raw || {};
+        const options = Array.isArray(data.options) ? data.options.map(option => typeof option === 'string' ? option : '') : [];
+        let correct = data.correct;
+        if (typeof correct === 'string' && /^[A-F]$/i.test(correct.trim())) {
+            correct = correct.trim().toUpperCase().charCodeAt(0) - 65;
+        }
+
+        return {
+            id: data.id !== undefined && data.id !== null ? String(data.id) : `#${index + 1}`,
+            unit: data.unit,
+            question: typeof data.question === 'string' ? data.question : '',
+            options: options,
+            correct: correct,
+            explanation: typeof data.explanation === 'string' ? data.explanation : ''
+        };
+    }
+
+    /**
+     * Required fields: unit, question text, option count and answer index
+     */
+    checkStructure(report, question) {
+        if (!Number.isInteger(question.unit) || question.unit < 1 || question.unit > 5) {
+            this.addIssue(report, question.id, 'invalid-unit', 'error', `Unit must be 1-5 (found ${JSON.stringify(question.unit)})`);
+        }
+
+        if (!question.question.trim()) {
+            this.addIssue(report, question.id, 'missing-question', 'error', 'Question text is empty');
+        }
+
+        if (question.options.length < Question.MIN_OPTIONS || question.options.length > Question.MAX_OPTIONS) {
+            this.addIssue(report, question.id, 'option-count', 'error',
+                `Has ${question.options.length} options; expected ${Question.MIN_OPTIONS}-${Question.MAX_OPTIONS}`);
+        }
+
+        if (!Number.isInteger(question.correct) || question.correct < 0 || question.correct >= question.options.length) {
+            this.addIssue(report, question.id, 'invalid-answer', 'error', `Correct answer ${JSON.stringify(question.correct)} does not match an option`);
+        }
+    }
+
+    /**
+     * Characters and phrases left behind by scanning answer sheets
+     */
+    checkOCRArtifacts(report, question) {
+        this.getTextFields(question).forEach(({ field, text }) => {
+            const found = QuestionBankLinter.OCR_PATTERNS
+                .filter(pattern => pattern.regex.test(text))
+                .map(pattern => pattern.label);
+
+            if (found.length > 0) {
+                this.addIssue(report, question.id, 'ocr-artifact', 'error', `OCR artefacts: ${found.join(', ')}`, field);
+            }
+        });
+    }
+
+    /**
+     * Question stems that look like two lines or two questions spliced together
+     */
+    checkMergedText(report, question) {
+        const text = question.question.trim();
+        if (!text) {
+            return;
+        }
+
+        const reasons = [];
+        if ((text.match(/\?/g) || []).length > 1) {
+            reasons.push('more than one question mark');
+        }
+        if (/\bwhich of\b(?! the following)[^?]*\bthe following\b/i.test(text)) {
+            reasons.push('"which of ... the following" is split by other words');
+        }
+        if (/[a-z]{2}[.?!] [a-z]/.test(text)) {
+            reasons.push('a sentence continues in lowercase after a full stop');
+        }
+        if (text.length > this.options.maxTextLength) {
+            reasons.push(`${text.length} characters long`);
+        }
+
+        if (reasons.length > 0) {
+            this.addIssue(report, question.id, 'merged-text', 'warning', `Question text looks merged: ${reasons.join('; ')}`, 'question');
+        }
+
+        if (!/[?.:)"'_]$/.test(text)) {
+            this.addIssue(report, question.id, 'truncated-text', 'warning', 'Question text does not end with punctuation', 'question');
+        }
+    }
+
+    /**
+     * Empty, duplicate and fragment options
+     */
+    checkOptions(report, question) {
+        const seen = new Map();
+        const startsUpper = question.options.filter(option => /^[A-Z0-9"'(]/.test(option.trim())).length;
+
+        question.options.forEach((option, index) => {
+            const field = `options[${index}]`;
+            const letter = String.fromCharCode(65 + index);
+            const text = option.trim();
+
+            if (!text) {
+                this.addIssue(report, question.id, 'empty-option', 'error', `Option ${letter} is empty`, field);
+                return;
+            }
+
+            const key = QuestionBankLinter.normalizeText(text);
+            if (seen.has(key)) {
+                this.addIssue(report, question.id, 'duplicate-option', 'error',
+                    `Option ${letter} repeats option ${String.fromCharCode(65 + seen.get(key))}`, field);
+            } else {
+                seen.set(key, index);
+            }
+
+            const lastWord = (text.toLowerCase().match(/([a-z']+)[^a-z']*$/) || [])[1];
+            if (lastWord && QuestionBankLinter.DANGLING_WORDS.includes(lastWord) && !/[.?!]$/.test(text)) {
+                this.addIssue(report, question.id, 'option-fragment', 'warning', `Option ${letter} ends mid-sentence ("${lastWord}")`, field);
+            } else if (/^[a-z]/.test(text) && startsUpper >= question.options.length / 2) {
+                this.addIssue(report, question.id, 'option-fragment', 'warning', `Option ${letter} starts in lowercase like a continued sentence`, field);
+            }
+        });
+    }
+
+    /**
+     * Exact and near-duplicate questions across the bank
+     */
+    checkDuplicates(report, questions) {
+        const signatures = questions.map(question => ({
+            id: question.id,
+            stem: QuestionBankLinter.normalizeText(question.question),
+            options: question.options.map(QuestionBankLinter.normalizeText).sort().join('|'),
+            tokens: QuestionBankLinter.tokenize(`${question.question} ${question.options.join(' ')}`)
+        }));
+
+        for (let i = 0; i < signatures.length; i++) {
+            const a = signatures[i];
+            if (!a.stem) continue;
+
+            for (let j = i + 1; j < signatures.length; j++) {
+                const b = signatures[j];
+                if (!b.stem) continue;
+
+                if (a.stem === b.stem && a.options === b.options) {
+                    this.addIssue(report, b.id, 'duplicate-question', 'error', `Duplicate of question ${a.id}`, null, [a.id]);
+                    continue;
+                }
+
+                const similarity = QuestionBankLinter.similarity(a.tokens, b.tokens);
+                if (similarity >= this.options.nearDuplicateThreshold) {
+                    this.addIssue(report, b.id, 'near-duplicate-question', 'warning',
+                        `${Math.round(similarity * 100)}% similar to question ${a.id}`, null, [a.id]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Chi-square test of where the correct answer falls, per option count
+     */
+    checkAnswerPositionBias(report, questions) {
+        const groups = new Map();
+        questions.forEach(question => {
+            const count = question.options.length;
+            if (count < Question.MIN_OPTIONS || count > Question.MAX_OPTIONS) return;
+            if (!Number.isInteger(question.correct) || question.correct < 0 || question.correct >= count) return;
+
+            if (!groups.has(count)) {
+                groups.set(count, { positions: new Array(count).fill(0), ids: [] });
+            }
+            const group = groups.get(count);
+            group.positions[question.correct]++;
+            group.ids.push(question.id);
+        });
+
+        groups.forEach((group, optionCount) => {
+            const total = group.ids.length;
+            if (total < this.options.minBiasSample) {
+                return;
+            }
+
+            const expected = total / optionCount;
+            const chiSquare = group.positions.reduce((sum, observed) => sum + Math.pow(observed - expected, 2) / expected, 0);
+            const critical = QuestionBankLinter.CHI_SQUARE_CRITICAL[optionCount - 1];
+            if (chiSquare <= critical) {
+                return;
+            }
+
+            const distribution = {};
+            group.positions.forEach((observed, index) => {
+                distribution[String.fromCharCode(65 + index)] = observed;
+            });
+            const heaviest = group.positions.indexOf(Math.max(...group.positions));
+
+            this.addBankIssue(report, {
+                rule: 'answer-position-bias',
+                severity: 'warning',
+                message: `Correct answers in ${optionCount}-option questions lean toward ${String.fromCharCode(65 + heaviest)} ` +
+                    `(${Math.round(group.positions[heaviest] / total * 100)}% of ${total}; chi-square ${chiSquare.toFixed(1)} > ${critical})`,
+                optionCount: optionCount,
+                distribution: distribution,
+                questionIds: group.ids
+            });
+        });
+    }
+
+    /**
+     * Text fields of a question, labelled for the report
+     */
+    getTextFields(question) {
+        return [
+            { field: 'question', text: question.question },
+            ...question.options.map((text, index) => ({ field: `options[${index}]`, text })),
+            { field: 'explanation', text: question.explanation }
+        ];
+    }
+
+    /**
+     * Record an issue against a question
+     */
+    addIssue(report, questionId, rule, severity, message, field = null, related = null) {
+        const issue = { rule, severity, message };
+        if (field) issue.field = field;
+        if (related) issue.related = related;
+
+        if (!report.questions[questionId]) {
+            report.questions[questionId] = [];
+        }
+        report.questions[questionId].push(issue);
+        this.countIssue(report, rule, severity);
+    }
+
+    /**
+     * Record an issue that applies to the bank as a whole
+     */
+    addBankIssue(report, issue) {
+        report.bank.push(issue);
+        this.countIssue(report, issue.rule, issue.severity);
+    }
+
+    countIssue(report, rule, severity) {
+        const key = severity === 'error' ? 'errors' : severity === 'warning' ? 'warnings' : 'info';
+        report.summary[key]++;
+        report.summary.byRule[rule] = (report.summary.byRule[rule] || 0) + 1;
+    }
+
+    /**
+     * Lowercase, strip punctuation and collapse spaces for comparisons
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    static normalizeText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Word set used for near-duplicate detection
+     * @param {string} text - Text to split
+     * @returns {Set} Distinct words
+     */
+    static tokenize(text) {
+        return new Set(QuestionBankLinter.normalizeText(text).split(' ').filter(word => word.length > 2));
+    }
+
+    /**
+     * Jaccard similarity of two word sets
+     * @returns {number} Similarity from 0 to 1
+     */
+    static similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        a.forEach(word => {
+            if (b.has(word)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+}
+
+// Scanning leftovers: tildes and bubble-sheet symbols, "o Yes o No" check boxes, gridding marks
+QuestionBankLinter.OCR_PATTERNS = [
+    { label: 'tilde', regex: /~/ },
+    { label: 'answer-sheet symbols', regex: /[®©·•¬¦]/ },
+    { label: 'stray "o Yes o No" check boxes', regex: /\bo Yes\b|\bo No\b/ },
+    { label: 'bubble grid', regex: /\b\d+ (0|CD) ®/ },
+    { label: 'answer sheet instructions', regex: /No\. 2 pencil|fill in the oval|DO NOT WRITE IN THIS/i }
+];
+
+// Words an option should not end on unless the text was cut off
+QuestionBankLinter.DANGLING_WORDS = [
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'for', 'in', 'on', 'at', 'by', 'with', 'from',
+    'that', 'which', 'who', 'whose', 'are', 'is', 'was', 'were', 'be', 'been', 'their', 'its', 'than', 'as'
+];
+
+// Chi-square critical values at p = 0.05 by degrees of freedom (option count - 1)
+QuestionBankLinter.CHI_SQUARE_CRITICAL = { 1: 3.841, 2: 5.991, 3: 7.815, 4: 9.488, 5: 11.070 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionBankLinter;
+}
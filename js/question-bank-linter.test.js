@@ -0,0 +1,173 @@
+/**
+ * Unit tests for QuestionBankLinter
+ * Tests OCR artefact, merged text, duplicate, fragment option, explanation and answer-position checks
+ */
+
+/**
+ * Build a clean four-option question
+ */
+function createLintQuestion(id, overrides = {}) {
+    return {
+        id: id,
+        unit: 1,
+        question: `Which principle is described in scenario ${id}?`,
+        options: ['Federalism', 'Separation of powers', 'Popular sovereignty', 'Judicial review'],
+        correct: 0,
+        explanation: 'The scenario describes federalism.',
+        ...overrides
+    };
+}
+
+/**
+ * Get the rules flagged for a question
+ */
+function getLintRules(report, questionId) {
+    return (report.questions[questionId] || []).map(issue => issue.rule);
+}
+
+/**
+ * Test Suite: Text checks
+ */
+function testLintTextChecks() {
+    console.log('Testing lint text checks...');
+
+    const linter = new QuestionBankLinter();
+    const report = linter.lint({
+        metadata: { title: 'Lint fixture' },
+        questions: [
+            createLintQuestion('clean'),
+            createLintQuestion('ocr', { question: 'Indlcat~ your answer. Do you regularly speak the language at home? o Yes o No' }),
+            createLintQuestion('merged', {
+                question: 'The term "pork barrel" refers to legislation Federalists were primarily about which of specifically designed to the following issues?'
+            }),
+            createLintQuestion('truncated', { question: 'Which of the following is a member of the' }),
+            createLintQuestion('fragment', {
+                options: ['Federalism', 'distribute excess produce to the poor', 'Popular sovereignty', 'provide funding for local projects that are']
+            }),
+            createLintQuestion('dup-option', { options: ['Federalism', 'Judicial review', 'federalism.', 'Checks and balances'] }),
+            createLintQuestion(7, {
+                question: 'How many senators does each state elect?',
+                options: ['One', 'Two', 'Three', 'It depends on population'],
+                correct: 1,
+                explanation: ''
+            })
+        ]
+    });
+
+    assert(report.totalQuestions === 7, 'All questions should be counted');
+    assert(!report.questions.clean, 'Clean questions should have no issues');
+
+    const ocrIssue = report.questions.ocr.find(issue => issue.rule === 'ocr-artifact');
+    assert(ocrIssue && ocrIssue.severity === 'error', 'Tildes should be flagged as OCR errors');
+    assert(/tilde/.test(ocrIssue.message) && /Yes o No/.test(ocrIssue.message), 'Each artefact should be named');
+    assert(ocrIssue.field === 'question', 'Issues should name the field');
+
+    assert(getLintRules(report, 'merged').includes('merged-text'), 'Split "which of the following" should be flagged');
+    assert(getLintRules(report, 'truncated').includes('truncated-text'), 'Text without an ending should be flagged');
+
+    const fragments = report.questions.fragment.filter(issue => issue.rule === 'option-fragment');
+    assert(fragments.length === 2, 'Lowercase and dangling options should both be flagged');
+    assert(fragments[1].field === 'options[3]', 'Fragment issues should point at the option');
+
+    assert(getLintRules(report, 'dup-option').includes('duplicate-option'), 'Options differing only in case and punctuation are duplicates');
+    assert(getLintRules(report, '7').join() === 'missing-explanation', 'Numeric IDs should be keyed as strings');
+    assert(report.summary.byRule['missing-explanation'] === 1, 'Summary should count issues by rule');
+
+    console.log('✓ Lint text checks passed');
+}
+
+/**
+ * Test Suite: Duplicate questions and structure
+ */
+function testLintDuplicatesAndStructure() {
+    console.log('Testing lint duplicates and structure...');
+
+    const linter = new QuestionBankLinter();
+    const report = linter.lint([
+        createLintQuestion('a', { question: 'Which clause gives Congress the power to pass laws needed to carry out its enumerated powers?' }),
+        createLintQuestion('b', { question: 'Which clause gives Congress the power to pass laws needed to carry out its enumerated powers?' }),
+        createLintQuestion('c', { question: 'Which clause gives Congress the power to pass all laws needed to carry out its enumerated powers?' }),
+        createLintQuestion('d', { question: 'Which case established judicial review?', options: ['Marbury v. Madison', 'McCulloch v. Maryland'] }),
+        createLintQuestion('a', { unit: 7, correct: 4 })
+    ]);
+
+    const duplicate = report.questions.b.find(issue => issue.rule === 'duplicate-question');
+    assert(duplicate && duplicate.related[0] === 'a', 'Exact duplicates should point at the first copy');
+    assert(getLintRules(report, 'c').includes('near-duplicate-question'), 'Near-duplicates should be flagged');
+    assert(!report.questions.d, 'Different questions should not be flagged');
+
+    const rules = getLintRules(report, 'a');
+    assert(rules.includes('duplicate-id'), 'Repeated IDs should be flagged');
+    assert(rules.includes('invalid-unit') && rules.includes('invalid-answer'), 'Structural problems should be flagged');
+
+    console.log('✓ Lint duplicates and structure tests passed');
+}
+
+/**
+ * Test Suite: Answer-position bias
+ */
+function testLintAnswerPositionBias() {
+    console.log('Testing answer-position bias...');
+
+    const linter = new QuestionBankLinter();
+    const balanced = [];
+    const biased = [];
+    for (let i = 0; i < 40; i++) {
+        balanced.push(createLintQuestion(`bal${i}`, { question: `Balanced question number ${i} about federalism?`, correct: i % 4 }));
+        biased.push(createLintQuestion(`bias${i}`, { question: `Biased question number ${i} about federalism?`, correct: i < 28 ? 3 : i % 3 }));
+    }
+
+    assert(linter.lint(balanced).bank.length === 0, 'Evenly spread answers should not be flagged');
+
+    const report = linter.lint(biased);
+    const bias = report.bank.find(issue => issue.rule === 'answer-position-bias');
+    assert(bias, 'Answers piled on one letter should be flagged');
+    assert(bias.distribution.D === 28, 'Bias issue should include the distribution');
+    assert(bias.questionIds.length === 40, 'Bias issue should list the questions checked');
+    assert(report.summary.warnings >= 1, 'Bank issues should be counted in the summary');
+
+    assert(linter.lint(biased.slice(0, 10)).bank.length === 0, 'Small banks should not be tested for bias');
+
+    console.log('✓ Answer-position bias tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runQuestionBankLinterTests() {
+    console.log('Running QuestionBankLinter Tests...\n');
+
+    try {
+        testLintTextChecks();
+        testLintDuplicatesAndStructure();
+        testLintAnswerPositionBias();
+
+        console.log('\n✅ All QuestionBankLinter tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runQuestionBankLinterTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.Question = require('./question.js');
+    global.QuestionBankLinter = require('./question-bank-linter.js');
+    runQuestionBankLinterTests();
+}
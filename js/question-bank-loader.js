@@ -3,10 +3,19 @@
  * Handles data validation, formatting, and integration with the quiz system
  */
 class QuestionBankLoader {
-    constructor() {
+    constructor(storageWrapper = null) {
+        this.storage = storageWrapper;
         this.questions = [];
         this.isLoaded = false;
         this.loadingPromise = null;
+
+        // Built-in bank plus any banks imported by teachers
+        this.bankPath = 'ap_gov_complete_question_bank.json';
+        this.defaultBankId = 'default';
+        this.importedBanksKey = 'ap-gov-question-banks';
+        this.selectedBanksKey = 'ap-gov-selected-banks';
+
+        this.importer = typeof QuestionImporter !== 'undefined' ? new QuestionImporter(this) : null;
     }
 
     /**
@@ -31,20 +40,31 @@ class QuestionBankLoader {
      * @returns {Promise<Array>} Processed questions array
      */
     async fetchAndProcessQuestions() {
+        const selectedBanks = this.getSelectedBankIds();
+
         try {
-            const response = await fetch('ap_gov_complete_question_bank.json');
-            if (!response.ok) {
-                throw new Error(`Failed to load question bank: ${response.status}`);
-            }
+            let builtInQuestions = [];
 
-            const data = await response.json();
-            
-            if (!data.questions || !Array.isArray(data.questions)) {
-                throw new Error('Invalid question bank format: missing questions array');
+            if (selectedBanks.includes(this.defaultBankId)) {
+                const response = await fetch(this.bankPath);
+                if (!response.ok) {
+                    throw new Error(`Failed to load question bank: ${response.status}`);
+                }
+
+                const data = await response.json();
+                
+                if (!data.questions || !Array.isArray(data.questions)) {
+                    throw new Error('Invalid question bank format: missing questions array');
+                }
+
+                // Process and validate questions (and any shared stimuli they reference)
+                builtInQuestions = this.processQuestions(data.questions, data.stimuli);
             }
 
-            // Process and validate questions
-            this.questions = this.processQuestions(data.questions);
+            this.questions = this.mergeImportedBanks(builtInQuestions, selectedBanks);
+            if (this.questions.length === 0) {
+                throw new Error('No questions in the selected question banks');
+            }
             this.isLoaded = true;
 
             console.log(`Loaded ${this.questions.length} questions from question bank`);
@@ -55,10 +75,10 @@ class QuestionBankLoader {
         } catch (error) {
             console.error('Failed to load question bank:', error);
             
-            // Fallback to sample questions if available
-            if (typeof sampleQuestions !== 'undefined') {
+            // Fallback to sample questions if available, unless the built-in bank was deselected
+            if (typeof sampleQuestions !== 'undefined' && selectedBanks.includes(this.defaultBankId)) {
                 console.log('Falling back to sample questions');
-                this.questions = this.processQuestions(sampleQuestions);
+                this.questions = this.mergeImportedBanks(this.processQuestions(sampleQuestions), selectedBanks);
                 this.isLoaded = true;
                 return this.questions;
             }
@@ -67,17 +87,204 @@ class QuestionBankLoader {
         }
     }
 
+    /**
+     * Discard the loaded questions and load the selected banks again
+     * @returns {Promise<Array>} Promise that resolves to the reloaded questions
+     */
+    async reloadQuestions() {
+        this.isLoaded = false;
+        this.loadingPromise = null;
+        return this.loadQuestions();
+    }
+
+    /**
+     * Append questions from the selected imported banks, skipping duplicate IDs
+     * @param {Array} baseQuestions - Already processed questions
+     * @param {Array} selectedBanks - Selected bank IDs
+     * @returns {Array} Combined questions
+     */
+    mergeImportedBanks(baseQuestions, selectedBanks) {
+        const merged = [...baseQuestions];
+        const seenIds = new Set(merged.map(question => question.id));
+
+        this.getImportedBanks()
+            .filter(bank => selectedBanks.includes(bank.id))
+            .forEach(bank => {
+                bank.questions.forEach(question => {
+                    if (!seenIds.has(question.id)) {
+                        seenIds.add(question.id);
+                        merged.push(question);
+                    }
+                });
+            });
+
+        return merged;
+    }
+
+    /**
+     * Get the banks imported by the user
+     * @returns {Array} Imported bank records ({id, name, format, createdAt, questions})
+     */
+    getImportedBanks() {
+        if (!this.storage) {
+            return [];
+        }
+
+        const banks = this.storage.getItem(this.importedBanksKey);
+        return Array.isArray(banks) ? banks : [];
+    }
+
+    /**
+     * Get every bank that can be selected, built-in first
+     * @returns {Array} Bank summaries with selection state
+     */
+    getAvailableBanks() {
+        const selected = this.getSelectedBankIds();
+        const banks = [{
+            id: this.defaultBankId,
+            name: 'AP Government Complete Question Bank',
+            source: this.bankPath,
+            builtIn: true,
+            questionCount: null,
+            selected: selected.includes(this.defaultBankId)
+        }];
+
+        this.getImportedBanks().forEach(bank => {
+            banks.push({
+                id: bank.id,
+                name: bank.name,
+                source: bank.format,
+                builtIn: false,
+                questionCount: bank.questions.length,
+                createdAt: bank.createdAt,
+                selected: selected.includes(bank.id)
+            });
+        });
+
+        return banks;
+    }
+
+    /**
+     * Get the IDs of the banks the quiz draws from
+     * @returns {Array} Selected bank IDs
+     */
+    getSelectedBankIds() {
+        const saved = this.storage ? this.storage.getItem(this.selectedBanksKey) : null;
+        return Array.isArray(saved) && saved.length > 0 ? saved : [this.defaultBankId];
+    }
+
+    /**
+     * Choose which banks the quiz draws from (takes effect on the next reload)
+     * @param {Array} bankIds - Bank IDs to select
+     */
+    setSelectedBankIds(bankIds) {
+        if (!Array.isArray(bankIds) || bankIds.length === 0) {
+            throw new Error('At least one question bank must be selected');
+        }
+
+        const knownIds = this.getAvailableBanks().map(bank => bank.id);
+        const unknown = bankIds.filter(id => !knownIds.includes(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown question bank: ${unknown.join(', ')}`);
+        }
+
+        if (this.storage) {
+            this.storage.setItem(this.selectedBanksKey, [...new Set(bankIds)]);
+        }
+        this.isLoaded = false;
+    }
+
+    /**
+     * Parse and validate an import file without saving anything
+     * @param {string} text - File contents
+     * @param {Object} options - Importer options (format, fileName, defaultUnit)
+     * @returns {Object} Import report with a bankId to pass to saveImportedBank
+     */
+    previewImport(text, options = {}) {
+        if (!this.importer) {
+            throw new Error('QuestionImporter class not found. Make sure question-importer.js is loaded.');
+        }
+
+        const bankId = `bank_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+        const report = this.importer.importText(text, { ...options, idPrefix: `${bankId}-` });
+        report.bankId = bankId;
+        return report;
+    }
+
+    /**
+     * Persist the valid questions from an import report as a new selectable bank
+     * @param {Object} report - Report returned by previewImport
+     * @param {string} name - Display name for the bank
+     * @returns {Object} The saved bank record
+     */
+    saveImportedBank(report, name) {
+        if (!this.storage) {
+            throw new Error('Storage is not available for imported question banks');
+        }
+
+        if (!report || !Array.isArray(report.questions) || report.questions.length === 0) {
+            throw new Error('Import contains no valid questions');
+        }
+
+        const bank = {
+            id: report.bankId,
+            name: (name || '').trim() || `Imported ${report.format.toUpperCase()} (${report.questions.length} questions)`,
+            format: report.format,
+            createdAt: new Date().toISOString(),
+            questions: report.questions
+        };
+
+        const banks = this.getImportedBanks().filter(existing => existing.id !== bank.id);
+        banks.push(bank);
+
+        if (!this.storage.setItem(this.importedBanksKey, banks)) {
+            throw new Error('Failed to save imported questions to storage');
+        }
+
+        // New imports are merged into the active pool straight away
+        this.setSelectedBankIds([...this.getSelectedBankIds(), bank.id]);
+
+        return bank;
+    }
+
+    /**
+     * Delete an imported bank and drop it from the selection
+     * @param {string} bankId - Bank ID
+     * @returns {boolean} True if a bank was removed
+     */
+    deleteImportedBank(bankId) {
+        if (!this.storage || bankId === this.defaultBankId) {
+            return false;
+        }
+
+        const banks = this.getImportedBanks();
+        const remaining = banks.filter(bank => bank.id !== bankId);
+        if (remaining.length === banks.length) {
+            return false;
+        }
+
+        this.storage.setItem(this.importedBanksKey, remaining);
+
+        const selected = this.getSelectedBankIds().filter(id => id !== bankId);
+        this.storage.setItem(this.selectedBanksKey, selected.length > 0 ? selected : [this.defaultBankId]);
+        this.isLoaded = false;
+
+        return true;
+    }
+
     /**
      * Process and validate questions
      * @param {Array} rawQuestions - Raw questions from JSON
+     * @param {Array} rawStimuli - Shared stimuli referenced by stimulusId (optional)
      * @returns {Array} Processed and validated questions
      */
-    processQuestions(rawQuestions) {
+    processQuestions(rawQuestions, rawStimuli = []) {
         const processedQuestions = [];
+        const stimuli = this.processStimuli(rawStimuli);
 
         rawQuestions.forEach((rawQuestion, index) => {
             try {
-                const question = this.processQuestion(rawQuestion, index);
+                const question = this.processQuestion(rawQuestion, index, stimuli);
                 if (question) {
                     processedQuestions.push(question);
                 }
@@ -89,13 +296,42 @@ class QuestionBankLoader {
         return processedQuestions;
     }
 
+    /**
+     * Validate shared stimuli and index them by ID
+     * @param {Array} rawStimuli - Raw stimuli from JSON
+     * @returns {Map} Stimuli by ID
+     */
+    processStimuli(rawStimuli) {
+        const stimuli = new Map();
+        if (!Array.isArray(rawStimuli)) {
+            return stimuli;
+        }
+
+        rawStimuli.forEach((rawStimulus, index) => {
+            try {
+                if (!rawStimulus || rawStimulus.id === undefined || rawStimulus.id === null) {
+                    throw new Error('Missing stimulus ID');
+                }
+
+                const stimulus = { ...rawStimulus, id: String(rawStimulus.id) };
+                Question.validateStimulus(stimulus);
+                stimuli.set(stimulus.id, stimulus);
+            } catch (error) {
+                console.warn(`Skipping invalid stimulus at index ${index}:`, error.message);
+            }
+        });
+
+        return stimuli;
+    }
+
     /**
      * Process and validate a single question
      * @param {Object} rawQuestion - Raw question data
      * @param {number} index - Question index for error reporting
+     * @param {Map} stimuli - Shared stimuli by ID (optional)
      * @returns {Object|null} Processed question or null if invalid
      */
-    processQuestion(rawQuestion, index) {
+    processQuestion(rawQuestion, index, stimuli = new Map()) {
         // Validate required fields
         if (!rawQuestion.id || !rawQuestion.question || !rawQuestion.options) {
             throw new Error(`Missing required fields (id: ${rawQuestion.id})`);
@@ -123,14 +359,39 @@ class QuestionBankLoader {
         let correct = this.determineCorrectAnswer(rawQuestion, options);
 
         // Create processed question object
-        return {
-            id: rawQuestion.id,
+        const processed = {
+            id: String(rawQuestion.id),  // Some banks (e.g. questions_v2.json) use numeric IDs
             unit: unit,
             question: questionText,
             options: options,
             correct: correct,
             explanation: rawQuestion.explanation || null
         };
+
+        // Optional difficulty rating; unrecognised values are dropped rather than rejecting the question
+        if (rawQuestion.difficulty) {
+            const difficulty = String(rawQuestion.difficulty).trim().toLowerCase();
+            if (Question.DIFFICULTY_LEVELS.includes(difficulty)) {
+                processed.difficulty = difficulty;
+            } else {
+                console.warn(`Ignoring unknown difficulty "${rawQuestion.difficulty}" (id: ${rawQuestion.id})`);
+            }
+        }
+
+        // Questions in a stimulus set share one stimulus object
+        const stimulusId = rawQuestion.stimulusId !== undefined && rawQuestion.stimulusId !== null ?
+            String(rawQuestion.stimulusId) : null;
+        const stimulus = (stimulusId && stimuli.get(stimulusId)) || rawQuestion.stimulus || null;
+        if (stimulusId && !stimulus) {
+            throw new Error(`Unknown stimulus "${stimulusId}" (id: ${rawQuestion.id})`);
+        }
+        if (stimulus) {
+            processed.stimulusId = stimulusId ||
+                (stimulus.id !== undefined && stimulus.id !== null ? String(stimulus.id) : null);
+            processed.stimulus = stimulus;
+        }
+
+        return processed;
     }
 
     /**
@@ -171,13 +432,13 @@ class QuestionBankLoader {
                 return option
                     .replace(/\\n/g, ' ')       // Replace literal \n
                     .replace(/\n/g, ' ')        // Replace actual newlines
-                    .replace(/^\([A-E]\)\s*/, '') // Remove (A), (B), etc. prefixes
-                    .replace(/^[A-E]\.\s*/, '')   // Remove A., B., etc. prefixes
+                    .replace(/^\([A-F]\)\s*/, '') // Remove (A), (B), etc. prefixes
+                    .replace(/^[A-F]\.\s*/, '')   // Remove A., B., etc. prefixes
                     .replace(/\s+/g, ' ')       // Collapse spaces
                     .trim();
             })
             .filter(option => option.length > 0)  // Remove empty options
-            .slice(0, 4);  // Limit to 4 options max
+            .slice(0, Question.MAX_OPTIONS);  // Limit to 6 options (A-F) max
     }
 
     /**
@@ -193,10 +454,10 @@ class QuestionBankLoader {
             return Math.max(0, Math.min(index, options.length - 1));
         }
 
-        // If correct answer is provided as letter (A, B, C, D)
+        // If correct answer is provided as letter (A-F)
         if (typeof rawQuestion.correct === 'string') {
             const letter = rawQuestion.correct.toUpperCase().trim();
-            const letterToIndex = { 'A': 0, 'B': 1, 'C': 2, 'D': 3, 'E': 4 };
+            const letterToIndex = { 'A': 0, 'B': 1, 'C': 2, 'D': 3, 'E': 4, 'F': 5 };
             if (letterToIndex.hasOwnProperty(letter)) {
                 return Math.min(letterToIndex[letter], options.length - 1);
             }
@@ -299,6 +560,15 @@ class QuestionBankLoader {
         return practiceQuestions.sort(() => Math.random() - 0.5);
     }
 
+    /**
+     * Run the quality linter over the loaded questions
+     * @param {Object} options - QuestionBankLinter options
+     * @returns {Object} Lint report keyed by question ID
+     */
+    lintQuestionBank(options = {}) {
+        return new QuestionBankLinter(options).lint(this.questions);
+    }
+
     /**
      * Validate question bank integrity
      * @returns {Object} Validation results
@@ -0,0 +1,484 @@
+/**
+ * QuestionImporter - Parses teacher-supplied question files (CSV, Quizlet exports, JSON)
+ * Maps columns onto Question fields and reports per-row errors before anything is merged
+ */
+class QuestionImporter {
+    constructor(questionBankLoader) {
+        this.loader = questionBankLoader;
+
+        // Accepted header names for each Question field (compared lower-cased, spaces/underscores ignored)
+        this.columnAliases = {
+            id: ['id', 'questionid', 'qid'],
+            unit: ['unit', 'unitid', 'unitnumber'],
+            question: ['question', 'questiontext', 'prompt', 'stem'],
+            options: ['options', 'choices', 'answers'],
+            correct: ['correct', 'correctanswer', 'answer', 'key', 'answerkey'],
+            explanation: ['explanation', 'rationale', 'reason', 'notes']
+        };
+
+        // Per-option columns such as "Option A", "Choice B" or just "A"
+        this.optionColumnPattern = /^(?:option|choice)?([a-f])$/;
+
+        // Separator used when all options live in a single column
+        this.optionSeparator = '|';
+    }
+
+    /**
+     * Detect the format of an uploaded file
+     * @param {string} text - Raw file contents
+     * @param {string} fileName - Optional file name used as a hint
+     * @returns {string} 'json', 'csv' or 'quizlet'
+     */
+    detectFormat(text, fileName = '') {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'json') return 'json';
+        if (extension === 'csv') return 'csv';
+
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return 'json';
+        }
+
+        const firstLine = trimmed.split(/\r?\n/)[0] || '';
+        if (firstLine.includes('\t')) {
+            // Tab separated with a recognisable header is a spreadsheet export, not a Quizlet deck
+            const header = firstLine.split('\t').map(cell => this.normalizeHeader(cell));
+            return header.some(cell => this.getFieldForHeader(cell)) ? 'tsv' : 'quizlet';
+        }
+
+        return 'csv';
+    }
+
+    /**
+     * Parse and validate an import without merging it anywhere
+     * @param {string} text - Raw file contents
+     * @param {Object} options - Import options
+     * @param {string} options.format - 'auto', 'csv', 'tsv', 'quizlet' or 'json'
+     * @param {string} options.fileName - Original file name
+     * @param {number|null} options.defaultUnit - Unit used for rows without a unit column
+     * @param {string} options.idPrefix - Prefix applied to every imported question ID
+     * @returns {Object} Report with processed questions and per-row errors
+     */
+    importText(text, options = {}) {
+        const settings = {
+            format: 'auto',
+            fileName: '',
+            defaultUnit: null,
+            idPrefix: 'import-',
+            ...options
+        };
+
+        if (typeof text !== 'string' || text.trim().length === 0) {
+            throw new Error('Import file is empty');
+        }
+
+        const format = settings.format === 'auto' ?
+            this.detectFormat(text, settings.fileName) :
+            settings.format;
+
+        const records = this.parseRecords(text, format);
+        const report = {
+            format: format,
+            total: records.length,
+            questions: [],
+            errors: []
+        };
+
+        const seenIds = new Set();
+
+        records.forEach((record, index) => {
+            const rowLabel = record.row;
+            try {
+                const raw = this.mapRecord(record.data, settings, record.numericBase);
+                raw.id = `${settings.idPrefix}${raw.id || rowLabel}`;
+
+                if (seenIds.has(raw.id)) {
+                    throw new Error(`Duplicate question ID "${raw.id}"`);
+                }
+
+                const processed = this.loader.processQuestion(raw, index);
+
+                if (processed.options.length !== raw.options.length) {
+                    throw new Error(`Only ${processed.options.length} of ${raw.options.length} options could be imported`);
+                }
+
+                // Run the same validation the quiz uses so nothing invalid reaches the bank
+                new Question(processed);
+
+                seenIds.add(raw.id);
+                report.questions.push(processed);
+            } catch (error) {
+                report.errors.push({
+                    row: rowLabel,
+                    id: record.data && record.data.id ? String(record.data.id) : null,
+                    message: error.message
+                });
+            }
+        });
+
+        return report;
+    }
+
+    /**
+     * Split raw text into records for the given format
+     * @param {string} text - Raw file contents
+     * @param {string} format - Import format
+     * @returns {Array} Array of {row, data} records
+     */
+    parseRecords(text, format) {
+        switch (format) {
+            case 'json':
+                return this.parseJSON(text);
+            case 'csv':
+                return this.parseDelimited(text, ',');
+            case 'tsv':
+                return this.parseDelimited(text, '\t');
+            case 'quizlet':
+                return this.parseQuizlet(text);
+            default:
+                throw new Error(`Unsupported import format: ${format}`);
+        }
+    }
+
+    /**
+     * Parse a delimited table with a header row
+     * @param {string} text - Raw file contents
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array} Array of {row, data} records keyed by Question field
+     */
+    parseDelimited(text, delimiter) {
+        const rows = this.parseCSV(text, delimiter);
+        if (rows.length < 2) {
+            throw new Error('File must contain a header row and at least one question');
+        }
+
+        const header = rows[0].map(cell => this.normalizeHeader(cell));
+        if (!header.some(cell => this.getFieldForHeader(cell) === 'question')) {
+            throw new Error('Header row must include a "question" column');
+        }
+
+        return rows.slice(1)
+            .map((cells, index) => ({ cells, row: index + 2 })) // +2: 1-based and skipping the header
+            .filter(({ cells }) => cells.some(cell => cell.trim().length > 0))
+            .map(({ cells, row }) => {
+                const data = {};
+                const optionCells = [];
+
+                header.forEach((column, columnIndex) => {
+                    const value = (cells[columnIndex] || '').trim();
+                    const letter = this.getOptionLetter(column);
+                    const field = this.getFieldForHeader(column);
+
+                    if (letter !== null) {
+                        optionCells[letter] = value;
+                    } else if (field === 'options') {
+                        data.options = value.split(this.optionSeparator).map(option => option.trim());
+                    } else if (field) {
+                        data[field] = value;
+                    }
+                });
+
+                if (!data.options && optionCells.length > 0) {
+                    data.options = Array.from(optionCells, option => option || '');
+                }
+
+                return { row, data, numericBase: 1 };
+            });
+    }
+
+    /**
+     * Parse a Quizlet export (one "term<TAB>definition" card per line)
+     * The definition becomes the prompt and the term the correct option; distractors are
+     * drawn from the other cards' terms, the same way Quizlet builds its own tests
+     * @param {string} text - Raw file contents
+     * @returns {Array} Array of {row, data} records
+     */
+    parseQuizlet(text) {
+        const cards = text.split(/\r?\n/)
+            .map((line, index) => ({ line, row: index + 1 }))
+            .filter(({ line }) => line.trim().length > 0)
+            .map(({ line, row }) => {
+                const [term, ...rest] = line.split('\t');
+                return { row, term: (term || '').trim(), definition: rest.join(' ').trim() };
+            });
+
+        if (cards.length < 2) {
+            throw new Error('Quizlet imports need at least two cards to build answer choices');
+        }
+
+        const allTerms = [...new Set(cards.map(card => card.term).filter(term => term.length > 0))];
+
+        return cards.map(card => {
+            if (!card.term || !card.definition) {
+                return { row: card.row, data: { question: card.definition, options: [] } };
+            }
+
+            const distractors = this.shuffle(allTerms.filter(term => term !== card.term)).slice(0, 3);
+            const options = this.shuffle([card.term, ...distractors]);
+
+            return {
+                row: card.row,
+                data: {
+                    question: card.definition,
+                    options: options,
+                    correct: options.indexOf(card.term)
+                },
+                numericBase: 0
+            };
+        });
+    }
+
+    /**
+     * Parse JSON in any of the shapes teachers tend to produce:
+     * a bare array, the bank format ({metadata, questions}) or an object keyed by ID
+     * @param {string} text - Raw file contents
+     * @returns {Array} Array of {row, data} records
+     */
+    parseJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        let items;
+        if (Array.isArray(parsed)) {
+            items = parsed;
+        } else if (parsed && Array.isArray(parsed.questions)) {
+            items = parsed.questions;
+        } else if (parsed && typeof parsed === 'object') {
+            items = Object.keys(parsed).map(key => ({ id: key, ...parsed[key] }));
+        } else {
+            throw new Error('JSON must be an array of questions or an object with a "questions" array');
+        }
+
+        return items.map((item, index) => {
+            const data = {};
+            const optionCells = [];
+
+            if (item && typeof item === 'object') {
+                Object.keys(item).forEach(key => {
+                    const column = this.normalizeHeader(key);
+                    const letter = this.getOptionLetter(column);
+                    const field = this.getFieldForHeader(column);
+
+                    if (letter !== null) {
+                        optionCells[letter] = item[key];
+                    } else if (field) {
+                        data[field] = item[key];
+                    }
+                });
+            }
+
+            if (!data.options && optionCells.length > 0) {
+                data.options = Array.from(optionCells, option => option || '');
+            }
+
+            // Bank-format JSON stores numeric answers 0-based
+            return { row: index + 1, data, numericBase: 0 };
+        });
+    }
+
+    /**
+     * Map a parsed record onto the raw question shape expected by processQuestion
+     * @param {Object} data - Record keyed by Question field
+     * @param {Object} settings - Import settings
+     * @param {number} numericBase - 1 if numeric answers count from 1 (spreadsheets), 0 otherwise
+     * @returns {Object} Raw question data
+     */
+    mapRecord(data, settings, numericBase = 1) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Row is not a question object');
+        }
+
+        const unitValue = data.unit !== undefined && data.unit !== null && data.unit !== '' ?
+            data.unit : settings.defaultUnit;
+        const unit = parseInt(unitValue, 10);
+        if (!Number.isInteger(unit) || unit < 1 || unit > 5) {
+            throw new Error(unitValue === null || unitValue === undefined ?
+                'Missing unit (choose a default unit or add a unit column)' :
+                `Unit must be between 1 and 5 (got "${unitValue}")`);
+        }
+
+        let options = data.options;
+        if (typeof options === 'string') {
+            options = options.split(this.optionSeparator).map(option => option.trim());
+        }
+        if (!Array.isArray(options)) {
+            throw new Error('Missing answer options');
+        }
+        options = options.map(option => option === null || option === undefined ? '' : String(option));
+        while (options.length > 0 && options[options.length - 1].trim() === '') {
+            options.pop();
+        }
+
+        // A gap would shift every later option and silently change the answer key
+        const emptyIndex = options.findIndex(option => option.trim() === '');
+        if (emptyIndex !== -1) {
+            throw new Error(`Option ${String.fromCharCode(65 + emptyIndex)} is empty`);
+        }
+
+        return {
+            id: data.id !== undefined && data.id !== null && data.id !== '' ? String(data.id) : null,
+            unit: unit,
+            question: typeof data.question === 'string' ? data.question : '',
+            options: options,
+            correct: this.resolveCorrectAnswer(data.correct, options, numericBase),
+            explanation: typeof data.explanation === 'string' ? data.explanation.trim() : ''
+        };
+    }
+
+    /**
+     * Resolve the correct answer from a letter, number or the option text itself
+     * @param {*} value - Raw correct answer value
+     * @param {Array} options - Option strings
+     * @param {number} numericBase - 0 or 1, how numeric answers are counted
+     * @returns {number} 0-based correct answer index
+     */
+    resolveCorrectAnswer(value, options, numericBase) {
+        if (value === undefined || value === null || value === '') {
+            throw new Error('Missing correct answer');
+        }
+
+        if (typeof value === 'number') {
+            if (!Number.isInteger(value)) {
+                throw new Error(`Correct answer "${value}" is not a whole number`);
+            }
+            return this.checkAnswerIndex(value - numericBase, value, options);
+        }
+
+        const text = String(value).trim();
+
+        if (/^[A-Fa-f]$/.test(text)) {
+            return this.checkAnswerIndex(text.toUpperCase().charCodeAt(0) - 65, text, options);
+        }
+
+        if (/^\d+$/.test(text)) {
+            return this.checkAnswerIndex(parseInt(text, 10) - numericBase, text, options);
+        }
+
+        const matchIndex = options.findIndex(option => option.trim().toLowerCase() === text.toLowerCase());
+        if (matchIndex !== -1) {
+            return matchIndex;
+        }
+
+        throw new Error(`Correct answer "${text}" does not match any option`);
+    }
+
+    /**
+     * Ensure a resolved answer index points at an existing option
+     * @param {number} index - 0-based index
+     * @param {*} original - Original value for the error message
+     * @param {Array} options - Option strings
+     * @returns {number} The index
+     */
+    checkAnswerIndex(index, original, options) {
+        if (index < 0 || index >= options.length) {
+            throw new Error(`Correct answer "${original}" is out of range for ${options.length} options`);
+        }
+        return index;
+    }
+
+    /**
+     * Parse delimited text, honouring quoted cells, escaped quotes and embedded newlines
+     * @param {string} text - Raw text
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array<Array<string>>} Rows of cells
+     */
+    parseCSV(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        // Strip a UTF-8 byte order mark left by spreadsheet exports
+        const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.length === 0) {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell.length > 0 || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Normalise a header cell for alias matching
+     * @param {string} header - Raw header text
+     * @returns {string} Lower-cased header without spaces, underscores or dashes
+     */
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[\s_\-.:()]/g, '');
+    }
+
+    /**
+     * Find the Question field a normalised header refers to
+     * @param {string} header - Normalised header
+     * @returns {string|null} Field name or null
+     */
+    getFieldForHeader(header) {
+        const field = Object.keys(this.columnAliases).find(key =>
+            this.columnAliases[key].includes(header));
+        return field || null;
+    }
+
+    /**
+     * Get the option index for per-option columns ("Option A", "B", ...)
+     * @param {string} header - Normalised header
+     * @returns {number|null} 0-based option index or null
+     */
+    getOptionLetter(header) {
+        const match = header.match(this.optionColumnPattern);
+        return match ? match[1].charCodeAt(0) - 97 : null;
+    }
+
+    /**
+     * Fisher-Yates shuffle returning a new array
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionImporter;
+}
@@ -0,0 +1,325 @@
+/**
+ * Unit tests for QuestionImporter and the imported bank support in QuestionBankLoader
+ * Tests CSV/Quizlet/JSON parsing, per-row error reporting and bank persistence
+ */
+
+// In-memory storage for import tests
+class ImportTestStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    setItem(key, value) {
+        this.data.set(key, JSON.stringify(value));
+        return true;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    removeItem(key) {
+        return this.data.delete(key);
+    }
+}
+
+/**
+ * Test Suite: Format detection
+ */
+function testFormatDetection() {
+    console.log('Testing format detection...');
+
+    const importer = new QuestionImporter(new QuestionBankLoader());
+
+    assert(importer.detectFormat('[{"id": 1}]') === 'json', 'Leading bracket should be JSON');
+    assert(importer.detectFormat('anything', 'bank.json') === 'json', 'File extension should win');
+    assert(importer.detectFormat('question,options,correct\n') === 'csv', 'Comma header should be CSV');
+    assert(importer.detectFormat('Question\tCorrect\n') === 'tsv', 'Tab header with known columns should be TSV');
+    assert(importer.detectFormat('Federalism\tDivision of power\n') === 'quizlet', 'Unknown tab pairs should be Quizlet');
+
+    console.log('✓ Format detection tests passed');
+}
+
+/**
+ * Test Suite: CSV import
+ */
+function testCSVImport() {
+    console.log('Testing CSV import...');
+
+    const importer = new QuestionImporter(new QuestionBankLoader());
+    const csv = [
+        'ID,Unit,Question,Option A,Option B,Option C,Option D,Correct,Explanation',
+        'q1,1,"Which document created a weak central government?",Articles of Confederation,Constitution,"Federalist No. 10, by Madison",Bill of Rights,A,Weak national government',
+        'q2,2,Which branch can override a presidential veto?,Judicial,Legislative,Executive,Bureaucracy,2,',
+        'q3,9,What does the unit column say here?,A,B,C,D,A,',
+        'q4,3,Which option is correct in this row?,A,B,C,D,F,'
+    ].join('\n');
+
+    const report = importer.importText(csv, { idPrefix: 'test-' });
+
+    assert(report.format === 'csv', 'Format should be detected as CSV');
+    assert(report.total === 4, 'All four rows should be counted');
+    assert(report.questions.length === 2, 'Two rows should be valid');
+    assert(report.errors.length === 2, 'Two rows should be reported as errors');
+
+    const first = report.questions[0];
+    assert(first.id === 'test-q1', 'ID should be prefixed');
+    assert(first.unit === 1, 'Unit should be parsed as a number');
+    assert(first.correct === 0, 'Letter answer should map to an index');
+    assert(first.options[2] === 'Federalist No. 10, by Madison', 'Quoted commas should be preserved');
+    assert(first.explanation === 'Weak national government', 'Explanation should be mapped');
+
+    assert(report.questions[1].correct === 1, 'Numeric answers in CSV should be 1-based');
+
+    assert(report.errors[0].row === 4, 'Error rows should use spreadsheet line numbers');
+    assert(report.errors[0].id === 'q3', 'Error should include the row ID');
+    assert(report.errors[1].row === 5, 'Invalid answer row should be reported');
+
+    console.log('✓ CSV import tests passed');
+}
+
+/**
+ * Test Suite: Single options column and default unit
+ */
+function testOptionsColumnAndDefaultUnit() {
+    console.log('Testing options column and default unit...');
+
+    const importer = new QuestionImporter(new QuestionBankLoader());
+    const csv = [
+        'question,options,answer',
+        'Which amendment protects freedom of speech?,First|Second|Fourth|Tenth,First',
+        'Which row has an empty middle option?,First||Fourth|Tenth,First'
+    ].join('\r\n');
+
+    const withoutUnit = importer.importText(csv);
+    assert(withoutUnit.questions.length === 0, 'Rows without a unit should fail when no default is given');
+
+    const report = importer.importText(csv, { defaultUnit: 3 });
+    assert(report.questions.length === 1, 'Default unit should make the first row valid');
+    assert(report.questions[0].unit === 3, 'Default unit should be applied');
+    assert(report.questions[0].correct === 0, 'Answer text should match its option');
+    assert(report.questions[0].id === 'import-2', 'Rows without an ID should use their line number');
+    assert(/empty/i.test(report.errors[0].message), 'Empty options should be reported rather than shifted');
+
+    console.log('✓ Options column and default unit tests passed');
+}
+
+/**
+ * Test Suite: Quizlet export import
+ */
+function testQuizletImport() {
+    console.log('Testing Quizlet import...');
+
+    const importer = new QuestionImporter(new QuestionBankLoader());
+    const deck = [
+        'Federalism\tDivision of power between national and state governments',
+        'Judicial review\tPower of courts to strike down unconstitutional laws',
+        'Filibuster\tSenate tactic of extended debate to delay a vote',
+        'Gerrymandering\tDrawing district lines to favor a party'
+    ].join('\n');
+
+    const report = importer.importText(deck, { defaultUnit: 2 });
+
+    assert(report.format === 'quizlet', 'Tab pairs should be detected as Quizlet');
+    assert(report.questions.length === 4, 'Every card should become a question');
+
+    const first = report.questions[0];
+    assert(first.question.startsWith('Division of power'), 'Definition should be the prompt');
+    assert(first.options[first.correct] === 'Federalism', 'Term should be the correct option');
+    assert(first.options.length === 4, 'Distractors should be drawn from other cards');
+
+    console.log('✓ Quizlet import tests passed');
+}
+
+/**
+ * Test Suite: JSON import
+ */
+function testJSONImport() {
+    console.log('Testing JSON import...');
+
+    const importer = new QuestionImporter(new QuestionBankLoader());
+    const json = JSON.stringify({
+        questions: [
+            {
+                id: 'j1',
+                unit: 4,
+                question: 'Which ideology favors limited government intervention?',
+                options: ['Liberalism', 'Conservatism', 'Socialism', 'Populism'],
+                correct: 1
+            },
+            {
+                id: 'j2',
+                unit: 4,
+                question: 'Too few options',
+                options: ['Only one']
+            }
+        ]
+    });
+
+    const report = importer.importText(json);
+
+    assert(report.format === 'json', 'Format should be detected as JSON');
+    assert(report.questions.length === 1, 'One JSON question should be valid');
+    assert(report.questions[0].correct === 1, 'Numeric answers in JSON should be 0-based');
+    assert(report.errors.length === 1, 'Invalid JSON question should be reported');
+
+    const fiveChoice = importer.importText(JSON.stringify([{
+        id: 'cb1',
+        unit: 2,
+        question: 'Which of the following is a power of the Speaker of the House?',
+        options: ['(A) Veto', '(B) Appoint judges', '(C) Refer bills', '(D) Pardon', '(E) Declare war'],
+        correct: 'C'
+    }]));
+    assert(fiveChoice.questions.length === 1, 'Five-choice questions should import');
+    assert(fiveChoice.questions[0].options[4] === 'Declare war', 'Option E should keep its text without the prefix');
+
+    let threw = false;
+    try {
+        importer.importText('{ not json');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Malformed JSON should throw');
+
+    console.log('✓ JSON import tests passed');
+}
+
+/**
+ * Test Suite: Imported bank persistence and selection
+ */
+async function testImportedBankPersistence() {
+    console.log('Testing imported bank persistence...');
+
+    const storage = new ImportTestStorage();
+    const loader = new QuestionBankLoader(storage);
+    const csv = [
+        'unit,question,options,correct',
+        '5,Which group nominates candidates for office?,Parties|Courts|Agencies|Media,A'
+    ].join('\n');
+
+    const report = loader.previewImport(csv);
+    assert(report.bankId, 'Preview should assign a bank ID');
+    assert(storage.getItem(loader.importedBanksKey) === null, 'Preview should not save anything');
+
+    const bank = loader.saveImportedBank(report, 'Unit 5 Review');
+    assert(bank.name === 'Unit 5 Review', 'Bank name should be stored');
+    assert(loader.getImportedBanks().length === 1, 'Bank should be persisted');
+    assert(loader.getSelectedBankIds().includes(bank.id), 'New bank should be selected');
+    assert(loader.getSelectedBankIds().includes(loader.defaultBankId), 'Built-in bank should stay selected');
+
+    // A second loader sees the same banks
+    const reloaded = new QuestionBankLoader(storage);
+    const available = reloaded.getAvailableBanks();
+    assert(available.length === 2, 'Built-in and imported banks should be available');
+    assert(available[1].questionCount === 1, 'Imported bank should report its size');
+
+    // Only the imported bank selected: no fetch is needed
+    reloaded.setSelectedBankIds([bank.id]);
+    const questions = await reloaded.loadQuestions();
+    assert(questions.length === 1, 'Only imported questions should load');
+    assert(questions[0].id === `${bank.id}-2`, 'Imported IDs should be namespaced by bank');
+
+    // A failed load does not bring in the built-in sample questions when that bank is deselected
+    storage.setItem(loader.importedBanksKey, loader.getImportedBanks().map(saved => ({ ...saved, questions: [] })));
+    const emptySelection = new QuestionBankLoader(storage);
+    let rejected = false;
+    try {
+        await emptySelection.loadQuestions();
+    } catch (error) {
+        rejected = true;
+    }
+    assert(rejected && emptySelection.questions.length === 0, 'Deselected built-in bank should not be used as a fallback');
+    storage.setItem(loader.importedBanksKey, [bank]);
+
+    let threw = false;
+    try {
+        reloaded.setSelectedBankIds(['missing-bank']);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Selecting an unknown bank should throw');
+
+    assert(reloaded.deleteImportedBank(bank.id) === true, 'Imported bank should be deletable');
+    assert(reloaded.getImportedBanks().length === 0, 'Deleted bank should be removed');
+    assert(reloaded.getSelectedBankIds()[0] === reloaded.defaultBankId, 'Selection should fall back to the built-in bank');
+    assert(reloaded.deleteImportedBank(reloaded.defaultBankId) === false, 'Built-in bank cannot be deleted');
+
+    console.log('✓ Imported bank persistence tests passed');
+}
+
+/**
+ * Test Suite: Shared stimuli in bank files
+ */
+function testSharedStimuli() {
+    console.log('Testing shared stimuli...');
+
+    const loader = new QuestionBankLoader();
+    const stimuli = [
+        {
+            id: 'cartoon',
+            type: 'image',
+            src: 'images/cartoon.png',
+            alt: 'A cartoon of a senator blocking a bill'
+        },
+        { id: 'broken', type: 'image', src: 'images/no-alt.png' }
+    ];
+    const questions = [
+        { id: 1, unit: 2, stimulusId: 'cartoon', question: 'Which tactic does the cartoon depict?', options: ['Filibuster', 'Veto', 'Cloture', 'Rider'], correct: 0 },
+        { id: 2, unit: 2, stimulusId: 'cartoon', question: 'Which chamber allows the tactic shown?', options: ['House', 'Senate'], correct: 1 },
+        { id: 3, unit: 2, stimulusId: 'broken', question: 'This question points at an invalid stimulus?', options: ['A', 'B'], correct: 0 }
+    ];
+
+    const processed = loader.processQuestions(questions, stimuli);
+    assert(processed.length === 2, 'Questions with a missing stimulus should be skipped');
+    assert(processed[0].stimulusId === 'cartoon', 'Stimulus ID should be kept');
+    assert(processed[0].stimulus === processed[1].stimulus, 'Questions in a set should share one stimulus object');
+    assert(new Question(processed[1]).hasStimulus(), 'Processed questions should validate with their stimulus');
+
+    console.log('✓ Shared stimuli tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+async function runQuestionImporterTests() {
+    console.log('Running QuestionImporter Tests...\n');
+
+    try {
+        testFormatDetection();
+        testCSVImport();
+        testOptionsColumnAndDefaultUnit();
+        testQuizletImport();
+        testJSONImport();
+        testSharedStimuli();
+        await testImportedBankPersistence();
+
+        console.log('\n✅ All QuestionImporter tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runQuestionImporterTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.Question = require('./question.js');
+    global.QuestionImporter = require('./question-importer.js');
+    global.QuestionBankLoader = require('./question-bank-loader.js');
+    runQuestionImporterTests();
+}
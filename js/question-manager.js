@@ -6,6 +6,9 @@ class QuestionManager {
     constructor() {
         this.questions = [];
         this.questionsByUnit = new Map();
+
+        // Free-response questions are kept apart so multiple choice modes never draw them
+        this.frqQuestions = [];
     }
 
     /**
@@ -43,6 +46,41 @@ class QuestionManager {
         this.logUnitDistribution();
     }
 
+    /**
+     * Loads free-response questions
+     * @param {Array} frqData - Array of FRQ objects
+     */
+    loadFRQQuestions(frqData) {
+        if (!Array.isArray(frqData)) {
+            throw new Error('FRQ data must be an array');
+        }
+
+        this.frqQuestions = [];
+
+        frqData.forEach((data, index) => {
+            try {
+                this.frqQuestions.push(new FRQQuestion(data));
+            } catch (error) {
+                console.warn(`Skipping invalid FRQ at index ${index}:`, error.message);
+            }
+        });
+
+        console.log(`Loaded ${this.frqQuestions.length} valid free-response questions`);
+    }
+
+    /**
+     * Gets free-response questions, optionally filtered by unit and type
+     * @param {number|null} unitId - Unit number (1-5), or null for all units
+     * @param {string|null} type - FRQ type (see FRQQuestion.TYPES), or null for all types
+     * @returns {Array} Array of FRQQuestion objects
+     */
+    getFRQQuestions(unitId = null, type = null) {
+        return this.frqQuestions.filter(frq =>
+            (unitId === null || frq.unit === unitId) &&
+            (type === null || frq.type === type)
+        );
+    }
+
     /**
      * Gets all questions for a specific unit
      * @param {number} unitId - Unit number (1-5)
@@ -60,13 +98,18 @@ class QuestionManager {
      * Gets random questions from specified units or all units
      * @param {number} count - Number of questions to return
      * @param {Array|null} units - Array of unit numbers, or null for all units
+     * @param {string|null} difficulty - 'easy', 'medium', 'hard' or 'mixed', or null for any difficulty
      * @returns {Array} Array of randomly selected Question objects
      */
-    getRandomQuestions(count, units = null) {
+    getRandomQuestions(count, units = null, difficulty = null) {
         if (!Number.isInteger(count) || count < 1) {
             throw new Error('Count must be a positive integer');
         }
 
+        if (difficulty !== null && !QuestionManager.DIFFICULTY_PREFERENCES[difficulty]) {
+            throw new Error(`Unknown difficulty: ${difficulty}`);
+        }
+
         let availableQuestions = [];
 
         if (units === null) {
@@ -95,57 +138,167 @@ class QuestionManager {
             count = availableQuestions.length;
         }
 
+        if (difficulty !== null) {
+            return this.shuffleArray(this.selectByDifficulty(availableQuestions, count, difficulty));
+        }
+
         // Shuffle and select random questions
         const shuffled = this.shuffleArray([...availableQuestions]);
         return shuffled.slice(0, count);
     }
 
+    /**
+     * Selects questions by difficulty, topping up from the nearest levels when a level runs short
+     * @param {Array} questions - Candidate Question objects
+     * @param {number} count - Number of questions to select
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or 'mixed'
+     * @returns {Array} Selected Question objects
+     */
+    selectByDifficulty(questions, count, difficulty) {
+        const pools = { easy: [], medium: [], hard: [], unrated: [] };
+        this.shuffleArray([...questions]).forEach(question => {
+            pools[question.getDifficulty() || 'unrated'].push(question);
+        });
+
+        const selected = [];
+
+        if (difficulty === 'mixed') {
+            // Alternate across the rated levels so the quiz has an even spread
+            const levels = ['easy', 'medium', 'hard'];
+            while (selected.length < count && levels.some(level => pools[level].length > 0)) {
+                levels.forEach(level => {
+                    if (selected.length < count && pools[level].length > 0) {
+                        selected.push(pools[level].shift());
+                    }
+                });
+            }
+        }
+
+        QuestionManager.DIFFICULTY_PREFERENCES[difficulty].forEach(level => {
+            selected.push(...pools[level].splice(0, count - selected.length));
+        });
+
+        return selected;
+    }
+
+    /**
+     * Attaches empirical item statistics to the loaded questions
+     * @param {Object} itemStats - Statistics keyed by question ID (see ScoringEngine.calculateItemStatistics)
+     * @returns {number} Number of questions with an empirical difficulty
+     */
+    applyItemStatistics(itemStats) {
+        let rated = 0;
+
+        this.questions.forEach(question => {
+            const stats = itemStats[question.id] || null;
+            question.setItemStatistics(stats);
+            if (stats && stats.difficulty) {
+                rated++;
+            }
+        });
+
+        return rated;
+    }
+
     /**
      * Gets random questions distributed across all units for practice tests
+     * Questions that share a stimulus are picked as one set and stay together, in bank order; a set is
+     * never split, so the test can be a little short when only sets larger than the shortfall are left
      * @param {number} totalCount - Total number of questions (default 55 for AP exam)
+     * @param {Object|null} unitCounts - Questions per unit (e.g. from ExamBlueprint.getUnitCounts); splits evenly if omitted
      * @returns {Array} Array of questions distributed across units
      */
-    getRandomDistributedQuestions(totalCount = 55) {
+    getRandomDistributedQuestions(totalCount = 55, unitCounts = null) {
         const questionsPerUnit = Math.floor(totalCount / 5);
         const remainder = totalCount % 5;
-        const selectedQuestions = [];
+        const blocks = this.groupByStimulus(this.questions);
+        const selectedBlocks = [];
+        const countSelected = () => selectedBlocks.reduce((sum, block) => sum + block.length, 0);
 
-        // Get questions from each unit
+        // Get questions from each unit (a stimulus set counts toward its first question's unit)
         for (let unit = 1; unit <= 5; unit++) {
-            const unitQuestions = this.getQuestionsByUnit(unit);
+            const unitBlocks = blocks.filter(block => block[0].unit === unit);
+            const unitTotal = unitBlocks.reduce((sum, block) => sum + block.length, 0);
             let countForUnit = questionsPerUnit;
             
-            // Distribute remainder questions to first few units
-            if (unit <= remainder) {
+            if (unitCounts) {
+                countForUnit = unitCounts[unit] || 0;
+            } else if (unit <= remainder) {
+                // Distribute remainder questions to first few units
                 countForUnit++;
             }
 
-            if (unitQuestions.length < countForUnit) {
-                console.warn(`Unit ${unit} has only ${unitQuestions.length} questions, need ${countForUnit}`);
-                countForUnit = unitQuestions.length;
+            if (unitTotal < countForUnit) {
+                console.warn(`Unit ${unit} has only ${unitTotal} questions, need ${countForUnit}`);
+                countForUnit = unitTotal;
             }
 
             if (countForUnit > 0) {
-                const randomFromUnit = this.getRandomQuestions(countForUnit, [unit]);
-                selectedQuestions.push(...randomFromUnit);
+                selectedBlocks.push(...this.takeBlocks(this.shuffleArray(unitBlocks), countForUnit));
             }
         }
 
         // If we don't have enough questions total, fill with random questions from available pool
-        if (selectedQuestions.length < totalCount && this.questions.length > 0) {
-            const needed = totalCount - selectedQuestions.length;
-            const availableQuestions = this.questions.filter(q => 
-                !selectedQuestions.some(selected => selected.id === q.id)
-            );
+        if (countSelected() < totalCount && this.questions.length > 0) {
+            const usedIds = new Set(selectedBlocks.map(block => block[0].id));
+            const availableBlocks = blocks.filter(block => !usedIds.has(block[0].id));
             
-            if (availableQuestions.length > 0) {
-                const additional = this.shuffleArray(availableQuestions).slice(0, needed);
-                selectedQuestions.push(...additional);
+            if (availableBlocks.length > 0) {
+                // Only whole sets fit; a set larger than the shortfall is left out rather than split
+                const additional = this.takeBlocks(this.shuffleArray(availableBlocks), totalCount - countSelected());
+                selectedBlocks.push(...additional);
             }
         }
 
-        // Shuffle the final array to mix units
-        return this.shuffleArray(selectedQuestions);
+        // Shuffle the sets rather than the questions to mix units without splitting stimulus sets
+        return this.shuffleArray(selectedBlocks).flat();
+    }
+
+    /**
+     * Groups questions into blocks: one per stimulus set, one per standalone question
+     * @param {Array} questions - Array of Question objects
+     * @returns {Array} Array of question arrays, in order of first appearance
+     */
+    groupByStimulus(questions) {
+        const blocks = [];
+        const blocksByStimulus = new Map();
+
+        questions.forEach(question => {
+            if (!question.stimulusId) {
+                blocks.push([question]);
+                return;
+            }
+
+            if (!blocksByStimulus.has(question.stimulusId)) {
+                const block = [];
+                blocksByStimulus.set(question.stimulusId, block);
+                blocks.push(block);
+            }
+            blocksByStimulus.get(question.stimulusId).push(question);
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Takes whole blocks until the count is reached, skipping blocks that would overshoot it
+     * Blocks are never split, so fewer questions than the count are returned when no remaining block fits
+     * @param {Array} blocks - Question blocks (already shuffled)
+     * @param {number} count - Number of questions wanted
+     * @returns {Array} Selected blocks
+     */
+    takeBlocks(blocks, count) {
+        const taken = [];
+        let remaining = count;
+
+        blocks.forEach(block => {
+            if (remaining > 0 && block.length <= remaining) {
+                taken.push(block);
+                remaining -= block.length;
+            }
+        });
+
+        return taken;
     }
 
     /**
@@ -162,6 +315,135 @@ class QuestionManager {
         }
     }
 
+    /**
+     * Finds a question by ID
+     * @param {string} questionId - Question ID
+     * @returns {Question|null} The question, or null if not found
+     */
+    getQuestionById(questionId) {
+        return this.questions.find(question => question.id === questionId) || null;
+    }
+
+    /**
+     * Adds a new question to the bank
+     * @param {Object} questionData - Question data
+     * @returns {Question} The added question
+     * @throws {Error} If the data is invalid or the ID is already used
+     */
+    addQuestion(questionData) {
+        const question = new Question(questionData);
+        if (this.getQuestionById(question.id)) {
+            throw new Error(`A question with ID "${question.id}" already exists`);
+        }
+
+        this.questions.push(question);
+        this.questionsByUnit.get(question.unit).push(question);
+        return question;
+    }
+
+    /**
+     * Replaces a question's fields, keeping its position in the bank
+     * @param {string} questionId - ID of the question to update
+     * @param {Object} changes - Fields to change (the ID cannot be changed)
+     * @returns {Question} The updated question
+     * @throws {Error} If the question is not found or the result is invalid
+     */
+    updateQuestion(questionId, changes) {
+        const index = this.questions.findIndex(question => question.id === questionId);
+        if (index === -1) {
+            throw new Error(`Question not found: ${questionId}`);
+        }
+
+        const existing = this.questions[index];
+        const updated = new Question({ ...existing.toJSON(), ...changes, id: questionId });
+        // Item statistics aren't part of the question data, so carry them over until the next recompute
+        updated.setItemStatistics(existing.itemStats);
+        this.questions[index] = updated;
+        this.indexQuestionsByUnit();
+        return updated;
+    }
+
+    /**
+     * Removes a question from the bank
+     * @param {string} questionId - ID of the question to delete
+     * @returns {boolean} True if a question was removed
+     */
+    deleteQuestion(questionId) {
+        const index = this.questions.findIndex(question => question.id === questionId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.questions.splice(index, 1);
+        this.indexQuestionsByUnit();
+        return true;
+    }
+
+    /**
+     * Suggests an unused ID for a new question
+     * Banks use numeric string IDs, so this continues after the highest one
+     * @returns {string} New question ID
+     */
+    getNextQuestionId() {
+        const numericIds = this.questions
+            .map(question => parseInt(question.id, 10))
+            .filter(id => !isNaN(id));
+        let next = numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+
+        while (this.getQuestionById(String(next))) {
+            next++;
+        }
+        return String(next);
+    }
+
+    /**
+     * Rebuilds the per-unit lists after questions change
+     */
+    indexQuestionsByUnit() {
+        for (let unit = 1; unit <= 5; unit++) {
+            this.questionsByUnit.set(unit, []);
+        }
+        this.questions.forEach(question => {
+            this.questionsByUnit.get(question.unit).push(question);
+        });
+    }
+
+    /**
+     * Builds a bank file in the same metadata + questions format as the bundled banks
+     * Shared stimuli are written once to a stimuli list and referenced by ID.
+     * @param {Object} metadata - Optional title, description and source
+     * @returns {Object} Bank data ready for JSON.stringify
+     */
+    exportBank(metadata = {}) {
+        const stimuli = new Map();
+        const questions = this.questions.map(question => {
+            const json = question.toJSON();
+            if (json.stimulus && json.stimulusId) {
+                stimuli.set(json.stimulusId, { ...json.stimulus, id: json.stimulusId });
+                delete json.stimulus;
+            }
+            return json;
+        });
+
+        const bank = {
+            metadata: {
+                title: metadata.title || 'AP Government Question Bank',
+                description: metadata.description || 'Edited AP Government quiz questions',
+                totalQuestions: questions.length,
+                units: new Set(questions.map(question => question.unit)).size,
+                lastUpdated: new Date().toISOString(),
+                source: metadata.source || 'Question editor export'
+            },
+            questions: questions
+        };
+
+        if (stimuli.size > 0) {
+            bank.stimuli = Array.from(stimuli.values());
+        }
+
+        return bank;
+    }
+
     /**
      * Gets statistics about the question bank
      * @returns {Object} Statistics object with counts by unit and total
@@ -237,6 +519,14 @@ class QuestionManager {
     }
 }
 
+// Order in which difficulty levels are drawn for each filter; 'mixed' draws evenly first
+QuestionManager.DIFFICULTY_PREFERENCES = {
+    easy: ['easy', 'medium', 'unrated', 'hard'],
+    medium: ['medium', 'unrated', 'easy', 'hard'],
+    hard: ['hard', 'medium', 'unrated', 'easy'],
+    mixed: ['unrated', 'medium', 'easy', 'hard']
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = QuestionManager;
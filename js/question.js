@@ -10,6 +10,14 @@ class Question {
         this.options = data.options;
         this.correct = data.correct;
         this.explanation = data.explanation || '';
+
+        // Shared stimulus (passage, table or image) for stimulus-based question sets
+        this.stimulus = data.stimulus || null;
+        this.stimulusId = data.stimulusId || (this.stimulus && this.stimulus.id) || null;
+
+        // Bank difficulty rating, used until there are enough attempts for an empirical one
+        this.difficulty = data.difficulty || null;
+        this.itemStats = null;
         
         this.validate();
     }
@@ -34,9 +42,10 @@ class Question {
             throw new Error('Question text must be a non-empty string');
         }
 
-        // Validate options (must be array of 4 strings)
-        if (!Array.isArray(this.options) || this.options.length !== 4) {
-            throw new Error('Options must be an array of exactly 4 choices');
+        // Validate options (2-6 strings: true/false up to A-F items)
+        if (!Array.isArray(this.options) ||
+            this.options.length < Question.MIN_OPTIONS || this.options.length > Question.MAX_OPTIONS) {
+            throw new Error(`Options must be an array of ${Question.MIN_OPTIONS} to ${Question.MAX_OPTIONS} choices`);
         }
 
         for (let i = 0; i < this.options.length; i++) {
@@ -46,25 +55,84 @@ class Question {
         }
 
         // Validate correct answer index
-        if (!Number.isInteger(this.correct) || this.correct < 0 || this.correct > 3) {
-            throw new Error('Correct answer must be an integer between 0 and 3');
+        if (!Number.isInteger(this.correct) || this.correct < 0 || this.correct >= this.options.length) {
+            throw new Error(`Correct answer must be an integer between 0 and ${this.options.length - 1}`);
         }
 
         // Validate explanation (optional but must be string if provided)
         if (this.explanation && typeof this.explanation !== 'string') {
             throw new Error('Explanation must be a string if provided');
         }
+
+        // Validate stimulus (optional)
+        if (this.stimulusId !== null && typeof this.stimulusId !== 'string') {
+            throw new Error('Stimulus ID must be a string if provided');
+        }
+
+        if (this.stimulus) {
+            Question.validateStimulus(this.stimulus);
+        }
+
+        // Validate difficulty (optional)
+        if (this.difficulty !== null && !Question.DIFFICULTY_LEVELS.includes(this.difficulty)) {
+            throw new Error(`Difficulty must be one of: ${Question.DIFFICULTY_LEVELS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Checks if this question belongs to a stimulus set
+     * @returns {boolean} True if the question has a stimulus
+     */
+    hasStimulus() {
+        return this.stimulus !== null;
     }
 
     /**
      * Checks if the provided answer is correct
-     * @param {number} answerIndex - The selected answer index (0-3)
+     * @param {number} answerIndex - The selected answer index (0 to options.length - 1)
      * @returns {boolean} True if answer is correct
      */
     isCorrect(answerIndex) {
         return answerIndex === this.correct;
     }
 
+    /**
+     * Checks whether an index refers to one of this question's options
+     * @param {number} answerIndex - Answer index
+     * @returns {boolean} True if the index is valid
+     */
+    isValidAnswerIndex(answerIndex) {
+        return Number.isInteger(answerIndex) && answerIndex >= 0 && answerIndex < this.options.length;
+    }
+
+    /**
+     * Gets the letter for an option index (0 -> A)
+     * @param {number} index - Option index
+     * @returns {string} Option letter
+     */
+    getOptionLetter(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    /**
+     * Attaches item statistics computed from attempt data (see ScoringEngine.calculateItemStatistics)
+     * @param {Object|null} itemStats - Item statistics, or null to clear them
+     */
+    setItemStatistics(itemStats) {
+        this.itemStats = itemStats || null;
+    }
+
+    /**
+     * Gets the question's difficulty: empirical once it has enough attempts, otherwise the bank rating
+     * @returns {string|null} 'easy', 'medium', 'hard', or null if unrated
+     */
+    getDifficulty() {
+        if (this.itemStats && this.itemStats.difficulty) {
+            return this.itemStats.difficulty;
+        }
+        return this.difficulty;
+    }
+
     /**
      * Gets the correct answer text
      * @returns {string} The correct answer option
@@ -93,7 +161,7 @@ class Question {
      * @returns {Object} Question data as plain object
      */
     toJSON() {
-        return {
+        const json = {
             id: this.id,
             unit: this.unit,
             question: this.question,
@@ -101,9 +169,77 @@ class Question {
             correct: this.correct,
             explanation: this.explanation
         };
+
+        if (this.stimulus) {
+            json.stimulusId = this.stimulusId;
+            json.stimulus = this.stimulus;
+        }
+
+        if (this.difficulty) {
+            json.difficulty = this.difficulty;
+        }
+
+        return json;
+    }
+
+    /**
+     * Validates a stimulus object
+     * Text: {type: 'text', text}; table: {type: 'table', table: {headers, rows}}; image: {type: 'image', src, alt}.
+     * All types may also have an id, title and source.
+     * @param {Object} stimulus - Stimulus data
+     * @throws {Error} If validation fails
+     */
+    static validateStimulus(stimulus) {
+        if (!stimulus || typeof stimulus !== 'object') {
+            throw new Error('Stimulus must be an object');
+        }
+
+        const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+        switch (stimulus.type) {
+            case 'text':
+                if (!isNonEmptyString(stimulus.text)) {
+                    throw new Error('Text stimulus must have non-empty text');
+                }
+                break;
+
+            case 'table':
+                const table = stimulus.table;
+                if (!table || !Array.isArray(table.headers) || table.headers.length === 0 ||
+                    !Array.isArray(table.rows) || table.rows.length === 0) {
+                    throw new Error('Table stimulus must have headers and at least one row');
+                }
+                if (table.rows.some(row => !Array.isArray(row) || row.length !== table.headers.length)) {
+                    throw new Error('Every table stimulus row must have one cell per header');
+                }
+                break;
+
+            case 'image':
+                if (!isNonEmptyString(stimulus.src)) {
+                    throw new Error('Image stimulus must have an image path');
+                }
+                // Screen reader users can't answer a cartoon or map question without it
+                if (!isNonEmptyString(stimulus.alt)) {
+                    throw new Error('Image stimulus must have alt text');
+                }
+                break;
+
+            default:
+                throw new Error(`Stimulus type must be one of: ${Question.STIMULUS_TYPES.join(', ')}`);
+        }
     }
 }
 
+// Supported answer option counts (true/false through A-F)
+Question.MIN_OPTIONS = 2;
+Question.MAX_OPTIONS = 6;
+
+// Supported stimulus kinds for stimulus-based question sets
+Question.STIMULUS_TYPES = ['text', 'table', 'image'];
+
+// Difficulty ratings, from bank data or empirical p-values
+Question.DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Question;
@@ -12,13 +12,23 @@ class QuizEngine {
         this.currentQuestionIndex = 0;
         this.questions = [];
         this.answers = [];
+        this.flagged = new Set();  // Question indices marked for review
         this.mode = null;
         this.unitId = null;
         this.startTime = null;
         this.isActive = false;
+        this.questionShownAt = null;
+
+        // Dwell time per question index in milliseconds, accumulated across revisits
+        this.questionTimes = [];
+        this.dwellStartedAt = null;
         
-        // Timer for practice tests
+        // Timer and blueprint for practice tests
         this.timer = null;
+        this.blueprint = null;
+
+        // Ability estimate for adaptive unit quizzes ({estimator, priorMean, ability, standardError, stopReason})
+        this.adaptive = null;
         
         // Event callbacks
         this.onQuestionChange = null;
@@ -31,26 +41,48 @@ class QuizEngine {
 
     /**
      * Start a new quiz in the specified mode
-     * @param {string} mode - Quiz mode: 'unit', 'practice', or 'study'
-     * @param {number|null} unitId - Unit ID for unit mode (1-5), null for other modes
+     * @param {string} mode - Quiz mode: 'unit', 'practice', 'study', 'review' or 'frq'
+     * @param {number|null} unitId - Unit ID for unit mode (1-5), optional filter for FRQ mode, null for other modes
      * @param {Object} options - Additional options for quiz configuration
+     *                           (review mode accepts units, since, until and masteryStreak filters,
+     *                           or questionIds to review exactly those questions;
+     *                           FRQ mode accepts frqType; practice mode accepts a blueprint preset ID,
+     *                           blueprint data or ExamBlueprint; unit mode accepts a difficulty of
+     *                           'easy', 'medium', 'hard' or 'mixed', or adaptive: true to choose each
+     *                           question from a running ability estimate)
      */
     startQuiz(mode, unitId = null, options = {}) {
-        if (!['unit', 'practice', 'study'].includes(mode)) {
-            throw new Error('Mode must be "unit", "practice", or "study"');
+        if (!['unit', 'practice', 'study', 'review', 'frq'].includes(mode)) {
+            throw new Error('Mode must be "unit", "practice", "study", "review", or "frq"');
         }
 
         if (mode === 'unit' && (!unitId || unitId < 1 || unitId > 5)) {
             throw new Error('Unit mode requires a valid unit ID (1-5)');
         }
 
+        if (mode === 'frq' && unitId !== null && (unitId < 1 || unitId > 5)) {
+            throw new Error('FRQ unit filter must be a unit ID (1-5)');
+        }
+
+        if (mode === 'study' && unitId !== null && (unitId < 1 || unitId > 5)) {
+            throw new Error('Study unit filter must be a unit ID (1-5)');
+        }
+
         // Initialize quiz state
         this.mode = mode;
         this.unitId = unitId;
         this.currentQuestionIndex = 0;
         this.answers = [];
+        this.flagged = new Set();
+        this.questionTimes = [];
+        this.dwellStartedAt = null;
         this.startTime = new Date();
         this.isActive = true;
+        this.blueprint = null;
+        this.adaptive = null;
+
+        // Refresh difficulty ratings from past attempts before selecting questions
+        this.updateItemStatistics();
 
         // Load questions based on mode
         this.questions = this.loadQuestionsForMode(mode, unitId, options);
@@ -61,7 +93,7 @@ class QuizEngine {
 
         // Initialize timer for practice tests
         if (mode === 'practice') {
-            this.initializePracticeTimer();
+            this.initializePracticeTimer(this.blueprint ? this.blueprint.timeLimit : 80);
         }
 
         // Create quiz session object
@@ -74,8 +106,20 @@ class QuizEngine {
             totalQuestions: this.questions.length,
             currentQuestion: 0,
             answers: [],
+            flagged: [],
+            questionTimes: [],
             isComplete: false,
-            timerState: this.timer ? this.timer.serialize() : null
+            timerState: this.timer ? this.timer.serialize() : null,
+            reviewOptions: mode === 'review' ? {
+                units: options.units || null,
+                since: options.since || null,
+                until: options.until || null,
+                masteryStreak: options.masteryStreak || null
+            } : null,
+            frqType: mode === 'frq' ? (options.frqType || null) : null,
+            difficulty: mode === 'unit' ? (options.difficulty || null) : null,
+            adaptive: this.adaptive ? this.serializeAdaptiveState() : null,
+            blueprint: mode === 'practice' && this.blueprint ? this.blueprint.toJSON() : null
         };
 
         // Save session to progress tracker
@@ -87,6 +131,21 @@ class QuizEngine {
         this.triggerQuestionChange();
     }
 
+    /**
+     * Recompute each question's empirical difficulty from the attempt history
+     * @returns {number} Number of questions with an empirical difficulty
+     */
+    updateItemStatistics() {
+        if (typeof this.progressTracker.getAttemptHistory !== 'function' ||
+            typeof this.questionManager.applyItemStatistics !== 'function' ||
+            typeof ScoringEngine === 'undefined') {
+            return 0;
+        }
+
+        const itemStats = new ScoringEngine().calculateItemStatistics(this.progressTracker.getAttemptHistory());
+        return this.questionManager.applyItemStatistics(itemStats);
+    }
+
     /**
      * Load questions based on quiz mode and parameters
      * @param {string} mode - Quiz mode
@@ -97,31 +156,221 @@ class QuizEngine {
     loadQuestionsForMode(mode, unitId, options) {
         switch (mode) {
             case 'unit':
+                // Adaptive unit mode: start with one question, the rest are chosen as answers come in
+                if (options.adaptive && typeof AbilityEstimator !== 'undefined') {
+                    return this.startAdaptiveUnit(unitId, options);
+                }
+
                 // Unit mode: questions from specific unit
                 const unitQuestions = this.questionManager.getQuestionsByUnit(unitId);
                 const unitCount = options.questionCount || Math.min(20, unitQuestions.length);
-                return this.questionManager.getRandomQuestions(unitCount, [unitId]);
+                return this.questionManager.getRandomQuestions(unitCount, [unitId], options.difficulty || null);
 
             case 'practice':
-                // Practice mode: exactly 55 questions distributed across all units (or all available)
+                // Practice mode: questions split across units by the blueprint (full exam by default)
+                this.blueprint = typeof ExamBlueprint !== 'undefined' ? ExamBlueprint.from(options.blueprint) : null;
                 const availableCount = this.questionManager.questions.length;
-                const practiceCount = Math.min(55, availableCount);
-                return this.questionManager.getRandomDistributedQuestions(practiceCount);
+                const practiceCount = Math.min(this.blueprint ? this.blueprint.questionCount : 55, availableCount);
+                return this.questionManager.getRandomDistributedQuestions(
+                    practiceCount,
+                    this.blueprint ? this.blueprint.getUnitCounts(practiceCount) : null
+                );
 
             case 'study':
-                // Study mode: unlimited questions, start with a batch
+                // Study mode: unlimited questions, start with a batch of due and missed items
                 const studyCount = options.questionCount || 10;
-                return this.questionManager.getRandomQuestions(studyCount);
+                if (options.questionId) {
+                    // A linked question opens the session
+                    const linked = this.questionManager.questions.find(q => q.id === options.questionId);
+                    if (!linked) {
+                        throw new Error(`Question not found: ${options.questionId}`);
+                    }
+                    return [linked, ...this.selectStudyQuestions(studyCount - 1, [linked.id])].slice(0, studyCount);
+                }
+                return this.selectStudyQuestions(studyCount);
+
+            case 'review':
+                // Review mode: a chosen set of questions, such as those missed in one quiz
+                if (Array.isArray(options.questionIds)) {
+                    const chosen = options.questionIds
+                        .map(questionId => this.questionManager.questions.find(q => q.id === questionId))
+                        .filter(q => q !== undefined);
+                    return this.questionManager.shuffleArray(chosen.slice(0, options.questionCount || chosen.length));
+                }
+
+                // Otherwise previously missed questions that have not been mastered yet
+                const mistakes = this.progressTracker.getMistakeQuestionIds(options)
+                    .map(questionId => this.questionManager.questions.find(q => q.id === questionId))
+                    .filter(q => q !== undefined);
+                const reviewCount = options.questionCount || Math.min(20, mistakes.length);
+                return this.questionManager.shuffleArray(mistakes.slice(0, reviewCount));
+
+            case 'frq':
+                // FRQ mode: free-response prompts, optionally limited to one unit or FRQ type
+                const frqs = this.questionManager.getFRQQuestions(unitId, options.frqType || null);
+                const frqCount = options.questionCount || Math.min(4, frqs.length);
+                return this.questionManager.shuffleArray(frqs).slice(0, frqCount);
 
             default:
                 throw new Error(`Unknown quiz mode: ${mode}`);
         }
     }
 
+    /**
+     * Set up an adaptive unit quiz, starting from the unit's last ability estimate if there is one
+     * @param {number} unitId - Unit ID (1-5)
+     * @param {Object} options - questionCount caps the quiz length
+     * @returns {Array} The first question
+     */
+    startAdaptiveUnit(unitId, options) {
+        const previous = typeof this.progressTracker.getUnitAbility === 'function' ?
+            this.progressTracker.getUnitAbility(unitId) : null;
+        const priorMean = previous ? previous.estimate : 0;
+
+        this.adaptive = {
+            estimator: new AbilityEstimator({ priorMean, maxQuestions: options.questionCount }),
+            priorMean: priorMean,
+            ability: priorMean,
+            standardError: null,
+            stopReason: null
+        };
+
+        const candidates = this.questionManager.shuffleArray(this.questionManager.getQuestionsByUnit(unitId));
+        const first = this.adaptive.estimator.selectNextQuestion(priorMean, candidates);
+        return first ? [first] : [];
+    }
+
+    /**
+     * Re-estimate ability from the answers so far and, once the last question is answered,
+     * add the best matching unused question unless the estimate is precise enough to stop
+     */
+    updateAdaptiveEstimate() {
+        const estimator = this.adaptive.estimator;
+        const responses = [];
+        this.answers.forEach((answer, index) => {
+            if (answer) {
+                responses.push({ difficulty: estimator.getItemDifficulty(this.questions[index]), isCorrect: answer.isCorrect });
+            }
+        });
+
+        Object.assign(this.adaptive, estimator.estimate(responses));
+
+        if (!this.adaptive.stopReason && this.isQuizComplete()) {
+            const usedIds = new Set(this.questions.map(q => q.id));
+            const candidates = this.questionManager.getQuestionsByUnit(this.unitId).filter(q => !usedIds.has(q.id));
+
+            this.adaptive.stopReason = estimator.getStopReason(responses.length, this.adaptive.standardError, candidates.length);
+            if (!this.adaptive.stopReason) {
+                const next = estimator.selectNextQuestion(this.adaptive.ability, this.questionManager.shuffleArray(candidates));
+                this.questions.push(next);
+                this.currentQuiz.questions.push(next.id);
+                this.currentQuiz.totalQuestions = this.questions.length;
+            }
+        }
+
+        this.currentQuiz.adaptive = this.serializeAdaptiveState();
+        this.progressTracker.saveCurrentSession(this.currentQuiz);
+    }
+
+    /**
+     * Get the adaptive state for saving with the session
+     * @returns {Object} Adaptive state ({maxQuestions, priorMean, ability, standardError, stopReason})
+     */
+    serializeAdaptiveState() {
+        return {
+            maxQuestions: this.adaptive.estimator.maxQuestions,
+            priorMean: this.adaptive.priorMean,
+            ability: this.adaptive.ability,
+            standardError: this.adaptive.standardError,
+            stopReason: this.adaptive.stopReason
+        };
+    }
+
+    /**
+     * Get the ability estimate for an adaptive unit quiz
+     * @returns {Object|null} Estimate ({unitId, estimate, standardError, aptitude, questionsAnswered, stopReason}),
+     *                        or null outside adaptive quizzes
+     */
+    getAbilityEstimate() {
+        if (!this.adaptive || this.adaptive.standardError === null) {
+            return null;
+        }
+
+        return {
+            unitId: this.unitId,
+            estimate: this.adaptive.ability,
+            standardError: this.adaptive.standardError,
+            aptitude: this.adaptive.estimator.toAptitude(this.adaptive.ability),
+            questionsAnswered: this.answers.filter(answer => answer).length,
+            stopReason: this.adaptive.stopReason
+        };
+    }
+
+    /**
+     * Select study questions using the spaced repetition schedule
+     * Due questions come first, then recently missed ones, then questions never studied,
+     * and finally any other question so studying never runs dry
+     * A study session started for one unit only draws from that unit
+     * @param {number} count - Number of questions to select
+     * @param {Array} excludeIds - Question IDs already in the current session
+     * @returns {Array} Array of Question objects
+     */
+    selectStudyQuestions(count, excludeIds = []) {
+        if (count < 1) {
+            return [];
+        }
+
+        const units = this.unitId ? [this.unitId] : null;
+        if (typeof this.progressTracker.getDueQuestionIds !== 'function') {
+            return this.questionManager.getRandomQuestions(count, units);
+        }
+
+        const pool = units ? this.questionManager.getQuestionsByUnit(this.unitId) : this.questionManager.questions;
+        const questionsById = new Map(pool.map(q => [q.id, q]));
+        const excluded = new Set(excludeIds);
+        const selected = [];
+
+        const take = (ids) => {
+            for (const id of ids) {
+                if (selected.length >= count) break;
+                const question = questionsById.get(id);
+                if (question && !excluded.has(id)) {
+                    selected.push(question);
+                    excluded.add(id);
+                }
+            }
+        };
+
+        take(this.progressTracker.getDueQuestionIds());
+        take(this.progressTracker.getMissedQuestionIds());
+
+        if (selected.length < count) {
+            const unseen = this.questionManager.shuffleArray(
+                pool.filter(q => !this.progressTracker.getReviewCard(q.id))
+            );
+            take(unseen.map(q => q.id));
+        }
+
+        if (selected.length < count) {
+            const remaining = this.questionManager.shuffleArray(
+                pool.filter(q => !excluded.has(q.id))
+            );
+            take(remaining.map(q => q.id));
+        }
+
+        // Whole bank already in this session: fall back to random repeats
+        if (selected.length < count) {
+            selected.push(...this.questionManager.getRandomQuestions(count - selected.length, units));
+        }
+
+        return selected;
+    }
+
     /**
      * Initialize timer for practice tests
+     * @param {number} minutes - Time limit from the blueprint (default 80 for the AP exam)
      */
-    initializePracticeTimer() {
+    initializePracticeTimer(minutes = 80) {
         // Load Timer class if not already available
         if (typeof Timer === 'undefined') {
             console.error('Timer class not found. Make sure timer.js is loaded.');
@@ -143,10 +392,9 @@ class QuizEngine {
             this.handleTimerWarning(data);
         };
         
-        // Start 80-minute timer
-        this.timer.start(80);
+        this.timer.start(minutes);
         
-        console.log('Practice test timer initialized: 80 minutes');
+        console.log(`Practice test timer initialized: ${minutes} minutes`);
     }
 
     /**
@@ -249,6 +497,7 @@ class QuizEngine {
      */
     pauseTimer() {
         if (this.timer && this.mode === 'practice') {
+            this.stopDwellTimer();
             this.timer.pause();
             console.log('Practice test timer paused');
         }
@@ -259,6 +508,7 @@ class QuizEngine {
      */
     resumeTimer() {
         if (this.timer && this.mode === 'practice') {
+            this.startDwellTimer();
             this.timer.resume();
             console.log('Practice test timer resumed');
         }
@@ -277,6 +527,9 @@ class QuizEngine {
             throw new Error('Invalid question index');
         }
 
+        // Close out time on the question being left
+        this.stopDwellTimer();
+
         this.currentQuestionIndex = questionIndex;
         this.currentQuiz.currentQuestion = questionIndex;
         
@@ -311,28 +564,185 @@ class QuizEngine {
         return false;
     }
 
+    /**
+     * Flag or unflag a question to come back to before submitting
+     * @param {number} questionIndex - Index of question (defaults to the current question)
+     * @returns {boolean} True if the question is now flagged
+     */
+    toggleFlag(questionIndex = this.currentQuestionIndex) {
+        if (!this.isActive) {
+            throw new Error('No active quiz session');
+        }
+
+        if (questionIndex < 0 || questionIndex >= this.questions.length) {
+            throw new Error('Invalid question index');
+        }
+
+        if (this.flagged.has(questionIndex)) {
+            this.flagged.delete(questionIndex);
+        } else {
+            this.flagged.add(questionIndex);
+        }
+
+        // Update session
+        this.currentQuiz.flagged = this.getFlaggedIndices();
+        this.progressTracker.saveCurrentSession(this.currentQuiz);
+
+        return this.flagged.has(questionIndex);
+    }
+
+    /**
+     * Check whether a question is flagged for review
+     * @param {number} questionIndex - Index of question (defaults to the current question)
+     * @returns {boolean} True if flagged
+     */
+    isFlagged(questionIndex = this.currentQuestionIndex) {
+        return this.flagged.has(questionIndex);
+    }
+
+    /**
+     * Get the indices of flagged questions
+     * @returns {Array<number>} Flagged question indices in order
+     */
+    getFlaggedIndices() {
+        return Array.from(this.flagged).sort((a, b) => a - b);
+    }
+
+    /**
+     * Get the indices of questions without an answer
+     * @returns {Array<number>} Unanswered question indices in order
+     */
+    getUnansweredIndices() {
+        const unanswered = [];
+        for (let i = 0; i < this.questions.length; i++) {
+            if (this.answers[i] === undefined) {
+                unanswered.push(i);
+            }
+        }
+        return unanswered;
+    }
+
+    /**
+     * Get the answered/flagged status of every question for the review overview
+     * @returns {Array<Object>} Status per question ({index, number, isAnswered, isFlagged, isCurrent})
+     */
+    getQuestionStatuses() {
+        return this.questions.map((question, index) => ({
+            index: index,
+            number: index + 1,
+            isAnswered: this.answers[index] !== undefined,
+            isFlagged: this.flagged.has(index),
+            isCurrent: index === this.currentQuestionIndex
+        }));
+    }
+
+    /**
+     * Start counting time on the current question
+     */
+    startDwellTimer() {
+        if (this.isActive) {
+            this.dwellStartedAt = Date.now();
+        }
+    }
+
+    /**
+     * Add the time since the dwell timer started to the current question and save it with the session
+     */
+    stopDwellTimer() {
+        if (this.dwellStartedAt === null) {
+            return;
+        }
+
+        const index = this.currentQuestionIndex;
+        this.questionTimes[index] = (this.questionTimes[index] || 0) + (Date.now() - this.dwellStartedAt);
+        this.dwellStartedAt = null;
+
+        if (this.currentQuiz) {
+            this.currentQuiz.questionTimes = [...this.questionTimes];
+        }
+    }
+
+    /**
+     * Get the time spent on each question so far, including the current visit
+     * @returns {Array<number>} Milliseconds per question index
+     */
+    getQuestionTimes() {
+        return this.questions.map((question, index) => {
+            let time = this.questionTimes[index] || 0;
+            if (index === this.currentQuestionIndex && this.dwellStartedAt !== null) {
+                time += Date.now() - this.dwellStartedAt;
+            }
+            return time;
+        });
+    }
+
+    /**
+     * Calculate pacing analytics from per-question times using ScoringEngine
+     * Study and free-response sessions are untimed, so they have no pacing target
+     * @param {Array<number>} questionTimes - Milliseconds per question index
+     * @returns {Object|null} Pacing analytics, or null when not applicable
+     */
+    calculatePacing(questionTimes) {
+        if (typeof ScoringEngine === 'undefined' || this.mode === 'study' || this.mode === 'frq') {
+            return null;
+        }
+
+        const targetSeconds = this.blueprint ?
+            (this.blueprint.timeLimit * 60) / this.blueprint.questionCount : ScoringEngine.EXAM_PACE_SECONDS;
+
+        const scoringEngine = new ScoringEngine();
+        return scoringEngine.calculatePacing(this.questions, this.answers, questionTimes, { targetSeconds });
+    }
+
     /**
      * Submit an answer for the current question
-     * @param {number} answerIndex - Selected answer index (0-3)
+     * @param {number} answerIndex - Selected answer index (0 to options.length - 1)
      */
     submitAnswer(answerIndex) {
         if (!this.isActive) {
             throw new Error('No active quiz session');
         }
 
-        if (answerIndex < 0 || answerIndex > 3) {
-            throw new Error('Answer index must be between 0 and 3');
+        if (this.mode === 'frq') {
+            throw new Error('Free-response questions are answered with submitResponse()');
         }
 
         const currentQuestion = this.getCurrentQuestion();
+        if (!currentQuestion.isValidAnswerIndex(answerIndex)) {
+            throw new Error(`Answer index must be between 0 and ${currentQuestion.options.length - 1}`);
+        }
+
         const isCorrect = currentQuestion.isCorrect(answerIndex);
+        const previousAnswer = this.answers[this.currentQuestionIndex];
+        const isFirstAttempt = !previousAnswer;
+
+        // Record the attempt in the per-question ledger
+        if (typeof this.progressTracker.recordAttempt === 'function') {
+            this.progressTracker.recordAttempt({
+                questionId: currentQuestion.id,
+                unit: currentQuestion.unit,
+                quizId: this.currentQuiz.id,
+                selectedAnswer: answerIndex,
+                isCorrect: isCorrect,
+                timeSpent: this.questionShownAt ? Date.now() - this.questionShownAt : 0,
+                mode: this.mode
+            });
+        }
+
+        // Reschedule study questions on the first attempt only, so changing an answer can't game the schedule
+        if (this.mode === 'study' && isFirstAttempt && typeof this.progressTracker.recordReview === 'function') {
+            this.progressTracker.recordReview(currentQuestion.id, isCorrect);
+        }
 
-        // Store answer
+        // Store answer, counting how often it was changed
+        const changeCount = previousAnswer ? (previousAnswer.changeCount || 0) : 0;
         this.answers[this.currentQuestionIndex] = {
             questionId: currentQuestion.id,
             selectedAnswer: answerIndex,
             isCorrect: isCorrect,
-            timestamp: new Date()
+            timestamp: new Date(),
+            changeCount: previousAnswer && previousAnswer.selectedAnswer !== answerIndex ? changeCount + 1 : changeCount,
+            initialAnswer: previousAnswer ? previousAnswer.initialAnswer : answerIndex
         };
 
         // Update quiz session
@@ -375,12 +785,92 @@ class QuizEngine {
                 break;
 
             case 'unit':
+                // Adaptive unit mode: the next question depends on this answer
+                if (this.adaptive) {
+                    this.updateAdaptiveEstimate();
+                }
+                break;
+
             case 'practice':
-                // Unit and practice modes: no immediate feedback
+            case 'review':
+                // Practice and review modes: no immediate feedback
                 break;
         }
     }
 
+    /**
+     * Submit a written response for the current free-response question
+     * Rewriting a response clears any rubric score given to the previous version
+     * @param {string} responseText - The student's response
+     */
+    submitResponse(responseText) {
+        if (!this.isActive) {
+            throw new Error('No active quiz session');
+        }
+
+        if (this.mode !== 'frq') {
+            throw new Error('Written responses can only be submitted in FRQ mode');
+        }
+
+        if (typeof responseText !== 'string' || responseText.trim().length === 0) {
+            throw new Error('Response must be a non-empty string');
+        }
+
+        const currentQuestion = this.getCurrentQuestion();
+
+        this.answers[this.currentQuestionIndex] = {
+            questionId: currentQuestion.id,
+            response: responseText,
+            wordCount: FRQQuestion.countWords(responseText),
+            awardedPoints: null,
+            pointsEarned: null,
+            pointsPossible: currentQuestion.getMaxPoints(),
+            isCorrect: false,
+            timeSpent: this.questionShownAt ? Date.now() - this.questionShownAt : 0,
+            timestamp: new Date()
+        };
+
+        this.currentQuiz.answers = [...this.answers];
+        this.progressTracker.saveCurrentSession(this.currentQuiz);
+
+        if (this.onAnswerSubmit) {
+            this.onAnswerSubmit({
+                questionIndex: this.currentQuestionIndex,
+                response: responseText,
+                isCorrect: false,
+                question: currentQuestion
+            });
+        }
+    }
+
+    /**
+     * Self-score the current free-response question against its rubric
+     * @param {Array} awardedPointIds - IDs of the rubric points the student earned
+     * @returns {Object} The scored answer
+     */
+    scoreResponse(awardedPointIds) {
+        if (!this.isActive) {
+            throw new Error('No active quiz session');
+        }
+
+        const answer = this.answers[this.currentQuestionIndex];
+        if (this.mode !== 'frq' || !answer) {
+            throw new Error('Submit a response before scoring it');
+        }
+
+        const currentQuestion = this.getCurrentQuestion();
+        const pointsEarned = currentQuestion.scoreRubric(awardedPointIds);
+
+        answer.awardedPoints = [...new Set(awardedPointIds)];
+        answer.pointsEarned = pointsEarned;
+        answer.isCorrect = pointsEarned === answer.pointsPossible;
+
+        this.currentQuiz.answers = [...this.answers];
+        this.progressTracker.saveCurrentSession(this.currentQuiz);
+
+        return answer;
+    }
+
     /**
      * Get the current question object
      * @returns {Question} Current question
@@ -440,7 +930,9 @@ class QuizEngine {
             questionNumber: this.getCurrentQuestionNumber(),
             totalQuestions: this.getTotalQuestions(),
             isAnswered: this.isCurrentQuestionAnswered(),
+            isFlagged: this.isFlagged(),
             currentAnswer: this.getCurrentAnswer(),
+            maxQuestions: this.adaptive ? this.adaptive.estimator.maxQuestions : null,
             canGoNext: this.currentQuestionIndex < this.questions.length - 1,
             canGoPrevious: this.currentQuestionIndex > 0
         };
@@ -448,26 +940,29 @@ class QuizEngine {
 
     /**
      * Calculate current quiz score using ScoringEngine
+     * @param {Array} questions - Questions to score (defaults to the current quiz)
+     * @param {Array} answers - Answers by question index (defaults to the current quiz)
+     * @param {string} mode - Quiz mode (defaults to the current quiz)
      * @returns {Object} Comprehensive score information
      */
-    calculateScore() {
+    calculateScore(questions = this.questions, answers = this.answers, mode = this.mode) {
         // Use ScoringEngine for comprehensive scoring if available
         if (typeof ScoringEngine !== 'undefined') {
             const scoringEngine = new ScoringEngine();
-            return scoringEngine.calculateScore(this.questions, this.answers, this.mode);
+            return scoringEngine.calculateScore(questions, answers, mode);
         }
         
         // Fallback to basic scoring
-        const answeredQuestions = this.answers.filter(answer => answer !== undefined);
+        const answeredQuestions = answers.filter(answer => answer !== undefined);
         const correctAnswers = answeredQuestions.filter(answer => answer.isCorrect);
         
         return {
             correct: correctAnswers.length,
             total: answeredQuestions.length,
-            totalQuestions: this.questions.length,
+            totalQuestions: questions.length,
             percentage: answeredQuestions.length > 0 ? 
                 Math.round((correctAnswers.length / answeredQuestions.length) * 100) : 0,
-            unanswered: this.questions.length - answeredQuestions.length
+            unanswered: questions.length - answeredQuestions.length
         };
     }
 
@@ -495,6 +990,18 @@ class QuizEngine {
         return breakdown;
     }
 
+    /**
+     * Count the questions served per unit, answered or not
+     * @returns {Object} Question count per unit
+     */
+    getUnitTotals() {
+        const totals = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        this.questions.forEach(question => {
+            totals[question.unit]++;
+        });
+        return totals;
+    }
+
     /**
      * Check if all questions have been answered
      * @returns {boolean} True if all questions answered
@@ -516,6 +1023,8 @@ class QuizEngine {
         const endTime = new Date();
         const duration = endTime - this.startTime;
         const score = this.calculateScore();
+        this.stopDwellTimer();
+        const questionTimes = this.getQuestionTimes();
         
         // Stop timer if running
         let timerStats = null;
@@ -535,18 +1044,32 @@ class QuizEngine {
             score: score,
             questions: this.questions.map((question, index) => ({
                 question: question,
-                answer: this.answers[index] || null
+                answer: this.answers[index] || null,
+                flagged: this.flagged.has(index)
             })),
+            flagged: this.getFlaggedIndices(),
+            questionTimes: questionTimes,
+            pacing: this.calculatePacing(questionTimes),
             timerStats: timerStats
         };
 
         // Add mode-specific results
         if (this.mode === 'practice') {
             results.unitBreakdown = this.getUnitBreakdown();
+            results.unitTotals = this.getUnitTotals();
+            results.blueprint = this.blueprint ? this.blueprint.toJSON() : null;
             results.timeUsed = timerStats ? timerStats.elapsed : duration;
             results.timeRemaining = timerStats ? timerStats.remaining : 0;
         }
 
+        if (this.mode === 'review') {
+            results.reviewSummary = this.getReviewSummary();
+        }
+
+        if (this.adaptive) {
+            results.ability = this.getAbilityEstimate();
+        }
+
         // Update progress tracking
         this.updateProgressTracking(results);
 
@@ -577,6 +1100,81 @@ class QuizEngine {
         return results;
     }
 
+    /**
+     * Rebuild the results of a finished quiz from the attempt history
+     * Only what the history records comes back: the questions, the chosen answers and the time spent
+     * @param {string} quizId - Quiz ID
+     * @returns {Object|null} Results in the shape endQuiz() returns, or null if no attempts were recorded
+     */
+    getPastResults(quizId) {
+        const attempts = this.progressTracker.getAttemptHistory().filter(attempt => attempt.quizId === quizId);
+        const questionsById = new Map(this.questionManager.questions.map(q => [q.id, q]));
+        const items = attempts
+            .filter(attempt => questionsById.has(attempt.questionId))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        if (items.length === 0) {
+            return null;
+        }
+
+        const questions = items.map(attempt => questionsById.get(attempt.questionId));
+        const answers = items.map(attempt => ({
+            questionId: attempt.questionId,
+            selectedAnswer: attempt.selectedAnswer,
+            isCorrect: attempt.isCorrect,
+            timestamp: new Date(attempt.timestamp)
+        }));
+        const mode = items[0].mode || quizId.split('_')[1] || 'study';
+        const startTime = new Date(items[0].timestamp);
+        const endTime = new Date(items[items.length - 1].timestamp);
+
+        return {
+            quizId: quizId,
+            mode: mode,
+            unitId: mode === 'unit' ? questions[0].unit : null,
+            startTime: startTime,
+            endTime: endTime,
+            duration: endTime - startTime,
+            score: this.calculateScore(questions, answers, mode),
+            questions: questions.map((question, index) => ({
+                question: question,
+                answer: answers[index],
+                flagged: false
+            })),
+            flagged: [],
+            questionTimes: items.map(attempt => attempt.timeSpent),
+            pacing: null,
+            timerStats: null
+        };
+    }
+
+    /**
+     * Summarise which reviewed questions have now been mastered
+     * @returns {Object} Review summary ({masteryStreak, mastered, remaining, poolSize})
+     */
+    getReviewSummary() {
+        const reviewOptions = this.currentQuiz.reviewOptions || {};
+        const masteryStreak = reviewOptions.masteryStreak || this.progressTracker.masteryStreak;
+        const pool = new Set(this.progressTracker.getMistakeQuestionIds(reviewOptions));
+
+        const mastered = [];
+        const remaining = [];
+        this.questions.forEach(question => {
+            (pool.has(question.id) ? remaining : mastered).push({
+                questionId: question.id,
+                unit: question.unit,
+                streak: this.progressTracker.getCorrectStreak(question.id)
+            });
+        });
+
+        return {
+            masteryStreak: masteryStreak,
+            mastered: mastered,
+            remaining: remaining,
+            poolSize: pool.size
+        };
+    }
+
     /**
      * Update progress tracking based on quiz results
      * @param {Object} results - Quiz results
@@ -592,6 +1190,11 @@ class QuizEngine {
                     score.correct, 
                     score.total
                 );
+
+                // Adaptive quizzes set aptitude from the ability estimate
+                if (results.ability && typeof this.progressTracker.recordAbilityEstimate === 'function') {
+                    this.progressTracker.recordAbilityEstimate(this.unitId, results.ability);
+                }
                 break;
 
             case 'practice':
@@ -599,11 +1202,27 @@ class QuizEngine {
                 this.progressTracker.recordPracticeTest(
                     score.correct,
                     score.total,
-                    results.unitBreakdown
+                    results.unitBreakdown,
+                    {
+                        unitTotals: results.unitTotals,
+                        blueprint: results.blueprint ? results.blueprint.id : null,
+                        pacing: results.pacing
+                    }
                 );
                 break;
 
+            case 'frq':
+                // Record self-scored rubric points per unit; unscored responses don't count
+                Object.keys(score.unitBreakdown || {}).forEach(unitId => {
+                    const unit = score.unitBreakdown[unitId];
+                    if (unit.responses > 0) {
+                        this.progressTracker.recordFRQScore(parseInt(unitId), unit.pointsEarned, unit.pointsPossible);
+                    }
+                });
+                break;
+
             case 'study':
+            case 'review':
                 // Update progress for all units based on questions answered
                 const unitCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
                 const unitCorrect = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
@@ -641,7 +1260,7 @@ class QuizEngine {
             throw new Error('Can only add questions in study mode');
         }
 
-        const newQuestions = this.questionManager.getRandomQuestions(count);
+        const newQuestions = this.selectStudyQuestions(count, this.questions.map(q => q.id));
         this.questions.push(...newQuestions);
         
         // Update quiz session
@@ -657,6 +1276,7 @@ class QuizEngine {
      */
     pauseQuiz() {
         if (this.isActive) {
+            this.stopDwellTimer();
             this.currentQuiz.pausedAt = new Date();
             this.progressTracker.saveCurrentSession(this.currentQuiz);
         }
@@ -668,6 +1288,7 @@ class QuizEngine {
     resumeQuiz() {
         if (this.isActive && this.currentQuiz.pausedAt) {
             delete this.currentQuiz.pausedAt;
+            this.startDwellTimer();
             this.progressTracker.saveCurrentSession(this.currentQuiz);
         }
     }
@@ -690,17 +1311,38 @@ class QuizEngine {
         this.currentQuiz = sessionData;
 
         // Reload questions
+        const pool = this.mode === 'frq' ? this.questionManager.frqQuestions : this.questionManager.questions;
         this.questions = sessionData.questions.map(questionId => {
             // Find question by ID (this assumes questions are loaded in questionManager)
-            return this.questionManager.questions.find(q => q.id === questionId);
+            return pool.find(q => q.id === questionId);
         }).filter(q => q !== undefined);
 
-        // Restore answers
+        // Restore answers and review flags
         this.answers = sessionData.answers || [];
+        this.flagged = new Set((sessionData.flagged || []).filter(index => index < this.questions.length));
+        this.questionTimes = sessionData.questionTimes || [];
+        this.dwellStartedAt = null;
+
+        // Restore the ability estimate for adaptive unit quizzes
+        this.adaptive = null;
+        if (sessionData.adaptive && typeof AbilityEstimator !== 'undefined') {
+            const saved = sessionData.adaptive;
+            this.adaptive = {
+                estimator: new AbilityEstimator({ priorMean: saved.priorMean, maxQuestions: saved.maxQuestions }),
+                priorMean: saved.priorMean,
+                ability: saved.ability,
+                standardError: saved.standardError,
+                stopReason: saved.stopReason
+            };
+        }
+
+        // Restore blueprint and timer for practice tests
+        if (this.mode === 'practice' && sessionData.blueprint && typeof ExamBlueprint !== 'undefined') {
+            this.blueprint = ExamBlueprint.from(sessionData.blueprint);
+        }
 
-        // Restore timer for practice tests
         if (this.mode === 'practice' && sessionData.timerState) {
-            this.initializePracticeTimer();
+            this.initializePracticeTimer(this.blueprint ? this.blueprint.timeLimit : 80);
             if (this.timer) {
                 this.timer.deserialize(sessionData.timerState);
             }
@@ -724,6 +1366,9 @@ class QuizEngine {
      * Trigger question change event
      */
     triggerQuestionChange() {
+        this.questionShownAt = Date.now();
+        this.startDwellTimer();
+
         if (this.onQuestionChange) {
             this.onQuestionChange({
                 question: this.getCurrentQuestion(),
@@ -731,7 +1376,9 @@ class QuizEngine {
                 questionNumber: this.getCurrentQuestionNumber(),
                 totalQuestions: this.getTotalQuestions(),
                 isAnswered: this.isCurrentQuestionAnswered(),
+                isFlagged: this.isFlagged(),
                 currentAnswer: this.getCurrentAnswer(),
+                maxQuestions: this.adaptive ? this.adaptive.estimator.maxQuestions : null,
                 canGoNext: this.currentQuestionIndex < this.questions.length - 1,
                 canGoPrevious: this.currentQuestionIndex > 0
             });
@@ -773,6 +1420,8 @@ class QuizEngine {
             currentQuestionIndex: this.currentQuestionIndex,
             totalQuestions: this.questions.length,
             answeredCount: this.answers.filter(a => a !== undefined).length,
+            flagged: this.getFlaggedIndices(),
+            unanswered: this.getUnansweredIndices(),
             score: this.calculateScore(),
             startTime: this.startTime,
             timerState: this.getTimerState()
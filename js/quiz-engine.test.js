@@ -9,6 +9,7 @@ if (typeof require !== 'undefined') {
     global.StorageWrapper = require('./storage-wrapper.js');
     global.ProgressTracker = require('./progress-tracker.js');
     global.QuestionManager = require('./question-manager.js');
+    global.ScoringEngine = require('./scoring-engine.js');
     global.QuizEngine = require('./quiz-engine.js');
 }
 
@@ -196,6 +197,44 @@ class QuizEngineTests {
         }, 'Should throw error for answer index > 3');
     }
 
+    // Test questions with more or fewer than four options
+    testVariableOptionCounts() {
+        const questionManager = new QuestionManager();
+        questionManager.loadQuestions([
+            { id: 'five_choice', unit: 1, question: 'Five choice question?', options: ['A', 'B', 'C', 'D', 'E'], correct: 4 },
+            { id: 'true_false', unit: 1, question: 'True or false question?', options: ['True', 'False'], correct: 0 }
+        ]);
+        this.assertEqual(questionManager.questions.length, 2, 'Five-choice and true/false questions should load');
+        
+        const quizEngine = new QuizEngine(questionManager, this.progressTracker);
+        quizEngine.startQuiz('unit', 1);
+        quizEngine.questions = questionManager.questions.slice();
+        
+        quizEngine.submitAnswer(4);
+        this.assertTrue(quizEngine.answers[0].isCorrect, 'Option E should be accepted and scored');
+        
+        quizEngine.nextQuestion();
+        let threw = false;
+        try {
+            quizEngine.submitAnswer(2);
+        } catch (error) {
+            threw = true;
+        }
+        this.assertTrue(threw, 'Should reject option C on a true/false question');
+
+        // Indices that are not whole numbers are rejected and not stored
+        [undefined, NaN, 1.5, '1'].forEach(answerIndex => {
+            let rejected = false;
+            try {
+                quizEngine.submitAnswer(answerIndex);
+            } catch (error) {
+                rejected = true;
+            }
+            this.assertTrue(rejected, `Should reject answer index ${String(answerIndex)}`);
+        });
+        this.assertTrue(quizEngine.getUnansweredIndices().includes(1), 'Rejected answers should leave the question unanswered');
+    }
+
     // Test scoring calculation
     testScoringCalculation() {
         this.quizEngine.startQuiz('unit', 1);
@@ -335,6 +374,199 @@ class QuizEngineTests {
         this.assertTrue(breakdown.hasOwnProperty('5'), 'Breakdown should have unit 5');
     }
 
+    // Test mistake review mode
+    testReviewMode() {
+        // Fresh in-memory storage so earlier tests' answers don't leak into the mistakes pool
+        const storage = {
+            data: {},
+            getItem(key) { return this.data.hasOwnProperty(key) ? JSON.parse(this.data[key]) : null; },
+            setItem(key, value) { this.data[key] = JSON.stringify(value); return true; },
+            removeItem(key) { delete this.data[key]; return true; }
+        };
+        const progressTracker = new ProgressTracker(storage);
+        const quizEngine = new QuizEngine(this.questionManager, progressTracker);
+        
+        // Miss test_q1 (unit 1) and test_q3 (unit 2)
+        quizEngine.startQuiz('unit', 1);
+        quizEngine.questions = [this.questionManager.questions[0]];
+        quizEngine.submitAnswer(3);
+        quizEngine.endQuiz();
+        
+        quizEngine.startQuiz('unit', 2);
+        quizEngine.questions = [this.questionManager.questions[2]];
+        quizEngine.submitAnswer(0);
+        quizEngine.endQuiz();
+        
+        quizEngine.startQuiz('review');
+        this.assertEqual(quizEngine.mode, 'review', 'Mode should be set to review');
+        this.assertEqual(quizEngine.getTotalQuestions(), 2, 'Review should contain both missed questions');
+        
+        quizEngine.startQuiz('review', null, { units: [2] });
+        this.assertEqual(quizEngine.getTotalQuestions(), 1, 'Review should filter by unit');
+        this.assertEqual(quizEngine.getCurrentQuestion().id, 'test_q3', 'Filtered review should contain the unit 2 question');
+        
+        // Answer correctly until the question is mastered
+        for (let i = 0; i < progressTracker.masteryStreak; i++) {
+            quizEngine.startQuiz('review', null, { units: [2] });
+            quizEngine.submitAnswer(2);
+            const results = quizEngine.endQuiz();
+            this.assertTrue(results.reviewSummary !== undefined, 'Review results should include a summary');
+        }
+        
+        this.assertEqual(progressTracker.getMistakeQuestionIds({ units: [2] }).length, 0, 'Mastered question should leave the pool');
+        this.assertThrows(() => {
+            quizEngine.startQuiz('review', null, { units: [2] });
+        }, 'Should throw when there is nothing to review');
+        
+        const future = new Date(Date.now() + 60000);
+        this.assertEqual(progressTracker.getMistakeQuestionIds({ since: future }).length, 0, 'Review should filter by date');
+    }
+
+    // Test flagging questions for review and changing answers
+    testFlagForReview() {
+        this.quizEngine.startQuiz('unit', 1);
+        this.assertEqual(this.quizEngine.getFlaggedIndices().length, 0, 'New quiz should have no flags');
+        
+        // Flag the first question and answer it twice
+        this.assertTrue(this.quizEngine.toggleFlag(), 'Toggling should flag the question');
+        this.assertTrue(this.quizEngine.getCurrentQuestionData().isFlagged, 'Question data should report the flag');
+        this.quizEngine.submitAnswer(1);
+        this.quizEngine.submitAnswer(0);
+        const answer = this.quizEngine.answers[0];
+        this.assertEqual(answer.selectedAnswer, 0, 'Changed answer should replace the first');
+        this.assertEqual(answer.initialAnswer, 1, 'First answer should be remembered');
+        this.assertEqual(answer.changeCount, 1, 'Answer change should be counted');
+        this.quizEngine.submitAnswer(0);
+        this.assertEqual(this.quizEngine.answers[0].changeCount, 1, 'Resubmitting the same answer is not a change');
+        
+        // Flag the second question from the overview without navigating
+        this.quizEngine.toggleFlag(1);
+        this.assertEqual(this.quizEngine.currentQuestionIndex, 0, 'Flagging another question should not navigate');
+        
+        const state = this.quizEngine.getState();
+        this.assertEqual(state.flagged.join(','), '0,1', 'State should list flagged questions');
+        this.assertEqual(state.unanswered.join(','), '1', 'State should list unanswered questions');
+        
+        const statuses = this.quizEngine.getQuestionStatuses();
+        this.assertTrue(statuses[0].isAnswered && statuses[0].isFlagged && statuses[0].isCurrent, 'First question status');
+        this.assertTrue(!statuses[1].isAnswered && statuses[1].isFlagged, 'Second question status');
+        
+        this.assertFalse(this.quizEngine.toggleFlag(0), 'Toggling again should clear the flag');
+        this.assertThrows(() => this.quizEngine.toggleFlag(99), 'Should not flag an invalid question');
+        this.quizEngine.toggleFlag(0);
+        
+        // Flags survive a saved session
+        const session = JSON.parse(JSON.stringify(this.progressTracker.getCurrentSession()));
+        const restored = new QuizEngine(this.questionManager, this.progressTracker);
+        restored.loadSession(session);
+        this.assertEqual(restored.getFlaggedIndices().join(','), '0,1', 'Flags should be restored from the session');
+        this.assertTrue(restored.isFlagged(1), 'Restored flag should be queryable');
+        
+        const results = restored.endQuiz();
+        this.assertEqual(results.flagged.length, 2, 'Results should list flagged questions');
+        this.assertTrue(results.questions[1].flagged, 'Each result question should carry its flag');
+        this.quizEngine.isActive = false;
+    }
+
+    // Test per-question dwell time across navigation and revisits
+    testQuestionTimes() {
+        const realNow = Date.now;
+        let now = realNow();
+        Date.now = () => now;
+        
+        try {
+            this.quizEngine.startQuiz('unit', 1);
+            now += 20000;
+            this.quizEngine.nextQuestion();
+            now += 45000;
+            this.quizEngine.previousQuestion();
+            now += 10000;
+            
+            const times = this.quizEngine.getQuestionTimes();
+            this.assertEqual(times[0], 30000, 'Revisits should add to the first question');
+            this.assertEqual(times[1], 45000, 'Second question time should be recorded');
+            
+            // Paused time is not counted
+            this.quizEngine.pauseQuiz();
+            now += 60000;
+            this.quizEngine.resumeQuiz();
+            now += 5000;
+            this.assertEqual(this.quizEngine.getQuestionTimes()[0], 35000, 'Paused time should not count');
+            
+            // Times survive a saved session
+            this.quizEngine.nextQuestion();
+            const session = JSON.parse(JSON.stringify(this.progressTracker.getCurrentSession()));
+            const restored = new QuizEngine(this.questionManager, this.progressTracker);
+            restored.loadSession(session);
+            this.assertEqual(restored.getQuestionTimes()[0], 35000, 'Question times should be restored');
+            
+            restored.submitAnswer(1);
+            now += 15000;
+            const results = restored.endQuiz();
+            this.assertEqual(results.questionTimes[1], 60000, 'Results should include time per question');
+            this.assertTrue(results.pacing !== null, 'Unit quiz results should include pacing');
+            this.assertEqual(results.pacing.slowestQuestions[0].index, 1, 'Pacing should find the slowest question');
+            this.quizEngine.isActive = false;
+        } finally {
+            Date.now = realNow;
+        }
+    }
+
+    // Test study sessions opened from links: one unit, or a given question first
+    testStudyLinks() {
+        this.quizEngine.startQuiz('study', 2);
+        this.assertTrue(this.quizEngine.questions.every(q => q.unit === 2), 'Unit study should only draw from that unit');
+        this.quizEngine.addMoreQuestions(3);
+        this.assertTrue(this.quizEngine.questions.every(q => q.unit === 2), 'Added questions should stay in the unit');
+        this.assertEqual(this.quizEngine.currentQuiz.unitId, 2, 'The unit should be saved with the session');
+        
+        this.assertThrows(() => {
+            this.quizEngine.startQuiz('study', 9);
+        }, 'Should throw error for an invalid study unit');
+        
+        this.quizEngine.startQuiz('study', null, { questionId: 'test_q4', questionCount: 3 });
+        this.assertEqual(this.quizEngine.getCurrentQuestion().id, 'test_q4', 'The linked question should come first');
+        this.assertEqual(this.quizEngine.questions.length, 3, 'The session should keep its length');
+        this.assertEqual(this.quizEngine.questions.filter(q => q.id === 'test_q4').length, 1, 'The linked question should not repeat');
+        
+        this.assertThrows(() => {
+            this.quizEngine.startQuiz('study', null, { questionId: 'missing' });
+        }, 'Should throw error for an unknown linked question');
+        this.quizEngine.isActive = false;
+    }
+
+    // Test rebuilding a finished quiz's results from the attempt history
+    testPastResults() {
+        this.quizEngine.startQuiz('unit', 1);
+        const quizId = this.quizEngine.currentQuiz.id;
+        const questions = this.quizEngine.questions.slice();
+        this.quizEngine.submitAnswer(questions[0].correct);
+        this.quizEngine.nextQuestion();
+        this.quizEngine.submitAnswer((questions[1].correct + 1) % 4);
+        this.quizEngine.endQuiz();
+        
+        const results = this.quizEngine.getPastResults(quizId);
+        this.assertTrue(results !== null, 'Past results should be found');
+        this.assertEqual(results.mode, 'unit', 'Past results should keep the mode');
+        this.assertEqual(results.unitId, 1, 'Past results should keep the unit');
+        this.assertEqual(results.questions.length, 2, 'Only answered questions are recorded');
+        this.assertEqual(results.questions[0].question.id, questions[0].id, 'Questions should keep their order');
+        this.assertEqual(results.score.correct, 1, 'Past results should be scored');
+        this.assertEqual(this.quizEngine.getPastResults('quiz_unit_0_missing'), null, 'Unknown quizzes should return null');
+    }
+
+    testReviewQuestionIds() {
+        // Review mode can drill a chosen set, such as the questions missed in one quiz
+        this.quizEngine.startQuiz('review', null, { questionIds: ['test_q5', 'missing_q', 'test_q2'] });
+        const ids = this.quizEngine.questions.map(q => q.id).sort();
+        this.assertEqual(ids.join(), 'test_q2,test_q5', 'Only the chosen questions in the bank should be reviewed');
+        this.quizEngine.endQuiz();
+        
+        this.assertThrows(() => {
+            this.quizEngine.startQuiz('review', null, { questionIds: ['missing_q'] });
+        }, 'A chosen set with no questions in the bank should throw');
+    }
+
     // Run all tests
     runAllTests() {
         console.log('Starting QuizEngine tests...\n');
@@ -342,6 +574,7 @@ class QuizEngineTests {
         this.runTest('Quiz Initialization', this.testQuizInitialization);
         this.runTest('Question Navigation', this.testQuestionNavigation);
         this.runTest('Answer Submission', this.testAnswerSubmission);
+        this.runTest('Variable Option Counts', this.testVariableOptionCounts);
         this.runTest('Scoring Calculation', this.testScoringCalculation);
         this.runTest('Mode Specific Behavior', this.testModeSpecificBehavior);
         this.runTest('Quiz Completion', this.testQuizCompletion);
@@ -349,6 +582,12 @@ class QuizEngineTests {
         this.runTest('Session Management', this.testSessionManagement);
         this.runTest('Error Handling', this.testErrorHandling);
         this.runTest('Unit Breakdown', this.testUnitBreakdown);
+        this.runTest('Review Mode', this.testReviewMode);
+        this.runTest('Flag For Review', this.testFlagForReview);
+        this.runTest('Question Times', this.testQuestionTimes);
+        this.runTest('Study Links', this.testStudyLinks);
+        this.runTest('Past Results', this.testPastResults);
+        this.runTest('Review Question IDs', this.testReviewQuestionIds);
         
         // Print summary
         const passed = this.testResults.filter(r => r.status === 'PASS').length;
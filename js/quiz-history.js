@@ -0,0 +1,213 @@
+/**
+ * QuizHistory - Keeps the results of completed quizzes so they can be listed and replayed later
+ * Results are stored compactly: questions by ID alongside the answer given, so replaying one looks the
+ * questions up in the current bank. The newest MAX_ENTRIES quizzes are kept, and older ones are pruned
+ * early if storage runs out of space.
+ */
+class QuizHistory {
+    /**
+     * @param {StorageWrapper} storageWrapper - Storage for the active profile
+     * @param {Object} options - Options
+     * @param {number} options.maxEntries - Number of quizzes to keep
+     */
+    constructor(storageWrapper, options = {}) {
+        this.storage = storageWrapper;
+        this.maxEntries = options.maxEntries || QuizHistory.MAX_ENTRIES;
+        this.entries = [];
+        this.load();
+    }
+
+    /**
+     * Load stored quizzes, ignoring anything unreadable
+     */
+    load() {
+        const saved = this.storage.getItem(QuizHistory.STORAGE_KEY);
+        this.entries = Array.isArray(saved) ? saved.filter(entry => QuizHistory.isValidEntry(entry)) : [];
+    }
+
+    /**
+     * Save stored quizzes
+     * If storage is full, the oldest quizzes are dropped until the rest fit
+     * @returns {boolean} True if saved
+     */
+    save() {
+        while (!this.storage.setItem(QuizHistory.STORAGE_KEY, this.entries)) {
+            if (this.entries.length <= 1) {
+                return false;
+            }
+            const pruned = Math.ceil(this.entries.length / 2);
+            this.entries = this.entries.slice(pruned);
+            console.warn(`Quiz history did not fit in storage; removed the ${pruned} oldest quizzes`);
+        }
+        return true;
+    }
+
+    /**
+     * Store a completed quiz
+     * Recording the same quiz again replaces it; quizzes ended before any answer are not stored
+     * @param {Object} results - Results from QuizEngine.endQuiz()
+     * @returns {Object|null} The stored entry, or null if nothing was answered
+     */
+    record(results) {
+        if (!(results.questions || []).some(item => item.answer)) {
+            return null;
+        }
+
+        const entry = this.serialize(results);
+
+        this.entries = this.entries.filter(existing => existing.quizId !== entry.quizId);
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(-this.maxEntries);
+        }
+
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Convert quiz results to a storable entry
+     * @param {Object} results - Results from QuizEngine.endQuiz()
+     * @returns {Object} Entry with plain data only
+     */
+    serialize(results) {
+        const score = results.score || {};
+        const { questions, score: _score, ...details } = results;
+
+        return JSON.parse(JSON.stringify({
+            ...details,
+            score: {
+                correct: score.correct || 0,
+                total: score.total || 0,
+                totalQuestions: score.totalQuestions || (questions || []).length,
+                percentage: score.percentage || 0,
+                pointsEarned: typeof score.pointsEarned === 'number' ? score.pointsEarned : null,
+                pointsPossible: typeof score.pointsPossible === 'number' ? score.pointsPossible : null
+            },
+            questions: (questions || []).map(item => ({
+                questionId: item.question.id,
+                unit: item.question.unit,
+                answer: item.answer || null,
+                flagged: Boolean(item.flagged)
+            }))
+        }));
+    }
+
+    /**
+     * List stored quizzes, newest first
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.mode - Only quizzes in this mode
+     * @param {number} filters.unitId - Only quizzes with questions from this unit
+     * @returns {Array} Entries
+     */
+    getEntries(filters = {}) {
+        return this.entries
+            .filter(entry => !filters.mode || entry.mode === filters.mode)
+            .filter(entry => !filters.unitId || QuizHistory.getUnits(entry).includes(filters.unitId))
+            .slice()
+            .reverse();
+    }
+
+    /**
+     * Get a stored quiz
+     * @param {string} quizId - Quiz ID
+     * @returns {Object|null} Entry, or null if not stored
+     */
+    getEntry(quizId) {
+        return this.entries.find(entry => entry.quizId === quizId) || null;
+    }
+
+    /**
+     * Rebuild a stored quiz's results for ResultsDisplay
+     * Questions no longer in the bank are left out and counted in missingQuestions
+     * @param {string} quizId - Quiz ID
+     * @param {QuestionManager} questionManager - Question bank to look questions up in
+     * @returns {Object|null} Results in the shape QuizEngine.endQuiz() returns, or null if nothing can be shown
+     */
+    restore(quizId, questionManager) {
+        const entry = this.getEntry(quizId);
+        if (!entry) {
+            return null;
+        }
+
+        const findQuestion = questionId => entry.mode === 'frq' ?
+            questionManager.frqQuestions.find(question => question.id === questionId) || null :
+            questionManager.getQuestionById(questionId);
+
+        const kept = entry.questions
+            .map((item, index) => ({ ...item, index, question: findQuestion(item.questionId) }))
+            .filter(item => item.question !== null);
+
+        if (kept.length === 0) {
+            return null;
+        }
+
+        // Per-question times and flags are by index, so they follow the questions that remain
+        const questionTimes = entry.questionTimes || [];
+        return {
+            ...entry,
+            startTime: new Date(entry.startTime),
+            endTime: new Date(entry.endTime),
+            questions: kept.map(item => ({
+                question: item.question,
+                answer: item.answer ? { ...item.answer, timestamp: new Date(item.answer.timestamp) } : null,
+                flagged: item.flagged
+            })),
+            questionTimes: kept.map(item => questionTimes[item.index] || 0),
+            flagged: kept.map((item, index) => item.flagged ? index : null).filter(index => index !== null),
+            missingQuestions: entry.questions.length - kept.length,
+            isReplay: true
+        };
+    }
+
+    /**
+     * Remove a stored quiz
+     * @param {string} quizId - Quiz ID
+     * @returns {boolean} True if it was stored
+     */
+    remove(quizId) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.quizId !== quizId);
+        if (this.entries.length === count) {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Remove every stored quiz
+     */
+    clear() {
+        this.entries = [];
+        this.storage.removeItem(QuizHistory.STORAGE_KEY);
+    }
+
+    /**
+     * Units a stored quiz covered
+     * @param {Object} entry - Stored entry
+     * @returns {Array<number>} Unit IDs
+     */
+    static getUnits(entry) {
+        const units = entry.questions.map(item => item.unit).filter(unit => typeof unit === 'number');
+        return [...new Set(units)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Whether a stored value looks like a quiz entry
+     * @param {*} entry - Stored value
+     * @returns {boolean} True if usable
+     */
+    static isValidEntry(entry) {
+        return Boolean(entry) && typeof entry.quizId === 'string' && typeof entry.mode === 'string' &&
+            Array.isArray(entry.questions) && Boolean(entry.score) && Boolean(entry.endTime);
+    }
+}
+
+QuizHistory.STORAGE_KEY = 'ap-gov-quiz-results';
+QuizHistory.MAX_ENTRIES = 50;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizHistory;
+}
@@ -0,0 +1,266 @@
+/**
+ * Unit tests for QuizHistory
+ * Tests recording completed quizzes, filtering, replaying results, pruning and FRQ sessions
+ */
+
+// In-memory storage that can refuse writes larger than a size limit, like a full localStorage
+class QuizHistoryTestStorage {
+    constructor(maxLength = Infinity) {
+        this.data = new Map();
+        this.maxLength = maxLength;
+    }
+
+    setItem(key, value) {
+        const json = JSON.stringify(value);
+        if (json.length > this.maxLength) {
+            return false;
+        }
+        this.data.set(key, json);
+        return true;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    removeItem(key) {
+        return this.data.delete(key);
+    }
+}
+
+/**
+ * Build a question manager with two questions in each unit
+ */
+function createHistoryTestQuestionManager() {
+    const manager = new QuestionManager();
+    const questions = [];
+    for (let unit = 1; unit <= 5; unit++) {
+        for (let index = 1; index <= 2; index++) {
+            questions.push({
+                id: `history_u${unit}_${index}`,
+                unit: unit,
+                question: `Unit ${unit} question ${index}`,
+                options: ['A answer', 'B answer', 'C answer', 'D answer'],
+                correct: index % 4,
+                explanation: `Explanation ${unit}.${index}`
+            });
+        }
+    }
+    manager.loadQuestions(questions);
+    return manager;
+}
+
+/**
+ * Finish a unit quiz, answering the first question correctly and the rest incorrectly
+ */
+function finishHistoryTestQuiz(engine, unitId) {
+    engine.startQuiz('unit', unitId);
+    engine.questions.forEach((question, index) => {
+        engine.currentQuestionIndex = index;
+        engine.submitAnswer(index === 0 ? question.correct : (question.correct + 1) % 4);
+    });
+    return engine.endQuiz();
+}
+
+/**
+ * Test Suite: Recording and replaying quizzes
+ */
+function testRecordAndRestore() {
+    console.log('Testing recording and replaying quizzes...');
+
+    const storage = new QuizHistoryTestStorage();
+    const manager = createHistoryTestQuestionManager();
+    const engine = new QuizEngine(manager, new ProgressTracker(new QuizHistoryTestStorage()));
+    const history = new QuizHistory(storage);
+
+    const results = finishHistoryTestQuiz(engine, 2);
+    const entry = history.record(results);
+    assert(entry.quizId === results.quizId && entry.mode === 'unit' && entry.unitId === 2, 'Entries should keep the quiz details');
+    assert(entry.questions.every(item => typeof item.questionId === 'string' && !item.question),
+        'Questions should be stored by ID');
+    assert(entry.score.correct === 1 && entry.score.totalQuestions === results.questions.length, 'The score should be kept');
+
+    // Stored entries survive a reload and replay against the question bank
+    const reloaded = new QuizHistory(storage);
+    const restored = reloaded.restore(results.quizId, manager);
+    assert(restored.isReplay === true && restored.missingQuestions === 0, 'Restored results should be marked as a replay');
+    assert(restored.endTime instanceof Date && restored.endTime.getTime() === results.endTime.getTime(), 'Dates should be restored');
+    assert(restored.questions.length === results.questions.length, 'Every question should be restored');
+    restored.questions.forEach((item, index) => {
+        assert(item.question === results.questions[index].question, 'Questions should come from the bank');
+        assert(item.answer.selectedAnswer === results.questions[index].answer.selectedAnswer, 'Chosen answers should be kept');
+    });
+    assert(JSON.stringify(restored.questionTimes) === JSON.stringify(results.questionTimes), 'Time per question should be kept');
+
+    // Recording the same quiz again replaces it; unanswered quizzes are not stored
+    reloaded.record(results);
+    assert(reloaded.getEntries().length === 1, 'Recording a quiz again should replace it');
+    engine.startQuiz('unit', 3);
+    assert(reloaded.record(engine.endQuiz()) === null, 'Quizzes with no answers should not be stored');
+
+    // Questions removed from the bank are skipped, and their times and flags with them
+    const stored = reloaded.getEntry(results.quizId);
+    stored.questionTimes = [1000, 2000];
+    stored.questions[1].flagged = true;
+    manager.questions = manager.questions.filter(question => question.id !== restored.questions[0].question.id);
+    const partial = reloaded.restore(results.quizId, manager);
+    assert(partial.missingQuestions === 1 && partial.questions.length === results.questions.length - 1,
+        'Missing questions should be skipped and counted');
+    assert(partial.questionTimes.join() === '2000' && partial.flagged.join() === '0',
+        'Times and flags should follow the remaining questions');
+    assert(reloaded.restore('quiz_unknown', manager) === null, 'Unknown quizzes should not restore');
+
+    console.log('✓ Recording and replaying tests passed');
+}
+
+/**
+ * Test Suite: Listing and filtering
+ */
+function testFilters() {
+    console.log('Testing history filters...');
+
+    const manager = createHistoryTestQuestionManager();
+    const engine = new QuizEngine(manager, new ProgressTracker(new QuizHistoryTestStorage()));
+    const history = new QuizHistory(new QuizHistoryTestStorage());
+
+    const unit1 = history.record(finishHistoryTestQuiz(engine, 1));
+    const unit4 = history.record(finishHistoryTestQuiz(engine, 4));
+    engine.startQuiz('study', 5, { questionCount: 2 });
+    engine.submitAnswer(engine.getCurrentQuestion().correct);
+    const study = history.record(engine.endQuiz());
+
+    assert(history.getEntries().map(entry => entry.quizId).join() === [study, unit4, unit1].map(entry => entry.quizId).join(),
+        'Entries should be listed newest first');
+    assert(history.getEntries({ mode: 'unit' }).length === 2, 'Entries should filter by mode');
+    assert(history.getEntries({ unitId: 4 })[0].quizId === unit4.quizId, 'Entries should filter by unit');
+    assert(history.getEntries({ unitId: 5 })[0].quizId === study.quizId, 'Study sessions should filter by the units they covered');
+    assert(history.getEntries({ mode: 'unit', unitId: 5 }).length === 0, 'Filters should combine');
+    assert(QuizHistory.getUnits(unit1).join() === '1', 'The units a quiz covered should be listed');
+
+    assert(history.remove(unit1.quizId) && !history.remove(unit1.quizId), 'Entries should be removable once');
+    history.clear();
+    assert(history.getEntries().length === 0 && new QuizHistory(history.storage).getEntries().length === 0,
+        'Clearing should remove every entry');
+
+    console.log('✓ History filter tests passed');
+}
+
+/**
+ * Test Suite: Bounding and pruning
+ */
+function testPruning() {
+    console.log('Testing history pruning...');
+
+    const manager = createHistoryTestQuestionManager();
+    const engine = new QuizEngine(manager, new ProgressTracker(new QuizHistoryTestStorage()));
+
+    // Only the newest maxEntries quizzes are kept
+    const bounded = new QuizHistory(new QuizHistoryTestStorage(), { maxEntries: 3 });
+    const ids = [1, 2, 3, 4, 5].map(unitId => bounded.record(finishHistoryTestQuiz(engine, unitId)).quizId);
+    assert(bounded.getEntries().map(entry => entry.quizId).join() === ids.slice(2).reverse().join(),
+        'The oldest quizzes should be dropped past the limit');
+
+    // When storage is full the oldest quizzes are pruned until the rest fit
+    const entryLength = JSON.stringify([bounded.getEntries()[0]]).length;
+    const storage = new QuizHistoryTestStorage(entryLength * 3);
+    const full = new QuizHistory(storage);
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        [1, 2, 3, 4, 5].forEach(unitId => full.record(finishHistoryTestQuiz(engine, unitId)));
+    } finally {
+        console.warn = originalWarn;
+    }
+    const kept = full.getEntries();
+    assert(kept.length > 0 && kept.length < 5, 'Quizzes should be pruned when storage is full');
+    assert(kept[0].unitId === 5, 'The newest quiz should be kept');
+    assert(new QuizHistory(storage).getEntries().length === kept.length, 'The pruned history should be saved');
+
+    // Unreadable stored data is ignored
+    const damaged = new QuizHistoryTestStorage();
+    damaged.setItem(QuizHistory.STORAGE_KEY, [{ quizId: 7 }, kept[0]]);
+    assert(new QuizHistory(damaged).getEntries().length === 1, 'Unreadable entries should be ignored');
+
+    console.log('✓ History pruning tests passed');
+}
+
+/**
+ * Test Suite: Free-response sessions
+ */
+function testFRQHistory() {
+    console.log('Testing free-response history...');
+
+    const manager = createHistoryTestQuestionManager();
+    manager.frqQuestions = [new FRQQuestion({
+        id: 'history_frq1',
+        unit: 3,
+        type: 'concept-application',
+        prompt: 'Explain selective incorporation.',
+        rubric: [
+            { id: 'p1', description: 'Defines the concept', points: 1 },
+            { id: 'p2', description: 'Applies it', points: 1 }
+        ]
+    })];
+    const engine = new QuizEngine(manager, new ProgressTracker(new QuizHistoryTestStorage()));
+    const history = new QuizHistory(new QuizHistoryTestStorage());
+
+    engine.startQuiz('frq', 3);
+    engine.submitResponse('Rights in the Bill of Rights applied to the states one case at a time.');
+    engine.scoreResponse(['p1']);
+    const entry = history.record(engine.endQuiz());
+    assert(entry.score.pointsEarned === 1 && entry.score.pointsPossible === 2, 'FRQ points should be kept');
+
+    const restored = history.restore(entry.quizId, manager);
+    assert(restored.questions[0].question === manager.frqQuestions[0], 'FRQs should be restored from the FRQ bank');
+    assert(restored.questions[0].answer.pointsEarned === 1 && restored.questions[0].answer.response.includes('Bill of Rights'),
+        'Responses and their scores should be kept');
+
+    console.log('✓ Free-response history tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runQuizHistoryTests() {
+    console.log('Running QuizHistory Tests...\n');
+
+    try {
+        testRecordAndRestore();
+        testFilters();
+        testPruning();
+        testFRQHistory();
+
+        console.log('\n✅ All QuizHistory tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runQuizHistoryTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.Question = require('./question.js');
+    global.FRQQuestion = require('./frq-question.js');
+    global.QuestionManager = require('./question-manager.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    global.ScoringEngine = require('./scoring-engine.js');
+    global.QuizEngine = require('./quiz-engine.js');
+    global.QuizHistory = require('./quiz-history.js');
+    runQuizHistoryTests();
+}
@@ -11,7 +11,8 @@ class ResultsDisplay {
     /**
      * Display comprehensive quiz results
      * @param {Object} quizResults - Results from QuizEngine.endQuiz()
-     * @param {Object} progressData - User progress data from ProgressTracker
+     * @param {Object} progressData - User progress data from ProgressTracker, with an optional
+     *                                apPrediction from APScorePredictor
      */
     displayResults(quizResults, progressData) {
         // Calculate comprehensive score using ScoringEngine
@@ -32,15 +33,20 @@ class ResultsDisplay {
         resultsContainer.appendChild(header);
         
         // Create main content based on mode
-        const mainContent = this.createMainContent(displayData, quizResults, scoreData);
+        const mainContent = this.createMainContent(displayData, quizResults, scoreData, (progressData && progressData.apPrediction) || null);
         resultsContainer.appendChild(mainContent);
         
         // Create recommendations section
         const recommendations = this.createRecommendationsSection(displayData.recommendations);
         resultsContainer.appendChild(recommendations);
         
+        // Create question-by-question review (FRQ responses are already listed in the main content)
+        if (quizResults.mode !== 'frq') {
+            resultsContainer.appendChild(this.createQuestionReview(quizResults));
+        }
+        
         // Create action buttons
-        const actions = this.createActionButtons(quizResults.mode);
+        const actions = this.createActionButtons(quizResults.mode, Boolean(quizResults.isReplay));
         resultsContainer.appendChild(actions);
         
         this.container.appendChild(resultsContainer);
@@ -97,6 +103,10 @@ class ResultsDisplay {
                 return 'Practice Test';
             case 'study':
                 return 'Study Session';
+            case 'review':
+                return 'Mistake Review';
+            case 'frq':
+                return 'Free Response';
             default:
                 return 'Quiz';
         }
@@ -135,29 +145,103 @@ class ResultsDisplay {
     }
 
     /**
-     * Create timing information display
+     * Create timing information display: time used for practice tests and per-question pacing
      * @param {Object} quizResults - Quiz results with timing data
      * @returns {string} HTML for timing info
      */
     createTimingInfo(quizResults) {
-        if (quizResults.mode !== 'practice' || !quizResults.timerStats) {
+        const showTimer = quizResults.mode === 'practice' && quizResults.timerStats;
+        const pacing = quizResults.pacing;
+
+        if (!showTimer && !pacing) {
             return '';
         }
         
-        const timeUsed = this.formatDuration(quizResults.timerStats.elapsed);
-        const timeRemaining = this.formatDuration(quizResults.timerStats.remaining);
-        
         return `
             <div class="timing-info">
-                <div class="time-stat">
-                    <span class="time-label">Time Used:</span>
-                    <span class="time-value">${timeUsed}</span>
-                </div>
-                <div class="time-stat">
-                    <span class="time-label">Time Remaining:</span>
-                    <span class="time-value">${timeRemaining}</span>
-                </div>
+                ${showTimer ? `
+                    <div class="time-stat">
+                        <span class="time-label">Time Used:</span>
+                        <span class="time-value">${this.formatDuration(quizResults.timerStats.elapsed)}</span>
+                    </div>
+                    <div class="time-stat">
+                        <span class="time-label">Time Remaining:</span>
+                        <span class="time-value">${this.formatDuration(quizResults.timerStats.remaining)}</span>
+                    </div>
+                ` : ''}
+                ${pacing ? `
+                    <div class="time-stat">
+                        <span class="time-label">Average per Question:</span>
+                        <span class="time-value">${Math.round(pacing.averageSeconds)}s</span>
+                        <span class="pacing-status ${pacing.status}">${this.getPacingText(pacing)}</span>
+                    </div>
+                ` : ''}
             </div>
+            ${pacing ? this.createPacingDetails(pacing) : ''}
+        `;
+    }
+
+    /**
+     * Describe pace against the target time per question
+     * @param {Object} pacing - Pacing analytics from ScoringEngine.calculatePacing()
+     * @returns {string} Human-readable pace
+     */
+    getPacingText(pacing) {
+        const target = Math.round(pacing.targetSeconds);
+        const statusMap = {
+            'ahead': `Ahead of the ${target}s target`,
+            'on_pace': `On the ${target}s target`,
+            'behind': `Behind the ${target}s target`
+        };
+        return statusMap[pacing.status] || '';
+    }
+
+    /**
+     * Create pacing details: accuracy by time spent and the slowest questions
+     * @param {Object} pacing - Pacing analytics from ScoringEngine.calculatePacing()
+     * @returns {string} HTML for pacing details
+     */
+    createPacingDetails(pacing) {
+        const resultText = (isCorrect) => isCorrect === null ? 'Unanswered' : (isCorrect ? 'Correct' : 'Incorrect');
+
+        return `
+            <details class="pacing-details">
+                <summary>Pacing breakdown</summary>
+                <div class="pacing-grid">
+                    <div class="pacing-section">
+                        <h4>Accuracy vs. Time Spent</h4>
+                        <table class="pacing-table">
+                            <thead>
+                                <tr><th scope="col">Time on question</th><th scope="col">Answered</th><th scope="col">Correct</th></tr>
+                            </thead>
+                            <tbody>
+                                ${pacing.accuracyByTime.map(band => `
+                                    <tr>
+                                        <td>${band.label}</td>
+                                        <td>${band.answered}</td>
+                                        <td>${band.answered > 0 ? `${band.percentage}%` : '—'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <p class="pacing-note">
+                            Correct answers took ${Math.round(pacing.averageCorrectSeconds)}s on average;
+                            incorrect answers took ${Math.round(pacing.averageIncorrectSeconds)}s.
+                        </p>
+                    </div>
+                    <div class="pacing-section">
+                        <h4>Slowest Questions</h4>
+                        <ol class="pacing-slowest">
+                            ${pacing.slowestQuestions.map(item => `
+                                <li class="${item.isCorrect === null ? 'unanswered' : (item.isCorrect ? 'correct' : 'incorrect')}">
+                                    <span>Question ${item.number} (Unit ${item.unit})</span>
+                                    <span>${this.formatDuration(item.seconds * 1000)} · ${resultText(item.isCorrect)}</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </div>
+                </div>
+            </details>
         `;
     }
 
@@ -168,20 +252,26 @@ class ResultsDisplay {
      * @param {Object} scoreData - Comprehensive score data
      * @returns {HTMLElement} Main content element
      */
-    createMainContent(displayData, quizResults, scoreData) {
+    createMainContent(displayData, quizResults, scoreData, prediction = null) {
         const content = document.createElement('div');
         content.className = 'results-main-content';
         
         switch (quizResults.mode) {
             case 'unit':
-                content.appendChild(this.createUnitResults(displayData, scoreData));
+                content.appendChild(this.createUnitResults(displayData, scoreData, quizResults.ability));
                 break;
             case 'practice':
-                content.appendChild(this.createPracticeResults(displayData, scoreData));
+                content.appendChild(this.createPracticeResults(displayData, scoreData, prediction));
                 break;
             case 'study':
                 content.appendChild(this.createStudyResults(displayData, scoreData));
                 break;
+            case 'review':
+                content.appendChild(this.createReviewResults(displayData, scoreData, quizResults.reviewSummary));
+                break;
+            case 'frq':
+                content.appendChild(this.createFRQResults(displayData, quizResults));
+                break;
         }
         
         return content;
@@ -191,9 +281,10 @@ class ResultsDisplay {
      * Create unit quiz results display
      * @param {Object} displayData - Formatted display data
      * @param {Object} scoreData - Comprehensive score data
+     * @param {Object|null} ability - Ability estimate for adaptive quizzes
      * @returns {HTMLElement} Unit results element
      */
-    createUnitResults(displayData, scoreData) {
+    createUnitResults(displayData, scoreData, ability = null) {
         const container = document.createElement('div');
         container.className = 'unit-results';
         
@@ -201,9 +292,10 @@ class ResultsDisplay {
             <div class="unit-info">
                 <h3>${displayData.details.unitName}</h3>
                 <div class="aptitude-display">
-                    <div class="aptitude-label">Unit Aptitude</div>
-                    <div class="aptitude-score">${displayData.details.aptitudeScore}%</div>
+                    <div class="aptitude-label">${ability ? 'Estimated Unit Aptitude' : 'Unit Aptitude'}</div>
+                    <div class="aptitude-score">${ability ? ability.aptitude : displayData.details.aptitudeScore}%</div>
                 </div>
+                ${ability ? this.createAbilityInfo(ability) : ''}
             </div>
             
             <div class="question-breakdown">
@@ -230,13 +322,34 @@ class ResultsDisplay {
         return container;
     }
 
+    /**
+     * Create the ability estimate summary for an adaptive unit quiz
+     * @param {Object} ability - Ability estimate ({estimate, standardError, questionsAnswered, stopReason})
+     * @returns {string} HTML string
+     */
+    createAbilityInfo(ability) {
+        const stopText = {
+            precision: 'your level was clear',
+            max_questions: 'the question limit was reached',
+            pool_exhausted: 'the unit ran out of questions'
+        }[ability.stopReason] || 'the quiz was submitted';
+
+        return `
+            <div class="ability-info">
+                <span class="ability-estimate">Ability ${ability.estimate > 0 ? '+' : ''}${ability.estimate.toFixed(2)} &plusmn; ${ability.standardError.toFixed(2)} logits</span>
+                <span class="ability-stop">Stopped after ${ability.questionsAnswered} questions because ${stopText}</span>
+            </div>
+        `;
+    }
+
     /**
      * Create practice test results display
      * @param {Object} displayData - Formatted display data
      * @param {Object} scoreData - Comprehensive score data
+     * @param {Object|null} prediction - AP score prediction from practice history
      * @returns {HTMLElement} Practice results element
      */
-    createPracticeResults(displayData, scoreData) {
+    createPracticeResults(displayData, scoreData, prediction = null) {
         const container = document.createElement('div');
         container.className = 'practice-results';
         
@@ -247,7 +360,7 @@ class ResultsDisplay {
             <h3>Estimated AP Score</h3>
             <div class="ap-score-display">
                 <div class="ap-score-number">${displayData.details.estimatedAPScore}</div>
-                <div class="ap-score-description">${this.getAPScoreDescription(displayData.details.estimatedAPScore)}</div>
+                <div class="ap-score-description">${this.getAPScoreDescription(displayData.details.estimatedAPScore, prediction)}</div>
             </div>
         `;
         container.appendChild(apScoreSection);
@@ -310,6 +423,115 @@ class ResultsDisplay {
         return container;
     }
 
+    /**
+     * Create mistake review results display
+     * @param {Object} displayData - Formatted display data
+     * @param {Object} scoreData - Comprehensive score data
+     * @param {Object} reviewSummary - Mastery summary from QuizEngine.endQuiz()
+     * @returns {HTMLElement} Review results element
+     */
+    createReviewResults(displayData, scoreData, reviewSummary) {
+        const container = document.createElement('div');
+        container.className = 'review-results';
+        
+        const summary = reviewSummary || { masteryStreak: 0, mastered: [], remaining: [], poolSize: 0 };
+        
+        const reviewSection = document.createElement('div');
+        reviewSection.className = 'question-breakdown';
+        reviewSection.innerHTML = `
+            <h4>Mistake Review</h4>
+            <div class="breakdown-stats">
+                <div class="stat-item">
+                    <span class="stat-label">Corrected:</span>
+                    <span class="stat-value correct">${displayData.details.corrected}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Still missed:</span>
+                    <span class="stat-value incorrect">${displayData.details.stillMissed}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Mastered:</span>
+                    <span class="stat-value correct">${summary.mastered.length}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Left to review:</span>
+                    <span class="stat-value">${summary.poolSize}</span>
+                </div>
+            </div>
+            ${summary.masteryStreak ? `
+                <p class="review-mastery-note">
+                    A question leaves your review pool after ${summary.masteryStreak} correct answers in a row.
+                </p>
+            ` : ''}
+        `;
+        container.appendChild(reviewSection);
+        
+        if (Object.keys(displayData.details.unitBreakdown).some(unit => 
+            displayData.details.unitBreakdown[unit].total > 0)) {
+            container.appendChild(this.createUnitBreakdownChart(displayData.details.unitBreakdown));
+        }
+        
+        return container;
+    }
+
+    /**
+     * Create free-response results display
+     * @param {Object} displayData - Formatted display data
+     * @param {Object} quizResults - Original quiz results
+     * @returns {HTMLElement} FRQ results element
+     */
+    createFRQResults(displayData, quizResults) {
+        const container = document.createElement('div');
+        container.className = 'frq-results';
+        
+        const responseSection = document.createElement('div');
+        responseSection.className = 'question-breakdown';
+        responseSection.innerHTML = `
+            <h4>Your Responses</h4>
+            <div class="frq-result-items">
+                ${quizResults.questions.map(({ question, answer }, index) => `
+                    <div class="frq-result-item">
+                        <span class="frq-result-title">${index + 1}. ${question.getTypeName()} (Unit ${question.unit})</span>
+                        <span class="frq-result-points">
+                            ${!answer ? 'Not answered' :
+                                typeof answer.pointsEarned === 'number' ?
+                                    `${answer.pointsEarned}/${answer.pointsPossible} pts` : 'Not scored'}
+                        </span>
+                        ${answer ? `<span class="frq-result-words">${answer.wordCount} words</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        container.appendChild(responseSection);
+        
+        const units = Object.keys(displayData.details.unitBreakdown)
+            .filter(unitId => displayData.details.unitBreakdown[unitId].responses > 0);
+        if (units.length > 0) {
+            const unitSection = document.createElement('div');
+            unitSection.className = 'unit-breakdown-chart';
+            unitSection.innerHTML = `
+                <h4>Rubric Points by Unit</h4>
+                <div class="breakdown-bars">
+                    ${units.map(unitId => {
+                        const unit = displayData.details.unitBreakdown[unitId];
+                        return `
+                            <div class="unit-bar-container">
+                                <div class="unit-label">Unit ${unitId}</div>
+                                <div class="unit-bar">
+                                    <div class="unit-bar-fill" style="width: ${unit.percentage}%"></div>
+                                    <div class="unit-bar-text">${unit.pointsEarned}/${unit.pointsPossible} pts (${unit.percentage}%)</div>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+            container.appendChild(unitSection);
+        }
+        
+        return container;
+    }
+
     /**
      * Create unit breakdown chart
      * @param {Object} unitBreakdown - Unit breakdown data
@@ -416,12 +638,133 @@ class ResultsDisplay {
         return container;
     }
 
+    /**
+     * Create the question-by-question review: each answer against the correct one, with its explanation,
+     * unit and time spent. A filter narrows the list to incorrect (including unanswered), flagged or one
+     * unit's questions, and a retry button sends every missed question into a new review quiz
+     * @param {Object} quizResults - Quiz results; replayed results may note questions missing from the bank
+     * @returns {HTMLElement} Question review element
+     */
+    createQuestionReview(quizResults) {
+        const container = document.createElement('details');
+        container.className = 'question-review';
+        
+        const questionTimes = quizResults.questionTimes || [];
+        const items = quizResults.questions.map(({ question, answer, flagged }, index) => {
+            const chosen = answer ? answer.selectedAnswer : null;
+            const status = chosen === null || chosen === undefined ? 'unanswered' :
+                (question.isCorrect(chosen) ? 'correct' : 'incorrect');
+            return { question, chosen, status, flagged: Boolean(flagged), time: questionTimes[index] };
+        });
+        const missedCount = items.filter(item => item.status !== 'correct').length;
+        const units = [...new Set(items.map(item => item.question.unit))].sort((a, b) => a - b);
+        
+        const optionText = (question, index) =>
+            `${question.getOptionLetter(index)}. ${this.escapeHtml(question.options[index])}`;
+        
+        container.innerHTML = `
+            <summary>Review Questions (${missedCount} missed)</summary>
+            ${quizResults.missingQuestions ? `
+                <p class="question-review-note">
+                    ${quizResults.missingQuestions} question${quizResults.missingQuestions === 1 ? ' is' : 's are'}
+                    no longer in the question bank and cannot be shown.
+                </p>
+            ` : ''}
+            <div class="question-review-toolbar">
+                <select class="question-review-filter" aria-label="Show questions">
+                    <option value="all">All questions</option>
+                    <option value="incorrect">Incorrect only</option>
+                    <option value="flagged">Flagged</option>
+                    ${units.map(unitId => `<option value="unit-${unitId}">Unit ${unitId}</option>`).join('')}
+                </select>
+                <span class="question-review-count" aria-live="polite"></span>
+                ${missedCount > 0 ? `
+                    <button class="results-btn btn-primary" data-action="retry-missed">
+                        Retry ${missedCount} Missed Question${missedCount === 1 ? '' : 's'}
+                    </button>
+                ` : ''}
+            </div>
+            <ol class="question-review-list">
+                ${items.map(({ question, chosen, status, flagged, time }) => `
+                    <li class="question-review-item ${status}" data-status="${status}" data-unit="${question.unit}"
+                        data-flagged="${flagged}">
+                        <p class="question-review-text">
+                            <span class="question-review-unit">Unit ${question.unit}</span>
+                            ${flagged ? '<span class="question-review-flag">Flagged</span>' : ''}
+                            ${this.escapeHtml(question.question)}
+                        </p>
+                        <p class="question-review-answer">
+                            <span class="question-review-label">Your answer:</span>
+                            ${status === 'unanswered' ? 'Not answered' : optionText(question, chosen)}
+                        </p>
+                        ${status === 'correct' ? '' : `
+                            <p class="question-review-answer">
+                                <span class="question-review-label">Correct answer:</span>
+                                ${optionText(question, question.correct)}
+                            </p>
+                        `}
+                        ${question.explanation ? `
+                            <p class="question-review-explanation">${this.escapeHtml(question.explanation)}</p>
+                        ` : ''}
+                        ${typeof time === 'number' ? `
+                            <p class="question-review-time">Time spent: ${this.formatQuestionTime(time)}</p>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+        
+        const filter = container.querySelector('.question-review-filter');
+        const applyFilter = () => this.filterQuestionReview(container, filter.value);
+        filter.addEventListener('change', applyFilter);
+        applyFilter();
+        
+        return container;
+    }
+
+    /**
+     * Show only the reviewed questions matching a filter
+     * @param {HTMLElement} container - Question review element
+     * @param {string} filter - 'all', 'incorrect' (including unanswered), 'flagged' or 'unit-N'
+     * @returns {number} Number of questions shown
+     */
+    filterQuestionReview(container, filter) {
+        const items = Array.from(container.querySelectorAll('.question-review-item'));
+        let shown = 0;
+        
+        items.forEach(item => {
+            const matches = filter === 'incorrect' ? item.dataset.status !== 'correct' :
+                filter === 'flagged' ? item.dataset.flagged === 'true' :
+                filter.startsWith('unit-') ? item.dataset.unit === filter.slice(5) : true;
+            item.hidden = !matches;
+            if (matches) {
+                shown++;
+            }
+        });
+        
+        const count = container.querySelector('.question-review-count');
+        if (count) {
+            count.textContent = `Showing ${shown} of ${items.length}`;
+        }
+        return shown;
+    }
+
+    /**
+     * Format the time spent on one question
+     * @param {number} milliseconds - Time spent
+     * @returns {string} Seconds under a minute, otherwise minutes and seconds
+     */
+    formatQuestionTime(milliseconds) {
+        return milliseconds < 60000 ? `${Math.floor(milliseconds / 1000)}s` : this.formatDuration(milliseconds);
+    }
+
     /**
      * Create action buttons for results screen
      * @param {string} mode - Quiz mode
+     * @param {boolean} isReplay - Whether these are past results opened from the quiz history
      * @returns {HTMLElement} Action buttons element
      */
-    createActionButtons(mode) {
+    createActionButtons(mode, isReplay = false) {
         const container = document.createElement('div');
         container.className = 'results-actions';
         
@@ -455,6 +798,32 @@ class ResultsDisplay {
                 });
                 break;
                 
+            case 'review':
+                buttons.push({
+                    text: 'Review Remaining Mistakes',
+                    action: 'review-mistakes',
+                    class: 'btn-primary'
+                });
+                buttons.push({
+                    text: 'Continue Studying',
+                    action: 'continue-study',
+                    class: 'btn-secondary'
+                });
+                break;
+                
+            case 'frq':
+                buttons.push({
+                    text: 'Write Another FRQ',
+                    action: 'new-frq',
+                    class: 'btn-primary'
+                });
+                buttons.push({
+                    text: 'Take Practice Test',
+                    action: 'take-practice',
+                    class: 'btn-secondary'
+                });
+                break;
+                
             case 'study':
                 buttons.push({
                     text: 'Continue Studying',
@@ -469,6 +838,14 @@ class ResultsDisplay {
                 break;
         }
         
+        if (isReplay) {
+            buttons.push({
+                text: 'Back to Quiz History',
+                action: 'history',
+                class: 'btn-secondary'
+            });
+        }
+        
         // Always add return to dashboard button
         buttons.push({
             text: 'Return to Dashboard',
@@ -491,9 +868,10 @@ class ResultsDisplay {
     /**
      * Get AP score description
      * @param {number} score - AP score (1-5)
+     * @param {Object|null} prediction - AP score prediction from practice history, to describe alongside
      * @returns {string} Score description
      */
-    getAPScoreDescription(score) {
+    getAPScoreDescription(score, prediction = null) {
         const descriptions = {
             5: 'Extremely well qualified',
             4: 'Well qualified', 
@@ -501,7 +879,15 @@ class ResultsDisplay {
             2: 'Possibly qualified',
             1: 'No recommendation'
         };
-        return descriptions[score] || 'Unknown';
+        const description = descriptions[score] || 'Unknown';
+        if (!prediction) {
+            return description;
+        }
+
+        const { low, high } = prediction.range;
+        const range = low === high ? `${low}` : `${low}–${high}`;
+        return `${description}. Across your practice history you are predicted a ${prediction.apScore} (likely ${range})` +
+            `${prediction.freeResponse.source === 'assumed' ? ', assuming your FRQs match your multiple choice' : ''}.`;
     }
 
     /**
@@ -530,6 +916,20 @@ class ResultsDisplay {
         return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Escape text before interpolating it into HTML (question text can come from imported banks)
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Add event listeners for action buttons
      * @param {Function} callback - Callback function for button actions
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for ResultsDisplay's question review
+ * Tests the review filters, time formatting and escaping of question text
+ */
+
+/**
+ * Stand-in for the rendered review: its items carry the data attributes the filter reads
+ */
+function createReviewTestContainer(items) {
+    const count = { textContent: '' };
+    const elements = items.map(([status, unit, flagged]) => ({
+        dataset: { status, unit: String(unit), flagged: String(flagged) },
+        hidden: false
+    }));
+    return {
+        elements,
+        count,
+        querySelectorAll: selector => selector === '.question-review-item' ? elements : [],
+        querySelector: selector => selector === '.question-review-count' ? count : null
+    };
+}
+
+/**
+ * Test Suite: Filtering reviewed questions
+ */
+function testReviewFilters() {
+    console.log('Testing question review filters...');
+
+    const display = new ResultsDisplay(null);
+    const container = createReviewTestContainer([
+        ['correct', 1, false],
+        ['incorrect', 1, true],
+        ['unanswered', 2, false],
+        ['correct', 3, true]
+    ]);
+    const visible = () => container.elements.map((element, index) => element.hidden ? null : index)
+        .filter(index => index !== null).join();
+
+    assert(display.filterQuestionReview(container, 'incorrect') === 2 && visible() === '1,2',
+        'Incorrect should include unanswered questions');
+    assert(container.count.textContent === 'Showing 2 of 4', 'The number shown should be reported');
+    assert(display.filterQuestionReview(container, 'flagged') === 2 && visible() === '1,3', 'Flagged questions should filter');
+    assert(display.filterQuestionReview(container, 'unit-1') === 2 && visible() === '0,1', 'Units should filter');
+    assert(display.filterQuestionReview(container, 'unit-5') === 0, 'Units with no questions should show none');
+    assert(display.filterQuestionReview(container, 'all') === 4 && visible() === '0,1,2,3', 'All should show every question');
+
+    console.log('✓ Question review filter tests passed');
+}
+
+/**
+ * Test Suite: Formatting
+ */
+function testReviewFormatting() {
+    console.log('Testing question review formatting...');
+
+    const display = new ResultsDisplay(null);
+    assert(display.formatQuestionTime(42600) === '42s', 'Times under a minute should be in seconds');
+    assert(display.formatQuestionTime(95000) === '1:35', 'Longer times should be in minutes and seconds');
+    assert(display.escapeHtml('<b>"Marbury" & Madison\'s</b>') === '&lt;b&gt;&quot;Marbury&quot; &amp; Madison&#39;s&lt;/b&gt;',
+        'Question text should be escaped');
+    assert(display.escapeHtml(null) === '', 'Missing text should be empty');
+
+    console.log('✓ Question review formatting tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runResultsDisplayTests() {
+    console.log('Running ResultsDisplay Tests...\n');
+
+    try {
+        testReviewFilters();
+        testReviewFormatting();
+
+        console.log('\n✅ All ResultsDisplay tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runResultsDisplayTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.ScoringEngine = require('./scoring-engine.js');
+    global.ResultsDisplay = require('./results-display.js');
+    runResultsDisplayTests();
+}
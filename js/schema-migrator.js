@@ -0,0 +1,421 @@
+/**
+ * SchemaMigrator - Versions every persisted storage key and upgrades old data on load
+ * Stored values keep their own shapes; the schema version of each key is kept in a separate
+ * record per storage namespace. Data saved before versioning is version 0.
+ *
+ * Each key is migrated through SchemaMigrator.SCHEMAS in version order. The stored value is backed up
+ * first; if a migration throws, the backup is written back and the key stays at its old version, and a
+ * backup left behind by an interrupted migration is rolled back on the next load.
+ */
+class SchemaMigrator {
+    /**
+     * @param {StorageWrapper} storageWrapper - Storage to migrate (one namespace)
+     * @param {ErrorHandler} errorHandler - Receives a log entry for each migration
+     */
+    constructor(storageWrapper, errorHandler = null) {
+        this.storage = storageWrapper;
+        this.errorHandler = errorHandler;
+    }
+
+    /**
+     * Get the recorded schema version of every key
+     * @returns {Object} key -> version
+     */
+    getVersions() {
+        const saved = this.storage.getItem(SchemaMigrator.VERSIONS_KEY);
+        return SchemaMigrator.isObject(saved) ? { ...saved } : {};
+    }
+
+    /**
+     * Get the recorded schema version of a key
+     * @param {string} key - Storage key
+     * @returns {number} Version (0 if never recorded)
+     */
+    getVersion(key) {
+        return this.getVersions()[key] || 0;
+    }
+
+    /**
+     * Bring keys up to their current schema version
+     * @param {Array} keys - Keys to migrate (defaults to every key with a schema)
+     * @returns {Object} Summary ({migrated, failed, rolledBack}); migrated and failed list
+     *                   {key, fromVersion, toVersion, changes|error}
+     */
+    migrate(keys = Object.keys(SchemaMigrator.SCHEMAS)) {
+        const summary = { migrated: [], failed: [], rolledBack: [] };
+        const versions = this.getVersions();
+        let versionsChanged = false;
+
+        keys.filter(key => SchemaMigrator.SCHEMAS[key]).forEach(key => {
+            if (this.recoverInterruptedMigration(key, versions)) {
+                summary.rolledBack.push(key);
+            }
+
+            const fromVersion = versions[key] || 0;
+            const toVersion = SchemaMigrator.SCHEMAS[key].version;
+
+            if (fromVersion === toVersion) {
+                return;
+            }
+            if (fromVersion > toVersion) {
+                this.log({ key, fromVersion, toVersion, error: 'Saved by a newer version of the app; left unchanged' });
+                return;
+            }
+
+            // Keys with no data are simply marked current, so data saved from now on isn't migrated again
+            if (this.storage.getItem(key) === null) {
+                versions[key] = toVersion;
+                versionsChanged = true;
+                return;
+            }
+
+            const result = this.migrateKey(key, fromVersion, versions);
+            if (result.error) {
+                summary.failed.push(result);
+            } else {
+                summary.migrated.push(result);
+            }
+        });
+
+        if (versionsChanged) {
+            this.storage.setItem(SchemaMigrator.VERSIONS_KEY, versions);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Migrate one key, rolling back to the backup if anything fails
+     * @param {string} key - Storage key
+     * @param {number} fromVersion - Stored version
+     * @param {Object} versions - Version record, updated and saved on success
+     * @returns {Object} Result ({key, fromVersion, toVersion, changes} or {..., error})
+     */
+    migrateKey(key, fromVersion, versions) {
+        const schema = SchemaMigrator.SCHEMAS[key];
+        const toVersion = schema.version;
+        const original = this.storage.getItem(key);
+        const backupKey = SchemaMigrator.getBackupKey(key);
+
+        const backedUp = this.storage.setItem(backupKey, {
+            key,
+            fromVersion,
+            toVersion,
+            value: original,
+            createdAt: new Date().toISOString()
+        });
+        if (!backedUp) {
+            const result = { key, fromVersion, toVersion, error: 'Could not back up the data, so it was not migrated' };
+            this.log(result);
+            return result;
+        }
+
+        const changes = [];
+        try {
+            let value = JSON.parse(JSON.stringify(original));
+            for (let version = fromVersion; version < toVersion; version++) {
+                const migration = schema.migrations[version];
+                if (typeof migration !== 'function') {
+                    throw new Error(`No migration from version ${version}`);
+                }
+                value = migration(value, changes);
+            }
+
+            if (value === null) {
+                this.storage.removeItem(key);
+                changes.push('Removed unreadable data');
+            } else if (!this.storage.setItem(key, value)) {
+                throw new Error('Failed to save migrated data');
+            }
+
+            versions[key] = toVersion;
+            if (!this.storage.setItem(SchemaMigrator.VERSIONS_KEY, versions)) {
+                throw new Error('Failed to save the schema version');
+            }
+        } catch (error) {
+            // Keep the backup if the original can't be written back, so the next load restores it
+            versions[key] = fromVersion;
+            if (this.storage.setItem(key, original)) {
+                this.storage.removeItem(backupKey);
+            }
+
+            const result = { key, fromVersion, toVersion, error: `${error.message}; rolled back` };
+            this.log(result);
+            return result;
+        }
+
+        this.storage.removeItem(backupKey);
+
+        const result = { key, fromVersion, toVersion, changes };
+        this.log(result);
+        return result;
+    }
+
+    /**
+     * Deal with a backup left behind by a migration that never finished
+     * If the version was not updated the data may be half-migrated, so the backup is restored;
+     * if it was, the migration finished and only the cleanup was missed
+     * @param {string} key - Storage key
+     * @param {Object} versions - Version record
+     * @returns {boolean} True if the backup was restored
+     */
+    recoverInterruptedMigration(key, versions) {
+        const backupKey = SchemaMigrator.getBackupKey(key);
+        const backup = this.storage.getItem(backupKey);
+        if (!backup || typeof backup !== 'object') {
+            return false;
+        }
+
+        const restore = (versions[key] || 0) === backup.fromVersion;
+        if (restore) {
+            if (backup.value === null || backup.value === undefined) {
+                this.storage.removeItem(key);
+            } else {
+                this.storage.setItem(key, backup.value);
+            }
+            this.log({
+                key,
+                fromVersion: backup.toVersion,
+                toVersion: backup.fromVersion,
+                changes: ['Restored the backup of an interrupted migration']
+            });
+        }
+
+        this.storage.removeItem(backupKey);
+        return restore;
+    }
+
+    /**
+     * Log a migration result through the error handler, which keeps the app's diagnostic log
+     * @param {Object} result - Migration result
+     */
+    log(result) {
+        if (result.error) {
+            console.warn(`Migration of ${result.key} from version ${result.fromVersion} failed: ${result.error}`);
+        } else {
+            console.log(`Migrated ${result.key} from version ${result.fromVersion} to ${result.toVersion}`, result.changes);
+        }
+
+        if (this.errorHandler) {
+            this.errorHandler.logError({
+                type: 'schema_migration',
+                namespace: this.storage.namespace || null,
+                ...result
+            });
+        }
+    }
+
+    /**
+     * Whether a value is a plain object (not null or an array)
+     * @param {*} value - Value to check
+     * @returns {boolean} True for objects
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Get the key a migration backup is stored under
+     * @param {string} key - Storage key
+     * @returns {string} Backup key
+     */
+    static getBackupKey(key) {
+        return `${SchemaMigrator.BACKUP_PREFIX}${key}`;
+    }
+}
+
+SchemaMigrator.VERSIONS_KEY = 'ap-gov-schema-versions';
+SchemaMigrator.BACKUP_PREFIX = 'ap-gov-schema-backup:';
+
+// Current version and migrations for every persisted key.
+// migrations[n] upgrades version n to n + 1: it receives the value and a list to describe its changes in,
+// and returns the upgraded value (null removes the key). Throwing rolls the key back.
+SchemaMigrator.SCHEMAS = {
+    'ap-gov-progress': {
+        version: 1,
+        migrations: {
+            // Version 0: fields were added over time and patched in on load when missing
+            0: (progress, changes) => {
+                if (!SchemaMigrator.isObject(progress)) {
+                    throw new Error('Progress is not an object');
+                }
+
+                if (!SchemaMigrator.isObject(progress.units)) {
+                    progress.units = {};
+                }
+                for (let unitId = 1; unitId <= 5; unitId++) {
+                    const unit = progress.units[unitId];
+                    if (!SchemaMigrator.isObject(unit)) {
+                        progress.units[unitId] = { seen: 0, correct: 0, total: 0 };
+                        changes.push(`Added unit ${unitId}`);
+                        continue;
+                    }
+
+                    const fixed = {
+                        seen: Math.max(0, parseInt(unit.seen) || 0),
+                        correct: Math.max(0, parseInt(unit.correct) || 0),
+                        total: Math.max(0, parseInt(unit.total) || 0)
+                    };
+                    fixed.correct = Math.min(fixed.correct, fixed.total);
+                    if (fixed.seen !== unit.seen || fixed.correct !== unit.correct || fixed.total !== unit.total) {
+                        changes.push(`Fixed counts for unit ${unitId}`);
+                    }
+                    Object.assign(unit, fixed);
+
+                    if (unit.ability && (typeof unit.ability.estimate !== 'number' || typeof unit.ability.aptitude !== 'number')) {
+                        delete unit.ability;
+                        changes.push(`Dropped an unreadable ability estimate for unit ${unitId}`);
+                    }
+                }
+
+                [['practiceTests', []], ['manualFRQScores', []], ['reviewSchedule', {}], ['frq', {}]].forEach(([field, empty]) => {
+                    const valid = Array.isArray(empty) ? Array.isArray(progress[field]) : SchemaMigrator.isObject(progress[field]);
+                    if (!valid) {
+                        progress[field] = empty;
+                        changes.push(`Added ${field}`);
+                    }
+                });
+                if (progress.currentSession === undefined) {
+                    progress.currentSession = null;
+                }
+
+                const testCount = progress.practiceTests.length;
+                progress.practiceTests = progress.practiceTests.filter(test =>
+                    test && typeof test.score === 'number' && typeof test.total === 'number' && test.date
+                );
+                if (progress.practiceTests.length < testCount) {
+                    changes.push(`Dropped ${testCount - progress.practiceTests.length} unreadable practice tests`);
+                }
+
+                return progress;
+            }
+        }
+    },
+    'ap-gov-question-history': {
+        version: 1,
+        migrations: {
+            // Version 0: unreadable history was ignored on load
+            0: (history, changes) => {
+                if (!Array.isArray(history)) {
+                    changes.push('Replaced unreadable history');
+                    return [];
+                }
+
+                const valid = history.filter(entry =>
+                    entry && typeof entry.questionId === 'string' && typeof entry.isCorrect === 'boolean' && entry.timestamp
+                );
+                if (valid.length < history.length) {
+                    changes.push(`Dropped ${history.length - valid.length} unreadable attempts`);
+                }
+                return valid;
+            }
+        }
+    },
+    'ap-gov-question-banks': {
+        version: 1,
+        migrations: {
+            0: (banks, changes) => {
+                if (!Array.isArray(banks)) {
+                    return null;
+                }
+
+                const valid = banks.filter(bank => SchemaMigrator.isObject(bank) && typeof bank.id === 'string' && Array.isArray(bank.questions));
+                if (valid.length < banks.length) {
+                    changes.push(`Dropped ${banks.length - valid.length} unreadable question banks`);
+                }
+                return valid;
+            }
+        }
+    },
+    'ap-gov-selected-banks': {
+        version: 1,
+        migrations: {
+            0: (bankIds) => Array.isArray(bankIds) && bankIds.every(id => typeof id === 'string') ? bankIds : null
+        }
+    },
+    'ap-gov-practice-blueprint': {
+        version: 1,
+        migrations: {
+            0: (blueprint) => SchemaMigrator.isObject(blueprint) ? blueprint : null
+        }
+    },
+    'ap-gov-profiles': {
+        version: 1,
+        migrations: {
+            0: (saved, changes) => {
+                if (!SchemaMigrator.isObject(saved) || !Array.isArray(saved.profiles)) {
+                    return null;
+                }
+
+                const valid = saved.profiles.filter(profile =>
+                    SchemaMigrator.isObject(profile) && typeof profile.id === 'string' && typeof profile.name === 'string'
+                );
+                if (valid.length < saved.profiles.length) {
+                    changes.push(`Dropped ${saved.profiles.length - valid.length} unreadable profiles`);
+                }
+                return { ...saved, profiles: valid };
+            }
+        }
+    },
+    'ap-gov-quiz-results': {
+        version: 1,
+        migrations: {
+            0: (entries, changes) => {
+                if (!Array.isArray(entries)) {
+                    return null;
+                }
+
+                const valid = entries.filter(entry =>
+                    SchemaMigrator.isObject(entry) && typeof entry.quizId === 'string' && Array.isArray(entry.questions)
+                );
+                if (valid.length < entries.length) {
+                    changes.push(`Dropped ${entries.length - valid.length} unreadable quiz results`);
+                }
+                return valid;
+            }
+        }
+    },
+    'app_state': {
+        version: 1,
+        migrations: {
+            // Version 0: the state was saved as a JSON string inside the stored JSON
+            0: (state, changes) => {
+                let parsed = state;
+                if (typeof state === 'string') {
+                    try {
+                        parsed = JSON.parse(state);
+                    } catch (error) {
+                        return null;
+                    }
+                    changes.push('Stored the state as an object instead of a JSON string');
+                }
+                if (!SchemaMigrator.isObject(parsed)) {
+                    return null;
+                }
+
+                if (!Array.isArray(parsed.navigationHistory)) {
+                    parsed.navigationHistory = [];
+                    changes.push('Added navigationHistory');
+                }
+                return parsed;
+            }
+        }
+    },
+    'app_emergency_backup': {
+        version: 1,
+        migrations: {
+            0: (backup) => SchemaMigrator.isObject(backup) ? backup : null
+        }
+    },
+    'app_critical_backup': {
+        version: 1,
+        migrations: {
+            0: (backup) => SchemaMigrator.isObject(backup) ? backup : null
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaMigrator;
+}
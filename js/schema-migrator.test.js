@@ -0,0 +1,198 @@
+/**
+ * Unit tests for SchemaMigrator
+ * Tests schema versions, the migration registry, change logging, rollback and interrupted migrations
+ */
+
+/**
+ * Error handler stand-in that records log entries
+ */
+function createMigrationLog() {
+    const entries = [];
+    return { entries, logError: entry => entries.push(entry) };
+}
+
+function createMigrationStorage() {
+    return new StorageWrapper(null, 'ap-gov-profile-test:', new MemoryStorageBackend());
+}
+
+/**
+ * Test Suite: Migrating version 0 data
+ */
+function testMigrateLegacyData() {
+    console.log('Testing migration of unversioned data...');
+
+    const storage = createMigrationStorage();
+    const log = createMigrationLog();
+    storage.setItem('ap-gov-progress', {
+        units: { 1: { seen: '4', correct: 6, total: 5 }, 2: { seen: 1, correct: 1, total: 1, ability: { estimate: 'x' } } },
+        practiceTests: [{ score: 40, total: 55, date: '2025-01-01T00:00:00.000Z' }, { score: 'bad' }]
+    });
+    storage.setItem('ap-gov-question-history', [
+        { questionId: 'q1', isCorrect: true, timestamp: '2025-01-01T00:00:00.000Z' },
+        { questionId: 7 }
+    ]);
+    storage.setItem('ap-gov-selected-banks', 'default');
+    storage.setItem('app_state', JSON.stringify({ sessionId: 's1', timestamp: 1, userProgress: {} }));
+    storage.setItem('ap-gov-quiz-results', [{ quizId: 'quiz_1', mode: 'unit', questions: [] }, { quizId: 2 }]);
+
+    const summary = new SchemaMigrator(storage, log).migrate();
+    assert(summary.failed.length === 0, 'Valid legacy data should migrate');
+    assert(summary.migrated.map(result => result.key).includes('ap-gov-progress'), 'Progress should be migrated');
+
+    const progress = storage.getItem('ap-gov-progress');
+    assert(progress.units[1].seen === 4 && progress.units[1].correct === 5, 'Unit counts should be fixed');
+    assert(progress.units[5].total === 0 && Array.isArray(progress.manualFRQScores), 'Missing fields should be added');
+    assert(progress.units[2].ability === undefined, 'Unreadable ability estimates should be dropped');
+    assert(progress.practiceTests.length === 1 && progress.currentSession === null, 'Unreadable practice tests should be dropped');
+    assert(storage.getItem('ap-gov-question-history').length === 1, 'Unreadable attempts should be dropped');
+    assert(storage.getItem('ap-gov-selected-banks') === null, 'Unreadable settings should be removed');
+    assert(storage.getItem('app_state').sessionId === 's1', 'Saved state should be stored as an object');
+    assert(storage.getItem('ap-gov-quiz-results').length === 1, 'Unreadable quiz results should be dropped');
+
+    // What changed is logged through the error handler
+    const progressLog = log.entries.find(entry => entry.key === 'ap-gov-progress');
+    assert(progressLog.type === 'schema_migration' && progressLog.namespace === 'ap-gov-profile-test:', 'Migrations should be logged');
+    assert(progressLog.fromVersion === 0 && progressLog.toVersion === 1, 'Log entries should record the versions');
+    assert(progressLog.changes.includes('Fixed counts for unit 1') && progressLog.changes.includes('Added unit 5'),
+        'Log entries should describe the changes');
+    assert(progressLog.changes.includes('Dropped 1 unreadable practice tests'), 'Dropped data should be logged');
+
+    // Every key is now current, including ones with no data, and no backups are left
+    const migrator = new SchemaMigrator(storage, log);
+    Object.keys(SchemaMigrator.SCHEMAS).forEach(key => {
+        assert(migrator.getVersion(key) === SchemaMigrator.SCHEMAS[key].version, `${key} should be at the current version`);
+        assert(storage.getItem(SchemaMigrator.getBackupKey(key)) === null, `${key} should have no backup left`);
+    });
+    assert(migrator.getVersion('ap-gov-quiz-results') === 1, 'Quiz history should get a stored version');
+
+    // A new profile's keys, as the app migrates them, are versioned before anything is saved
+    const profileStorage = createMigrationStorage();
+    new SchemaMigrator(profileStorage).migrate(Object.keys(SchemaMigrator.SCHEMAS).filter(key => key !== 'ap-gov-profiles'));
+    assert(new SchemaMigrator(profileStorage).getVersion('ap-gov-quiz-results') === 1, 'New profiles should version quiz history');
+
+    const logged = log.entries.length;
+    const again = migrator.migrate();
+    assert(again.migrated.length === 0 && log.entries.length === logged, 'Current data should not be migrated again');
+
+    // The tracker reads migrated progress as before
+    const tracker = new ProgressTracker(storage);
+    assert(tracker.getUnitProgress(1).correct === 5 && tracker.getPracticeTestHistory().length === 1, 'Tracker should read migrated data');
+
+    console.log('✓ Unversioned data migration tests passed');
+}
+
+/**
+ * Test Suite: Rolling back failed and interrupted migrations
+ */
+function testRollback() {
+    console.log('Testing migration rollback...');
+
+    const storage = createMigrationStorage();
+    const log = createMigrationLog();
+    const original = SchemaMigrator.SCHEMAS['ap-gov-progress'];
+
+    // A migration that throws leaves the data and version as they were
+    storage.setItem('ap-gov-progress', { units: {}, legacy: true });
+    SchemaMigrator.SCHEMAS['ap-gov-progress'] = {
+        version: 2,
+        migrations: {
+            0: (progress) => ({ ...progress, step: 1 }),
+            1: () => { throw new Error('Broken migration'); }
+        }
+    };
+    let summary;
+    try {
+        summary = new SchemaMigrator(storage, log).migrate(['ap-gov-progress']);
+    } finally {
+        SchemaMigrator.SCHEMAS['ap-gov-progress'] = original;
+    }
+
+    assert(summary.failed.length === 1 && summary.failed[0].error.includes('Broken migration'), 'The failure should be reported');
+    assert(storage.getItem('ap-gov-progress').legacy === true && storage.getItem('ap-gov-progress').step === undefined,
+        'Failed migrations should be rolled back');
+    assert(new SchemaMigrator(storage).getVersion('ap-gov-progress') === 0, 'The version should not change');
+    assert(storage.getItem(SchemaMigrator.getBackupKey('ap-gov-progress')) === null, 'The backup should be removed after rolling back');
+    assert(log.entries.some(entry => entry.error && entry.error.includes('rolled back')), 'Rollbacks should be logged');
+
+    // A backup left by an interrupted migration is restored before migrating again
+    storage.setItem('ap-gov-question-history', { halfMigrated: true });
+    storage.setItem(SchemaMigrator.getBackupKey('ap-gov-question-history'), {
+        key: 'ap-gov-question-history', fromVersion: 0, toVersion: 1,
+        value: [{ questionId: 'q1', isCorrect: false, timestamp: '2025-01-01T00:00:00.000Z' }]
+    });
+    summary = new SchemaMigrator(storage, log).migrate(['ap-gov-question-history']);
+    assert(summary.rolledBack.includes('ap-gov-question-history'), 'Interrupted migrations should be rolled back');
+    assert(storage.getItem('ap-gov-question-history')[0].questionId === 'q1', 'The backup should be restored and migrated');
+
+    // A backup whose migration had finished is only cleaned up
+    storage.setItem(SchemaMigrator.getBackupKey('ap-gov-question-history'), {
+        key: 'ap-gov-question-history', fromVersion: 0, toVersion: 1, value: []
+    });
+    summary = new SchemaMigrator(storage, log).migrate(['ap-gov-question-history']);
+    assert(summary.rolledBack.length === 0 && storage.getItem('ap-gov-question-history').length === 1, 'Finished migrations should not be undone');
+    assert(storage.getItem(SchemaMigrator.getBackupKey('ap-gov-question-history')) === null, 'Leftover backups should be removed');
+
+    console.log('✓ Migration rollback tests passed');
+}
+
+/**
+ * Test Suite: Data from a newer version
+ */
+function testNewerVersion() {
+    console.log('Testing data saved by a newer version...');
+
+    const storage = createMigrationStorage();
+    const log = createMigrationLog();
+    storage.setItem('ap-gov-practice-blueprint', 'future format');
+    storage.setItem(SchemaMigrator.VERSIONS_KEY, { 'ap-gov-practice-blueprint': 99 });
+
+    const summary = new SchemaMigrator(storage, log).migrate(['ap-gov-practice-blueprint']);
+    assert(summary.migrated.length === 0 && storage.getItem('ap-gov-practice-blueprint') === 'future format', 'Newer data should be left alone');
+    assert(log.entries.some(entry => entry.error && entry.error.includes('newer version')), 'Newer data should be logged');
+
+    console.log('✓ Newer version tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runSchemaMigratorTests() {
+    console.log('Running SchemaMigrator Tests...\n');
+
+    try {
+        testMigrateLegacyData();
+        testRollback();
+        testNewerVersion();
+
+        console.log('\n✅ All SchemaMigrator tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runSchemaMigratorTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.StorageWrapper = require('./storage-wrapper.js');
+    global.MemoryStorageBackend = require('./memory-storage-backend.js');
+    global.SchemaMigrator = require('./schema-migrator.js');
+    global.SpacedRepetitionScheduler = require('./spaced-repetition.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    runSchemaMigratorTests();
+}
@@ -29,6 +29,9 @@ class ScoreChart {
             fontFamily: 'Arial, sans-serif',
             tooltipBg: '#333',
             tooltipText: '#fff',
+            // What each point is, for x-axis labels and tooltips (e.g. 'Unit' for per-unit charts)
+            pointLabel: 'Test',
+            xAxisTitle: 'Practice Test Number',
             ...options
         };
         
@@ -79,7 +82,8 @@ class ScoreChart {
 
     /**
      * Update chart data and re-render
-     * @param {Array} practiceTests - Array of practice test records
+     * @param {Array} practiceTests - Array of practice test records ({percentage, score, total, date});
+     *                                any records with those fields can be charted, and date is optional
      */
     updateData(practiceTests) {
         if (!practiceTests || !Array.isArray(practiceTests)) {
@@ -88,7 +92,7 @@ class ScoreChart {
             this.data = practiceTests.map((test, index) => ({
                 x: index + 1, // Test number
                 y: test.percentage, // Score percentage
-                date: new Date(test.date),
+                date: test.date ? new Date(test.date) : null,
                 score: test.score,
                 total: test.total,
                 testNumber: index + 1
@@ -278,7 +282,7 @@ class ScoreChart {
         
         for (let i = 1; i <= maxTests; i++) {
             const x = this.chartX + ((i - 0.5) / maxTests) * this.chartWidth;
-            const label = isMobile ? `T${i}` : `Test ${i}`;
+            const label = isMobile ? `${this.config.pointLabel.charAt(0)}${i}` : `${this.config.pointLabel} ${i}`;
             this.ctx.fillText(label, x, this.chartY + this.chartHeight + 8);
         }
 
@@ -295,7 +299,7 @@ class ScoreChart {
 
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'top';
-            const xAxisTitle = isMobile ? 'Test #' : 'Practice Test Number';
+            const xAxisTitle = isMobile ? `${this.config.pointLabel} #` : this.config.xAxisTitle;
             this.ctx.fillText(xAxisTitle, 
                 this.chartX + this.chartWidth / 2, 
                 this.chartY + this.chartHeight + (isMobile ? 25 : 35));
@@ -422,9 +426,9 @@ class ScoreChart {
         };
 
         this.tooltip.innerHTML = `
-            <div><strong>Test ${point.testNumber}</strong></div>
+            <div><strong>${this.config.pointLabel} ${point.testNumber}</strong></div>
             <div>Score: ${point.score}/${point.total} (${point.y}%)</div>
-            <div>Date: ${formatDate(point.date)}</div>
+            ${point.date ? `<div>Date: ${formatDate(point.date)}</div>` : ''}
         `;
 
         // Position tooltip with mobile-friendly positioning
@@ -0,0 +1,253 @@
+/**
+ * APScorePredictor - Predicts the AP exam score from practice history
+ * Estimates the multiple-choice and free-response sections separately, weights them into a
+ * composite percentage and maps it to a 1-5 score through a configurable cut table
+ */
+class APScorePredictor {
+    constructor(options = {}) {
+        this.cutTable = { ...(options.cutTable || APScorePredictor.DEFAULT_CUT_TABLE) };
+        this.validateCutTable(this.cutTable);
+
+        // Each section is half of the AP Government exam score
+        this.mcqWeight = options.mcqWeight !== undefined ? options.mcqWeight : 0.5;
+
+        // Practice tests used, newest weighted most, and their share of the multiple-choice estimate
+        // when unit aptitude is also available
+        this.recentTests = options.recentTests || 5;
+        this.practiceShare = 0.7;
+
+        // Interval width in standard errors (80% range)
+        this.rangeZ = 1.28;
+
+        // Standard error (percentage points) for a section estimated without any scores of its own
+        this.assumedStandardError = 15;
+    }
+
+    /**
+     * Validates a cut table: minimum composite percentage for scores 2-5, rising with the score
+     * @param {Object} cutTable - Cut table ({2: 32, 3: 45, 4: 57, 5: 70})
+     * @throws {Error} If validation fails
+     */
+    validateCutTable(cutTable) {
+        let previous = 0;
+        for (let score = 2; score <= 5; score++) {
+            const cut = cutTable[score];
+            if (typeof cut !== 'number' || cut < 0 || cut > 100) {
+                throw new Error(`Cut for a ${score} must be a percentage between 0 and 100`);
+            }
+            if (cut <= previous) {
+                throw new Error(`Cut for a ${score} must be higher than the cut for a ${score - 1}`);
+            }
+            previous = cut;
+        }
+    }
+
+    /**
+     * Map a composite percentage to an AP score
+     * @param {number} composite - Composite percentage (0-100)
+     * @returns {number} AP score (1-5)
+     */
+    getAPScore(composite) {
+        for (let score = 5; score >= 2; score--) {
+            if (composite >= this.cutTable[score]) {
+                return score;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * Estimate the multiple-choice percentage from recent practice tests and unit aptitude
+     * @param {Array} practiceTests - Practice test records, oldest first ({percentage, total})
+     * @param {Object} units - Progress per unit ({aptitude, total})
+     * @returns {Object|null} Estimate ({percentage, standardError, source, testsUsed}), or null without data
+     */
+    estimateMultipleChoice(practiceTests, units) {
+        const recent = (practiceTests || []).filter(test => test.total > 0).slice(-this.recentTests);
+
+        let practice = null;
+        if (recent.length > 0) {
+            // Newer tests count more: weights 1, 2, 3... oldest to newest
+            const weightTotal = recent.reduce((sum, test, index) => sum + index + 1, 0);
+            const percentage = recent.reduce((sum, test, index) => sum + test.percentage * (index + 1), 0) / weightTotal;
+            const questions = recent.reduce((sum, test) => sum + test.total, 0);
+            const spread = recent.length > 1 ? this.standardDeviation(recent.map(test => test.percentage)) / Math.sqrt(recent.length) : 0;
+
+            practice = {
+                percentage: percentage,
+                standardError: Math.sqrt(Math.pow(this.samplingError(percentage, questions), 2) + Math.pow(spread, 2))
+            };
+        }
+
+        // Unit aptitude weighted like the exam, over the units with answers
+        let unitEstimate = null;
+        const examWeights = typeof ExamBlueprint !== 'undefined' ? ExamBlueprint.EXAM_WEIGHTS : { 1: 20, 2: 20, 3: 20, 4: 20, 5: 20 };
+        const studied = Object.keys(units || {}).filter(unitId => units[unitId].total > 0);
+        if (studied.length > 0) {
+            const weightTotal = studied.reduce((sum, unitId) => sum + examWeights[unitId], 0);
+            const percentage = studied.reduce((sum, unitId) => sum + units[unitId].aptitude * examWeights[unitId], 0) / weightTotal;
+            const questions = studied.reduce((sum, unitId) => sum + units[unitId].total, 0);
+
+            // Units never studied make the estimate less certain
+            const coverage = weightTotal / 100;
+            unitEstimate = {
+                percentage: percentage,
+                standardError: this.samplingError(percentage, questions) + (1 - coverage) * this.assumedStandardError
+            };
+        }
+
+        if (practice && unitEstimate) {
+            return {
+                percentage: this.practiceShare * practice.percentage + (1 - this.practiceShare) * unitEstimate.percentage,
+                standardError: Math.sqrt(
+                    Math.pow(this.practiceShare * practice.standardError, 2) +
+                    Math.pow((1 - this.practiceShare) * unitEstimate.standardError, 2)
+                ),
+                source: 'practice_and_units',
+                testsUsed: recent.length
+            };
+        }
+
+        if (practice) {
+            return { ...practice, source: 'practice', testsUsed: recent.length };
+        }
+
+        if (unitEstimate) {
+            return { ...unitEstimate, source: 'units', testsUsed: 0 };
+        }
+
+        return null;
+    }
+
+    /**
+     * Estimate the free-response percentage
+     * Manually entered scores (e.g. teacher graded) are preferred over self-scored FRQ practice;
+     * without either, the multiple-choice estimate stands in with a wide margin
+     * @param {Array} manualScores - Entered FRQ scores ({pointsEarned, pointsPossible})
+     * @param {Object} frqProgress - Self-scored FRQ practice per unit ({pointsEarned, pointsPossible})
+     * @param {Object} multipleChoice - Multiple-choice estimate
+     * @returns {Object} Estimate ({percentage, standardError, source, pointsPossible})
+     */
+    estimateFreeResponse(manualScores, frqProgress, multipleChoice) {
+        const total = (entries) => entries.reduce((sum, entry) => ({
+            earned: sum.earned + (entry.pointsEarned || 0),
+            possible: sum.possible + (entry.pointsPossible || 0)
+        }), { earned: 0, possible: 0 });
+
+        const manual = total(manualScores || []);
+        const practice = total(Object.values(frqProgress || {}));
+        const [points, source] = manual.possible > 0 ? [manual, 'manual'] : [practice, 'practice'];
+
+        if (points.possible > 0) {
+            const percentage = (points.earned / points.possible) * 100;
+            return {
+                percentage: percentage,
+                standardError: this.samplingError(percentage, points.possible),
+                source: source,
+                pointsPossible: points.possible
+            };
+        }
+
+        return {
+            percentage: multipleChoice.percentage,
+            standardError: this.assumedStandardError,
+            source: 'assumed',
+            pointsPossible: 0
+        };
+    }
+
+    /**
+     * Predict the AP score
+     * @param {Object} data - practiceTests, units ({1: {aptitude, total}, ...}), frqProgress and manualFRQScores
+     * @returns {Object|null} Prediction ({apScore, range, composite, compositeRange, multipleChoice, freeResponse}),
+     *                        or null before any multiple-choice work
+     */
+    predict(data = {}) {
+        const multipleChoice = this.estimateMultipleChoice(data.practiceTests, data.units);
+        if (!multipleChoice) {
+            return null;
+        }
+
+        const freeResponse = this.estimateFreeResponse(data.manualFRQScores, data.frqProgress, multipleChoice);
+        const frqWeight = 1 - this.mcqWeight;
+
+        const composite = this.mcqWeight * multipleChoice.percentage + frqWeight * freeResponse.percentage;
+        const standardError = Math.sqrt(
+            Math.pow(this.mcqWeight * multipleChoice.standardError, 2) +
+            Math.pow(frqWeight * freeResponse.standardError, 2)
+        );
+        const low = Math.max(0, composite - this.rangeZ * standardError);
+        const high = Math.min(100, composite + this.rangeZ * standardError);
+
+        const round = (estimate) => ({
+            ...estimate,
+            percentage: Math.round(estimate.percentage),
+            standardError: Math.round(estimate.standardError * 10) / 10
+        });
+
+        return {
+            apScore: this.getAPScore(composite),
+            range: { low: this.getAPScore(low), high: this.getAPScore(high) },
+            composite: Math.round(composite),
+            compositeRange: { low: Math.round(low), high: Math.round(high) },
+            multipleChoice: round(multipleChoice),
+            freeResponse: round(freeResponse),
+            cutTable: { ...this.cutTable }
+        };
+    }
+
+    /**
+     * Predict the AP score from everything a progress tracker has recorded
+     * @param {ProgressTracker} progressTracker - Progress tracker
+     * @returns {Object|null} Prediction (see predict)
+     */
+    predictFromProgress(progressTracker) {
+        const units = {};
+        const frqProgress = {};
+        for (let unitId = 1; unitId <= 5; unitId++) {
+            units[unitId] = {
+                aptitude: progressTracker.getUnitAptitude(unitId),
+                total: progressTracker.getUnitProgress(unitId).total
+            };
+            frqProgress[unitId] = progressTracker.getFRQProgress(unitId);
+        }
+
+        return this.predict({
+            practiceTests: progressTracker.getPracticeTestHistory(),
+            units: units,
+            frqProgress: frqProgress,
+            manualFRQScores: progressTracker.getManualFRQScores()
+        });
+    }
+
+    /**
+     * Binomial standard error of a percentage, in percentage points
+     * @param {number} percentage - Percentage (0-100)
+     * @param {number} count - Questions or points behind it
+     * @returns {number} Standard error
+     */
+    samplingError(percentage, count) {
+        // Keep a floor so perfect or zero scores still carry some uncertainty
+        const p = Math.min(0.95, Math.max(0.05, percentage / 100));
+        return Math.sqrt(p * (1 - p) / count) * 100;
+    }
+
+    /**
+     * Sample standard deviation
+     * @param {Array} values - Numbers
+     * @returns {number} Standard deviation
+     */
+    standardDeviation(values) {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+}
+
+// Approximate composite percentages needed for each score; pass a cutTable to use a year's published curve
+APScorePredictor.DEFAULT_CUT_TABLE = { 2: 32, 3: 45, 4: 57, 5: 70 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = APScorePredictor;
+}
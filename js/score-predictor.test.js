@@ -0,0 +1,212 @@
+/**
+ * Unit tests for APScorePredictor and manually entered FRQ scores
+ * Tests cut tables, section estimates, composite ranges and prediction from recorded progress
+ */
+
+/**
+ * Test Suite: Cut tables
+ */
+function testCutTable() {
+    console.log('Testing cut tables...');
+
+    const predictor = new APScorePredictor();
+    assert(predictor.getAPScore(100) === 5, 'Perfect composite should be a 5');
+    assert(predictor.getAPScore(APScorePredictor.DEFAULT_CUT_TABLE[4]) === 4, 'Cuts should be inclusive');
+    assert(predictor.getAPScore(APScorePredictor.DEFAULT_CUT_TABLE[3] - 0.5) === 2, 'Just under a cut should be the score below');
+    assert(predictor.getAPScore(0) === 1, 'Zero composite should be a 1');
+
+    const strict = new APScorePredictor({ cutTable: { 2: 40, 3: 55, 4: 70, 5: 85 } });
+    assert(strict.getAPScore(80) === 4, 'Custom cut tables should be used');
+
+    [
+        { 2: 40, 3: 35, 4: 70, 5: 85 },
+        { 2: 40, 3: 55, 4: 70 },
+        { 2: 40, 3: 55, 4: 70, 5: 120 }
+    ].forEach(cutTable => {
+        let threw = false;
+        try {
+            new APScorePredictor({ cutTable });
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, `Invalid cut table ${JSON.stringify(cutTable)} should throw`);
+    });
+
+    console.log('✓ Cut table tests passed');
+}
+
+/**
+ * Test Suite: Section estimates
+ */
+function testSectionEstimates() {
+    console.log('Testing section estimates...');
+
+    const predictor = new APScorePredictor();
+    const tests = [
+        { percentage: 50, total: 55 },
+        { percentage: 70, total: 55 }
+    ];
+
+    const practice = predictor.estimateMultipleChoice(tests, {});
+    assert(practice.source === 'practice' && practice.testsUsed === 2, 'Practice tests should be the source');
+    assert(Math.abs(practice.percentage - 190 / 3) < 0.01, 'Newer tests should be weighted more');
+
+    const sixTests = [{ percentage: 0, total: 55 }, ...Array(5).fill({ percentage: 80, total: 55 })];
+    assert(predictor.estimateMultipleChoice(sixTests, {}).percentage === 80, 'Only the most recent tests should count');
+
+    const unitsOnly = predictor.estimateMultipleChoice([], {
+        1: { aptitude: 80, total: 20 },
+        2: { aptitude: 60, total: 20 },
+        3: { aptitude: 0, total: 0 }
+    });
+    assert(unitsOnly.source === 'units', 'Unit aptitude should be used without practice tests');
+    assert(Math.abs(unitsOnly.percentage - 67.5) < 0.01, 'Units should be weighted like the exam');
+
+    const fullCoverage = predictor.estimateMultipleChoice([], {
+        1: { aptitude: 70, total: 20 }, 2: { aptitude: 70, total: 20 }, 3: { aptitude: 70, total: 20 },
+        4: { aptitude: 70, total: 20 }, 5: { aptitude: 70, total: 20 }
+    });
+    assert(fullCoverage.standardError < unitsOnly.standardError, 'Studying every unit should narrow the estimate');
+
+    const combined = predictor.estimateMultipleChoice(tests, { 1: { aptitude: 90, total: 40 } });
+    assert(combined.source === 'practice_and_units', 'Both sources should be combined');
+    assert(combined.percentage > practice.percentage, 'Unit aptitude should pull the estimate');
+
+    assert(predictor.estimateMultipleChoice([], { 1: { aptitude: 0, total: 0 } }) === null, 'No work should give no estimate');
+
+    const manual = predictor.estimateFreeResponse(
+        [{ pointsEarned: 3, pointsPossible: 6 }],
+        { 1: { pointsEarned: 4, pointsPossible: 4 } },
+        practice
+    );
+    assert(manual.source === 'manual' && manual.percentage === 50, 'Entered scores should be preferred');
+
+    const selfScored = predictor.estimateFreeResponse([], { 1: { pointsEarned: 3, pointsPossible: 4 }, 2: { pointsEarned: 0, pointsPossible: 0 } }, practice);
+    assert(selfScored.source === 'practice' && selfScored.percentage === 75, 'Self-scored FRQs should be used next');
+
+    const assumed = predictor.estimateFreeResponse([], {}, practice);
+    assert(assumed.source === 'assumed' && assumed.percentage === practice.percentage, 'Without FRQs the MC estimate should stand in');
+    assert(assumed.standardError === predictor.assumedStandardError, 'Assumed FRQs should carry a wide margin');
+
+    console.log('✓ Section estimate tests passed');
+}
+
+/**
+ * Test Suite: Composite prediction
+ */
+function testPrediction() {
+    console.log('Testing composite prediction...');
+
+    const predictor = new APScorePredictor();
+    assert(predictor.predict({}) === null, 'No data should give no prediction');
+
+    const tests = Array(4).fill({ percentage: 80, total: 55 });
+    const assumedFRQ = predictor.predict({ practiceTests: tests });
+    const scoredFRQ = predictor.predict({
+        practiceTests: tests,
+        manualFRQScores: Array(4).fill({ pointsEarned: 2, pointsPossible: 4 })
+    });
+
+    assert(assumedFRQ.composite === 80 && assumedFRQ.apScore === 5, 'Matching sections should give the MC score');
+    assert(scoredFRQ.composite === 65 && scoredFRQ.apScore === 4, 'Weak FRQs should pull the composite down');
+    assert(scoredFRQ.freeResponse.source === 'manual', 'Prediction should report the FRQ source');
+    assert(scoredFRQ.compositeRange.low < 65 && scoredFRQ.compositeRange.high > 65, 'Range should surround the composite');
+    assert(scoredFRQ.range.low <= scoredFRQ.apScore && scoredFRQ.range.high >= scoredFRQ.apScore, 'Score range should include the prediction');
+
+    const widthOf = (prediction) => prediction.compositeRange.high - prediction.compositeRange.low;
+    assert(widthOf(assumedFRQ) > widthOf(scoredFRQ), 'Assumed FRQs should widen the range');
+
+    const mcqOnly = new APScorePredictor({ mcqWeight: 1 }).predict({
+        practiceTests: tests,
+        manualFRQScores: [{ pointsEarned: 0, pointsPossible: 6 }]
+    });
+    assert(mcqOnly.composite === 80, 'Section weights should be configurable');
+
+    console.log('✓ Composite prediction tests passed');
+}
+
+/**
+ * Test Suite: Prediction from recorded progress
+ */
+function testPredictionFromProgress() {
+    console.log('Testing prediction from recorded progress...');
+
+    const tracker = new ProgressTracker(new StorageWrapper(null, null, new MemoryStorageBackend()));
+    const predictor = new APScorePredictor();
+    assert(predictor.predictFromProgress(tracker) === null, 'New students should have no prediction');
+
+    tracker.updateUnitProgress(2, 12, 20);
+    const unitBased = predictor.predictFromProgress(tracker);
+    assert(unitBased.multipleChoice.source === 'units', 'Unit quizzes alone should give a prediction');
+
+    tracker.recordPracticeTest(44, 55, { 1: 8, 2: 14, 3: 7, 4: 6, 5: 9 }, { unitTotals: { 1: 10, 2: 17, 3: 8, 4: 7, 5: 13 } });
+    tracker.recordManualFRQScore(4, 6, 'argument-essay');
+    const prediction = predictor.predictFromProgress(tracker);
+    assert(prediction.multipleChoice.source === 'practice_and_units', 'Practice tests should join unit aptitude');
+    assert(prediction.freeResponse.source === 'manual' && prediction.freeResponse.percentage === 67, 'Entered FRQ scores should be used');
+
+    assert(tracker.getManualFRQScores()[0].type === 'argument-essay', 'FRQ type should be stored');
+    let threw = false;
+    try {
+        tracker.recordManualFRQScore(7, 6);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Earned points above possible should throw');
+
+    const reloaded = new ProgressTracker(tracker.storage);
+    assert(reloaded.getManualFRQScores().length === 1, 'Entered FRQ scores should persist');
+
+    const display = new ResultsDisplay(null);
+    assert(display.getAPScoreDescription(4) === 'Well qualified', 'Description without a prediction should be unchanged');
+    assert(display.getAPScoreDescription(4, prediction).includes(`predicted a ${prediction.apScore}`), 'Description should include the prediction');
+
+    console.log('✓ Prediction from recorded progress tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runScorePredictorTests() {
+    console.log('Running ScorePredictor Tests...\n');
+
+    try {
+        testCutTable();
+        testSectionEstimates();
+        testPrediction();
+        testPredictionFromProgress();
+
+        console.log('\n✅ All ScorePredictor tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runScorePredictorTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.StorageWrapper = require('./storage-wrapper.js');
+    global.MemoryStorageBackend = require('./memory-storage-backend.js');
+    global.ExamBlueprint = require('./exam-blueprint.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    global.ScoringEngine = require('./scoring-engine.js');
+    global.ResultsDisplay = require('./results-display.js');
+    global.APScorePredictor = require('./score-predictor.js');
+    runScorePredictorTests();
+}
@@ -18,11 +18,11 @@ class ScoringEngine {
      * Calculate comprehensive score for any quiz mode
      * @param {Array} questions - Array of Question objects
      * @param {Array} answers - Array of answer objects with isCorrect property
-     * @param {string} mode - Quiz mode ('unit', 'practice', 'study')
+     * @param {string} mode - Quiz mode ('unit', 'practice', 'study', 'review', 'frq')
      * @returns {Object} Comprehensive score data
      */
     calculateScore(questions, answers, mode) {
-        const validAnswers = answers.filter(answer => answer !== undefined);
+        const validAnswers = answers.filter(answer => answer !== undefined && answer !== null);
         const correctAnswers = validAnswers.filter(answer => answer.isCorrect);
         
         const baseScore = {
@@ -42,6 +42,10 @@ class ScoringEngine {
                 return this.calculatePracticeScore(questions, answers, baseScore);
             case 'study':
                 return this.calculateStudyScore(questions, answers, baseScore);
+            case 'review':
+                return this.calculateReviewScore(questions, answers, baseScore);
+            case 'frq':
+                return this.calculateFRQScore(questions, answers, baseScore);
             default:
                 return baseScore;
         }
@@ -113,6 +117,103 @@ class ScoringEngine {
         };
     }
 
+    /**
+     * Calculate mistake review score
+     * @param {Array} questions - Array of previously missed Question objects
+     * @param {Array} answers - Array of answer objects
+     * @param {Object} baseScore - Base score calculation
+     * @returns {Object} Review score with the questions still being missed
+     */
+    calculateReviewScore(questions, answers, baseScore) {
+        const unitBreakdown = this.calculateUnitBreakdown(questions, answers);
+        const stillMissed = questions
+            .filter((question, index) => !answers[index] || !answers[index].isCorrect)
+            .map(question => ({ questionId: question.id, unit: question.unit }));
+
+        return {
+            ...baseScore,
+            mode: 'review',
+            unitBreakdown: unitBreakdown,
+            corrected: baseScore.correct,
+            stillMissed: stillMissed,
+            performance: this.getPerformanceLevel(baseScore.percentage),
+            recommendations: this.getReviewRecommendations(baseScore, unitBreakdown)
+        };
+    }
+
+    /**
+     * Calculate free-response score from self-scored rubric points
+     * Percentages are by points, so a 6-point essay weighs more than a 3-point prompt
+     * @param {Array} questions - Array of FRQQuestion objects
+     * @param {Array} answers - Array of answer objects with pointsEarned/pointsPossible
+     * @param {Object} baseScore - Base score calculation
+     * @returns {Object} FRQ score with per-unit and per-type point totals
+     */
+    calculateFRQScore(questions, answers, baseScore) {
+        const unitBreakdown = this.calculateFRQBreakdown(questions, answers, question => question.unit);
+        const typeBreakdown = this.calculateFRQBreakdown(questions, answers, question => question.type);
+
+        let pointsEarned = 0;
+        let pointsPossible = 0;
+        let scored = 0;
+        questions.forEach((question, index) => {
+            const answer = answers[index];
+            if (answer && typeof answer.pointsEarned === 'number') {
+                pointsEarned += answer.pointsEarned;
+                pointsPossible += question.getMaxPoints();
+                scored++;
+            }
+        });
+
+        const percentage = pointsPossible > 0 ? Math.round((pointsEarned / pointsPossible) * 100) : 0;
+
+        return {
+            ...baseScore,
+            mode: 'frq',
+            percentage: percentage,
+            pointsEarned: pointsEarned,
+            pointsPossible: pointsPossible,
+            scored: scored,
+            unscored: baseScore.total - scored,
+            unitBreakdown: unitBreakdown,
+            typeBreakdown: typeBreakdown,
+            performance: this.getPerformanceLevel(percentage),
+            recommendations: this.getFRQRecommendations(percentage, typeBreakdown, baseScore.total - scored)
+        };
+    }
+
+    /**
+     * Total self-scored FRQ points by unit or by FRQ type
+     * @param {Array} questions - Array of FRQQuestion objects
+     * @param {Array} answers - Array of answer objects
+     * @param {Function} keyFor - Returns the grouping key for a question
+     * @returns {Object} Totals keyed by group ({responses, pointsEarned, pointsPossible, percentage})
+     */
+    calculateFRQBreakdown(questions, answers, keyFor) {
+        const breakdown = {};
+
+        questions.forEach((question, index) => {
+            const key = keyFor(question);
+            if (!breakdown[key]) {
+                breakdown[key] = { responses: 0, pointsEarned: 0, pointsPossible: 0, percentage: 0 };
+            }
+
+            const answer = answers[index];
+            if (answer && typeof answer.pointsEarned === 'number') {
+                breakdown[key].responses++;
+                breakdown[key].pointsEarned += answer.pointsEarned;
+                breakdown[key].pointsPossible += question.getMaxPoints();
+            }
+        });
+
+        Object.values(breakdown).forEach(group => {
+            group.percentage = group.pointsPossible > 0 ?
+                Math.round((group.pointsEarned / group.pointsPossible) * 100) : 0;
+        });
+
+        return breakdown;
+    }
+
     /**
      * Calculate unit breakdown for multi-unit quizzes
      * @param {Array} questions - Array of Question objects
@@ -130,7 +231,7 @@ class ScoringEngine {
 
         questions.forEach((question, index) => {
             const answer = answers[index];
-            if (answer !== undefined) {
+            if (answer !== undefined && answer !== null) {
                 breakdown[question.unit].total++;
                 if (answer.isCorrect) {
                     breakdown[question.unit].correct++;
@@ -195,7 +296,7 @@ class ScoringEngine {
      * @returns {Object} Learning progress metrics
      */
     calculateLearningProgress(questions, answers) {
-        const validAnswers = answers.filter(answer => answer !== undefined);
+        const validAnswers = answers.filter(answer => answer !== undefined && answer !== null);
         
         // Calculate improvement over time (if we have timestamps)
         const timeBasedProgress = this.calculateTimeBasedProgress(validAnswers);
@@ -256,62 +357,216 @@ class ScoringEngine {
      * Analyze performance by question difficulty
      * @param {Array} questions - Array of Question objects
      * @param {Array} answers - Array of answer objects
-     * @returns {Object} Difficulty analysis
+     * @returns {Object} Difficulty analysis ({easy, medium, hard, unrated} with correct/total/percentage)
      */
     analyzeDifficultyPerformance(questions, answers) {
-        // This is a placeholder - in a real implementation, questions would have difficulty ratings
-        // For now, we'll simulate difficulty based on unit and question characteristics
-        
-        const difficultyLevels = { easy: 0, medium: 0, hard: 0 };
-        const correctByDifficulty = { easy: 0, medium: 0, hard: 0 };
+        const analysis = {};
+        ['easy', 'medium', 'hard', 'unrated'].forEach(level => {
+            analysis[level] = { correct: 0, total: 0, percentage: 0 };
+        });
 
         questions.forEach((question, index) => {
             const answer = answers[index];
-            if (answer !== undefined) {
-                // Simulate difficulty assignment (this would be real data in production)
-                const difficulty = this.estimateQuestionDifficulty(question);
-                difficultyLevels[difficulty]++;
+            if (answer !== undefined && answer !== null) {
+                const level = analysis[this.estimateQuestionDifficulty(question)] || analysis.unrated;
+                level.total++;
                 if (answer.isCorrect) {
-                    correctByDifficulty[difficulty]++;
+                    level.correct++;
                 }
             }
         });
 
-        return {
-            easy: {
-                correct: correctByDifficulty.easy,
-                total: difficultyLevels.easy,
-                percentage: difficultyLevels.easy > 0 ? 
-                    Math.round((correctByDifficulty.easy / difficultyLevels.easy) * 100) : 0
-            },
-            medium: {
-                correct: correctByDifficulty.medium,
-                total: difficultyLevels.medium,
-                percentage: difficultyLevels.medium > 0 ? 
-                    Math.round((correctByDifficulty.medium / difficultyLevels.medium) * 100) : 0
-            },
-            hard: {
-                correct: correctByDifficulty.hard,
-                total: difficultyLevels.hard,
-                percentage: difficultyLevels.hard > 0 ? 
-                    Math.round((correctByDifficulty.hard / difficultyLevels.hard) * 100) : 0
-            }
-        };
+        Object.values(analysis).forEach(level => {
+            level.percentage = level.total > 0 ? Math.round((level.correct / level.total) * 100) : 0;
+        });
+
+        return analysis;
     }
 
     /**
-     * Estimate question difficulty (placeholder implementation)
+     * Get a question's difficulty level (see Question.getDifficulty)
      * @param {Object} question - Question object
-     * @returns {string} Difficulty level: 'easy', 'medium', or 'hard'
+     * @returns {string|null} Difficulty level: 'easy', 'medium', 'hard', or null if unrated
      */
     estimateQuestionDifficulty(question) {
-        // This is a simplified heuristic - real implementation would use actual difficulty data
-        const questionLength = question.question.length;
-        const hasComplexConcepts = /constitution|amendment|federalism|separation|judicial review/i.test(question.question);
-        
-        if (questionLength > 150 || hasComplexConcepts) return 'hard';
-        if (questionLength > 80) return 'medium';
-        return 'easy';
+        if (typeof question.getDifficulty === 'function') {
+            return question.getDifficulty();
+        }
+        return question.difficulty || null;
+    }
+
+    /**
+     * Calculate classical item statistics from the attempt ledger
+     * Each quiz is treated as one sitting: discrimination is the point-biserial correlation between
+     * answering the item correctly and the score on the rest of that quiz.
+     * @param {Array} attempts - Attempt entries (see ProgressTracker.recordAttempt)
+     * @param {Object} options - minAttempts: attempts needed before an item is rated (default 5)
+     * @returns {Object} Statistics keyed by question ID
+     *                   ({questionId, unit, attempts, correct, pValue, discrimination, difficulty})
+     */
+    calculateItemStatistics(attempts, options = {}) {
+        const minAttempts = options.minAttempts || ScoringEngine.MIN_ITEM_ATTEMPTS;
+        const stats = {};
+        const samples = {};
+        const quizzes = new Map();
+
+        (attempts || []).forEach(attempt => {
+            if (!stats[attempt.questionId]) {
+                stats[attempt.questionId] = {
+                    questionId: attempt.questionId,
+                    unit: attempt.unit,
+                    attempts: 0,
+                    correct: 0,
+                    pValue: 0,
+                    discrimination: null,
+                    difficulty: null
+                };
+                samples[attempt.questionId] = [];
+            }
+
+            stats[attempt.questionId].attempts++;
+            if (attempt.isCorrect) {
+                stats[attempt.questionId].correct++;
+            }
+
+            if (attempt.quizId) {
+                if (!quizzes.has(attempt.quizId)) {
+                    quizzes.set(attempt.quizId, []);
+                }
+                quizzes.get(attempt.quizId).push(attempt);
+            }
+        });
+
+        // Rest-of-quiz score for each attempt, from quizzes with at least two other items
+        quizzes.forEach(quizAttempts => {
+            if (quizAttempts.length < 3) {
+                return;
+            }
+
+            const quizCorrect = quizAttempts.filter(attempt => attempt.isCorrect).length;
+            quizAttempts.forEach(attempt => {
+                samples[attempt.questionId].push({
+                    isCorrect: attempt.isCorrect,
+                    restScore: (quizCorrect - (attempt.isCorrect ? 1 : 0)) / (quizAttempts.length - 1)
+                });
+            });
+        });
+
+        Object.values(stats).forEach(item => {
+            item.pValue = Math.round((item.correct / item.attempts) * 100) / 100;
+            if (item.attempts >= minAttempts) {
+                item.difficulty = this.getDifficultyFromPValue(item.pValue);
+            }
+            if (samples[item.questionId].length >= minAttempts) {
+                item.discrimination = this.calculatePointBiserial(samples[item.questionId]);
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Map the proportion of correct answers to a difficulty level
+     * @param {number} pValue - Proportion answered correctly (0-1)
+     * @returns {string} Difficulty level
+     */
+    getDifficultyFromPValue(pValue) {
+        if (pValue >= ScoringEngine.DIFFICULTY_THRESHOLDS.easy) return 'easy';
+        if (pValue < ScoringEngine.DIFFICULTY_THRESHOLDS.hard) return 'hard';
+        return 'medium';
+    }
+
+    /**
+     * Point-biserial correlation between answering correctly and the rest score
+     * @param {Array} samples - Samples ({isCorrect, restScore})
+     * @returns {number|null} Correlation (-1 to 1), or null if either side has no variance
+     */
+    calculatePointBiserial(samples) {
+        const n = samples.length;
+        const correctSamples = samples.filter(sample => sample.isCorrect);
+        const p = correctSamples.length / n;
+        if (p === 0 || p === 1) {
+            return null;
+        }
+
+        const mean = samples.reduce((sum, sample) => sum + sample.restScore, 0) / n;
+        const variance = samples.reduce((sum, sample) => sum + Math.pow(sample.restScore - mean, 2), 0) / n;
+        if (variance === 0) {
+            return null;
+        }
+
+        const meanOf = (group) => group.reduce((sum, sample) => sum + sample.restScore, 0) / group.length;
+        const incorrectSamples = samples.filter(sample => !sample.isCorrect);
+        const r = (meanOf(correctSamples) - meanOf(incorrectSamples)) / Math.sqrt(variance) * Math.sqrt(p * (1 - p));
+
+        return Math.round(r * 100) / 100;
+    }
+
+    /**
+     * Calculate pacing analytics from the time spent on each question
+     * @param {Array} questions - Array of Question objects
+     * @param {Array} answers - Array of answer objects
+     * @param {Array<number>} questionTimes - Milliseconds spent per question index, including revisits
+     * @param {Object} options - targetSeconds: seconds per question to aim for (defaults to the exam pace)
+     * @returns {Object|null} Pacing analytics, or null when no time was recorded
+     */
+    calculatePacing(questions, answers, questionTimes, options = {}) {
+        const targetSeconds = options.targetSeconds || ScoringEngine.EXAM_PACE_SECONDS;
+        const seconds = (ms) => Math.round((ms || 0) / 100) / 10;
+
+        const timed = questions
+            .map((question, index) => ({
+                index: index,
+                number: index + 1,
+                questionId: question.id,
+                unit: question.unit,
+                seconds: seconds(questionTimes[index]),
+                isCorrect: answers[index] ? !!answers[index].isCorrect : null
+            }))
+            .filter(item => item.seconds > 0);
+
+        if (timed.length === 0) {
+            return null;
+        }
+
+        const average = (items) => items.length > 0 ?
+            Math.round(items.reduce((sum, item) => sum + item.seconds, 0) / items.length * 10) / 10 : 0;
+        const totalSeconds = Math.round(timed.reduce((sum, item) => sum + item.seconds, 0));
+        const averageSeconds = average(timed);
+        const paceRatio = averageSeconds / targetSeconds;
+
+        // Accuracy by time spent, relative to the target pace
+        const timeBands = [
+            { id: 'quick', label: `Under ${Math.round(targetSeconds / 2)}s`, max: targetSeconds / 2 },
+            { id: 'steady', label: `${Math.round(targetSeconds / 2)}-${Math.round(targetSeconds * 1.5)}s`, max: targetSeconds * 1.5 },
+            { id: 'slow', label: `Over ${Math.round(targetSeconds * 1.5)}s`, max: Infinity }
+        ];
+        const accuracyByTime = timeBands.map(band => ({ id: band.id, label: band.label, answered: 0, correct: 0, percentage: 0 }));
+        timed.filter(item => item.isCorrect !== null).forEach(item => {
+            const band = accuracyByTime[timeBands.findIndex(candidate => item.seconds < candidate.max)];
+            band.answered++;
+            if (item.isCorrect) band.correct++;
+        });
+        accuracyByTime.forEach(band => {
+            band.percentage = band.answered > 0 ? Math.round((band.correct / band.answered) * 100) : 0;
+        });
+
+        let status = 'on_pace';
+        if (paceRatio > 1.1) status = 'behind';
+        else if (paceRatio < 0.9) status = 'ahead';
+
+        return {
+            targetSeconds: Math.round(targetSeconds * 10) / 10,
+            averageSeconds: averageSeconds,
+            totalSeconds: totalSeconds,
+            projectedSeconds: Math.round(averageSeconds * questions.length),
+            questionsTimed: timed.length,
+            status: status,
+            averageCorrectSeconds: average(timed.filter(item => item.isCorrect === true)),
+            averageIncorrectSeconds: average(timed.filter(item => item.isCorrect === false)),
+            slowestQuestions: [...timed].sort((a, b) => b.seconds - a.seconds).slice(0, 5),
+            accuracyByTime: accuracyByTime
+        };
     }
 
     /**
@@ -457,6 +712,68 @@ class ScoringEngine {
         return recommendations;
     }
 
+    /**
+     * Get recommendations for mistake review performance
+     * @param {Object} baseScore - Base score calculation
+     * @param {Object} unitBreakdown - Unit breakdown data
+     * @returns {Array} Array of recommendation strings
+     */
+    getReviewRecommendations(baseScore, unitBreakdown) {
+        const recommendations = [];
+
+        if (baseScore.percentage >= 80) {
+            recommendations.push('You\'ve corrected most of your past mistakes - keep reviewing until they drop out of the pool');
+        } else if (baseScore.percentage < 50) {
+            recommendations.push('Read the explanations for these questions before reviewing them again');
+        } else {
+            recommendations.push('Review these questions again soon to lock in the corrections');
+        }
+
+        const weakUnits = Object.keys(unitBreakdown)
+            .filter(unitId => unitBreakdown[unitId].total > 0 && unitBreakdown[unitId].percentage < 50);
+        weakUnits.forEach(unitId => {
+            recommendations.push(`• Revisit ${this.unitNames[unitId]} in Study Mode`);
+        });
+
+        if (baseScore.unanswered > 0) {
+            recommendations.push('Unanswered questions stay in your review pool');
+        }
+
+        return recommendations;
+    }
+
+    /**
+     * Get recommendations for free-response practice
+     * @param {number} percentage - Percentage of rubric points earned
+     * @param {Object} typeBreakdown - Points by FRQ type
+     * @param {number} unscored - Responses written but not self-scored
+     * @returns {Array} Array of recommendation strings
+     */
+    getFRQRecommendations(percentage, typeBreakdown, unscored) {
+        const recommendations = [];
+
+        if (percentage >= 80) {
+            recommendations.push('Strong responses - practice under timed conditions to match the exam');
+        } else if (percentage >= 50) {
+            recommendations.push('Compare your responses with the rubric wording and add the missing links in your reasoning');
+        } else {
+            recommendations.push('Answer each lettered part separately and tie every claim back to the prompt');
+        }
+
+        const typeNames = typeof FRQQuestion !== 'undefined' ? FRQQuestion.TYPES : {};
+        Object.keys(typeBreakdown)
+            .filter(type => typeBreakdown[type].responses > 0 && typeBreakdown[type].percentage < 50)
+            .forEach(type => {
+                recommendations.push(`• Practice more ${typeNames[type] || type} questions`);
+            });
+
+        if (unscored > 0) {
+            recommendations.push('Score every response against the rubric so it counts toward your FRQ progress');
+        }
+
+        return recommendations;
+    }
+
     /**
      * Generate detailed results display data
      * @param {Object} scoreData - Comprehensive score data
@@ -498,6 +815,24 @@ class ScoringEngine {
                     unitBreakdown: scoreData.unitBreakdown
                 };
                 break;
+
+            case 'review':
+                display.details = {
+                    corrected: scoreData.corrected,
+                    stillMissed: scoreData.stillMissed.length,
+                    unitBreakdown: scoreData.unitBreakdown
+                };
+                break;
+
+            case 'frq':
+                display.summary.score = `${scoreData.pointsEarned}/${scoreData.pointsPossible} pts`;
+                display.details = {
+                    responses: scoreData.total,
+                    unscored: scoreData.unscored,
+                    unitBreakdown: scoreData.unitBreakdown,
+                    typeBreakdown: scoreData.typeBreakdown
+                };
+                break;
         }
 
         return display;
@@ -586,6 +921,15 @@ class ScoringEngine {
     }
 }
 
+// P-value cut-offs between difficulty levels
+ScoringEngine.DIFFICULTY_THRESHOLDS = { easy: 0.75, hard: 0.5 };
+
+// Attempts needed before a question's empirical difficulty replaces its bank rating
+ScoringEngine.MIN_ITEM_ATTEMPTS = 5;
+
+// Target seconds per multiple-choice question on the exam (80 minutes for 55 questions)
+ScoringEngine.EXAM_PACE_SECONDS = (80 * 60) / 55;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ScoringEngine;
@@ -255,6 +255,71 @@ function runScoringEngineTests() {
     assert(timeProgress.hasOwnProperty('trend'), 'Should analyze time-based trends');
     assert(timeProgress.hasOwnProperty('recent'), 'Should calculate recent performance');
 
+    // Test mistake review scoring
+    console.log('\n--- Testing Review Mode Scoring ---');
+    const reviewScore = scoringEngine.calculateScore(questions, createMockAnswers([true, false, true, false, true]), 'review');
+    assert(reviewScore.mode === 'review', 'Should set review mode correctly');
+    assert(reviewScore.corrected === 3, 'Should count corrected mistakes');
+    assert(reviewScore.stillMissed.length === 2, 'Should list questions still missed');
+    assert(reviewScore.stillMissed[0].questionId === 'q2', 'Should identify the missed question');
+    assert(reviewScore.recommendations.length > 0, 'Should generate review recommendations');
+    
+    const reviewDisplay = scoringEngine.generateResultsDisplay(reviewScore);
+    assert(reviewDisplay.details.stillMissed === 2, 'Should include still-missed count in display details');
+
+    // Test pacing analytics
+    console.log('\n--- Testing Pacing Analytics ---');
+    const pacingAnswers = createMockAnswers([true, false, true, true]);
+    const pacing = scoringEngine.calculatePacing(questions, pacingAnswers, [30000, 200000, 60000, 90000, 0], { targetSeconds: 90 });
+    assert(pacing.questionsTimed === 4, 'Should only count questions with time recorded');
+    assert(pacing.averageSeconds === 95, 'Should average seconds per timed question');
+    assert(pacing.totalSeconds === 380, 'Should total the time spent');
+    assert(pacing.status === 'on_pace', 'Should be on pace within 10% of the target');
+    assert(pacing.slowestQuestions[0].questionId === 'q2', 'Should list the slowest question first');
+    assert(pacing.slowestQuestions[0].isCorrect === false, 'Slowest question should carry its result');
+    assert(pacing.averageCorrectSeconds === 60, 'Should average time on correct answers');
+    assert(pacing.averageIncorrectSeconds === 200, 'Should average time on incorrect answers');
+    assert(pacing.accuracyByTime[0].answered === 1 && pacing.accuracyByTime[0].percentage === 100, 'Quick answers should be banded');
+    assert(pacing.accuracyByTime[2].answered === 1 && pacing.accuracyByTime[2].correct === 0, 'Slow answers should be banded');
+    
+    const examPacing = scoringEngine.calculatePacing(questions, pacingAnswers, [200000, 200000]);
+    assert(Math.round(examPacing.targetSeconds) === 87, 'Should default to the exam pace');
+    assert(examPacing.status === 'behind', 'Should flag a pace slower than the target');
+    assert(scoringEngine.calculatePacing(questions, pacingAnswers, []) === null, 'Should return null without timing data');
+
+    // Test item statistics
+    console.log('\n--- Testing Item Statistics ---');
+    const attempts = [];
+    ['s1', 's2', 's3', 's4', 's5', 's6'].forEach((quizId, sitting) => {
+        const strong = sitting < 3;
+        attempts.push({ questionId: 'q1', unit: 1, quizId, isCorrect: strong });
+        attempts.push({ questionId: 'q2', unit: 1, quizId, isCorrect: true });
+        attempts.push({ questionId: 'q3', unit: 2, quizId, isCorrect: sitting === 4 });
+        attempts.push({ questionId: 'q5', unit: 3, quizId, isCorrect: sitting === 0 });
+        if (sitting < 4) {
+            attempts.push({ questionId: 'q4', unit: 2, quizId, isCorrect: true });
+        }
+    });
+    const itemStats = scoringEngine.calculateItemStatistics(attempts);
+    assert(itemStats.q1.attempts === 6 && itemStats.q1.pValue === 0.5, 'Should compute the proportion correct');
+    assert(itemStats.q1.difficulty === 'medium', 'Should rate a 50% item as medium');
+    assert(itemStats.q2.difficulty === 'easy', 'Should rate an item everyone answers as easy');
+    assert(itemStats.q5.difficulty === 'hard', 'Should rate a rarely answered item as hard');
+    assert(itemStats.q4.difficulty === null, 'Should not rate items below the minimum attempts');
+    assert(itemStats.q1.discrimination > 0, 'Items answered by stronger sittings should discriminate positively');
+    assert(itemStats.q3.discrimination < 0, 'Items answered by weaker sittings should discriminate negatively');
+    assert(itemStats.q2.discrimination === null, 'Items without variance should have no discrimination');
+    assert(scoringEngine.calculateItemStatistics(attempts, { minAttempts: 4 }).q4.difficulty === 'easy', 'Should honor a custom minimum');
+
+    const ratedQuestions = [
+        { id: 'r1', unit: 1, difficulty: 'easy' },
+        { id: 'r2', unit: 1, difficulty: 'hard' },
+        { id: 'r3', unit: 1 }
+    ];
+    const difficultyAnalysis = scoringEngine.analyzeDifficultyPerformance(ratedQuestions, createMockAnswers([true, false, true]));
+    assert(difficultyAnalysis.easy.percentage === 100 && difficultyAnalysis.hard.total === 1, 'Should group answers by difficulty');
+    assert(difficultyAnalysis.unrated.total === 1, 'Should count questions without a rating as unrated');
+
     // Summary
     console.log('\n--- Test Summary ---');
     console.log(`Tests passed: ${testsPassed}/${totalTests}`);
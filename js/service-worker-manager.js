@@ -0,0 +1,165 @@
+/**
+ * ServiceWorkerManager - Registers the offline service worker (sw.js) and announces updates
+ * A new build installs as a waiting worker and a new question bank is announced by the worker;
+ * either way the user is offered a reload through ErrorHandler.showNotification
+ */
+class ServiceWorkerManager {
+    /**
+     * @param {ErrorHandler} errorHandler - Error handler used to show update notifications
+     * @param {Object} options - Options
+     * @param {ServiceWorkerContainer} options.container - Service worker container (defaults to navigator.serviceWorker)
+     * @param {string} options.scriptUrl - Service worker script
+     * @param {Function} options.reload - Reloads the page
+     */
+    constructor(errorHandler = null, options = {}) {
+        this.errorHandler = errorHandler;
+        this.container = options.container ||
+            (typeof navigator !== 'undefined' && navigator.serviceWorker ? navigator.serviceWorker : null);
+        this.scriptUrl = options.scriptUrl || ServiceWorkerManager.SCRIPT_URL;
+        this.reload = options.reload || (() => window.location.reload());
+        this.registration = null;
+
+        // Notification IDs by update kind ('build' or 'bank'), so each is announced once
+        this.updateNotifications = new Map();
+
+        // Set once the user accepts an update; the next controller change reloads the page
+        this.isReloading = false;
+    }
+
+    /**
+     * Whether service workers are available in this environment
+     * @param {ServiceWorkerContainer} container - Container to check (defaults to navigator.serviceWorker)
+     * @returns {boolean} True if available
+     */
+    static isSupported(container = null) {
+        return Boolean(container || (typeof navigator !== 'undefined' && navigator.serviceWorker));
+    }
+
+    /**
+     * Register the service worker and start listening for updates
+     * Never throws: without a service worker the app simply works online only
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unavailable
+     */
+    async register() {
+        if (!this.container) {
+            console.warn('Service workers are not supported, offline mode is unavailable');
+            return null;
+        }
+
+        try {
+            this.registration = await this.container.register(this.scriptUrl, { updateViaCache: 'none' });
+        } catch (error) {
+            console.warn('Service worker registration failed, offline mode is unavailable:', error);
+            return null;
+        }
+
+        this.container.addEventListener('message', event => this.handleMessage(event));
+        this.container.addEventListener('controllerchange', () => this.handleControllerChange());
+        this.watchRegistration(this.registration);
+
+        console.log('Service worker registered');
+        return this.registration;
+    }
+
+    /**
+     * Announce a new build when a worker finishes installing alongside the active one
+     * @param {ServiceWorkerRegistration} registration - Service worker registration
+     */
+    watchRegistration(registration) {
+        // A worker installed during an earlier visit may already be waiting
+        if (registration.waiting && this.container.controller) {
+            this.showUpdate('build');
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) {
+                return;
+            }
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && this.container.controller) {
+                    this.showUpdate('build');
+                }
+            });
+        });
+    }
+
+    /**
+     * Handle a message from the service worker
+     * @param {MessageEvent} event - Message event
+     */
+    handleMessage(event) {
+        if (event.data && event.data.type === ServiceWorkerManager.MESSAGE_TYPES.BANK_UPDATED) {
+            this.showUpdate('bank');
+        }
+    }
+
+    /**
+     * Show an update notification with a reload action
+     * @param {string} kind - 'build' or 'bank'
+     * @returns {string|null} Notification ID, or null if already shown
+     */
+    showUpdate(kind) {
+        if (this.updateNotifications.has(kind)) {
+            return null;
+        }
+
+        const message = ServiceWorkerManager.UPDATE_MESSAGES[kind];
+        if (!this.errorHandler) {
+            console.log(message);
+            this.updateNotifications.set(kind, null);
+            return null;
+        }
+
+        const id = this.errorHandler.showNotification(message, 'info', 0, {
+            actions: [{ label: 'Reload', onClick: () => this.applyUpdate() }]
+        });
+        this.updateNotifications.set(kind, id);
+        return id;
+    }
+
+    /**
+     * Reload into the update
+     * A waiting worker is activated first; the page reloads once it has taken control
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        this.isReloading = true;
+
+        if (waiting) {
+            waiting.postMessage({ type: ServiceWorkerManager.MESSAGE_TYPES.SKIP_WAITING });
+        } else {
+            this.reload();
+        }
+    }
+
+    /**
+     * Reload after an accepted update takes control
+     * The first install also claims the page; that must not reload it
+     */
+    handleControllerChange() {
+        if (this.isReloading) {
+            this.reload();
+        }
+    }
+}
+
+ServiceWorkerManager.SCRIPT_URL = 'sw.js';
+
+// Must match MESSAGE_TYPES in sw.js
+ServiceWorkerManager.MESSAGE_TYPES = {
+    BANK_UPDATED: 'bank-updated',
+    SKIP_WAITING: 'skip-waiting'
+};
+
+ServiceWorkerManager.UPDATE_MESSAGES = {
+    build: 'A new version of the study tool is available. Reload to update.',
+    bank: 'New questions are available. Reload to use the updated question bank.'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceWorkerManager;
+}
@@ -0,0 +1,282 @@
+/**
+ * Unit tests for ServiceWorkerManager and the offline service worker (sw.js)
+ * Tests registration, build and question bank update notifications, reloading into updates,
+ * precache coverage and cache versioning
+ */
+
+/**
+ * Minimal event target for the fake service worker objects
+ */
+class FakeServiceWorkerTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    dispatch(type, event = {}) {
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+}
+
+class FakeServiceWorker extends FakeServiceWorkerTarget {
+    constructor(state = 'installing') {
+        super();
+        this.state = state;
+        this.messages = [];
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.dispatch('statechange');
+    }
+}
+
+class FakeServiceWorkerContainer extends FakeServiceWorkerTarget {
+    constructor(options = {}) {
+        super();
+        this.controller = options.controller || null;
+        this.registration = new FakeServiceWorkerTarget();
+        this.registration.waiting = options.waiting || null;
+        this.registration.installing = null;
+        this.registerError = options.registerError || null;
+        this.registered = [];
+    }
+
+    async register(scriptUrl, options) {
+        if (this.registerError) {
+            throw this.registerError;
+        }
+        this.registered.push({ scriptUrl, options });
+        return this.registration;
+    }
+}
+
+/**
+ * Error handler stand-in that records notifications
+ */
+function createNotificationLog() {
+    const notifications = [];
+    return {
+        notifications,
+        showNotification: (message, type, duration, options) => {
+            notifications.push({ message, type, duration, options });
+            return `notification-${notifications.length}`;
+        }
+    };
+}
+
+/**
+ * Test Suite: Registration
+ */
+async function testRegistration() {
+    console.log('Testing service worker registration...');
+
+    const container = new FakeServiceWorkerContainer();
+    const manager = new ServiceWorkerManager(null, { container });
+    assert(ServiceWorkerManager.isSupported(container), 'A given container should count as support');
+
+    const registration = await manager.register();
+    assert(registration === container.registration, 'The registration should be returned');
+    assert(container.registered[0].scriptUrl === 'sw.js', 'The service worker script should be registered');
+    assert(container.registered[0].options.updateViaCache === 'none', 'The script should bypass the HTTP cache');
+
+    // Failures leave the app running online only
+    const failing = new ServiceWorkerManager(null, {
+        container: new FakeServiceWorkerContainer({ registerError: new Error('Insecure origin') })
+    });
+    assert(await failing.register() === null, 'A failed registration should resolve to null');
+
+    console.log('✓ Service worker registration tests passed');
+}
+
+/**
+ * Test Suite: Build and question bank updates
+ */
+async function testUpdateNotifications() {
+    console.log('Testing update notifications...');
+
+    // The first install is not an update
+    const firstVisit = new FakeServiceWorkerContainer();
+    const firstLog = createNotificationLog();
+    await new ServiceWorkerManager(firstLog, { container: firstVisit }).register();
+    const firstWorker = new FakeServiceWorker();
+    firstVisit.registration.installing = firstWorker;
+    firstVisit.registration.dispatch('updatefound');
+    firstWorker.setState('installed');
+    assert(firstLog.notifications.length === 0, 'The first install should not be announced');
+
+    // A new build installed next to the active worker is announced once, with a reload action
+    const container = new FakeServiceWorkerContainer({ controller: new FakeServiceWorker('activated') });
+    const log = createNotificationLog();
+    let reloads = 0;
+    const manager = new ServiceWorkerManager(log, { container, reload: () => reloads++ });
+    await manager.register();
+
+    const worker = new FakeServiceWorker();
+    container.registration.installing = worker;
+    container.registration.dispatch('updatefound');
+    worker.setState('installed');
+    worker.setState('installed');
+    assert(log.notifications.length === 1, 'A new build should be announced once');
+    assert(log.notifications[0].message === ServiceWorkerManager.UPDATE_MESSAGES.build, 'The build message should be shown');
+    assert(log.notifications[0].duration === 0, 'Update notifications should stay until dismissed');
+
+    // A new question bank is announced through a message from the worker
+    container.dispatch('message', { data: { type: ServiceWorkerManager.MESSAGE_TYPES.BANK_UPDATED } });
+    container.dispatch('message', { data: { type: 'unrelated' } });
+    assert(log.notifications.length === 2 && log.notifications[1].message === ServiceWorkerManager.UPDATE_MESSAGES.bank,
+        'A new question bank should be announced');
+
+    // Reloading activates the waiting worker and reloads once it takes control
+    container.registration.waiting = worker;
+    log.notifications[0].options.actions[0].onClick();
+    assert(worker.messages[0].type === ServiceWorkerManager.MESSAGE_TYPES.SKIP_WAITING, 'The waiting worker should be activated');
+    assert(reloads === 0, 'The page should wait for the new worker');
+    container.dispatch('controllerchange');
+    assert(reloads === 1, 'The page should reload once the new worker takes control');
+
+    // Without a waiting worker (a new bank only) the page reloads straight away
+    const bankContainer = new FakeServiceWorkerContainer({ controller: new FakeServiceWorker('activated') });
+    const bankLog = createNotificationLog();
+    let bankReloads = 0;
+    await new ServiceWorkerManager(bankLog, { container: bankContainer, reload: () => bankReloads++ }).register();
+    bankContainer.dispatch('controllerchange');
+    assert(bankReloads === 0, 'A controller change the user did not ask for should not reload');
+    bankContainer.dispatch('message', { data: { type: ServiceWorkerManager.MESSAGE_TYPES.BANK_UPDATED } });
+    bankLog.notifications[0].options.actions[0].onClick();
+    assert(bankReloads === 1, 'A question bank update should reload straight away');
+
+    // A worker left waiting by an earlier visit is announced on load
+    const waitingContainer = new FakeServiceWorkerContainer({
+        controller: new FakeServiceWorker('activated'),
+        waiting: new FakeServiceWorker('installed')
+    });
+    const waitingLog = createNotificationLog();
+    await new ServiceWorkerManager(waitingLog, { container: waitingContainer }).register();
+    assert(waitingLog.notifications.length === 1, 'A waiting worker should be announced on load');
+
+    console.log('✓ Update notification tests passed');
+}
+
+/**
+ * Test Suite: Service worker precaching and cache versions
+ * sw.js is not loaded by the browser test page, so these run under Node only
+ */
+async function testServiceWorkerScript() {
+    if (typeof require !== 'function') {
+        console.log('Skipping service worker script tests outside Node.js');
+        return;
+    }
+
+    console.log('Testing service worker script...');
+
+    const fs = require('fs');
+    const path = require('path');
+    const sw = require('../sw.js');
+    const root = path.join(__dirname, '..');
+
+    // Everything index.html loads is precached
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const pageAssets = Array.from(html.matchAll(/<(?:script|link)[^>]+(?:src|href)="([^"#]+)"/g), match => match[1]);
+    const css = fs.readFileSync(path.join(root, 'styles/main.css'), 'utf8');
+    const imports = Array.from(css.matchAll(/@import url\('([^']+)'\)/g), match => `styles/${match[1]}`);
+    [...pageAssets, ...imports, 'index.html', sw.QUESTION_BANK_URL].forEach(url => {
+        assert(sw.PRECACHE_URLS.includes(url), `${url} should be precached`);
+    });
+    sw.PRECACHE_URLS.filter(url => url !== './').forEach(url => {
+        assert(fs.existsSync(path.join(root, url)), `Precached file ${url} should exist`);
+    });
+    assert(JSON.stringify(sw.MESSAGE_TYPES) === JSON.stringify(ServiceWorkerManager.MESSAGE_TYPES),
+        'The page and the worker should use the same messages');
+
+    const originalCaches = global.caches;
+    const originalFetch = global.fetch;
+    const originalSelf = global.self;
+    try {
+        // Caches from other versions are deleted, other apps' caches are kept
+        const cacheNames = [sw.CACHE_NAME, 'ap-gov-study-tool-v0', 'other-app'];
+        global.caches = {
+            keys: async () => cacheNames.slice(),
+            delete: async name => cacheNames.splice(cacheNames.indexOf(name), 1).length > 0
+        };
+        const deleted = await sw.deleteOldCaches();
+        assert(deleted.length === 1 && deleted[0] === 'ap-gov-study-tool-v0', 'Old versions should be deleted');
+        assert(cacheNames.includes(sw.CACHE_NAME) && cacheNames.includes('other-app'), 'Other caches should be kept');
+
+        // A changed question bank replaces the cached one and open pages are told
+        const fakeResponse = body => ({ ok: true, body, clone() { return this; }, text: async () => body });
+        const stored = new Map();
+        const cache = { put: async (url, response) => stored.set(url, response) };
+        const messages = [];
+        global.self = { clients: { matchAll: async () => [{ postMessage: message => messages.push(message) }] } };
+
+        let bankBody = '{"questions":[1]}';
+        global.fetch = async () => fakeResponse(bankBody);
+        assert(await sw.refreshQuestionBank(cache, fakeResponse(bankBody)) === false, 'An unchanged bank should not be re-cached');
+        assert(messages.length === 0, 'An unchanged bank should not be announced');
+
+        assert(await sw.refreshQuestionBank(cache, null) === true && messages.length === 0,
+            'The first cached bank should not be announced');
+
+        bankBody = '{"questions":[1,2]}';
+        assert(await sw.refreshQuestionBank(cache, fakeResponse('{"questions":[1]}')) === true, 'A new bank should be cached');
+        assert(stored.get(sw.QUESTION_BANK_URL).body === bankBody, 'The new bank should replace the cached one');
+        assert(messages.length === 1 && messages[0].type === sw.MESSAGE_TYPES.BANK_UPDATED, 'A new bank should be announced');
+
+        global.fetch = async () => ({ ok: false });
+        assert(await sw.refreshQuestionBank(cache, fakeResponse(bankBody)) === false, 'Failed fetches should keep the cached bank');
+    } finally {
+        global.caches = originalCaches;
+        global.fetch = originalFetch;
+        global.self = originalSelf;
+    }
+
+    console.log('✓ Service worker script tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+async function runServiceWorkerManagerTests() {
+    console.log('Running ServiceWorkerManager Tests...\n');
+
+    try {
+        await testRegistration();
+        await testUpdateNotifications();
+        await testServiceWorkerScript();
+
+        console.log('\n✅ All ServiceWorkerManager tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runServiceWorkerManagerTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.ServiceWorkerManager = require('./service-worker-manager.js');
+    runServiceWorkerManagerTests();
+}
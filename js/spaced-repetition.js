@@ -0,0 +1,140 @@
+/**
+ * SpacedRepetitionScheduler - SM-2 style review scheduling for Study Mode
+ * Tracks ease, interval and due date per question so missed items come back sooner
+ */
+class SpacedRepetitionScheduler {
+    constructor(options = {}) {
+        this.defaultEase = options.defaultEase || 2.5;
+        this.minimumEase = options.minimumEase || 1.3;
+
+        // First two successful reviews use fixed intervals (days), as in SM-2
+        this.firstInterval = options.firstInterval || 1;
+        this.secondInterval = options.secondInterval || 6;
+
+        // Answer quality on the SM-2 0-5 scale
+        this.correctQuality = 4;
+        this.incorrectQuality = 1;
+        this.passingQuality = 3;
+    }
+
+    /**
+     * Create the schedule card for a question that has never been reviewed
+     * @param {string} questionId - Question ID
+     * @returns {Object} New review card
+     */
+    createCard(questionId) {
+        return {
+            questionId: questionId,
+            ease: this.defaultEase,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            dueDate: null,
+            lastReviewed: null,
+            lastResult: null
+        };
+    }
+
+    /**
+     * Convert a study mode answer into an SM-2 quality score
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @returns {number} Quality (0-5)
+     */
+    getQualityForAnswer(isCorrect) {
+        return isCorrect ? this.correctQuality : this.incorrectQuality;
+    }
+
+    /**
+     * Apply a review to a card and schedule the next one
+     * @param {Object|null} card - Existing card (or null for a first review)
+     * @param {string} questionId - Question ID
+     * @param {number} quality - Answer quality (0-5)
+     * @param {Date} reviewedAt - When the review happened
+     * @returns {Object} Updated card (the input card is not modified)
+     */
+    reviewCard(card, questionId, quality, reviewedAt = new Date()) {
+        if (typeof quality !== 'number' || quality < 0 || quality > 5) {
+            throw new Error('Review quality must be between 0 and 5');
+        }
+
+        const updated = { ...(card || this.createCard(questionId)) };
+
+        if (quality >= this.passingQuality) {
+            if (updated.repetitions === 0) {
+                updated.interval = this.firstInterval;
+            } else if (updated.repetitions === 1) {
+                updated.interval = this.secondInterval;
+            } else {
+                updated.interval = Math.round(updated.interval * updated.ease);
+            }
+            updated.repetitions++;
+        } else {
+            // Missed: start the item over with a one day interval
+            updated.repetitions = 0;
+            updated.interval = this.firstInterval;
+            updated.lapses++;
+        }
+
+        const penalty = 5 - quality;
+        updated.ease = Math.max(
+            this.minimumEase,
+            Math.round((updated.ease + (0.1 - penalty * (0.08 + penalty * 0.02))) * 100) / 100
+        );
+
+        updated.lastReviewed = reviewedAt.toISOString();
+        updated.lastResult = quality >= this.passingQuality;
+        updated.dueDate = this.addDays(this.startOfDay(reviewedAt), updated.interval).toISOString();
+
+        return updated;
+    }
+
+    /**
+     * Check whether a card is due for review
+     * @param {Object} card - Review card
+     * @param {Date} now - Reference time
+     * @returns {boolean} True if the card is due
+     */
+    isDue(card, now = new Date()) {
+        return !!(card && card.dueDate && new Date(card.dueDate) <= now);
+    }
+
+    /**
+     * Order cards for review: most overdue first, then hardest (lowest ease)
+     * @param {Array} cards - Review cards
+     * @returns {Array} Sorted copy of the cards
+     */
+    sortByPriority(cards) {
+        return [...cards].sort((a, b) => {
+            const dueDifference = new Date(a.dueDate) - new Date(b.dueDate);
+            return dueDifference !== 0 ? dueDifference : a.ease - b.ease;
+        });
+    }
+
+    /**
+     * Get local midnight for a date (intervals are counted in whole days)
+     * @param {Date} date - Date
+     * @returns {Date} Start of that day
+     */
+    startOfDay(date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        return start;
+    }
+
+    /**
+     * Add whole days to a date
+     * @param {Date} date - Date
+     * @param {number} days - Number of days
+     * @returns {Date} New date
+     */
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpacedRepetitionScheduler;
+}
@@ -0,0 +1,307 @@
+/**
+ * Unit tests for the StorageWrapper backends
+ * Tests MemoryStorageBackend, IndexedDBBackend (against an in-memory IndexedDB) and localStorage migration
+ */
+
+/**
+ * Minimal in-memory IndexedDB: one object store per database, out-of-line keys,
+ * and transactions that apply their writes all at once when they complete
+ */
+class FakeIndexedDB {
+    constructor() {
+        this.databases = new Map();
+        // Set to an error to make readwrite transactions abort with it
+        this.writeError = null;
+    }
+
+    open(name) {
+        const request = {};
+        setTimeout(() => {
+            let db = this.databases.get(name);
+            const isNew = !db;
+            if (isNew) {
+                db = new FakeIDBDatabase(this);
+                this.databases.set(name, db);
+            }
+            request.result = db;
+            if (isNew && request.onupgradeneeded) {
+                request.onupgradeneeded();
+            }
+            request.onsuccess();
+        }, 0);
+        return request;
+    }
+}
+
+class FakeIDBDatabase {
+    constructor(factory) {
+        this.factory = factory;
+        this.stores = new Map();
+        this.objectStoreNames = { contains: name => this.stores.has(name) };
+    }
+
+    createObjectStore(name) {
+        this.stores.set(name, new Map());
+    }
+
+    transaction(name, mode) {
+        return new FakeIDBTransaction(this, this.stores.get(name), mode);
+    }
+
+    close() {}
+}
+
+class FakeIDBTransaction {
+    constructor(db, records, mode) {
+        const writes = [];
+        const write = (operation) => {
+            if (mode !== 'readwrite') {
+                throw new Error('ReadOnlyError');
+            }
+            writes.push(operation);
+            return {};
+        };
+        const sortedKeys = () => Array.from(records.keys()).sort();
+
+        this.store = {
+            get: key => ({ result: records.get(key) }),
+            getAllKeys: () => ({ result: sortedKeys() }),
+            getAll: () => ({ result: sortedKeys().map(key => records.get(key)) }),
+            put: (value, key) => write(() => records.set(key, value)),
+            delete: key => write(() => records.delete(key))
+        };
+
+        setTimeout(() => {
+            if (writes.length > 0 && db.factory.writeError) {
+                this.error = db.factory.writeError;
+                this.onabort();
+                return;
+            }
+            writes.forEach(operation => operation());
+            this.oncomplete();
+        }, 0);
+    }
+
+    objectStore() {
+        return this.store;
+    }
+}
+
+/**
+ * Test Suite: Memory backend
+ */
+function testMemoryBackend() {
+    console.log('Testing memory storage backend...');
+
+    const backend = new MemoryStorageBackend();
+    const storage = new StorageWrapper(null, 'ap-gov-profile-a:', backend);
+
+    assert(storage.isLocalStorageAvailable === true, 'The memory backend should be usable');
+    assert(storage.setItem('ap-gov-progress', { units: { 1: { correct: 2 } } }) === true, 'Writes should succeed');
+    assert(storage.getItem('ap-gov-progress').units[1].correct === 2, 'Values should round-trip');
+    assert(backend.getItem('ap-gov-profile-a:ap-gov-progress') !== null, 'Keys should keep the namespace');
+    assert(backend.length === 1 && backend.key(0) === 'ap-gov-profile-a:ap-gov-progress', 'Keys should be enumerable');
+
+    backend.setItem('other-app', 'x');
+    storage.clear();
+    assert(backend.length === 1 && backend.getItem('other-app') === 'x', 'Clearing should only remove the namespace');
+    assert(storage.getStorageInfo().backend === 'memory', 'Storage info should name the backend');
+
+    console.log('✓ Memory storage backend tests passed');
+}
+
+/**
+ * Test Suite: IndexedDB backend
+ */
+async function testIndexedDBBackend() {
+    console.log('Testing IndexedDB storage backend...');
+
+    const factory = new FakeIndexedDB();
+    assert(IndexedDBBackend.isSupported(factory), 'A given factory should count as support');
+
+    const backend = await new IndexedDBBackend({ indexedDB: factory }).open();
+    const storage = new StorageWrapper(null, null, backend);
+
+    storage.setItem('ap-gov-progress', { units: { 2: { correct: 5 } } });
+    storage.setItem('ap-gov-question-history', [{ questionId: 'q1' }]);
+    assert(storage.getItem('ap-gov-progress').units[2].correct === 5, 'Reads should see writes immediately');
+
+    await storage.flush();
+    assert(JSON.parse(await backend.get('ap-gov-progress')).units[2].correct === 5, 'Writes should be committed');
+
+    // A fresh connection loads what was committed
+    const reopened = await new IndexedDBBackend({ indexedDB: factory }).open();
+    const reloaded = new StorageWrapper(null, null, reopened);
+    assert(reloaded.getItem('ap-gov-question-history')[0].questionId === 'q1', 'Data should persist across connections');
+
+    reloaded.removeItem('ap-gov-question-history');
+    await reloaded.flush();
+    assert(await reopened.get('ap-gov-question-history') === null, 'Removals should be committed');
+
+    // Writes in the same task share one transaction, so they fail together and stay in memory
+    const errors = [];
+    const failing = await new IndexedDBBackend({ indexedDB: factory, onError: error => errors.push(error) }).open();
+    const failingStorage = new StorageWrapper(null, null, failing);
+    factory.writeError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+    assert(failingStorage.setItem('ap-gov-a', 1) === true, 'Writes are accepted before they are committed');
+    failingStorage.setItem('ap-gov-b', 2);
+    let flushError = null;
+    try {
+        await failingStorage.flush();
+    } catch (error) {
+        flushError = error;
+    }
+    assert(flushError && flushError.name === 'QuotaExceededError', 'flush() should reject with the write error');
+    assert(errors.length === 1, 'A failed transaction should be reported once');
+    assert(await failing.get('ap-gov-a') === null && await failing.get('ap-gov-b') === null, 'A failed transaction should save nothing');
+    assert(failingStorage.getItem('ap-gov-b') === 2, 'Values should stay available for the session');
+
+    // Later writes still go through once the error clears
+    factory.writeError = null;
+    failingStorage.setItem('ap-gov-c', 3);
+    await failingStorage.flush();
+    assert(await failing.get('ap-gov-c') === '3', 'Writes after a failure should be committed');
+
+    // Other tabs' copies are updated when a write commits, except keys they are about to save themselves
+    const channels = [];
+    class FakeBroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            channels.push(this);
+        }
+
+        postMessage(data) {
+            channels.filter(channel => channel !== this && channel.name === this.name)
+                .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+        }
+
+        close() {
+            channels.splice(channels.indexOf(this), 1);
+        }
+    }
+    const changed = [];
+    const tabA = await new IndexedDBBackend({ indexedDB: factory, BroadcastChannel: FakeBroadcastChannel }).open();
+    const tabB = await new IndexedDBBackend({
+        indexedDB: factory,
+        BroadcastChannel: FakeBroadcastChannel,
+        onExternalChange: keys => changed.push(...keys)
+    }).open();
+    tabA.setItem('ap-gov-c', 'updated');
+    tabA.removeItem('ap-gov-a');
+    await tabA.flush();
+    assert(tabB.getItem('ap-gov-c') === 'updated' && tabB.getItem('ap-gov-a') === null, 'Other tabs should see committed writes');
+    assert(changed.join() === 'ap-gov-c,ap-gov-a', 'Other tabs should be told which keys changed');
+
+    // A write still queued here is committed after the other tab's, so it keeps this tab's value
+    tabB.setItem('ap-gov-d', 'mine');
+    tabB.applyExternalChanges({ changes: [['ap-gov-d', 'theirs']] });
+    assert(tabB.getItem('ap-gov-d') === 'mine', 'Queued writes should keep this tab\'s value');
+    await tabB.flush();
+    assert(tabA.getItem('ap-gov-d') === 'mine', 'The queued write should reach the other tab once committed');
+    tabA.close();
+    tabB.close();
+    assert(channels.length === 0, 'Closing should close the channel');
+
+    console.log('✓ IndexedDB storage backend tests passed');
+}
+
+/**
+ * Test Suite: Migrating localStorage data into IndexedDB
+ */
+async function testLocalStorageMigration() {
+    console.log('Testing localStorage migration...');
+
+    const source = new MemoryStorageBackend();
+    source.setItem('ap-gov-progress', JSON.stringify({ units: { 1: { correct: 3 } } }));
+    source.setItem('ap-gov-profile-default:ap-gov-question-history', JSON.stringify([{ questionId: 'q9' }]));
+    source.setItem('app_state', JSON.stringify({ currentView: 'dashboard' }));
+    source.setItem('other-app-data', 'untouched');
+
+    const factory = new FakeIndexedDB();
+    const backend = await new IndexedDBBackend({ indexedDB: factory }).open();
+    const migrated = await backend.migrateFrom(source, StorageWrapper.isAppKey);
+
+    assert(migrated.length === 3, 'App keys should be migrated');
+    assert(new StorageWrapper(null, 'ap-gov-profile-default:', backend).getItem('ap-gov-question-history')[0].questionId === 'q9',
+        'Namespaced profile data should be migrated');
+    assert(await backend.get('app_state') !== null, 'Migrated values should be committed');
+    assert(source.getItem('ap-gov-progress') === null, 'Migrated keys should be removed from the source');
+    assert(source.getItem('other-app-data') === 'untouched' && backend.getItem('other-app-data') === null, 'Other keys should be left alone');
+
+    // Data already in IndexedDB wins over a stale copy, and the stale copy is removed
+    source.setItem('ap-gov-progress', JSON.stringify({ stale: true }));
+    assert((await backend.migrateFrom(source, StorageWrapper.isAppKey)).length === 0, 'Existing keys should not be migrated again');
+    assert(backend.getItem('ap-gov-progress').includes('correct') && source.getItem('ap-gov-progress') === null,
+        'Stale copies should be dropped');
+
+    // A failed migration leaves the source untouched
+    const failingFactory = new FakeIndexedDB();
+    const failing = await new IndexedDBBackend({ indexedDB: failingFactory }).open();
+    failingFactory.writeError = new Error('Disk full');
+    source.setItem('ap-gov-progress', JSON.stringify({ units: {} }));
+    let threw = false;
+    try {
+        await failing.migrateFrom(source, StorageWrapper.isAppKey);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'A failed migration should throw');
+    assert(source.getItem('ap-gov-progress') !== null && failing.getItem('ap-gov-progress') === null, 'A failed migration should keep the source');
+
+    // Profiles and progress tracking work on top of the migrated backend
+    const profiles = new ProfileManager(new StorageWrapper(null, null, backend));
+    const tracker = new ProgressTracker(profiles.getProfileStorage());
+    tracker.updateUnitProgress(1, 1, 1);
+    await backend.flush();
+    const reopened = await new IndexedDBBackend({ indexedDB: factory }).open();
+    const reloadedProfiles = new ProfileManager(new StorageWrapper(null, null, reopened));
+    assert(new ProgressTracker(reloadedProfiles.getProfileStorage()).getUnitProgress(1).correct === 4,
+        'Profile progress should persist in IndexedDB');
+
+    console.log('✓ localStorage migration tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+async function runStorageBackendTests() {
+    console.log('Running Storage Backend Tests...\n');
+
+    try {
+        testMemoryBackend();
+        await testIndexedDBBackend();
+        await testLocalStorageMigration();
+
+        console.log('\n✅ All storage backend tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runStorageBackendTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.StorageWrapper = require('./storage-wrapper.js');
+    global.MemoryStorageBackend = require('./memory-storage-backend.js');
+    global.IndexedDBBackend = require('./indexeddb-backend.js');
+    global.ProfileManager = require('./profile-manager.js');
+    global.SpacedRepetitionScheduler = require('./spaced-repetition.js');
+    global.ProgressTracker = require('./progress-tracker.js');
+    runStorageBackendTests();
+}
@@ -1,10 +1,22 @@
 /**
  * StorageWrapper - Provides safe local storage access with error handling and fallbacks
  * Handles storage quota limits, privacy mode restrictions, and provides session fallback
+ *
+ * Values are stored in a pluggable backend: any object with the Web Storage methods getItem, setItem,
+ * removeItem, key and length. localStorage is used by default; MemoryStorageBackend and an opened
+ * IndexedDBBackend can be passed in instead. Backends that save asynchronously also provide flush().
  */
 class StorageWrapper {
-    constructor(errorHandler = null) {
+    /**
+     * @param {ErrorHandler} errorHandler - Error handler for user notifications
+     * @param {string|null} namespace - Prefix added to every key (e.g. a student profile's namespace)
+     * @param {Object|null} backend - Storage backend (defaults to localStorage)
+     */
+    constructor(errorHandler = null, namespace = null, backend = null) {
         this.errorHandler = errorHandler;
+        this.namespace = namespace;
+        this.backend = backend;
+        // Whether the backend works; named for localStorage, the original and default backend
         this.isLocalStorageAvailable = this.checkLocalStorageAvailability();
         this.sessionFallback = new Map();
         this.storageQuotaWarned = false;
@@ -12,21 +24,39 @@ class StorageWrapper {
     }
 
     /**
-     * Check if localStorage is available and functional
-     * @returns {boolean} True if localStorage is available
+     * Get the backend values are stored in
+     * localStorage is looked up on each call, so it is only touched when actually used
+     * @returns {Object} Storage backend
+     */
+    getBackend() {
+        return this.backend || localStorage;
+    }
+
+    /**
+     * Get the backend's name for status reporting
+     * @returns {string} Backend name
+     */
+    getBackendName() {
+        return this.backend ? (this.backend.name || 'custom') : 'localStorage';
+    }
+
+    /**
+     * Check if the storage backend (localStorage by default) is available and functional
+     * @returns {boolean} True if the backend is available
      */
     checkLocalStorageAvailability() {
         try {
             const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
+            const backend = this.getBackend();
+            backend.setItem(testKey, 'test');
+            backend.removeItem(testKey);
             return true;
         } catch (e) {
-            console.warn('localStorage not available:', e.message);
+            console.warn(`${this.getBackendName()} not available:`, e.message);
             
             // Notify user about storage degradation
             if (this.errorHandler && !this.degradationNotified) {
-                this.errorHandler.handleStorageError(e, 'localStorage availability check');
+                this.errorHandler.handleStorageError(e, `${this.getBackendName()} availability check`);
                 this.degradationNotified = true;
             }
             
@@ -34,22 +64,33 @@ class StorageWrapper {
         }
     }
 
+    /**
+     * Get the key actually used in storage for a key
+     * @param {string} key - Storage key
+     * @returns {string} Key with the namespace prefix, if any
+     */
+    getStorageKey(key) {
+        return this.namespace ? `${this.namespace}${key}` : key;
+    }
+
     /**
      * Store an item with error handling and fallback
      * @param {string} key - Storage key
      * @param {*} value - Value to store (will be JSON stringified)
-     * @returns {boolean} True if storage was successful
+     * @returns {boolean} True if storage was successful; asynchronous backends (IndexedDB) confirm the
+     *                    write later, so callers that must know it was saved also await flush()
      */
     setItem(key, value) {
+        const storageKey = this.getStorageKey(key);
         try {
             const serializedValue = JSON.stringify(value);
             
             if (this.isLocalStorageAvailable) {
-                localStorage.setItem(key, serializedValue);
+                this.getBackend().setItem(storageKey, serializedValue);
                 return true;
             } else {
                 // Fallback to session storage
-                this.sessionFallback.set(key, serializedValue);
+                this.sessionFallback.set(storageKey, serializedValue);
                 return true;
             }
         } catch (e) {
@@ -66,7 +107,7 @@ class StorageWrapper {
                 
                 // Try session fallback
                 try {
-                    this.sessionFallback.set(key, JSON.stringify(value));
+                    this.sessionFallback.set(storageKey, JSON.stringify(value));
                     return true;
                 } catch (fallbackError) {
                     console.error('Session fallback also failed:', fallbackError);
@@ -87,16 +128,17 @@ class StorageWrapper {
      * @returns {*} Parsed value or null if not found/error
      */
     getItem(key) {
+        const storageKey = this.getStorageKey(key);
         try {
             let serializedValue = null;
 
             if (this.isLocalStorageAvailable) {
-                serializedValue = localStorage.getItem(key);
+                serializedValue = this.getBackend().getItem(storageKey);
             }
 
-            // If not found in localStorage, try session fallback
-            if (serializedValue === null && this.sessionFallback.has(key)) {
-                serializedValue = this.sessionFallback.get(key);
+            // If not found in the backend, try session fallback
+            if (serializedValue === null && this.sessionFallback.has(storageKey)) {
+                serializedValue = this.sessionFallback.get(storageKey);
             }
 
             if (serializedValue === null) {
@@ -116,11 +158,12 @@ class StorageWrapper {
      * @returns {boolean} True if removal was successful
      */
     removeItem(key) {
+        const storageKey = this.getStorageKey(key);
         try {
             if (this.isLocalStorageAvailable) {
-                localStorage.removeItem(key);
+                this.getBackend().removeItem(storageKey);
             }
-            this.sessionFallback.delete(key);
+            this.sessionFallback.delete(storageKey);
             return true;
         } catch (e) {
             console.error('Error removing data:', e);
@@ -130,22 +173,33 @@ class StorageWrapper {
 
     /**
      * Clear all stored data
+     * With a namespace only that namespace's data is cleared
      * @returns {boolean} True if clearing was successful
      */
     clear() {
         try {
+            // Only clear our app's data, not all localStorage
+            const prefix = this.namespace || StorageWrapper.APP_KEY_PREFIX;
+
             if (this.isLocalStorageAvailable) {
-                // Only clear our app's data, not all localStorage
+                const backend = this.getBackend();
                 const keysToRemove = [];
-                for (let i = 0; i < localStorage.length; i++) {
-                    const key = localStorage.key(i);
-                    if (key && key.startsWith('ap-gov-')) {
+                for (let i = 0; i < backend.length; i++) {
+                    const key = backend.key(i);
+                    if (key && key.startsWith(prefix)) {
                         keysToRemove.push(key);
                     }
                 }
-                keysToRemove.forEach(key => localStorage.removeItem(key));
+                keysToRemove.forEach(key => backend.removeItem(key));
+            }
+
+            if (this.namespace) {
+                Array.from(this.sessionFallback.keys())
+                    .filter(key => key.startsWith(prefix))
+                    .forEach(key => this.sessionFallback.delete(key));
+            } else {
+                this.sessionFallback.clear();
             }
-            this.sessionFallback.clear();
             return true;
         } catch (e) {
             console.error('Error clearing data:', e);
@@ -181,10 +235,11 @@ class StorageWrapper {
                 
                 // Try to store the reduced data
                 const serializedValue = JSON.stringify(progress);
+                const progressKey = this.getStorageKey('ap-gov-progress');
                 if (this.isLocalStorageAvailable) {
-                    localStorage.setItem('ap-gov-progress', serializedValue);
+                    this.getBackend().setItem(progressKey, serializedValue);
                 } else {
-                    this.sessionFallback.set('ap-gov-progress', serializedValue);
+                    this.sessionFallback.set(progressKey, serializedValue);
                 }
                 
                 console.log('Freed storage space by removing old practice test records');
@@ -193,7 +248,7 @@ class StorageWrapper {
             console.error('Failed to free storage space:', cleanupError);
             // Fall back to session storage
             try {
-                this.sessionFallback.set(key, JSON.stringify(value));
+                this.sessionFallback.set(this.getStorageKey(key), JSON.stringify(value));
             } catch (sessionError) {
                 console.error('Session fallback failed:', sessionError);
             }
@@ -206,6 +261,8 @@ class StorageWrapper {
      */
     getStorageInfo() {
         const info = {
+            namespace: this.namespace,
+            backend: this.getBackendName(),
             localStorageAvailable: this.isLocalStorageAvailable,
             usingSessionFallback: this.sessionFallback.size > 0,
             sessionFallbackSize: this.sessionFallback.size
@@ -213,11 +270,14 @@ class StorageWrapper {
 
         if (this.isLocalStorageAvailable) {
             try {
-                // Estimate localStorage usage
+                // Estimate storage usage
                 let totalSize = 0;
-                for (let key in localStorage) {
-                    if (localStorage.hasOwnProperty(key) && key.startsWith('ap-gov-')) {
-                        totalSize += localStorage[key].length;
+                const backend = this.getBackend();
+                const prefix = this.namespace || StorageWrapper.APP_KEY_PREFIX;
+                for (let i = 0; i < backend.length; i++) {
+                    const key = backend.key(i);
+                    if (key && key.startsWith(prefix)) {
+                        totalSize += (backend.getItem(key) || '').length;
                     }
                 }
                 info.localStorageUsage = totalSize;
@@ -229,6 +289,26 @@ class StorageWrapper {
         return info;
     }
 
+    /**
+     * Wait until every write so far has been saved
+     * Only asynchronous backends (IndexedDB) have writes in flight; other backends resolve immediately
+     * @returns {Promise<void>} Resolves when saved
+     * @throws {Error} If a write since the last flush could not be saved
+     */
+    flush() {
+        const backend = this.backend;
+        return backend && typeof backend.flush === 'function' ? backend.flush() : Promise.resolve();
+    }
+
+    /**
+     * Whether a key holds this app's data, for migrating between backends
+     * @param {string} key - Storage key
+     * @returns {boolean} True for the app's prefixed keys and its older unprefixed keys
+     */
+    static isAppKey(key) {
+        return key.startsWith(StorageWrapper.APP_KEY_PREFIX) || StorageWrapper.UNPREFIXED_KEYS.includes(key);
+    }
+
     /**
      * Test storage functionality
      * @returns {Object} Test results
@@ -268,6 +348,11 @@ class StorageWrapper {
     }
 }
 
+StorageWrapper.APP_KEY_PREFIX = 'ap-gov-';
+
+// Keys saved before the app prefixed everything
+StorageWrapper.UNPREFIXED_KEYS = ['app_state', 'app_emergency_backup', 'app_critical_backup'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = StorageWrapper;
@@ -64,10 +64,28 @@ function runQuestionTests(testRunner) {
     });
 
     testRunner.test('Question validation - wrong number of options', () => {
-        const invalidData = { ...validQuestionData, options: ["A", "B", "C"] };
+        const tooFew = { ...validQuestionData, options: ["A"], correct: 0 };
+        const tooMany = { ...validQuestionData, options: ["A", "B", "C", "D", "E", "F", "G"] };
         
         testRunner.assertThrows(() => {
-            new Question(invalidData);
+            new Question(tooFew);
+        });
+        testRunner.assertThrows(() => {
+            new Question(tooMany);
+        });
+    });
+
+    testRunner.test('Question validation - five-choice and true/false items', () => {
+        const fiveChoice = new Question({ ...validQuestionData, options: ["A", "B", "C", "D", "E"], correct: 4 });
+        testRunner.assert(fiveChoice.isCorrect(4), "Option E should be answerable");
+        testRunner.assertEqual(fiveChoice.getOptionLetter(4), "E");
+        
+        const trueFalse = new Question({ ...validQuestionData, options: ["True", "False"], correct: 1 });
+        testRunner.assertEqual(trueFalse.getCorrectAnswer(), "False");
+        testRunner.assert(!trueFalse.isValidAnswerIndex(2), "Index past the last option should be invalid");
+        
+        testRunner.assertThrows(() => {
+            new Question({ ...validQuestionData, options: ["True", "False"], correct: 2 });
         });
     });
 
@@ -133,6 +151,55 @@ function runQuestionTests(testRunner) {
         const question = new Question(dataWithoutExplanation);
         testRunner.assertEqual(question.explanation, "");
     });
+
+    testRunner.test('Question with shared stimulus', () => {
+        const stimulus = {
+            id: "turnout",
+            type: "table",
+            title: "Turnout by Age",
+            table: { headers: ["Age", "Turnout"], rows: [["18-29", "46%"], ["65+", "71%"]] }
+        };
+        const question = new Question({ ...validQuestionData, stimulus });
+        
+        testRunner.assertEqual(question.stimulusId, "turnout");
+        testRunner.assert(question.hasStimulus(), "Question should report its stimulus");
+        testRunner.assertEqual(question.toJSON().stimulus, stimulus);
+        testRunner.assert(!new Question(validQuestionData).hasStimulus(), "Plain questions have no stimulus");
+        testRunner.assert(!('stimulus' in new Question(validQuestionData).toJSON()), "Plain questions keep their JSON shape");
+    });
+
+    testRunner.test('Question difficulty rating', () => {
+        const question = new Question({ ...validQuestionData, difficulty: "hard" });
+
+        testRunner.assertEqual(question.getDifficulty(), "hard");
+        testRunner.assertEqual(question.toJSON().difficulty, "hard");
+        testRunner.assertEqual(new Question(validQuestionData).getDifficulty(), null);
+
+        // Empirical ratings override the bank rating once available
+        question.setItemStatistics({ attempts: 12, pValue: 0.8, difficulty: "easy" });
+        testRunner.assertEqual(question.getDifficulty(), "easy");
+        question.setItemStatistics({ attempts: 2, pValue: 1, difficulty: null });
+        testRunner.assertEqual(question.getDifficulty(), "hard");
+
+        testRunner.assertThrows(() => {
+            new Question({ ...validQuestionData, difficulty: "extreme" });
+        });
+    });
+
+    testRunner.test('Question validation - invalid stimulus', () => {
+        const invalidStimuli = [
+            { type: "cartoon", text: "Unknown type" },
+            { type: "text", text: "  " },
+            { type: "table", table: { headers: ["A", "B"], rows: [["only one cell"]] } },
+            { type: "image", src: "images/cartoon.png" }
+        ];
+        
+        invalidStimuli.forEach(stimulus => {
+            testRunner.assertThrows(() => {
+                new Question({ ...validQuestionData, stimulus });
+            });
+        });
+    });
 }
 
 /**
@@ -231,6 +298,34 @@ function runQuestionManagerTests(testRunner) {
         });
     });
 
+    testRunner.test('QuestionManager getRandomQuestions with difficulty filter', () => {
+        const manager = new QuestionManager();
+        manager.loadQuestions(testQuestions.map((data, index) => ({
+            ...data,
+            difficulty: ["easy", "easy", "medium", "hard", "hard"][index]
+        })));
+
+        const easy = manager.getRandomQuestions(2, null, "easy");
+        testRunner.assert(easy.every(q => q.getDifficulty() === "easy"), "Easy filter should draw easy questions first");
+
+        const hard = manager.getRandomQuestions(3, null, "hard");
+        testRunner.assertEqual(hard.filter(q => q.getDifficulty() === "hard").length, 2);
+        testRunner.assert(hard.some(q => q.getDifficulty() === "medium"), "Hard filter should top up from medium");
+
+        const mixed = manager.getRandomQuestions(3, null, "mixed");
+        testRunner.assertEqual(new Set(mixed.map(q => q.getDifficulty())).size, 3);
+
+        // Item statistics replace the bank rating
+        const rated = manager.applyItemStatistics({ q1: { difficulty: "hard" }, q2: { difficulty: null } });
+        testRunner.assertEqual(rated, 1);
+        testRunner.assertEqual(manager.getRandomQuestions(3, [1, 2], "hard").length, 3);
+        testRunner.assert(manager.getRandomQuestions(1, [1], "hard")[0].id === "q1", "Empirically hard question should be drawn first");
+
+        testRunner.assertThrows(() => {
+            manager.getRandomQuestions(2, null, "impossible");
+        });
+    });
+
     testRunner.test('QuestionManager getRandomQuestions validation', () => {
         const manager = new QuestionManager();
         manager.loadQuestions(testQuestions);
@@ -284,6 +379,72 @@ function runQuestionManagerTests(testRunner) {
         });
     });
 
+    testRunner.test('QuestionManager keeps stimulus sets together', () => {
+        const stimulusQuestions = [];
+        for (let unit = 1; unit <= 5; unit++) {
+            for (let i = 0; i < 6; i++) {
+                stimulusQuestions.push({
+                    id: `stim_unit${unit}_q${i}`,
+                    unit: unit,
+                    question: `Unit ${unit} Question ${i}?`,
+                    options: ["A", "B", "C", "D"],
+                    correct: 0
+                });
+            }
+        }
+        const quote = { id: "quote", type: "text", text: "Ambition must be made to counteract ambition." };
+        for (let i = 0; i < 3; i++) {
+            stimulusQuestions.push({
+                id: `quote_q${i}`, unit: 1, question: `Quote question ${i}?`,
+                options: ["A", "B", "C", "D"], correct: 0, stimulusId: "quote", stimulus: quote
+            });
+        }
+        
+        const manager = new QuestionManager();
+        manager.loadQuestions(stimulusQuestions);
+        
+        for (let run = 0; run < 10; run++) {
+            const selected = manager.getRandomDistributedQuestions(20);
+            testRunner.assertArrayLength(selected, 20);
+            
+            const positions = selected
+                .map((q, index) => q.stimulusId === "quote" ? index : -1)
+                .filter(index => index !== -1);
+            if (positions.length > 0) {
+                testRunner.assertEqual(positions[positions.length - 1] - positions[0], positions.length - 1);
+                testRunner.assertEqual(selected[positions[0]].id, "quote_q0");
+            }
+        }
+        
+        // Whole bank: every question, with the set still contiguous
+        const all = manager.getRandomDistributedQuestions(33);
+        testRunner.assertArrayLength(all, 33);
+        const start = all.findIndex(q => q.id === "quote_q0");
+        testRunner.assertEqual(all[start + 1].id, "quote_q1");
+        testRunner.assertEqual(all[start + 2].id, "quote_q2");
+    });
+
+    testRunner.test('QuestionManager does not split a set to fill a short test', () => {
+        // Unit 1 has one standalone question and a set of three; the other units have none
+        const passage = { id: "passage", type: "text", text: "We the People of the United States..." };
+        const manager = new QuestionManager();
+        manager.loadQuestions([
+            { id: "solo", unit: 1, question: "Standalone?", options: ["A", "B", "C", "D"], correct: 0 },
+            ...[0, 1, 2].map(i => ({
+                id: `passage_q${i}`, unit: 1, question: `Passage question ${i}?`,
+                options: ["A", "B", "C", "D"], correct: 0, stimulusId: "passage", stimulus: passage
+            }))
+        ]);
+
+        // After the standalone question, two more are wanted but the next set has three
+        for (let run = 0; run < 10; run++) {
+            const selected = manager.getRandomDistributedQuestions(3, { 1: 1, 2: 0, 3: 0, 4: 0, 5: 0 });
+            const fromSet = selected.filter(q => q.stimulusId === "passage").length;
+            testRunner.assert(fromSet === 0 || fromSet === 3, `A set should be taken whole, not ${fromSet} of 3`);
+            testRunner.assertEqual(selected.length, 1);
+        }
+    });
+
     testRunner.test('QuestionManager validateQuestion', () => {
         const manager = new QuestionManager();
         
@@ -329,6 +490,76 @@ function runQuestionManagerTests(testRunner) {
         testRunner.assertArrayLength(invalidResults, 0);
     });
 
+    testRunner.test('QuestionManager add, update and delete questions', () => {
+        const manager = new QuestionManager();
+        manager.loadQuestions(testQuestions);
+        
+        const added = manager.addQuestion({
+            id: "q6", unit: 4, question: "Question 6?",
+            options: ["A", "B"], correct: 1
+        });
+        testRunner.assertEqual(added.unit, 4);
+        testRunner.assertArrayLength(manager.getQuestionsByUnit(4), 1);
+        testRunner.assertThrows(() => manager.addQuestion({ ...testQuestions[0] }));
+        testRunner.assertThrows(() => manager.addQuestion({ id: "q7", unit: 4, question: "", options: ["A", "B"], correct: 0 }));
+        
+        // Updating keeps the bank order, the item statistics, and moves the question between units
+        manager.getQuestionById("q2").setItemStatistics({ attempts: 12, pValue: 0.25, discrimination: 0.4, difficulty: 'hard' });
+        const updated = manager.updateQuestion("q2", { unit: 5, question: "Question 2, fixed?" });
+        testRunner.assertEqual(updated.question, "Question 2, fixed?");
+        testRunner.assertEqual(updated.correct, 1);
+        testRunner.assertEqual(updated.itemStats.discrimination, 0.4);
+        testRunner.assertEqual(updated.getDifficulty(), 'hard');
+        testRunner.assertEqual(manager.questions[1].id, "q2");
+        testRunner.assertArrayLength(manager.getQuestionsByUnit(1), 1);
+        testRunner.assertArrayLength(manager.getQuestionsByUnit(5), 1);
+        testRunner.assertThrows(() => manager.updateQuestion("q2", { correct: 9 }));
+        testRunner.assertEqual(manager.getQuestionById("q2").unit, 5);
+        testRunner.assertThrows(() => manager.updateQuestion("missing", { unit: 1 }));
+        
+        testRunner.assert(manager.deleteQuestion("q3"));
+        testRunner.assert(!manager.deleteQuestion("q3"));
+        testRunner.assertEqual(manager.getQuestionById("q3"), null);
+        testRunner.assertArrayLength(manager.getQuestionsByUnit(2), 1);
+        testRunner.assertArrayLength(manager.questions, 5);
+    });
+
+    testRunner.test('QuestionManager getNextQuestionId', () => {
+        const manager = new QuestionManager();
+        testRunner.assertEqual(manager.getNextQuestionId(), "1");
+        
+        manager.loadQuestions([
+            { id: "12", unit: 1, question: "Question 12?", options: ["A", "B"], correct: 0 },
+            { id: "import-13", unit: 1, question: "Imported question?", options: ["A", "B"], correct: 0 },
+            { id: "3", unit: 1, question: "Question 3?", options: ["A", "B"], correct: 0 }
+        ]);
+        testRunner.assertEqual(manager.getNextQuestionId(), "13");
+    });
+
+    testRunner.test('QuestionManager exportBank', () => {
+        const manager = new QuestionManager();
+        const passage = { id: "fed10", type: "text", text: "The latent causes of faction are sown in the nature of man." };
+        manager.loadQuestions([
+            ...testQuestions,
+            { id: "q6", unit: 1, question: "Question 6?", options: ["A", "B"], correct: 0, stimulusId: "fed10", stimulus: passage },
+            { id: "q7", unit: 1, question: "Question 7?", options: ["A", "B"], correct: 1, stimulusId: "fed10", stimulus: passage }
+        ]);
+        
+        const bank = manager.exportBank({ title: "Edited Bank" });
+        testRunner.assertEqual(bank.metadata.title, "Edited Bank");
+        testRunner.assertEqual(bank.metadata.totalQuestions, 7);
+        testRunner.assertEqual(bank.metadata.units, 3);
+        testRunner.assert(!isNaN(Date.parse(bank.metadata.lastUpdated)));
+        testRunner.assertEqual(JSON.stringify(bank.questions[0]), JSON.stringify({ ...testQuestions[0], explanation: "" }));
+        
+        // Shared stimuli are written once and referenced by ID
+        testRunner.assertArrayLength(bank.stimuli, 1);
+        testRunner.assertEqual(bank.questions[6].stimulusId, "fed10");
+        testRunner.assert(!('stimulus' in bank.questions[6]));
+        testRunner.assertEqual(bank.stimuli[0].text, passage.text);
+        testRunner.assert(!('stimuli' in new QuestionManager().exportBank()));
+    });
+
     testRunner.test('QuestionManager shuffleArray', () => {
         const manager = new QuestionManager();
         const originalArray = [1, 2, 3, 4, 5];
@@ -0,0 +1,143 @@
+/**
+ * WorksheetGenerator - Builds printable multiple-choice worksheets from the question bank
+ * Questions are drawn once through QuestionManager.getRandomQuestions; further versions (B, C) reorder
+ * the same questions and their options, each with its own answer key. Questions sharing a stimulus stay
+ * together, and options that refer to other options ("All of the above", "Both A and B") keep their order.
+ */
+class WorksheetGenerator {
+    /**
+     * @param {QuestionManager} questionManager - Question bank to draw from
+     */
+    constructor(questionManager) {
+        this.questionManager = questionManager;
+    }
+
+    /**
+     * Generate a worksheet
+     * @param {Object} options - Worksheet options
+     * @param {Array<number>|null} options.units - Units to draw from (null for all units)
+     * @param {number} options.count - Number of questions
+     * @param {number} options.versions - Number of versions (1 to VERSION_LABELS.length)
+     * @param {string} options.title - Title printed on each page
+     * @returns {Object} Worksheet ({title, units, createdAt, versions}); each version is {label, items}
+     * @throws {Error} If the options are invalid or no questions match
+     */
+    generate(options = {}) {
+        const versionCount = options.versions || 1;
+        if (!Number.isInteger(versionCount) || versionCount < 1 || versionCount > WorksheetGenerator.VERSION_LABELS.length) {
+            throw new Error(`Versions must be between 1 and ${WorksheetGenerator.VERSION_LABELS.length}`);
+        }
+
+        const units = Array.isArray(options.units) && options.units.length > 0 ? options.units : null;
+        const questions = this.groupByStimulus(this.questionManager.getRandomQuestions(options.count, units)).flat();
+
+        return {
+            title: (options.title || '').trim() || WorksheetGenerator.DEFAULT_TITLE,
+            units: units,
+            createdAt: new Date(),
+            versions: WorksheetGenerator.VERSION_LABELS.slice(0, versionCount).map((label, index) => ({
+                label: label,
+                // Version A keeps the order drawn; later versions are shuffled
+                items: index === 0 ? this.createItems(questions, false) : this.createItems(this.shuffleQuestions(questions), true)
+            }))
+        };
+    }
+
+    /**
+     * Number the questions of one version
+     * @param {Array} questions - Question objects in worksheet order
+     * @param {boolean} shuffleOptions - Whether to shuffle each question's options
+     * @returns {Array} Items ({number, question, options, correct, showStimulus})
+     */
+    createItems(questions, shuffleOptions) {
+        return questions.map((question, index) => {
+            let order = question.options.map((option, optionIndex) => optionIndex);
+            if (shuffleOptions && !WorksheetGenerator.hasFixedOptions(question)) {
+                order = this.questionManager.shuffleArray(order);
+            }
+
+            const previous = questions[index - 1];
+            return {
+                number: index + 1,
+                question: question,
+                options: order.map(optionIndex => question.options[optionIndex]),
+                correct: order.indexOf(question.correct),
+                // A shared stimulus is printed once, before the first question of its set
+                showStimulus: question.hasStimulus() &&
+                    !(previous && previous.stimulusId && previous.stimulusId === question.stimulusId)
+            };
+        });
+    }
+
+    /**
+     * Shuffle questions, keeping each stimulus set together and in order
+     * @param {Array} questions - Question objects
+     * @returns {Array} Shuffled Question objects
+     */
+    shuffleQuestions(questions) {
+        return this.questionManager.shuffleArray(this.groupByStimulus(questions)).flat();
+    }
+
+    /**
+     * Group questions that share a stimulus; other questions are groups of one
+     * @param {Array} questions - Question objects
+     * @returns {Array<Array>} Groups, in order of each group's first question
+     */
+    groupByStimulus(questions) {
+        const groups = [];
+        const byStimulus = new Map();
+
+        questions.forEach(question => {
+            if (question.stimulusId && byStimulus.has(question.stimulusId)) {
+                byStimulus.get(question.stimulusId).push(question);
+                return;
+            }
+
+            const group = [question];
+            groups.push(group);
+            if (question.stimulusId) {
+                byStimulus.set(question.stimulusId, group);
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Get the answer key for a worksheet version
+     * @param {Object} version - Version from generate()
+     * @returns {Array} Answers ({number, letter, answer, unit, explanation})
+     */
+    getAnswerKey(version) {
+        return version.items.map(item => ({
+            number: item.number,
+            letter: item.question.getOptionLetter(item.correct),
+            answer: item.options[item.correct],
+            unit: item.question.unit,
+            explanation: item.question.explanation
+        }));
+    }
+
+    /**
+     * Whether a question's options must keep their order because one refers to the others
+     * @param {Question} question - Question
+     * @returns {boolean} True if the options should not be shuffled
+     */
+    static hasFixedOptions(question) {
+        return question.options.some(option => WorksheetGenerator.ORDER_DEPENDENT_OPTION.test(option));
+    }
+}
+
+WorksheetGenerator.VERSION_LABELS = ['A', 'B', 'C'];
+WorksheetGenerator.DEFAULT_TITLE = 'AP Government Worksheet';
+
+// Letter references cover every option letter a question can have (A to the letter of Question.MAX_OPTIONS)
+WorksheetGenerator.ORDER_DEPENDENT_OPTION = (() => {
+    const letters = `[A-${String.fromCharCode(64 + Question.MAX_OPTIONS)}]`;
+    return new RegExp(`\\b([Aa]ll|[Nn]one|[Bb]oth|[Nn]either) of the (above|preceding)\\b|\\b${letters} (and|or|nor) ${letters}\\b`);
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorksheetGenerator;
+}
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for WorksheetGenerator
+ * Tests drawing questions, shuffled versions with matching answer keys, stimulus sets and option order
+ */
+
+/**
+ * Build a question manager: four questions in units 1 and 2, and a two-question stimulus set in unit 3
+ */
+function createWorksheetTestQuestionManager() {
+    const questions = [];
+    [1, 2].forEach(unit => {
+        for (let index = 1; index <= 4; index++) {
+            questions.push({
+                id: `sheet_u${unit}_${index}`,
+                unit: unit,
+                question: `Unit ${unit} question ${index}`,
+                options: ['First', 'Second', 'Third', 'Fourth'],
+                correct: index - 1,
+                explanation: `Explanation ${unit}.${index}`
+            });
+        }
+    });
+
+    const stimulus = { id: 'sheet_passage', type: 'text', text: 'A passage about the Bill of Rights.' };
+    ['a', 'b'].forEach((suffix, index) => {
+        questions.push({
+            id: `sheet_u3_${suffix}`,
+            unit: 3,
+            question: `Passage question ${suffix}`,
+            options: ['Red', 'Green', 'Blue', 'Both A and B'],
+            correct: index,
+            explanation: `Passage explanation ${suffix}`,
+            stimulusId: 'sheet_passage',
+            stimulus: stimulus
+        });
+    });
+
+    const manager = new QuestionManager();
+    manager.loadQuestions(questions);
+    return manager;
+}
+
+/**
+ * Test Suite: Generating worksheets
+ */
+function testGenerateWorksheet() {
+    console.log('Testing worksheet generation...');
+
+    const generator = new WorksheetGenerator(createWorksheetTestQuestionManager());
+    const worksheet = generator.generate({ units: [1, 2], count: 6, versions: 1, title: '  Unit Review  ' });
+
+    assert(worksheet.title === 'Unit Review', 'The title should be trimmed');
+    assert(worksheet.versions.length === 1 && worksheet.versions[0].label === 'A', 'One version should be labelled A');
+
+    const items = worksheet.versions[0].items;
+    assert(items.length === 6 && items.map(item => item.number).join() === '1,2,3,4,5,6', 'Questions should be numbered');
+    assert(items.every(item => [1, 2].includes(item.question.unit)), 'Questions should come from the chosen units');
+    assert(new Set(items.map(item => item.question.id)).size === 6, 'Questions should not repeat');
+    assert(items.every(item => item.options.join() === item.question.options.join() && item.correct === item.question.correct),
+        'Version A should keep the original options');
+
+    // The answer key matches the options as printed
+    const key = generator.getAnswerKey(worksheet.versions[0]);
+    key.forEach((answer, index) => {
+        assert(answer.number === index + 1, 'Key entries should follow the question numbers');
+        assert(answer.letter === 'ABCD'[items[index].correct], 'Key letters should match the correct option');
+        assert(answer.explanation === items[index].question.explanation, 'Key entries should include the explanation');
+    });
+
+    assert(generator.generate({ count: 20 }).title === WorksheetGenerator.DEFAULT_TITLE, 'Untitled worksheets get a default title');
+    assert(generator.generate({ count: 20 }).versions[0].items.length === 10, 'Counts past the bank should use every question');
+
+    [{ count: 5, versions: 4 }, { count: 5, versions: 0.5 }, { count: 0 }, { count: 3, units: [6] }].forEach(options => {
+        let threw = false;
+        try {
+            generator.generate(options);
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, `${JSON.stringify(options)} should be rejected`);
+    });
+
+    console.log('✓ Worksheet generation tests passed');
+}
+
+/**
+ * Test Suite: Shuffled versions
+ */
+function testShuffledVersions() {
+    console.log('Testing shuffled versions...');
+
+    const generator = new WorksheetGenerator(createWorksheetTestQuestionManager());
+    const worksheet = generator.generate({ count: 10, versions: 3 });
+    assert(worksheet.versions.map(version => version.label).join() === 'A,B,C', 'Versions should be labelled A, B and C');
+
+    const questionSet = version => version.items.map(item => item.question.id).sort().join();
+    worksheet.versions.forEach(version => {
+        assert(questionSet(version) === questionSet(worksheet.versions[0]), 'Every version should have the same questions');
+
+        const key = generator.getAnswerKey(version);
+        version.items.forEach((item, index) => {
+            assert(item.options.slice().sort().join() === item.question.options.slice().sort().join(),
+                'Shuffled options should be the same options');
+            assert(item.options[item.correct] === item.question.options[item.question.correct],
+                'The correct option should follow the shuffle');
+            assert(key[index].answer === item.question.options[item.question.correct], 'Each key should match its version');
+        });
+
+        // The stimulus set stays together, with the stimulus printed once
+        const passage = version.items.filter(item => item.question.stimulusId === 'sheet_passage');
+        assert(passage.length === 2 && passage[1].number === passage[0].number + 1, 'Stimulus sets should stay together');
+        assert(passage[0].showStimulus && !passage[1].showStimulus, 'The stimulus should be printed once');
+        assert(passage.every(item => item.options.join() === item.question.options.join()),
+            'Options that refer to other options should keep their order');
+    });
+
+    // Shuffling changes the order at least sometimes
+    const sameOrder = [];
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const versions = generator.generate({ count: 10, versions: 2 }).versions;
+        sameOrder.push(versions[0].items.map(item => item.question.id).join() === versions[1].items.map(item => item.question.id).join());
+    }
+    assert(sameOrder.includes(false), 'Later versions should be reordered');
+
+    assert(WorksheetGenerator.hasFixedOptions({ options: ['Congress', 'All of the above'] }), '"All of the above" keeps option order');
+    assert(WorksheetGenerator.hasFixedOptions({ options: ['Congress', 'Only A or C'] }), 'Letter references keep option order');
+    assert(WorksheetGenerator.hasFixedOptions({ options: ['Congress', 'Both A and F'] }), 'References to a sixth option keep option order');
+    assert(!WorksheetGenerator.hasFixedOptions({ options: ['Pass a bill or a resolution'] }), 'The word "a" is not a letter reference');
+    assert(!WorksheetGenerator.hasFixedOptions({ options: ['Ratify a treaty', 'Override a veto'] }), 'Ordinary options can be shuffled');
+
+    console.log('✓ Shuffled version tests passed');
+}
+
+/**
+ * Simple assertion function for testing
+ */
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(`Assertion failed: ${message}`);
+    }
+}
+
+/**
+ * Run all tests
+ */
+function runWorksheetGeneratorTests() {
+    console.log('Running WorksheetGenerator Tests...\n');
+
+    try {
+        testGenerateWorksheet();
+        testShuffledVersions();
+
+        console.log('\n✅ All WorksheetGenerator tests passed!');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        return false;
+    }
+}
+
+// Export test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runWorksheetGeneratorTests };
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof window === 'undefined' && require.main === module) {
+    global.Question = require('./question.js');
+    global.QuestionManager = require('./question-manager.js');
+    global.WorksheetGenerator = require('./worksheet-generator.js');
+    runWorksheetGeneratorTests();
+}
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Question bank quality linter
+ * Checks bank JSON files for OCR artefacts, merged text, duplicates, fragment options,
+ * missing explanations and answer-position bias, and writes a report keyed by question ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.Question = require('./js/question.js');
+const QuestionBankLinter = require('./js/question-bank-linter.js');
+
+// Command line argument parsing
+const args = process.argv.slice(2);
+const showHelp = args.includes('--help') || args.includes('-h');
+const jsonOutput = args.includes('--json');
+const strict = args.includes('--strict');
+const outputIndex = args.indexOf('--output');
+const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
+const files = args.filter((arg, index) => !arg.startsWith('-') && (outputIndex === -1 || index !== outputIndex + 1));
+const bankFiles = files.length > 0 ? files : ['ap_gov_complete_question_bank.json'];
+
+if (showHelp) {
+    console.log('AP Government Quiz Tool - Question Bank Linter');
+    console.log('');
+    console.log('Usage: node lint-question-bank.js [bank.json ...] [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --help, -h        Show this help message');
+    console.log('  --json            Print the full report as JSON');
+    console.log('  --output <file>   Write the JSON report to a file');
+    console.log('  --strict          Exit with an error on warnings as well as errors');
+    console.log('');
+    console.log('Defaults to ap_gov_complete_question_bank.json');
+    process.exit(0);
+}
+
+const linter = new QuestionBankLinter();
+const reports = {};
+let failed = false;
+
+bankFiles.forEach(file => {
+    let bank;
+    try {
+        bank = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+        console.error(`💥 Could not read ${file}: ${error.message}`);
+        failed = true;
+        return;
+    }
+
+    const report = linter.lint(bank);
+    reports[file] = report;
+
+    if (report.summary.errors > 0 || (strict && report.summary.warnings > 0)) {
+        failed = true;
+    }
+
+    if (!jsonOutput) {
+        printReport(file, report);
+    }
+});
+
+if (jsonOutput) {
+    console.log(JSON.stringify(bankFiles.length === 1 ? reports[bankFiles[0]] : reports, null, 2));
+}
+
+if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(bankFiles.length === 1 ? reports[bankFiles[0]] : reports, null, 2));
+    if (!jsonOutput) {
+        console.log(`📄 Lint report written: ${outputPath}`);
+    }
+}
+
+process.exit(failed ? 1 : 0);
+
+/**
+ * Print a readable summary of one bank's report
+ */
+function printReport(file, report) {
+    const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+    console.log('='.repeat(70));
+    console.log(`🔍 ${file}: ${report.totalQuestions} questions`);
+    console.log('='.repeat(70));
+
+    Object.entries(report.questions).forEach(([questionId, issues]) => {
+        console.log(`\nQuestion ${questionId}`);
+        issues.forEach(issue => {
+            console.log(`  ${icons[issue.severity]} [${issue.rule}] ${issue.message}${issue.field ? ` (${issue.field})` : ''}`);
+        });
+    });
+
+    report.bank.forEach(issue => {
+        console.log(`\n${icons[issue.severity]} [${issue.rule}] ${issue.message}`);
+    });
+
+    console.log('\n📊 Summary:');
+    console.log(`   Questions with issues: ${report.summary.questionsWithIssues}`);
+    console.log(`   Errors:                ${report.summary.errors}`);
+    console.log(`   Warnings:              ${report.summary.warnings}`);
+    console.log(`   Info:                  ${report.summary.info}`);
+    Object.entries(report.summary.byRule).forEach(([rule, count]) => {
+        console.log(`     ${rule.padEnd(24)} ${count}`);
+    });
+    console.log('');
+}
@@ -104,10 +104,30 @@ global.QuestionManager = QuestionManager;
 // Load other required files
 try {
     global.StorageWrapper = require('./js/storage-wrapper.js');
+    global.SpacedRepetitionScheduler = require('./js/spaced-repetition.js');
+    global.AbilityEstimator = require('./js/ability-estimator.js');
     global.ProgressTracker = require('./js/progress-tracker.js');
+    global.FRQQuestion = require('./js/frq-question.js');
+    global.frqQuestions = require('./js/frq-questions.js');
+    global.QuestionImporter = require('./js/question-importer.js');
+    global.QuestionBankLinter = require('./js/question-bank-linter.js');
+    global.QuestionBankLoader = require('./js/question-bank-loader.js');
+    global.ExamBlueprint = require('./js/exam-blueprint.js');
     global.QuizEngine = require('./js/quiz-engine.js');
     global.Timer = require('./js/timer.js');
     global.ScoringEngine = require('./js/scoring-engine.js');
+    global.ResultsDisplay = require('./js/results-display.js');
+    global.APScorePredictor = require('./js/score-predictor.js');
+    global.ProfileManager = require('./js/profile-manager.js');
+    global.ProgressTransfer = require('./js/progress-transfer.js');
+    global.ClassReport = require('./js/class-report.js');
+    global.MemoryStorageBackend = require('./js/memory-storage-backend.js');
+    global.IndexedDBBackend = require('./js/indexeddb-backend.js');
+    global.SchemaMigrator = require('./js/schema-migrator.js');
+    global.ServiceWorkerManager = require('./js/service-worker-manager.js');
+    global.HashRouter = require('./js/hash-router.js');
+    global.QuizHistory = require('./js/quiz-history.js');
+    global.WorksheetGenerator = require('./js/worksheet-generator.js');
     global.ScoreChart = require('./js/score-chart.js');
     global.sampleQuestions = require('./js/sample-questions.js');
 } catch (error) {
@@ -131,6 +151,52 @@ try {
     const { runProgressTrackerTests } = require('./js/progress-tracker.test.js');
     global.runProgressTrackerTests = runProgressTrackerTests;
     
+    const { runSpacedRepetitionTests } = require('./js/spaced-repetition.test.js');
+    global.runSpacedRepetitionTests = runSpacedRepetitionTests;
+    
+    const { runAbilityEstimatorTests } = require('./js/ability-estimator.test.js');
+    global.runAbilityEstimatorTests = runAbilityEstimatorTests;
+    
+    const { runQuestionImporterTests } = require('./js/question-importer.test.js');
+    global.runQuestionImporterTests = runQuestionImporterTests;
+    
+    const { runQuestionBankLinterTests } = require('./js/question-bank-linter.test.js');
+    global.runQuestionBankLinterTests = runQuestionBankLinterTests;
+    
+    const { runFRQTests } = require('./js/frq-question.test.js');
+    global.runFRQTests = runFRQTests;
+    
+    const { runExamBlueprintTests } = require('./js/exam-blueprint.test.js');
+    global.runExamBlueprintTests = runExamBlueprintTests;
+    
+    const { runScorePredictorTests } = require('./js/score-predictor.test.js');
+    global.runScorePredictorTests = runScorePredictorTests;
+    
+    const { runProfileManagerTests } = require('./js/profile-manager.test.js');
+    global.runProfileManagerTests = runProfileManagerTests;
+    
+    const { runProgressTransferTests } = require('./js/progress-transfer.test.js');
+    global.runProgressTransferTests = runProgressTransferTests;
+    
+    const { runClassReportTests } = require('./js/class-report.test.js');
+    global.runClassReportTests = runClassReportTests;
+    
+    const { runStorageBackendTests } = require('./js/storage-backends.test.js');
+    global.runStorageBackendTests = runStorageBackendTests;
+    
+    const { runSchemaMigratorTests } = require('./js/schema-migrator.test.js');
+    global.runSchemaMigratorTests = runSchemaMigratorTests;
+    const { runServiceWorkerManagerTests } = require('./js/service-worker-manager.test.js');
+    global.runServiceWorkerManagerTests = runServiceWorkerManagerTests;
+    const { runHashRouterTests } = require('./js/hash-router.test.js');
+    global.runHashRouterTests = runHashRouterTests;
+    const { runQuizHistoryTests } = require('./js/quiz-history.test.js');
+    global.runQuizHistoryTests = runQuizHistoryTests;
+    const { runResultsDisplayTests } = require('./js/results-display.test.js');
+    global.runResultsDisplayTests = runResultsDisplayTests;
+    const { runWorksheetGeneratorTests } = require('./js/worksheet-generator.test.js');
+    global.runWorksheetGeneratorTests = runWorksheetGeneratorTests;
+    
     const ScoreChartTests = require('./js/score-chart.test.js');
     global.ScoreChartTests = ScoreChartTests;
     
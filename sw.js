@@ -0,0 +1,213 @@
+/**
+ * Service worker - Offline support for the AP Government Study Tool
+ * Precaches the app shell (index.html, scripts, styles, manifest) and the question bank into a versioned cache
+ * and serves them cache-first, so the app keeps working without a connection.
+ * Bump CACHE_VERSION whenever a build ships: the browser then installs this worker as an update, and the page
+ * offers to reload into it. The question bank is also re-fetched in the background on every load, and open pages
+ * are told when a new bank has been cached.
+ */
+const CACHE_VERSION = 5;
+const CACHE_PREFIX = 'ap-gov-study-tool-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const QUESTION_BANK_URL = 'ap_gov_complete_question_bank.json';
+
+// Everything index.html needs; keep in step with its <link> and <script> tags
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.json',
+    'icons/icon.svg',
+    'styles/main.css',
+    'styles/results-display.css',
+    'styles/error-handling.css',
+    'js/question.js',
+    'js/frq-question.js',
+    'js/error-handler.js',
+    'js/confirmation-dialogs.js',
+    'js/service-worker-manager.js',
+    'js/memory-storage-backend.js',
+    'js/indexeddb-backend.js',
+    'js/storage-wrapper.js',
+    'js/schema-migrator.js',
+    'js/profile-manager.js',
+    'js/spaced-repetition.js',
+    'js/ability-estimator.js',
+    'js/score-predictor.js',
+    'js/progress-tracker.js',
+    'js/progress-transfer.js',
+    'js/quiz-history.js',
+    'js/class-report.js',
+    'js/worksheet-generator.js',
+    'js/question-manager.js',
+    'js/question-importer.js',
+    'js/question-bank-linter.js',
+    'js/question-bank-loader.js',
+    'js/exam-blueprint.js',
+    'js/timer.js',
+    'js/quiz-engine.js',
+    'js/sample-questions.js',
+    'js/frq-questions.js',
+    'js/score-chart.js',
+    'js/results-display.js',
+    'js/scoring-engine.js',
+    'js/hash-router.js',
+    'js/app.js',
+    QUESTION_BANK_URL
+];
+
+// Messages exchanged with ServiceWorkerManager
+const MESSAGE_TYPES = {
+    BANK_UPDATED: 'bank-updated',
+    SKIP_WAITING: 'skip-waiting'
+};
+
+/**
+ * Cache every app file, bypassing the HTTP cache so a new version never precaches stale files
+ * @returns {Promise<void>} Resolves when everything is cached
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+}
+
+/**
+ * Delete caches left by earlier versions
+ * @returns {Promise<Array>} Names of the deleted caches
+ */
+async function deleteOldCaches() {
+    const names = await caches.keys();
+    const oldNames = names.filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+    await Promise.all(oldNames.map(name => caches.delete(name)));
+    return oldNames;
+}
+
+/**
+ * Whether a request is for the question bank
+ * @param {Request} request - Fetch request
+ * @returns {boolean} True for the question bank
+ */
+function isQuestionBankRequest(request) {
+    return new URL(request.url).pathname.endsWith(`/${QUESTION_BANK_URL}`);
+}
+
+/**
+ * Serve from the cache, falling back to the network
+ * Pages that are not cached fall back to index.html while offline
+ * @param {Request} request - Fetch request
+ * @returns {Promise<Response>} Response
+ */
+async function respondFromCache(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html');
+            if (shell) {
+                return shell;
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve the question bank from the cache and refresh it from the network
+ * @param {FetchEvent} event - Fetch event for the question bank
+ * @returns {Promise<Response>} Response
+ */
+async function respondWithQuestionBank(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(QUESTION_BANK_URL);
+    const refresh = refreshQuestionBank(cache, cached);
+
+    if (cached) {
+        event.waitUntil(refresh.catch(error => console.warn('Question bank refresh failed:', error)));
+        return cached;
+    }
+
+    await refresh;
+    return (await cache.match(QUESTION_BANK_URL)) || fetch(event.request);
+}
+
+/**
+ * Fetch the question bank and cache it if it changed
+ * Open pages are told when a different bank replaces the cached one
+ * @param {Cache} cache - App cache
+ * @param {Response} cached - Cached question bank, if any
+ * @returns {Promise<boolean>} True if a new bank was cached
+ */
+async function refreshQuestionBank(cache, cached) {
+    const response = await fetch(QUESTION_BANK_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+        return false;
+    }
+
+    const latest = await response.clone().text();
+    if (cached && (await cached.clone().text()) === latest) {
+        return false;
+    }
+
+    await cache.put(QUESTION_BANK_URL, response);
+
+    if (cached) {
+        await notifyClients({ type: MESSAGE_TYPES.BANK_UPDATED });
+    }
+    return true;
+}
+
+/**
+ * Post a message to every open page
+ * @param {Object} message - Message to post
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+function handleInstall(event) {
+    event.waitUntil(precache());
+}
+
+function handleActivate(event) {
+    event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+}
+
+function handleFetch(event) {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(isQuestionBankRequest(request) ? respondWithQuestionBank(event) : respondFromCache(request));
+}
+
+function handleMessage(event) {
+    // The page asks a waiting worker to take over once the user chooses to reload
+    if (event.data && event.data.type === MESSAGE_TYPES.SKIP_WAITING) {
+        self.skipWaiting();
+    }
+}
+
+if (typeof self !== 'undefined' && typeof self.skipWaiting === 'function') {
+    self.addEventListener('install', handleInstall);
+    self.addEventListener('activate', handleActivate);
+    self.addEventListener('fetch', handleFetch);
+    self.addEventListener('message', handleMessage);
+}
+
+// Export for tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CACHE_NAME,
+        QUESTION_BANK_URL,
+        PRECACHE_URLS,
+        MESSAGE_TYPES,
+        deleteOldCaches,
+        refreshQuestionBank
+    };
+}